@@ -1,6 +1,7 @@
 import { Resend } from 'resend';
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Resend throws at construction without a key, so stay importable when unset
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
 
 // --- Professional HTML Email Templates ---
 
@@ -97,7 +98,7 @@ const licenseDeliveryEmailTemplate = (customerName, licenseKey, maxDevices) => `
 </html>
 `;
 
-const deviceAlertEmailTemplate = (customerName, deviceName, alertType, lastSeen) => `
+const deviceAlertEmailTemplate = (customerName, deviceName, alertType, lastSeen, detailLabel = 'Last Seen') => `
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -127,7 +128,7 @@ const deviceAlertEmailTemplate = (customerName, deviceName, alertType, lastSeen)
             <h3>Alert Details</h3>
             <p><strong>Device:</strong> <span class="device-name">${deviceName}</span></p>
             <p><strong>Alert Type:</strong> ${alertType}</p>
-            <p><strong>Last Seen:</strong> ${lastSeen}</p>
+            <p><strong>${detailLabel}:</strong> ${lastSeen}</p>
         </div>
         
         <h3>Recommended Actions:</h3>
@@ -291,13 +292,18 @@ export const sendLicenseDeliveryEmail = async (customerEmail, customerName, lice
   }
 };
 
-export const sendDeviceAlertEmail = async (customerEmail, customerName, deviceName, alertType = 'Device Offline', lastSeen = 'Unknown') => {
+export const sendDeviceAlertEmail = async (customerEmail, customerName, deviceName, alertType = 'Device Offline', lastSeen = 'Unknown', detailLabel = 'Last Seen') => {
   try {
+    if (!resend) {
+      console.log('[email] RESEND_API_KEY not set — skipping device alert');
+      return { success: false, skipped: true };
+    }
+    
     const { data, error } = await resend.emails.send({
       from: 'alerts@syncsure.cloud',
       to: customerEmail,
       subject: `SyncSure Alert: ${alertType} - ${deviceName}`,
-      html: deviceAlertEmailTemplate(customerName, deviceName, alertType, lastSeen),
+      html: deviceAlertEmailTemplate(customerName, deviceName, alertType, lastSeen, detailLabel),
     });
     
     if (error) {
@@ -10,7 +10,7 @@ import authRouter from "./routes/auth.js";
 import migrationRouter from "./routes/migration.js";
 import buildsRouter from "./routes/builds.js";
 import adminRouter from "./routes/admin.js";
-import stripeRouter, { stripeRaw } from "./routes/stripe.js";
+import stripeRouter, { stripeRaw, stripeWebhook } from "./routes/stripe.js";
 import agentRouter from "./routes/agent.js";
 import dashboardRouter from "./routes/dashboard.js";
 import { initializeDatabase } from "./scripts/deploy-init-db.js";
@@ -49,7 +49,7 @@ app.use(cors({
 }));
 
 // Stripe webhook MUST use raw body and be mounted before json()
-app.post("/api/stripe/webhook", stripeRaw, stripeRouter);
+app.post("/api/stripe/webhook", stripeRaw, stripeWebhook);
 
 // JSON for the rest
 app.use(express.json());
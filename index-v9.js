@@ -19,11 +19,10 @@ import adminRouter from "./routes/admin.js";
 import agentRouter from "./routes/agent.js";
 
 // V9 Specific Routes
-const stripeV9Router = require('./routes/stripe-v9.js');
 const dashboardV9Router = require('./routes/dashboard-v9.js');
 
 // Legacy routes for backward compatibility
-import stripeRouter, { stripeRaw } from "./routes/stripe.js";
+import stripeRouter, { stripeWebhook } from "./routes/stripe.js";
 import dashboardRouter from "./routes/dashboard.js";
 
 import { initializeDatabase } from "./scripts/deploy-init-db.js";
@@ -62,10 +61,10 @@ app.use(cors({
 }));
 
 // Stripe webhook needs raw body (before JSON parsing)
-app.post("/api/stripe/webhook", express.raw({ type: "application/json" }), stripeV9Router);
+app.post("/api/stripe/webhook", express.raw({ type: "application/json" }), stripeWebhook);
 
 // V9 Stripe webhook (new endpoint)
-app.post("/api/v9/stripe/webhook", express.raw({ type: "application/json" }), stripeV9Router);
+app.post("/api/v9/stripe/webhook", express.raw({ type: "application/json" }), stripeWebhook);
 
 // JSON for the rest
 app.use(express.json());
@@ -88,7 +87,7 @@ app.use(
 );
 
 // V9 Routes (Primary)
-app.use("/api/v9/stripe", stripeV9Router);
+app.use("/api/v9/stripe", stripeRouter);
 app.use("/api/v9/dashboard", dashboardV9Router);
 
 // Core routes
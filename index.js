@@ -17,16 +17,24 @@ import migrationRouter from "./routes/migration.js";
 import buildsRouter from "./routes/builds.js";
 import adminRouter from "./routes/admin.js";
 import agentRouter from "./routes/agent.js";
+import alertsRouter from "./routes/alerts.js";
+import webhooksRouter from "./routes/webhooks.js";
+import telemetryRouter from "./routes/telemetry.js";
+import organizationRouter from "./routes/organization.js";
+import apiKeysRouter from "./routes/api-keys.js";
+import partnerRouter from "./routes/partner.js";
+import v1Router from "./routes/v1.js";
 
 // V9 Specific Routes (CommonJS modules)
-import stripeV9Router from './routes/stripe-v9.js';
 import dashboardV9Router from './routes/dashboard-v9.js';
 
 // Legacy routes for backward compatibility
-import stripeRouter, { stripeRaw } from "./routes/stripe.js";
+import stripeRouter, { stripeWebhook } from "./routes/stripe.js";
 import dashboardRouter from "./routes/dashboard.js";
 
+import { errorEnvelope } from "./utils/apiV1.js";
 import { initializeDatabase } from "./scripts/deploy-init-db.js";
+import { assertAuthConfigured } from "./middleware/auth.js";
 
 const app = express();
 const port = process.env.PORT || 10000;
@@ -58,14 +66,11 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Impersonate-Account', 'X-Organization-Id', 'X-API-Key']
 }));
 
-// Stripe webhook needs raw body (before JSON parsing)
-app.post("/api/stripe/webhook", express.raw({ type: "application/json" }), stripeV9Router);
-
-// V9 Stripe webhook (new endpoint)
-app.post("/api/v9/stripe/webhook", express.raw({ type: "application/json" }), stripeV9Router);
+// Stripe webhook needs raw body (before JSON parsing); both prefixes share one handler
+app.post(["/api/stripe/webhook", "/api/v9/stripe/webhook"], express.raw({ type: "application/json" }), stripeWebhook);
 
 // JSON for the rest
 app.use(express.json());
@@ -76,6 +81,9 @@ app.use(cookieParser());
 // Request logging middleware
 app.use(requestLogger);
 
+// Public API v1 answers every error, including the rate limiter's, in one envelope
+app.use("/api/v1", errorEnvelope);
+
 // Rate limiting
 app.use(
   "/api",
@@ -87,8 +95,17 @@ app.use(
   })
 );
 
+// Public API v1 (stable, see openapi/v1.json)
+app.use("/api/v1", v1Router);
+
 // V9 Routes (Primary)
-app.use("/api/v9/stripe", stripeV9Router);
+app.use("/api/v9/stripe", stripeRouter);
+app.use("/api/v9/dashboard/alerts", alertsRouter);
+app.use("/api/v9/dashboard/webhooks", webhooksRouter);
+app.use("/api/v9/dashboard/telemetry", telemetryRouter);
+app.use("/api/v9/dashboard/organization", organizationRouter);
+app.use("/api/v9/dashboard/api-keys", apiKeysRouter);
+app.use("/api/v9/partner", partnerRouter);
 app.use("/api/v9/dashboard", dashboardV9Router);
 
 // Core routes
@@ -138,6 +155,9 @@ async function startServer() {
     console.log("🚀 Starting SyncSure V9 Backend...");
     console.log("📋 System: Single License, Quantity-Based");
     
+    // Refuse to serve logins with an unsigned or guessable token secret
+    assertAuthConfigured();
+    
     // Initialize database schema
     await initializeDatabase();
     
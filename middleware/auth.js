@@ -1,20 +1,219 @@
 /**
  * Authentication Middleware for SyncSure Dashboard
- * Handles session-based authentication and user authorization
+ * One authentication layer for every customer route: a dashboard session
+ * (cookie or bearer session ID) or a bearer JWT from /api/auth/login, and on
+ * read routes that opt in, a scoped customer API key.
  */
 
+import jwt from "jsonwebtoken";
+import rateLimit from "express-rate-limit";
 import { pool } from "../db.js";
+import { resolveMembership, roleHasPermission } from "../utils/organizations.js";
+import { ADMIN_SCOPES, authenticateAdminKey } from "../utils/adminKeys.js";
+import { isApiKey, authenticateApiKey } from "../utils/apiKeys.js";
+import { UUID_PATTERN } from "../utils/uuid.js";
+
+// The old hard-coded fallback and the .env.example placeholder; a deployment using either is as good as unsigned
+const INSECURE_SECRETS = ["syncsure-dev-secret-key", "replace-with-long-random-string"];
+const ACCESS_TOKEN_TTL = '7d';
 
 /**
- * Middleware to check if user is authenticated
- * Validates session and attaches user information to request
+ * Secret used to sign and verify access tokens (JWT_SECRET, else the existing SESSION_SECRET)
+ * @returns {string}
+ */
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET || process.env.SESSION_SECRET;
+  if (!secret || INSECURE_SECRETS.includes(secret)) {
+    throw new Error("JWT_SECRET (or SESSION_SECRET) is not configured");
+  }
+  return secret;
+}
+
+/**
+ * Fail fast at boot rather than on the first login
+ * @throws {Error} - If the secret is missing, a known default, or too short
  */
-export const requireAuth = async (req, res, next) => {
+export const assertAuthConfigured = () => {
+  const secret = getJwtSecret();
+  if (secret.length < 32) {
+    throw new Error("JWT_SECRET (or SESSION_SECRET) must be at least 32 characters");
+  }
+};
+
+/**
+ * Sign an access token for API clients that can't hold a session cookie
+ * @param {object} account - { id, email, role }
+ * @returns {string} - JWT
+ */
+export const issueAccessToken = (account) => {
+  return jwt.sign(
+    {
+      accountId: account.id,
+      email: account.email,
+      role: account.role
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const ACCOUNT_FIELDS = `
+  a.id AS account_id,
+  a.email,
+  a.role,
+  a.status AS account_status,
+  a.subscription_status,
+  a.email_verified,
+  a.tokens_revoked_at
+`;
+
+const authFailure = (status, error, code) => ({ failure: { status, body: { success: false, error, code } } });
+
+/**
+ * Resolve the caller from a customer API key
+ * The key acts as its organisation, with no role of its own: it is only let through
+ * by requireAuthOrApiKey, and only to routes whose requirePermission names its scope.
+ * @param {string} key - Raw key
+ * @returns {object} - { user } or { failure: { status, body } }
+ */
+async function authenticateApiKeyRequest(key) {
+  const apiKey = await authenticateApiKey(key);
+
+  if (!apiKey) {
+    return authFailure(401, "Invalid, expired or revoked API key", "INVALID_API_KEY");
+  }
+
+  if (apiKey.account_status !== 'active') {
+    return authFailure(403, "Account is not active", "ACCOUNT_INACTIVE");
+  }
+
+  return {
+    user: {
+      accountId: apiKey.account_id,
+      email: apiKey.email,
+      role: null,
+      subscriptionStatus: apiKey.subscription_status,
+      emailVerified: apiKey.email_verified,
+      sessionId: null,
+      authMethod: 'api_key',
+      apiKey: {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes
+      }
+    }
+  };
+}
+
+/**
+ * Resolve the caller from a session ID, bearer JWT or customer API key
+ * @param {object} req - Express request
+ * @returns {object} - { user }, { failure: { status, body } }, or {} when no credentials were sent
+ */
+async function authenticateRequest(req) {
+  const bearer = req.headers.authorization?.replace('Bearer ', '');
+  const presentedKey = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null);
+
+  if (presentedKey) {
+    return authenticateApiKeyRequest(presentedKey);
+  }
+
+  const credential = req.cookies?.session_id || bearer;
+
+  if (!credential) {
+    return {};
+  }
+
+  let account;
+  let sessionId = null;
+
+  // Session IDs are plain alphanumerics; anything shaped like a JWT goes down the token path
+  if (credential.split('.').length === 3) {
+    let claims;
+    try {
+      claims = jwt.verify(credential, getJwtSecret());
+    } catch (error) {
+      return authFailure(401, "Invalid or expired token", "INVALID_TOKEN");
+    }
+
+    const accountResult = await pool.query(
+      `SELECT ${ACCOUNT_FIELDS} FROM accounts a WHERE a.id = $1`,
+      [claims.accountId]
+    );
+    account = accountResult.rows[0];
+
+    // Password resets and forced 2FA revoke tokens issued before them. iat is in whole
+    // seconds, so a token from the second of the revocation is revoked too.
+    const revokedAt = account?.tokens_revoked_at ? Math.floor(account.tokens_revoked_at.getTime() / 1000) : null;
+    if (!account || (revokedAt !== null && claims.iat <= revokedAt)) {
+      return authFailure(401, "Invalid or expired token", "INVALID_TOKEN");
+    }
+  } else {
+    // Validate session in database
+    const sessionResult = await pool.query(`
+      SELECT s.id AS session_id, ${ACCOUNT_FIELDS}
+      FROM sessions s
+      JOIN accounts a ON s.account_id = a.id
+      WHERE s.id = $1 AND s.expires_at > NOW() AND s.status = 'active'
+    `, [credential]);
+
+    if (sessionResult.rows.length === 0) {
+      return authFailure(401, "Invalid or expired session", "INVALID_SESSION");
+    }
+
+    account = sessionResult.rows[0];
+    sessionId = account.session_id;
+  }
+
+  // Check if account is active
+  if (account.account_status !== 'active') {
+    return authFailure(403, "Account is not active", "ACCOUNT_INACTIVE");
+  }
+
+  if (sessionId) {
+    // Update session last_accessed
+    await pool.query(
+      "UPDATE sessions SET last_accessed = NOW() WHERE id = $1",
+      [sessionId]
+    );
+  }
+
+  return {
+    user: {
+      accountId: account.account_id,
+      email: account.email,
+      role: account.role,
+      subscriptionStatus: account.subscription_status,
+      emailVerified: account.email_verified,
+      sessionId,
+      authMethod: sessionId ? 'session' : 'token'
+    }
+  };
+}
+
+// Requests per minute for each customer API key, on top of the per-IP limit on /api
+const apiKeyRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: () => parseInt(process.env.CUSTOMER_API_KEY_RATE_LIMIT) || 60,
+  keyGenerator: (req) => req.user.apiKey.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: "API key rate limit exceeded, please slow down",
+    code: "RATE_LIMITED"
+  }
+});
+
+const authenticate = ({ allowApiKey }) => async (req, res, next) => {
   try {
-    // Check for session cookie or authorization header
-    const sessionId = req.cookies?.session_id || req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!sessionId) {
+    const { user, failure } = await authenticateRequest(req);
+
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    if (!user) {
       return res.status(401).json({
         success: false,
         error: "Authentication required",
@@ -22,58 +221,327 @@ export const requireAuth = async (req, res, next) => {
       });
     }
 
-    // Validate session in database
-    const sessionQuery = `
-      SELECT 
-        s.id,
-        s.account_id,
-        s.expires_at,
-        a.email,
-        a.status as account_status,
-        a.subscription_status
-      FROM sessions s
-      JOIN accounts a ON s.account_id = a.id
-      WHERE s.id = $1 AND s.expires_at > NOW() AND s.status = 'active'
-    `;
-    
-    const sessionResult = await pool.query(sessionQuery, [sessionId]);
-    
-    if (sessionResult.rows.length === 0) {
+    req.user = user;
+
+    if (user.apiKey) {
+      if (!allowApiKey) {
+        return res.status(403).json({
+          success: false,
+          error: "API keys cannot be used for this route",
+          code: "API_KEY_NOT_ALLOWED"
+        });
+      }
+      return apiKeyRateLimit(req, res, next);
+    }
+
+    next();
+  } catch (error) {
+    console.error("Authentication middleware error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Authentication service error"
+    });
+  }
+};
+
+/**
+ * Middleware to check if user is authenticated
+ * Accepts a session cookie, a bearer session ID or a bearer JWT, and attaches req.user
+ */
+export const requireAuth = authenticate({ allowApiKey: false });
+
+/**
+ * Middleware for read routes scripts may call: requireAuth, plus customer API keys
+ * (X-API-Key or Authorization: Bearer ssk_live_…), rate limited per key
+ * (CUSTOMER_API_KEY_RATE_LIMIT a minute). Keys still need the route's apiKeyScope.
+ */
+export const requireAuthOrApiKey = authenticate({ allowApiKey: true });
+
+/**
+ * End every session and invalidate every access token issued so far
+ * @param {object} db - pool or a transaction client
+ * @param {string} accountId - Account ID
+ * @returns {number} - Sessions expired
+ */
+export const revokeAccountCredentials = async (db, accountId) => {
+  await db.query(
+    "UPDATE accounts SET tokens_revoked_at = NOW() WHERE id = $1",
+    [accountId]
+  );
+
+  const sessions = await db.query(
+    "UPDATE sessions SET status = 'expired', updated_at = NOW() WHERE account_id = $1 AND status = 'active'",
+    [accountId]
+  );
+
+  return sessions.rowCount;
+};
+
+/**
+ * Middleware to decide whose data a customer route serves (use after requireAuth)
+ * Sets req.customer to the organisation the user is acting in, with their role there:
+ * their own account by default, or via X-Organization-Id one they are a member of
+ * (or a customer of a partner they are a member of).
+ * Admins may act as a customer (as owner) by sending X-Impersonate-Account (account ID
+ * or email); every such request is audited. An API key acts in its own organisation
+ * with no role (see requirePermission).
+ * An email in the path, query or body is only a claim and must match the customer
+ * (or the signed-in member).
+ */
+export const resolveCustomer = async (req, res, next) => {
+  try {
+    if (!req.user) {
       return res.status(401).json({
         success: false,
-        error: "Invalid or expired session",
-        code: "INVALID_SESSION"
+        error: "Authentication required"
       });
     }
 
-    const session = sessionResult.rows[0];
-    
-    // Check if account is active
-    if (session.account_status !== 'active') {
+    const target = req.headers['x-impersonate-account'];
+
+    if (!target) {
+      const organizationId = req.headers['x-organization-id'] || null;
+      if (organizationId && !UUID_PATTERN.test(organizationId)) {
+        return res.status(400).json({
+          success: false,
+          error: "X-Organization-Id must be an organisation ID"
+        });
+      }
+
+      let membership = null;
+      if (!req.user.apiKey) {
+        membership = await resolveMembership(req.user.accountId, organizationId);
+      } else if (!organizationId || organizationId === req.user.accountId) {
+        // An API key only ever acts in the organisation it was created for
+        membership = await resolveMembership(req.user.accountId, req.user.accountId);
+      }
+
+      if (!membership) {
+        return res.status(403).json({
+          success: false,
+          error: "You are not a member of this organisation",
+          code: "NOT_A_MEMBER"
+        });
+      }
+
+      req.customer = {
+        accountId: membership.organizationId,
+        email: membership.email,
+        role: req.user.apiKey ? null : membership.role,
+        accountType: membership.accountType,
+        partnerAccountId: membership.partnerAccountId,
+        billingEmail: membership.billingEmail,
+        viaPartner: membership.viaPartner || null,
+        impersonatedBy: null
+      };
+    } else {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: "Only administrators can act on behalf of another account",
+          code: "IMPERSONATION_FORBIDDEN"
+        });
+      }
+
+      const accountResult = await pool.query(
+        `SELECT a.id, a.email, a.account_type, a.partner_account_id, COALESCE(p.email, a.email) AS billing_email
+         FROM accounts a
+         LEFT JOIN accounts p ON p.id = a.partner_account_id
+         WHERE ${UUID_PATTERN.test(target) ? 'a.id = $1' : 'lower(a.email) = lower($1)'}`,
+        [target]
+      );
+
+      if (accountResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Account to impersonate not found"
+        });
+      }
+
+      const account = accountResult.rows[0];
+
+      await pool.query(
+        `INSERT INTO audit_log (actor, account_id, event, context)
+         VALUES ($1, $2, 'admin_impersonation', $3)`,
+        [req.user.email, account.id, JSON.stringify({
+          adminAccountId: req.user.accountId,
+          method: req.method,
+          path: req.originalUrl
+        })]
+      );
+
+      req.customer = {
+        accountId: account.id,
+        email: account.email,
+        role: 'owner',
+        accountType: account.account_type,
+        partnerAccountId: account.partner_account_id,
+        billingEmail: account.billing_email,
+        viaPartner: null,
+        impersonatedBy: req.user.email
+      };
+      res.set('X-Impersonating-Account', account.id);
+    }
+
+    const claimedEmail = (req.params?.email || req.query?.email || req.body?.email)?.toLowerCase();
+    if (claimedEmail &&
+        claimedEmail !== req.customer.email.toLowerCase() &&
+        claimedEmail !== req.user.email.toLowerCase()) {
       return res.status(403).json({
         success: false,
-        error: "Account is not active",
-        code: "ACCOUNT_INACTIVE"
+        error: "You can only access your own account",
+        code: "ACCOUNT_MISMATCH"
       });
     }
 
-    // Attach user information to request
-    req.user = {
-      accountId: session.account_id,
-      email: session.email,
-      subscriptionStatus: session.subscription_status,
-      sessionId: session.id
-    };
+    next();
+  } catch (error) {
+    console.error("Customer resolution error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Authentication service error"
+    });
+  }
+};
 
-    // Update session last_accessed
-    await pool.query(
-      "UPDATE sessions SET last_accessed = NOW() WHERE id = $1",
-      [sessionId]
-    );
+/**
+ * Middleware factory: the user's role in req.customer must grant a permission
+ * (use after resolveCustomer; see ROLE_PERMISSIONS in utils/organizations.js)
+ * API keys are refused unless the route names the key scope that reaches it.
+ * @param {string} permission - e.g. 'billing:manage'
+ * @param {string} [apiKeyScope] - Key of API_KEY_SCOPES in utils/apiKeys.js, e.g. 'devices:read'
+ */
+export const requirePermission = (permission, apiKeyScope = null) => (req, res, next) => {
+  if (!req.customer) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required"
+    });
+  }
 
+  if (req.user.apiKey) {
+    if (!apiKeyScope || !req.user.apiKey.scopes.includes(apiKeyScope)) {
+      return res.status(403).json({
+        success: false,
+        error: apiKeyScope ? "This API key does not have the required scope" : "API keys cannot be used for this route",
+        code: apiKeyScope ? "SCOPE_DENIED" : "API_KEY_NOT_ALLOWED",
+        ...(apiKeyScope && { scope: apiKeyScope })
+      });
+    }
+    return next();
+  }
+
+  if (!roleHasPermission(req.customer.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: "Your role in this organisation does not allow this",
+      code: "PERMISSION_DENIED",
+      permission
+    });
+  }
+
+  next();
+};
+
+/**
+ * Record an admin request in audit_log once it has been answered
+ * Reads go unrecorded; anything that can change state is kept with its outcome.
+ */
+function auditAdminRequest(req, res) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    return;
+  }
+
+  res.on('finish', () => {
+    pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'admin_action', $3)`,
+      [req.admin.actor, req.admin.accountId, JSON.stringify({
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        authMethod: req.admin.authMethod,
+        apiKeyId: req.admin.apiKeyId
+      })]
+    ).catch(error => console.error("Failed to audit admin action:", error.message));
+  });
+}
+
+/**
+ * Middleware factory for /api/admin and other operator routes
+ * Accepts an account with accounts.role = 'admin' (any credential requireAuth takes,
+ * holding every scope) or an X-Admin-Key granted the scope (utils/adminKeys.js).
+ * Sets req.admin = { actor, accountId, authMethod, apiKeyId, scopes } and audits
+ * every non-read request with the actor.
+ * @param {string} scope - Key of ADMIN_SCOPES, e.g. 'releases:manage'
+ */
+export const requireAdmin = (scope) => async (req, res, next) => {
+  try {
+    const presentedKey = req.headers['x-admin-key'];
+
+    if (presentedKey) {
+      const apiKey = await authenticateAdminKey(presentedKey);
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid, expired or revoked admin API key",
+          code: "INVALID_ADMIN_KEY"
+        });
+      }
+
+      req.admin = {
+        actor: `api_key:${apiKey.name}`,
+        accountId: null,
+        authMethod: 'api_key',
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes
+      };
+    } else {
+      const { user, failure } = await authenticateRequest(req);
+
+      if (failure) {
+        return res.status(failure.status).json(failure.body);
+      }
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: "Admin authentication required",
+          code: "NO_ADMIN_CREDENTIALS"
+        });
+      }
+
+      if (user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: "Administrator access required",
+          code: "ADMIN_REQUIRED"
+        });
+      }
+
+      req.user = user;
+      req.admin = {
+        actor: user.email,
+        accountId: user.accountId,
+        authMethod: user.authMethod,
+        apiKeyId: null,
+        scopes: Object.keys(ADMIN_SCOPES)
+      };
+    }
+
+    if (!req.admin.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: "This API key does not have the required scope",
+        code: "SCOPE_DENIED",
+        scope
+      });
+    }
+
+    auditAdminRequest(req, res);
     next();
   } catch (error) {
-    console.error("Authentication middleware error:", error);
+    console.error("Admin authentication error:", error);
     res.status(500).json({
       success: false,
       error: "Authentication service error"
@@ -103,9 +571,32 @@ export const requireActiveSubscription = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to check the user has verified their email address
+ * Unverified accounts can sign in and look around, but not buy or send notifications out
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required"
+    });
+  }
+
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      error: "Please verify your email address first",
+      code: "EMAIL_NOT_VERIFIED"
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware to get user's license information
- * Attaches license data to request for dashboard operations
+ * Attaches the license of the organisation in req.customer (the user's own without resolveCustomer)
  */
 export const attachUserLicense = async (req, res, next) => {
   try {
@@ -116,7 +607,7 @@ export const attachUserLicense = async (req, res, next) => {
       });
     }
 
-    // Get user's active license
+    // Get user's current license; past due and suspended ones still show, so the customer sees why
     const licenseQuery = `
       SELECT 
         id,
@@ -129,12 +620,12 @@ export const attachUserLicense = async (req, res, next) => {
         created_at,
         updated_at
       FROM licenses 
-      WHERE account_id = $1 AND status = 'active'
+      WHERE account_id = $1 AND status IN ('active', 'past_due', 'suspended')
       ORDER BY created_at DESC
       LIMIT 1
     `;
     
-    const licenseResult = await pool.query(licenseQuery, [req.user.accountId]);
+    const licenseResult = await pool.query(licenseQuery, [req.customer?.accountId || req.user.accountId]);
     
     if (licenseResult.rows.length === 0) {
       return res.status(404).json({
@@ -226,42 +717,10 @@ function generateSessionId() {
  */
 export const optionalAuth = async (req, res, next) => {
   try {
-    const sessionId = req.cookies?.session_id || req.headers.authorization?.replace('Bearer ', '');
-    
-    if (sessionId) {
-      const sessionQuery = `
-        SELECT 
-          s.id,
-          s.account_id,
-          s.expires_at,
-          a.email,
-          a.status as account_status,
-          a.subscription_status
-        FROM sessions s
-        JOIN accounts a ON s.account_id = a.id
-        WHERE s.id = $1 AND s.expires_at > NOW() AND s.status = 'active'
-      `;
-      
-      const sessionResult = await pool.query(sessionQuery, [sessionId]);
-      
-      if (sessionResult.rows.length > 0) {
-        const session = sessionResult.rows[0];
-        
-        if (session.account_status === 'active') {
-          req.user = {
-            accountId: session.account_id,
-            email: session.email,
-            subscriptionStatus: session.subscription_status,
-            sessionId: session.id
-          };
-          
-          // Update session last_accessed
-          await pool.query(
-            "UPDATE sessions SET last_accessed = NOW() WHERE id = $1",
-            [sessionId]
-          );
-        }
-      }
+    const { user } = await authenticateRequest(req);
+    // API keys only count where a route accepts them explicitly
+    if (user && !user.apiKey) {
+      req.user = user;
     }
     
     next();
@@ -273,8 +732,16 @@ export const optionalAuth = async (req, res, next) => {
 };
 
 export default {
+  assertAuthConfigured,
+  issueAccessToken,
   requireAuth,
+  requireAuthOrApiKey,
+  resolveCustomer,
+  requirePermission,
+  requireAdmin,
+  revokeAccountCredentials,
   requireActiveSubscription,
+  requireVerifiedEmail,
   attachUserLicense,
   createSession,
   invalidateSession,
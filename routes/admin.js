@@ -1,12 +1,59 @@
 // Admin routes for SyncSure management
+// Each route needs an admin account or an X-Admin-Key with its scope (requireAdmin)
 import express from "express";
 import { pool } from "../db.js";
+import fetch from "node-fetch";
 import { sendWelcomeEmail, sendBuildCompleteEmail } from "../services/email.js";
+import { requireAdmin, revokeAccountCredentials } from "../middleware/auth.js";
+import { ACCOUNT_TYPES, syncPartnerBilling } from "../utils/partners.js";
+import { UUID_PATTERN } from "../utils/uuid.js";
+import {
+  ADMIN_SCOPES,
+  ADMIN_KEY_SCOPES,
+  validateKeyScopes,
+  createAdminKey,
+  listAdminKeys,
+  revokeAdminKey
+} from "../utils/adminKeys.js";
+import {
+  SUPPORTED_ARCHITECTURES,
+  ROLLOUT_RINGS,
+  isValidSha256,
+  createRelease,
+  setReleaseStatus,
+  setReleaseRollout,
+  getRolloutStats,
+  listReleases
+} from "../utils/agentReleases.js";
+import {
+  STRIPE_EVENT_STATUSES,
+  listStripeEvents,
+  getStripeEvent,
+  replayStripeEvent
+} from "../utils/stripeEvents.js";
+import {
+  reconcileStripeSubscriptions,
+  listReconciliationRuns,
+  getReconciliationRun
+} from "../utils/stripeReconciliation.js";
 
 const router = express.Router();
 
+// Refuse a malformed ID in the path before it reaches Postgres
+function requireUuidParam(name) {
+  return (req, res, next) => {
+    if (!UUID_PATTERN.test(req.params[name])) {
+      return res.status(400).json({
+        success: false,
+        error: `${name} must be a UUID`
+      });
+    }
+    next();
+  };
+}
+
 // Fix builds for customers with active licenses but no builds
-router.post("/fix-builds", async (req, res) => {
+router.post("/fix-builds", requireAdmin('builds:manage'), async (req, res) => {
   try {
     console.log('🔍 Checking for customers with active licenses but no builds...');
     
@@ -98,7 +145,7 @@ router.post("/fix-builds", async (req, res) => {
 });
 
 // Test email system
-router.post("/test-email", async (req, res) => {
+router.post("/test-email", requireAdmin('email:send'), async (req, res) => {
   try {
     const { email, type = 'welcome' } = req.body;
     
@@ -155,7 +202,7 @@ router.post("/test-email", async (req, res) => {
 });
 
 // Get system status
-router.get("/status", async (req, res) => {
+router.get("/status", requireAdmin('admin:read'), async (req, res) => {
   try {
     // Check database connection
     const dbResult = await pool.query('SELECT NOW() as current_time');
@@ -192,7 +239,7 @@ router.get("/status", async (req, res) => {
 });
 
 // Force retry building builds (reset to queued)
-router.post("/force-retry-builds", async (req, res) => {
+router.post("/force-retry-builds", requireAdmin('builds:manage'), async (req, res) => {
   try {
     console.log('🔄 Force retrying building builds...');
     
@@ -258,7 +305,7 @@ router.post("/force-retry-builds", async (req, res) => {
 });
 
 // Retry failed builds
-router.post("/retry-failed-builds", async (req, res) => {
+router.post("/retry-failed-builds", requireAdmin('builds:manage'), async (req, res) => {
   try {
     console.log('🔄 Retrying failed builds...');
     
@@ -324,7 +371,7 @@ router.post("/retry-failed-builds", async (req, res) => {
 });
 
 // Get build status and logs
-router.get("/builds/:email", async (req, res) => {
+router.get("/builds/:email", requireAdmin('admin:read'), async (req, res) => {
   try {
     const { email } = req.params;
     
@@ -362,5 +409,740 @@ router.get("/builds/:email", async (req, res) => {
   }
 });
 
-export default router;
+// List agent releases
+router.get("/releases", requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const releases = await listReleases();
+    
+    res.json({
+      success: true,
+      releases
+    });
+    
+  } catch (error) {
+    console.error('❌ Error listing releases:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Upload an agent release with per-architecture assets
+router.post("/releases", requireAdmin('releases:manage'), async (req, res) => {
+  try {
+    const { version, releaseNotes, assets = [], publish = false, rollout } = req.body;
+    
+    if (!version || !/^\d+(\.\d+){1,3}$/.test(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A dotted numeric version is required (e.g. 1.2.0.0)'
+      });
+    }
+    
+    if (!Array.isArray(assets) || assets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one asset is required'
+      });
+    }
+    
+    for (const asset of assets) {
+      if (!SUPPORTED_ARCHITECTURES.includes(asset.arch)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported architecture "${asset.arch}". Use: ${SUPPORTED_ARCHITECTURES.join(', ')}`
+        });
+      }
+      if (!asset.downloadUrl || !asset.downloadUrl.startsWith('https://')) {
+        return res.status(400).json({
+          success: false,
+          error: `Asset for ${asset.arch} needs an https downloadUrl`
+        });
+      }
+      if (!isValidSha256(asset.sha256)) {
+        return res.status(400).json({
+          success: false,
+          error: `Asset for ${asset.arch} needs a valid SHA-256 hash`
+        });
+      }
+    }
+    
+    const release = await createRelease({ version, releaseNotes, assets, publish, rollout });
+    console.log(`📦 Agent release ${release.version} created (${release.status})`);
+    
+    res.status(201).json({
+      success: true,
+      release
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'A release with this version already exists'
+      });
+    }
+    console.error('❌ Error creating release:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create an agent release from a released build's GitHub assets
+router.post("/releases/from-build", requireAdmin('releases:manage'), async (req, res) => {
+  try {
+    const { buildId, version, arch = 'x64', releaseNotes, publish = false } = req.body;
+    
+    if (!buildId || !version || !/^\d+(\.\d+){1,3}$/.test(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'buildId and a dotted numeric version are required'
+      });
+    }
+    
+    if (!SUPPORTED_ARCHITECTURES.includes(arch)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported architecture. Use: ${SUPPORTED_ARCHITECTURES.join(', ')}`
+      });
+    }
+    
+    const { rows } = await pool.query(
+      "SELECT id, release_url FROM builds WHERE id = $1 AND status = 'released'",
+      [buildId]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Build not found or not released'
+      });
+    }
+    
+    // Same asset layout the builds download proxy uses
+    const downloadBase = rows[0].release_url.replace('/releases/tag/', '/releases/download/');
+    const downloadUrl = `${downloadBase}/SyncSureAgent.exe`;
+    
+    const hashResponse = await fetch(`${downloadBase}/SyncSureAgent.exe.sha256`);
+    if (!hashResponse.ok) {
+      throw new Error(`GitHub responded with ${hashResponse.status} for the hash file`);
+    }
+    const sha256 = (await hashResponse.text()).trim().split(/\s+/)[0];
+    
+    if (!isValidSha256(sha256)) {
+      return res.status(422).json({
+        success: false,
+        error: 'Build hash file does not contain a valid SHA-256 hash'
+      });
+    }
+    
+    const release = await createRelease({
+      version,
+      releaseNotes,
+      buildId,
+      publish,
+      assets: [{ arch, downloadUrl, sha256 }]
+    });
+    console.log(`📦 Agent release ${release.version} created from build ${buildId} (${release.status})`);
+    
+    res.status(201).json({
+      success: true,
+      release
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'A release with this version already exists'
+      });
+    }
+    console.error('❌ Error creating release from build:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Publish, pause, resume, roll back or withdraw an agent release
+const RELEASE_ACTIONS = {
+  publish: 'published',
+  resume: 'published',
+  pause: 'paused',
+  rollback: 'rolled_back',
+  withdraw: 'withdrawn'
+};
+
+router.post("/releases/:version/:action(publish|resume|pause|rollback|withdraw)", requireAdmin('releases:manage'), async (req, res) => {
+  try {
+    const { version, action } = req.params;
+    const release = await setReleaseStatus(version, RELEASE_ACTIONS[action]);
+    
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: 'Release not found'
+      });
+    }
+    
+    console.log(`📦 Agent release ${release.version} is now ${release.status}`);
+    
+    res.json({
+      success: true,
+      release
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating release status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Set the per-ring rollout percentages for an agent release
+router.put("/releases/:version/rollout", requireAdmin('releases:manage'), async (req, res) => {
+  try {
+    const rollout = req.body || {};
+    
+    for (const ring of ROLLOUT_RINGS) {
+      const percent = Number(rollout[ring]);
+      if (rollout[ring] === undefined || Number.isNaN(percent) || percent < 0 || percent > 100) {
+        return res.status(400).json({
+          success: false,
+          error: `Provide a 0-100 percentage for each ring: ${ROLLOUT_RINGS.join(', ')}`
+        });
+      }
+    }
+    
+    const release = await setReleaseRollout(req.params.version, rollout);
+    
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: 'Release not found'
+      });
+    }
+    
+    console.log(`📦 Agent release ${release.version} rollout set to`, release.rollout);
+    
+    res.json({
+      success: true,
+      release
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating release rollout:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Rollout progress per ring for an agent release
+router.get("/releases/:version/rollout", requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const stats = await getRolloutStats(req.params.version);
+    
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Release not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      version: req.params.version,
+      rings: stats
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching release rollout:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Require (or stop requiring) two-factor authentication for an account
+router.put("/accounts/:accountId/two-factor", requireAdmin('accounts:manage'), requireUuidParam('accountId'), async (req, res) => {
+  const { required } = req.body || {};
+  
+  if (typeof required !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide required: true or false'
+    });
+  }
+  
+  try {
+    const { rows } = await pool.query(
+      `UPDATE accounts SET two_factor_required = $1, updated_at = now()
+       WHERE id = $2
+       RETURNING id, email, two_factor_required, totp_secret IS NOT NULL AS enrolled`,
+      [required, req.params.accountId]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+    
+    const account = rows[0];
+    
+    // Sessions and tokens obtained without a second factor end now, so the next login goes through enrolment
+    let sessionsRevoked = 0;
+    if (required && !account.enrolled) {
+      sessionsRevoked = await revokeAccountCredentials(pool, account.id);
+    }
+    
+    await pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, $3, $4)`,
+      [req.admin.actor, account.id, required ? 'two_factor_required' : 'two_factor_requirement_removed', JSON.stringify({ sessionsRevoked })]
+    );
+    
+    console.log(`🔐 Two-factor ${required ? 'required' : 'no longer required'} for ${account.email}`);
+    
+    res.json({
+      success: true,
+      account: {
+        id: account.id,
+        email: account.email,
+        twoFactorRequired: account.two_factor_required,
+        twoFactorEnrolled: account.enrolled
+      },
+      sessionsRevoked
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating two-factor requirement:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Make an account an MSP partner, or move a customer account under (or out from) a partner
+router.put("/accounts/:accountId/partner", requireAdmin('accounts:manage'), requireUuidParam('accountId'), async (req, res) => {
+  const { accountType, partnerAccountId } = req.body || {};
+  
+  if (accountType === undefined && partnerAccountId === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide accountType and/or partnerAccountId'
+    });
+  }
+  
+  if (accountType !== undefined && !ACCOUNT_TYPES.includes(accountType)) {
+    return res.status(400).json({
+      success: false,
+      error: `accountType must be one of: ${ACCOUNT_TYPES.join(', ')}`
+    });
+  }
+  
+  if (partnerAccountId && !UUID_PATTERN.test(partnerAccountId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'partnerAccountId must be a UUID or null'
+    });
+  }
+  
+  try {
+    const { rows } = await pool.query(
+      `SELECT a.id, a.email, a.account_type, a.partner_account_id,
+              (SELECT COUNT(*)::int FROM accounts c WHERE c.partner_account_id = a.id) AS customer_count
+       FROM accounts a WHERE a.id = $1`,
+      [req.params.accountId]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found'
+      });
+    }
+    
+    const account = rows[0];
+    const nextType = accountType ?? account.account_type;
+    const nextPartner = partnerAccountId === undefined ? account.partner_account_id : partnerAccountId;
+    
+    if (nextType !== 'partner' && account.customer_count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Account still manages ${account.customer_count} customer(s)`
+      });
+    }
+    
+    if (nextPartner) {
+      if (nextType === 'partner' || nextPartner === account.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'A partner cannot itself belong to a partner'
+        });
+      }
+      
+      const partner = await pool.query(
+        "SELECT id FROM accounts WHERE id = $1 AND account_type = 'partner'",
+        [nextPartner]
+      );
+      if (partner.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Partner account not found'
+        });
+      }
+    }
+    
+    await pool.query(
+      `UPDATE accounts SET account_type = $1, partner_account_id = $2, updated_at = now()
+       WHERE id = $3`,
+      [nextType, nextPartner || null, account.id]
+    );
+    
+    await pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'partner_link_changed', $3)`,
+      [req.admin.actor, account.id, JSON.stringify({
+        accountType: { from: account.account_type, to: nextType },
+        partnerAccountId: { from: account.partner_account_id, to: nextPartner || null }
+      })]
+    );
+    
+    // Seats moved between partners change what each of them is billed for
+    const billing = {};
+    for (const partnerId of new Set([account.partner_account_id, nextPartner].filter(Boolean))) {
+      billing[partnerId] = await syncPartnerBilling(partnerId);
+    }
+    
+    console.log(`🤝 ${account.email} is now ${nextType}${nextPartner ? ` under partner ${nextPartner}` : ''}`);
+    
+    res.json({
+      success: true,
+      account: {
+        id: account.id,
+        email: account.email,
+        accountType: nextType,
+        partnerAccountId: nextPartner || null
+      },
+      billing
+    });
+    
+  } catch (error) {
+    console.error('❌ Error updating partner link:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List the Stripe webhook ledger, newest first (?status, ?type, ?limit)
+router.get("/stripe-events", requireAdmin('admin:read'), async (req, res) => {
+  const { status, type, limit } = req.query;
+  
+  if (status !== undefined && !STRIPE_EVENT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${STRIPE_EVENT_STATUSES.join(', ')}`
+    });
+  }
+  
+  try {
+    res.json({
+      success: true,
+      events: await listStripeEvents({ status: status ?? null, type: type ?? null, limit })
+    });
+    
+  } catch (error) {
+    console.error('❌ Error listing Stripe events:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
+// One ledger entry with the event as Stripe sent it
+router.get("/stripe-events/:eventId", requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const event = await getStripeEvent(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stripe event not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      event
+    });
+    
+  } catch (error) {
+    console.error('❌ Error reading Stripe event:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Run a Stripe event's handlers again (fetched from Stripe if it never reached the ledger)
+router.post("/stripe-events/:eventId/replay", requireAdmin('billing:manage'), async (req, res) => {
+  const { eventId } = req.params;
+  
+  if (!/^evt_\w+$/.test(eventId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'eventId must be a Stripe event ID (evt_...)'
+    });
+  }
+  
+  try {
+    const result = await replayStripeEvent(eventId, req.admin.actor);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stripe event not found'
+      });
+    }
+    
+    if (result.status === 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        error: 'This event is being processed right now; try again shortly',
+        code: 'EVENT_IN_PROGRESS'
+      });
+    }
+    
+    await pool.query(
+      `INSERT INTO audit_log (actor, event, context)
+       VALUES ($1, 'stripe_event_replayed', $2)`,
+      [req.admin.actor, JSON.stringify({ eventId, type: result.event.type, status: result.status, error: result.error })]
+    );
+    
+    console.log(`💳 Stripe event ${eventId} (${result.event.type}) replayed by ${req.admin.actor}: ${result.status}`);
+    
+    res.status(result.status === 'processed' ? 200 : 500).json({
+      success: result.status === 'processed',
+      ...(result.error && { error: result.error, code: 'REPLAY_FAILED' }),
+      event: result.event
+    });
+    
+  } catch (error) {
+    console.error('❌ Error replaying Stripe event:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Recent Stripe reconciliation runs (counts only)
+router.get("/stripe-reconciliation", requireAdmin('admin:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      runs: await listReconciliationRuns(req.query.limit)
+    });
+    
+  } catch (error) {
+    console.error('❌ Error listing reconciliation runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// One reconciliation run with its drift report
+router.get("/stripe-reconciliation/:runId", requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const run = UUID_PATTERN.test(req.params.runId) ? await getReconciliationRun(req.params.runId) : null;
+    
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reconciliation run not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      run
+    });
+    
+  } catch (error) {
+    console.error('❌ Error reading reconciliation run:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Reconcile Stripe subscriptions with licences now; { dryRun: true } only reports
+router.post("/stripe-reconciliation", requireAdmin('billing:manage'), async (req, res) => {
+  const dryRun = req.body?.dryRun === true;
+  
+  if (!process.env.STRIPE_SECRET_KEY) {
+    return res.status(503).json({
+      success: false,
+      error: 'Stripe is not configured',
+      code: 'STRIPE_NOT_CONFIGURED'
+    });
+  }
+  
+  try {
+    const run = await reconcileStripeSubscriptions({ dryRun, triggeredBy: req.admin.actor });
+    
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'A reconciliation is already running; try again shortly',
+        code: 'RECONCILIATION_RUNNING'
+      });
+    }
+    
+    console.log(`💳 Stripe reconciliation${dryRun ? ' (dry run)' : ''} by ${req.admin.actor}: ${run.driftCount} drifted, ${run.fixedCount} fixed`);
+    
+    res.status(run.status === 'completed' ? 200 : 500).json({
+      success: run.status === 'completed',
+      ...(run.error && { error: run.error, code: 'RECONCILIATION_FAILED' }),
+      run
+    });
+    
+  } catch (error) {
+    console.error('❌ Error running reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List admin API keys (never the keys themselves) and the scopes they can be given
+router.get("/api-keys", requireAdmin('keys:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      scopes: ADMIN_KEY_SCOPES.map(scope => ({ scope, description: ADMIN_SCOPES[scope] })),
+      apiKeys: await listAdminKeys()
+    });
+    
+  } catch (error) {
+    console.error('❌ Error listing admin API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a scoped admin API key; the key is only ever returned here
+router.post("/api-keys", requireAdmin('keys:manage'), async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body || {};
+  
+  if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+    return res.status(400).json({
+      success: false,
+      error: 'A name of up to 100 characters is required'
+    });
+  }
+  
+  const scopesError = validateKeyScopes(scopes);
+  if (scopesError) {
+    return res.status(400).json({
+      success: false,
+      error: scopesError
+    });
+  }
+  
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+    return res.status(400).json({
+      success: false,
+      error: 'expiresInDays must be a whole number of days between 1 and 3650'
+    });
+  }
+  
+  try {
+    const { key, apiKey } = await createAdminKey({
+      name: name.trim(),
+      scopes,
+      expiresInDays: expiresInDays ?? null,
+      createdBy: req.admin.actor
+    });
+    
+    await pool.query(
+      `INSERT INTO audit_log (actor, event, context)
+       VALUES ($1, 'admin_api_key_created', $2)`,
+      [req.admin.actor, JSON.stringify({ apiKeyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes })]
+    );
+    
+    console.log(`🔑 Admin API key "${apiKey.name}" created by ${req.admin.actor} (${apiKey.scopes.join(', ')})`);
+    
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey
+    });
+    
+  } catch (error) {
+    console.error('❌ Error creating admin API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke an admin API key
+router.delete("/api-keys/:keyId", requireAdmin('keys:manage'), requireUuidParam('keyId'), async (req, res) => {
+  try {
+    const apiKey = await revokeAdminKey(req.params.keyId);
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active API key not found'
+      });
+    }
+    
+    await pool.query(
+      `INSERT INTO audit_log (actor, event, context)
+       VALUES ($1, 'admin_api_key_revoked', $2)`,
+      [req.admin.actor, JSON.stringify({ apiKeyId: apiKey.id, name: apiKey.name })]
+    );
+    
+    console.log(`🔑 Admin API key "${apiKey.name}" revoked by ${req.admin.actor}`);
+    
+    res.json({
+      success: true,
+      apiKey
+    });
+    
+  } catch (error) {
+    console.error('❌ Error revoking admin API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -2,9 +2,37 @@ import express from "express";
 import { pool } from "../db.js";
 import { fieldNameNormalizer, extractFields } from "../middleware/fieldNameNormalizer.js";
 import { agentOperationLogger, heartbeatMonitor, performanceLogger } from "../middleware/logging.js";
+import { takePendingCommands, acknowledgeCommand } from "../utils/agentCommands.js";
+import { evaluateHeartbeatAlerts } from "../utils/alertRules.js";
+import { recordTelemetry } from "../utils/telemetry.js";
+import {
+  BIND_ERRORS,
+  TRANSFER_ERRORS,
+  bindDevice,
+  unbindDevice,
+  transferBinding
+} from "../utils/deviceBindings.js";
+import { issueLicenseToken, getLicenseTokenKeys } from "../utils/licenseTokens.js";
+import { getLicensePolicy } from "../utils/licenseStatus.js";
+import { isUuid } from "../utils/uuid.js";
+import {
+  SUPPORTED_ARCHITECTURES,
+  getDeviceRing,
+  getReleaseForDevice,
+  getManifestPublicKey,
+  signUpdateManifest
+} from "../utils/agentReleases.js";
 
 const router = express.Router();
 
+// Unpaid licences answer 402 so the agent can tell the user to pay; cancelled ones 403
+const LICENSE_STATUS_HTTP = { past_due: 402, suspended: 402, cancelled: 403 };
+
+function bindErrorStatus(error) {
+  if (error === 'idempotency_conflict') return 409;
+  return LICENSE_STATUS_HTTP[error.replace(/^license_/, '')] || 400;
+}
+
 // Apply field name normalization middleware to all agent routes
 router.use(fieldNameNormalizer);
 
@@ -22,26 +50,28 @@ router.use((req, res, next) => {
 router.post("/bind", async (req, res) => {
   const startTime = Date.now();
   
-  try {
-    // Extract fields using the field name normalizer helper
-    const {
-      licenseKey,
-      deviceHash,
-      deviceName,
-      agentVersion,
-      platform,
-      operatingSystem,
-      architecture
-    } = extractFields(req.body, [
-      'licenseKey',
-      'deviceHash', 
-      'deviceName',
-      'agentVersion',
-      'platform',
-      'operatingSystem',
-      'architecture'
-    ]);
+  // Extract fields using the field name normalizer helper
+  const {
+    licenseKey,
+    deviceHash,
+    deviceName,
+    agentVersion,
+    platform,
+    operatingSystem,
+    architecture,
+    idempotencyKey
+  } = extractFields(req.body, [
+    'licenseKey',
+    'deviceHash', 
+    'deviceName',
+    'agentVersion',
+    'platform',
+    'operatingSystem',
+    'architecture',
+    'idempotencyKey'
+  ]);
 
+  try {
     // Log bind attempt
     await agentOperationLogger('device_bind_attempt', {
       licenseKey: licenseKey ? `${licenseKey.substring(0, 10)}...` : null,
@@ -80,120 +110,66 @@ router.post("/bind", async (req, res) => {
       });
     }
 
-    // Find license
-    const licenseQuery = `
-      SELECT id, device_count, bound_count, account_id, pricing_tier
-      FROM licenses 
-      WHERE license_key = $1
-    `;
-    const licenseResult = await pool.query(licenseQuery, [licenseKey]);
+    const systemInfo = {
+      platform: platform || 'windows',
+      operatingSystem: operatingSystem || '',
+      architecture: architecture || 'x64'
+    };
 
-    if (licenseResult.rows.length === 0) {
-      return res.status(400).json({ 
+    const result = await bindDevice({
+      licenseKey,
+      deviceHash,
+      deviceName: deviceName || null,
+      agentVersion: agentVersion || null,
+      systemInfo,
+      idempotencyKey: req.get('Idempotency-Key') || idempotencyKey || null
+    });
+
+    if (result.error) {
+      const { code, message } = BIND_ERRORS[result.error];
+
+      await agentOperationLogger('device_bind_rejected', {
+        licenseKey: `${licenseKey.substring(0, 10)}...`,
+        deviceHash: `${deviceHash.substring(0, 8)}...`,
+        reason: result.error
+      }, false);
+
+      return res.status(bindErrorStatus(result.error)).json({ 
         success: false, 
-        error: "Invalid license key" 
+        code,
+        error: result.error === 'seat_limit_reached'
+          ? `${message}. Maximum ${result.deviceCount} devices allowed for ${result.pricingTier}.`
+          : message,
+        ...(result.error === 'seat_limit_reached' && {
+          deviceCount: result.deviceCount,
+          boundCount: result.boundCount
+        }),
+        ...(result.licenseStatus && { licenseStatus: result.licenseStatus })
       });
     }
 
-    const license = licenseResult.rows[0];
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
 
-    // Check if device already bound
-    const existingBindingQuery = `
-      SELECT id, status FROM device_bindings 
-      WHERE license_id = $1 AND device_id = $2
-    `;
-    const existingResult = await pool.query(existingBindingQuery, [license.id, deviceHash]);
-
-    if (existingResult.rows.length > 0) {
-      // Update existing binding
-      const updateQuery = `
-        UPDATE device_bindings 
-        SET device_name = $1, agent_version = $2, last_heartbeat = NOW(), 
-            status = 'active', system_info = $3
-        WHERE license_id = $4 AND device_id = $5
-        RETURNING id
-      `;
-      
-      const systemInfo = {
-        platform: platform || 'windows',
-        operatingSystem: operatingSystem || '',
-        architecture: architecture || 'x64'
-      };
-      
-      await pool.query(updateQuery, [
-        deviceName || null, 
-        agentVersion || null, 
-        JSON.stringify(systemInfo),
-        license.id, 
-        deviceHash
-      ]);
+    // Signed proof of licence so the agent can keep working offline
+    const licenseToken = issueLicenseToken({
+      licenseId: result.licenseId,
+      deviceHash,
+      tier: result.pricingTier,
+      deviceCount: result.deviceCount
+    });
 
+    if (result.outcome === 'updated') {
       return res.json({ 
         success: true, 
         message: "Device binding updated successfully",
-        deviceId: deviceHash
+        deviceId: deviceHash,
+        licenseStatus: result.licenseStatus,
+        licenseToken
       });
     }
 
-    // Check device limit for new bindings
-    if (license.bound_count >= license.device_count) {
-      return res.status(400).json({ 
-        success: false, 
-        error: `Device limit exceeded. Maximum ${license.device_count} devices allowed for ${license.pricing_tier}.` 
-      });
-    }
-
-    // Create new device binding
-    const insertQuery = `
-      INSERT INTO device_bindings (license_id, device_id, device_name, agent_version, 
-                                  bound_at, last_heartbeat, status, system_info)
-      VALUES ($1, $2, $3, $4, NOW(), NOW(), 'active', $5)
-      RETURNING id
-    `;
-    
-    const systemInfo = {
-      platform: platform || 'windows',
-      operatingSystem: operatingSystem || '',
-      architecture: architecture || 'x64'
-    };
-    
-    const insertResult = await pool.query(insertQuery, [
-      license.id, 
-      deviceHash, 
-      deviceName || null, 
-      agentVersion || null,
-      JSON.stringify(systemInfo)
-    ]);
-
-    // Update bound count
-    const updateCountQuery = `
-      UPDATE licenses 
-      SET bound_count = (
-        SELECT COUNT(*) FROM device_bindings 
-        WHERE license_id = $1 AND status = 'active'
-      ), updated_at = NOW()
-      WHERE id = $1
-    `;
-    await pool.query(updateCountQuery, [license.id]);
-
-    // Log the binding event
-    const auditQuery = `
-      INSERT INTO audit_log (actor, account_id, license_id, event, context)
-      VALUES ('agent', $1, $2, 'device_bound', $3)
-    `;
-    await pool.query(auditQuery, [
-      license.account_id,
-      license.id,
-      JSON.stringify({
-        device_id: deviceHash,
-        device_name: deviceName,
-        agent_version: agentVersion,
-        platform: platform,
-        operating_system: operatingSystem,
-        architecture: architecture
-      })
-    ]);
-
     // Log successful bind operation
     const duration = Date.now() - startTime;
     await agentOperationLogger('device_bind_success', {
@@ -201,25 +177,28 @@ router.post("/bind", async (req, res) => {
       deviceHash: `${deviceHash.substring(0, 8)}...`,
       deviceName,
       agentVersion,
-      pricingTier: license.pricing_tier,
-      boundCount: license.bound_count + 1,
+      pricingTier: result.pricingTier,
+      boundCount: result.boundCount,
+      replayed: result.replayed,
       duration
     });
 
     // Log performance
     performanceLogger('device_bind', duration, {
-      licenseId: license.id,
-      deviceCount: license.device_count,
-      boundCount: license.bound_count + 1
+      licenseId: result.licenseId,
+      deviceCount: result.deviceCount,
+      boundCount: result.boundCount
     });
 
     res.json({ 
       success: true, 
       message: "Device bound successfully",
       deviceId: deviceHash,
-      pricingTier: license.pricing_tier,
-      deviceCount: license.device_count,
-      boundCount: license.bound_count + 1
+      pricingTier: result.pricingTier,
+      deviceCount: result.deviceCount,
+      boundCount: result.boundCount,
+      licenseStatus: result.licenseStatus,
+      licenseToken
     });
 
   } catch (error) {
@@ -242,24 +221,25 @@ router.post("/bind", async (req, res) => {
 // POST /api/heartbeat - Device heartbeat endpoint
 router.post("/heartbeat", async (req, res) => {
   const startTime = Date.now();
-  
+
+  // Extract fields using the field name normalizer helper (outside the try: the catch logs them)
+  const {
+    licenseKey,
+    deviceHash,
+    timestamp,
+    status,
+    systemMetrics,
+    agentVersion
+  } = extractFields(req.body, [
+    'licenseKey',
+    'deviceHash',
+    'timestamp',
+    'status',
+    'systemMetrics',
+    'agentVersion'
+  ]);
+
   try {
-    // Extract fields using the field name normalizer helper
-    const {
-      licenseKey,
-      deviceHash,
-      timestamp,
-      status,
-      systemMetrics,
-      agentVersion
-    } = extractFields(req.body, [
-      'licenseKey',
-      'deviceHash',
-      'timestamp',
-      'status',
-      'systemMetrics',
-      'agentVersion'
-    ]);
 
     // Log heartbeat attempt
     await agentOperationLogger('device_heartbeat_attempt', {
@@ -285,7 +265,8 @@ router.post("/heartbeat", async (req, res) => {
 
     // Find device binding
     const bindingQuery = `
-      SELECT db.id, db.license_id, l.account_id
+      SELECT db.id, db.license_id, db.device_name, l.account_id, l.pricing_tier, l.device_count,
+             COALESCE(l.status, 'active') AS license_status
       FROM device_bindings db
       JOIN licenses l ON db.license_id = l.id
       WHERE l.license_key = $1 AND db.device_id = $2 AND db.status = 'active'
@@ -301,12 +282,25 @@ router.post("/heartbeat", async (req, res) => {
 
     const binding = bindingResult.rows[0];
 
+    // Suspended and cancelled licences stop reporting; the binding is kept for when it's paid
+    if (!getLicensePolicy(binding.license_status).heartbeat) {
+      const { code, message } = BIND_ERRORS[`license_${binding.license_status}`];
+      return res.status(LICENSE_STATUS_HTTP[binding.license_status]).json({ 
+        success: false, 
+        code,
+        error: message,
+        licenseStatus: binding.license_status
+      });
+    }
+
     // Update heartbeat
     const updateQuery = `
       UPDATE device_bindings 
       SET last_heartbeat = NOW(), 
           agent_version = COALESCE($1, agent_version),
-          system_info = COALESCE($2, system_info)
+          system_info = COALESCE($2, system_info),
+          health_changed_at = CASE WHEN health_state <> 'online' THEN NOW() ELSE health_changed_at END,
+          health_state = 'online'
       WHERE id = $3
     `;
     await pool.query(updateQuery, [
@@ -321,12 +315,32 @@ router.post("/heartbeat", async (req, res) => {
       [binding.license_id]
     );
 
+    // Keep sync-health history; system_info above only holds the latest snapshot
+    await recordTelemetry({
+      licenseId: binding.license_id,
+      deviceId: deviceHash,
+      systemMetrics
+    }).catch(error => console.error("Telemetry ingestion failed:", error.message));
+
+    // Alert on reported sync errors without holding up the agent
+    evaluateHeartbeatAlerts({
+      accountId: binding.account_id,
+      licenseId: binding.license_id,
+      deviceId: deviceHash,
+      deviceName: binding.device_name,
+      systemMetrics
+    }).catch(error => console.error("Heartbeat alert evaluation failed:", error.message));
+
+    // Hand out any queued operator commands for this device
+    const commands = await takePendingCommands(binding.license_id, deviceHash);
+
     // Log successful heartbeat
     const duration = Date.now() - startTime;
     await agentOperationLogger('device_heartbeat_success', {
       licenseKey: `${licenseKey.substring(0, 10)}...`,
       deviceHash: `${deviceHash.substring(0, 8)}...`,
       agentVersion,
+      commandsDelivered: commands.length,
       duration
     });
 
@@ -347,7 +361,15 @@ router.post("/heartbeat", async (req, res) => {
       success: true, 
       message: "Heartbeat received",
       timestamp: new Date().toISOString(),
-      commands: [] // Future: server commands for the agent
+      licenseStatus: binding.license_status,
+      commands,
+      // Renewed on every heartbeat so the offline grace period restarts
+      licenseToken: issueLicenseToken({
+        licenseId: binding.license_id,
+        deviceHash,
+        tier: binding.pricing_tier,
+        deviceCount: binding.device_count
+      })
     });
 
   } catch (error) {
@@ -384,30 +406,296 @@ router.post("/heartbeat", async (req, res) => {
   }
 });
 
+// POST /api/commands/:commandId/ack - Agent acknowledges a delivered command
+router.post("/commands/:commandId/ack", async (req, res) => {
+  const { commandId } = req.params;
+  const {
+    licenseKey,
+    deviceHash,
+    success,
+    result
+  } = extractFields(req.body, [
+    'licenseKey',
+    'deviceHash',
+    'success',
+    'result'
+  ]);
+
+  try {
+    if (!licenseKey || !deviceHash) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "License key and device hash are required" 
+      });
+    }
+
+    if (typeof success !== 'boolean') {
+      return res.status(400).json({ 
+        success: false, 
+        error: "success must be true or false" 
+      });
+    }
+
+    if (!isUuid(commandId)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Invalid command ID" 
+      });
+    }
+
+    // Only the device the command was queued for may acknowledge it
+    const bindingResult = await pool.query(
+      `SELECT db.license_id
+       FROM device_bindings db
+       JOIN licenses l ON db.license_id = l.id
+       WHERE l.license_key = $1 AND db.device_id = $2 AND db.status = 'active'`,
+      [licenseKey, deviceHash]
+    );
+
+    if (bindingResult.rows.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Device not bound to this license" 
+      });
+    }
+
+    const command = await acknowledgeCommand({
+      commandId,
+      licenseId: bindingResult.rows[0].license_id,
+      deviceId: deviceHash,
+      success,
+      result
+    });
+
+    if (!command) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Command not found or already completed" 
+      });
+    }
+
+    await agentOperationLogger('device_command_ack', {
+      deviceHash: `${deviceHash.substring(0, 8)}...`,
+      commandId,
+      commandType: command.command_type,
+      status: command.status
+    }, success);
+
+    res.json({
+      success: true,
+      command: {
+        id: command.id,
+        type: command.command_type,
+        status: command.status,
+        completedAt: command.completed_at
+      }
+    });
+
+  } catch (error) {
+    console.error("Command acknowledgement error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Internal server error during command acknowledgement" 
+    });
+  }
+});
+
+// POST /api/unbind - Agent releases its own seat (e.g. on uninstall)
+router.post("/unbind", async (req, res) => {
+  const { licenseKey, deviceHash } = extractFields(req.body, ['licenseKey', 'deviceHash']);
+
+  try {
+    if (!licenseKey || !deviceHash) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "License key and device hash are required" 
+      });
+    }
+
+    const licenseResult = await pool.query(
+      "SELECT id, account_id FROM licenses WHERE license_key = $1",
+      [licenseKey]
+    );
+
+    if (licenseResult.rows.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Invalid license key" 
+      });
+    }
+
+    const license = licenseResult.rows[0];
+    const result = await unbindDevice({
+      licenseId: license.id,
+      accountId: license.account_id,
+      deviceId: deviceHash,
+      actor: 'agent',
+      reason: 'agent_unbound'
+    });
+
+    if (!result) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Device not bound to this license" 
+      });
+    }
+
+    await agentOperationLogger('device_unbind_success', {
+      licenseKey: `${licenseKey.substring(0, 10)}...`,
+      deviceHash: `${deviceHash.substring(0, 8)}...`,
+      boundCount: result.boundCount
+    });
+
+    res.json({
+      success: true,
+      message: "Device unbound successfully",
+      deviceId: deviceHash,
+      boundCount: result.boundCount
+    });
+
+  } catch (error) {
+    console.error("Device unbind error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Internal server error during device unbind" 
+    });
+  }
+});
+
+// POST /api/transfer - Agent moves its seat to a new device hash (hardware change / replacement)
+router.post("/transfer", async (req, res) => {
+  const {
+    licenseKey,
+    deviceHash,
+    newDeviceHash,
+    deviceName
+  } = extractFields(req.body, [
+    'licenseKey',
+    'deviceHash',
+    'newDeviceHash',
+    'deviceName'
+  ]);
+
+  try {
+    if (!licenseKey || !deviceHash || !newDeviceHash) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "License key, device hash and new device hash are required" 
+      });
+    }
+
+    const licenseResult = await pool.query(
+      "SELECT id, account_id, pricing_tier, device_count FROM licenses WHERE license_key = $1",
+      [licenseKey]
+    );
+
+    if (licenseResult.rows.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Invalid license key" 
+      });
+    }
+
+    const license = licenseResult.rows[0];
+    const result = await transferBinding({
+      licenseId: license.id,
+      accountId: license.account_id,
+      fromDeviceId: deviceHash,
+      toDeviceId: newDeviceHash,
+      deviceName: deviceName || null,
+      actor: 'agent'
+    });
+
+    if (result.error) {
+      return res.status(result.error === 'target_active' ? 409 : bindErrorStatus(result.error)).json({ 
+        success: false, 
+        ...(result.licenseStatus && { code: BIND_ERRORS[result.error].code, licenseStatus: result.licenseStatus }),
+        error: TRANSFER_ERRORS[result.error] 
+      });
+    }
+
+    await agentOperationLogger('device_transfer_success', {
+      licenseKey: `${licenseKey.substring(0, 10)}...`,
+      fromDeviceHash: `${deviceHash.substring(0, 8)}...`,
+      toDeviceHash: `${newDeviceHash.substring(0, 8)}...`
+    });
+
+    res.json({
+      success: true,
+      message: "Device binding transferred successfully",
+      deviceId: newDeviceHash,
+      boundCount: result.boundCount,
+      licenseToken: issueLicenseToken({
+        licenseId: license.id,
+        deviceHash: newDeviceHash,
+        tier: license.pricing_tier,
+        deviceCount: license.device_count
+      })
+    });
+
+  } catch (error) {
+    console.error("Device transfer error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Internal server error during device transfer" 
+    });
+  }
+});
+
 // GET /api/agent/latest - Agent update check endpoint
 router.get("/latest", async (req, res) => {
   try {
-    const { arch, current } = req.query;
+    const { deviceHash } = req.query;
+    let { current } = req.query;
+    const arch = (req.query.arch || 'x64').toLowerCase();
 
-    // For now, return no update available
-    // In the future, this would check GitHub releases for the latest version
-    const latestVersion = "1.0.0.0"; // This should come from GitHub API
+    if (!SUPPORTED_ARCHITECTURES.includes(arch)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unsupported architecture. Use: ${SUPPORTED_ARCHITECTURES.join(', ')}` 
+      });
+    }
+
+    // Older agents omit `current`; fall back to the version recorded at heartbeat
+    if (!current && deviceHash) {
+      const versionResult = await pool.query(
+        `SELECT agent_version FROM device_bindings
+         WHERE device_id = $1 AND status = 'active'
+         ORDER BY last_heartbeat DESC NULLS LAST
+         LIMIT 1`,
+        [deviceHash]
+      );
+      current = versionResult.rows[0]?.agent_version || undefined;
+    }
+
+    const ring = getDeviceRing(deviceHash);
+    const selection = await getReleaseForDevice({ arch, deviceHash, current });
 
-    if (current === latestVersion) {
+    if (!selection || !selection.updateAvailable) {
       return res.json({
         updateAvailable: false,
         currentVersion: current,
-        latestVersion: latestVersion
+        latestVersion: selection ? selection.release.version : current,
+        ring
       });
     }
 
-    // If update is available (future implementation)
+    const { release, rollback } = selection;
+    const { manifest, signature, keyId, algorithm } = signUpdateManifest(release, { rollback });
+
     res.json({
-      updateAvailable: false, // Set to true when updates are available
+      updateAvailable: true,
+      rollback,
+      ring,
       currentVersion: current,
-      latestVersion: latestVersion,
-      downloadUrl: null, // Future: GitHub release download URL
-      releaseNotes: null // Future: Release notes
+      latestVersion: release.version,
+      downloadUrl: release.download_url,
+      sha256: release.sha256,
+      releaseNotes: release.release_notes,
+      manifest,
+      signature,
+      keyId,
+      algorithm
     });
 
   } catch (error) {
@@ -419,6 +707,40 @@ router.get("/latest", async (req, res) => {
   }
 });
 
+// GET /api/agent/update-key - Public key agents use to verify update manifests
+router.get("/update-key", (req, res) => {
+  const key = getManifestPublicKey();
+
+  if (!key) {
+    return res.status(404).json({ 
+      success: false, 
+      error: "Update signing is not configured" 
+    });
+  }
+
+  res.json({
+    success: true,
+    ...key
+  });
+});
+
+// GET /api/agent/license-keys - Public keys for verifying offline licence tokens (current + retired)
+router.get("/license-keys", (req, res) => {
+  const { keys } = getLicenseTokenKeys();
+
+  if (keys.length === 0) {
+    return res.status(404).json({ 
+      success: false, 
+      error: "Licence token signing is not configured" 
+    });
+  }
+
+  res.json({
+    success: true,
+    keys
+  });
+});
+
 // GET /api/agent/status - Agent status endpoint for debugging
 router.get("/status", async (req, res) => {
   try {
@@ -0,0 +1,292 @@
+import express from "express";
+import { pool } from "../db.js";
+import { requireAuth, requireVerifiedEmail, resolveCustomer, requirePermission } from "../middleware/auth.js";
+import {
+  ALERT_EVENTS,
+  ALERT_CHANNELS,
+  WEBHOOK_FORMATS,
+  validateRule,
+  sendTestAlert
+} from "../utils/alertRules.js";
+import { isUuid } from "../utils/uuid.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireVerifiedEmail, resolveCustomer);
+
+const canManage = requirePermission('alerts:manage');
+
+function formatRule(rule) {
+  return {
+    id: rule.id,
+    eventType: rule.event_type,
+    channel: rule.channel,
+    target: rule.target,
+    webhookFormat: rule.webhook_format,
+    threshold: rule.threshold !== null ? Number(rule.threshold) : null,
+    quietHoursStart: rule.quiet_hours_start,
+    quietHoursEnd: rule.quiet_hours_end,
+    timezone: rule.timezone,
+    enabled: rule.enabled,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at
+  };
+}
+
+async function findRule(accountId, ruleId) {
+  if (!isUuid(ruleId)) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    "SELECT * FROM alert_rules WHERE id = $1 AND account_id = $2",
+    [ruleId, accountId]
+  );
+  return rows[0] || null;
+}
+
+// GET /api/v9/dashboard/alerts - List alert rules and the supported options
+router.get("/", requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT * FROM alert_rules WHERE account_id = $1 ORDER BY event_type, created_at",
+      [req.customer.accountId]
+    );
+
+    res.json({
+      success: true,
+      rules: rows.map(formatRule),
+      options: {
+        events: Object.entries(ALERT_EVENTS).map(([key, event]) => ({
+          eventType: key,
+          label: event.label,
+          defaultThreshold: event.defaultThreshold
+        })),
+        channels: ALERT_CHANNELS,
+        webhookFormats: WEBHOOK_FORMATS
+      }
+    });
+
+  } catch (error) {
+    console.error("Alert rules list error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/dashboard/alerts - Create an alert rule
+router.post("/", canManage, async (req, res) => {
+  try {
+    const { errors, rule } = validateRule(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO alert_rules (account_id, event_type, channel, target, webhook_format, threshold,
+                                quiet_hours_start, quiet_hours_end, timezone, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        req.customer.accountId,
+        rule.event_type,
+        rule.channel,
+        rule.target,
+        rule.webhook_format,
+        rule.threshold,
+        rule.quiet_hours_start,
+        rule.quiet_hours_end,
+        rule.timezone,
+        rule.enabled
+      ]
+    );
+
+    await pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'alert_rule_created', $3)`,
+      [req.user.email, req.customer.accountId, JSON.stringify({ rule_id: rows[0].id, event_type: rule.event_type, channel: rule.channel })]
+    );
+
+    res.status(201).json({
+      success: true,
+      rule: formatRule(rows[0])
+    });
+
+  } catch (error) {
+    console.error("Alert rule create error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// PUT /api/v9/dashboard/alerts/:ruleId - Update an alert rule
+router.put("/:ruleId", canManage, async (req, res) => {
+  try {
+    const existing = await findRule(req.customer.accountId, req.params.ruleId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Alert rule not found"
+      });
+    }
+
+    const { errors, rule } = validateRule(req.body || {}, existing);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE alert_rules
+       SET event_type = $1, channel = $2, target = $3, webhook_format = $4, threshold = $5,
+           quiet_hours_start = $6, quiet_hours_end = $7, timezone = $8, enabled = $9
+       WHERE id = $10 AND account_id = $11
+       RETURNING *`,
+      [
+        rule.event_type,
+        rule.channel,
+        rule.target,
+        rule.webhook_format,
+        rule.threshold,
+        rule.quiet_hours_start,
+        rule.quiet_hours_end,
+        rule.timezone,
+        rule.enabled,
+        existing.id,
+        req.customer.accountId
+      ]
+    );
+
+    await pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'alert_rule_updated', $3)`,
+      [req.user.email, req.customer.accountId, JSON.stringify({ rule_id: existing.id })]
+    );
+
+    res.json({
+      success: true,
+      rule: formatRule(rows[0])
+    });
+
+  } catch (error) {
+    console.error("Alert rule update error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// DELETE /api/v9/dashboard/alerts/:ruleId - Delete an alert rule
+router.delete("/:ruleId", canManage, async (req, res) => {
+  try {
+    const existing = await findRule(req.customer.accountId, req.params.ruleId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Alert rule not found"
+      });
+    }
+
+    await pool.query(
+      "DELETE FROM alert_rules WHERE id = $1 AND account_id = $2",
+      [existing.id, req.customer.accountId]
+    );
+
+    await pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'alert_rule_deleted', $3)`,
+      [req.user.email, req.customer.accountId, JSON.stringify({ rule_id: existing.id, event_type: existing.event_type })]
+    );
+
+    res.json({
+      success: true,
+      message: "Alert rule deleted"
+    });
+
+  } catch (error) {
+    console.error("Alert rule delete error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/dashboard/alerts/:ruleId/test - Send a test notification for a rule
+router.post("/:ruleId/test", canManage, async (req, res) => {
+  try {
+    const rule = await findRule(req.customer.accountId, req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Alert rule not found"
+      });
+    }
+
+    const accountResult = await pool.query(
+      "SELECT id, email, name FROM accounts WHERE id = $1",
+      [req.customer.accountId]
+    );
+    const status = await sendTestAlert(rule, accountResult.rows[0]);
+
+    res.status(status === 'failed' ? 502 : 200).json({
+      success: status === 'sent',
+      status
+    });
+
+  } catch (error) {
+    console.error("Alert rule test error:", error);
+    // The reason stays in our logs: it would tell the caller what sits behind the URL
+    res.status(502).json({
+      success: false,
+      status: 'failed',
+      error: "Test notification could not be delivered"
+    });
+  }
+});
+
+// GET /api/v9/dashboard/alerts/history - Recent alert notifications for the account
+router.get("/history", requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const { rows } = await pool.query(
+      `SELECT an.id, an.rule_id, an.alert_type, an.channel, an.recipient, an.status,
+              an.device_id, an.context, an.created_at
+       FROM alert_notifications an
+       WHERE an.account_id = $1
+       ORDER BY an.created_at DESC
+       LIMIT $2`,
+      [req.customer.accountId, limit]
+    );
+
+    res.json({
+      success: true,
+      notifications: rows
+    });
+
+  } catch (error) {
+    console.error("Alert history error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+export default router;
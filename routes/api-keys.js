@@ -0,0 +1,143 @@
+import express from "express";
+import { pool } from "../db.js";
+import { requireAuth, resolveCustomer, requirePermission } from "../middleware/auth.js";
+import {
+  API_KEY_SCOPES,
+  validateApiKeyScopes,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} from "../utils/apiKeys.js";
+import { isUuid } from "../utils/uuid.js";
+
+const router = express.Router();
+
+// Keys are managed from a signed-in session; a key can't list or mint keys
+router.use(requireAuth, resolveCustomer, requirePermission('api_keys:manage'));
+
+async function writeAudit(req, event, context) {
+  await pool.query(
+    `INSERT INTO audit_log (actor, account_id, event, context)
+     VALUES ($1, $2, $3, $4)`,
+    [req.user.email, req.customer.accountId, event, JSON.stringify(context)]
+  );
+}
+
+// GET /api/v9/dashboard/api-keys - The organisation's keys (never the keys themselves) and available scopes
+router.get("/", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      scopes: Object.entries(API_KEY_SCOPES).map(([scope, { description }]) => ({ scope, description })),
+      apiKeys: await listApiKeys(req.customer.accountId)
+    });
+
+  } catch (error) {
+    console.error("API key list error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/dashboard/api-keys - Create a key; the key is only ever returned here
+router.post("/", async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+    return res.status(400).json({
+      success: false,
+      error: "A name of up to 100 characters is required"
+    });
+  }
+
+  const scopesError = validateApiKeyScopes(scopes, req.customer.role);
+  if (scopesError) {
+    return res.status(400).json({
+      success: false,
+      error: scopesError
+    });
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+      (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+    return res.status(400).json({
+      success: false,
+      error: "expiresInDays must be a whole number of days between 1 and 3650"
+    });
+  }
+
+  try {
+    const created = await createApiKey({
+      organizationId: req.customer.accountId,
+      name: name.trim(),
+      scopes,
+      expiresInDays: expiresInDays ?? null,
+      createdBy: req.user.email
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        error: "This organisation has too many active API keys; revoke one first",
+        code: "API_KEY_LIMIT"
+      });
+    }
+
+    await writeAudit(req, 'api_key_created', {
+      apiKeyId: created.apiKey.id,
+      name: created.apiKey.name,
+      scopes: created.apiKey.scopes
+    });
+
+    console.log(`🔑 ${req.user.email} created API key "${created.apiKey.name}" for ${req.customer.email}`);
+
+    res.status(201).json({
+      success: true,
+      key: created.key,
+      apiKey: created.apiKey
+    });
+
+  } catch (error) {
+    console.error("API key create error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// DELETE /api/v9/dashboard/api-keys/:keyId - Revoke a key
+router.delete("/:keyId", async (req, res) => {
+  try {
+    const apiKey = isUuid(req.params.keyId)
+      ? await revokeApiKey(req.customer.accountId, req.params.keyId)
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: "Active API key not found"
+      });
+    }
+
+    await writeAudit(req, 'api_key_revoked', { apiKeyId: apiKey.id, name: apiKey.name });
+
+    console.log(`🔑 ${req.user.email} revoked API key "${apiKey.name}" for ${req.customer.email}`);
+
+    res.json({
+      success: true,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error("API key revoke error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+export default router;
@@ -1,21 +1,74 @@
 import express from "express";
-import jwt from "jsonwebtoken";
 import { pool } from "../db.js";
-import { createSession, invalidateSession } from "../middleware/auth.js";
+import {
+  requireAuth,
+  requireAdmin,
+  issueAccessToken,
+  revokeAccountCredentials,
+  createSession,
+  invalidateSession
+} from "../middleware/auth.js";
+import { hashPassword, verifyPassword, verifyAndUpgradePassword } from "../utils/passwords.js";
+import { validateNewPassword, validatePasswordInput } from "../utils/passwordPolicy.js";
+import { buildTokenUrl, issueAuthToken, findAuthToken, consumeAuthToken } from "../utils/authTokens.js";
+import { sendPasswordResetEmail, sendEmailVerificationEmail } from "../services/email.js";
+import { ROLE_LABELS, findInvite, acceptInvite } from "../utils/organizations.js";
+import {
+  countRecoveryCodes,
+  beginTotpEnrollment,
+  completeTotpEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTotp,
+  createLoginChallenge,
+  getLoginChallenge,
+  claimChallengeAttempt,
+  consumeLoginChallenge
+} from "../utils/twoFactor.js";
 
 const router = express.Router();
 
-// JWT secret (in production, this should be in environment variables)
-const JWT_SECRET = process.env.JWT_SECRET || "syncsure-dev-secret-key";
+// Email a fresh verification link; false when the account hit the hourly limit
+const sendVerificationLink = async (account, ipAddress) => {
+  const issued = await issueAuthToken(account.id, 'email_verification', ipAddress);
+  if (!issued) return false;
 
-// Simple password hashing (for development - replace with proper hashing in production)
-const simpleHash = (password) => {
-  // Simple hash for development - NOT secure for production
-  return Buffer.from(password).toString('base64');
+  await sendEmailVerificationEmail({
+    to: account.email,
+    customerName: account.name,
+    verifyUrl: buildTokenUrl('email_verification', issued.token),
+    expiresHours: Math.round(issued.ttlMinutes / 60)
+  });
+  return true;
 };
 
-const verifyPassword = (password, hash) => {
-  return simpleHash(password) === hash;
+// Create the dashboard session and cookie once every login step has passed
+const startDashboardSession = async (req, res, accountData) => {
+  const userAgent = req.headers['user-agent'] || '';
+  const ipAddress = req.ip || req.connection.remoteAddress || '';
+  
+  const session = await createSession(accountData.id, userAgent, ipAddress);
+
+  // Set session cookie
+  res.cookie('session_id', session.sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
+
+  return {
+    success: true,
+    message: "Login successful",
+    user: {
+      id: accountData.id,
+      email: accountData.email,
+      name: accountData.name,
+      subscriptionStatus: accountData.subscription_status,
+      emailVerified: accountData.email_verified
+    },
+    sessionId: session.sessionId
+  };
 };
 
 // Account creation endpoint
@@ -37,10 +90,11 @@ router.post("/register", async (req, res) => {
   }
 
   // Password strength validation
-  if (password.length < 8) {
+  const passwordError = validateNewPassword(password, { email });
+  if (passwordError) {
     return res.status(400).json({ 
       ok: false, 
-      error: "Password must be at least 8 characters long" 
+      error: passwordError 
     });
   }
 
@@ -59,31 +113,30 @@ router.post("/register", async (req, res) => {
     }
 
     // Hash password
-    const passwordHash = simpleHash(password);
+    const passwordHash = await hashPassword(password);
 
     // Create account
     const fullName = `${firstName} ${lastName}`;
     const account = await pool.query(`
-      INSERT INTO accounts (email, password_hash, name, role)
-      VALUES ($1, $2, $3, 'user')
+      INSERT INTO accounts (email, password_hash, name, role, email_verified)
+      VALUES ($1, $2, $3, 'user', false)
       RETURNING id, email, name, created_at
     `, [email, passwordHash, fullName]);
 
     const accountData = account.rows[0];
 
+    // The account works without it, so a mail failure shouldn't fail the signup
+    try {
+      await sendVerificationLink(accountData, req.ip);
+    } catch (emailError) {
+      console.error("Verification email error:", emailError.message);
+    }
+
     // DO NOT create default license - customers start with 0 licenses
     // Licenses are only created after successful payment via Stripe webhooks
 
     // Generate JWT token
-    const token = jwt.sign(
-      { 
-        accountId: accountData.id, 
-        email: accountData.email,
-        role: 'user'
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const token = issueAccessToken({ ...accountData, role: 'user' });
 
     res.json({ 
       ok: true, 
@@ -92,7 +145,8 @@ router.post("/register", async (req, res) => {
         id: accountData.id,
         email: accountData.email,
         name: accountData.name,
-        companyName: companyName
+        companyName: companyName,
+        emailVerified: false
       },
       licenseCount: 0, // New accounts start with 0 licenses
       token: token
@@ -119,10 +173,18 @@ router.post("/login", async (req, res) => {
     });
   }
 
+  const passwordError = validatePasswordInput(password);
+  if (passwordError) {
+    return res.status(400).json({ 
+      ok: false, 
+      error: passwordError 
+    });
+  }
+
   try {
     // Get account with password hash
     const account = await pool.query(
-      "SELECT id, email, password_hash, name, role FROM accounts WHERE email = $1",
+      "SELECT id, email, password_hash, name, role, email_verified, totp_secret, two_factor_required FROM accounts WHERE email = $1",
       [email]
     );
 
@@ -143,8 +205,8 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    // Verify password
-    const passwordValid = verifyPassword(password, accountData.password_hash);
+    // Verify password (legacy hashes are upgraded on success)
+    const passwordValid = await verifyAndUpgradePassword(accountData, password);
 
     if (!passwordValid) {
       return res.status(401).json({ 
@@ -153,6 +215,15 @@ router.post("/login", async (req, res) => {
       });
     }
 
+    // Token login has no second step, so it can't be used to skip 2FA
+    if (accountData.totp_secret || accountData.two_factor_required) {
+      return res.status(403).json({ 
+        ok: false, 
+        error: "Two-factor authentication is enabled for this account. Sign in through the dashboard.",
+        code: "TWO_FACTOR_REQUIRED"
+      });
+    }
+
     // Get account licenses
     const licenses = await pool.query(
       "SELECT * FROM licenses WHERE account_id = $1 ORDER BY created_at DESC",
@@ -160,15 +231,7 @@ router.post("/login", async (req, res) => {
     );
 
     // Generate JWT token
-    const token = jwt.sign(
-      { 
-        accountId: accountData.id, 
-        email: accountData.email,
-        role: accountData.role
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const token = issueAccessToken(accountData);
 
     res.json({ 
       ok: true, 
@@ -177,7 +240,8 @@ router.post("/login", async (req, res) => {
         id: accountData.id,
         email: accountData.email,
         name: accountData.name,
-        role: accountData.role
+        role: accountData.role,
+        emailVerified: accountData.email_verified
       },
       licenses: licenses.rows,
       token: token
@@ -204,10 +268,18 @@ router.post("/login-session", async (req, res) => {
     });
   }
 
+  const passwordError = validatePasswordInput(password);
+  if (passwordError) {
+    return res.status(400).json({ 
+      success: false, 
+      error: passwordError 
+    });
+  }
+
   try {
     // Get account with password hash
     const account = await pool.query(
-      "SELECT id, email, password_hash, name, status, subscription_status FROM accounts WHERE email = $1",
+      "SELECT id, email, password_hash, name, status, subscription_status, email_verified, totp_secret, two_factor_required FROM accounts WHERE email = $1",
       [email]
     );
 
@@ -236,8 +308,8 @@ router.post("/login-session", async (req, res) => {
       });
     }
 
-    // Verify password
-    const passwordValid = verifyPassword(password, accountData.password_hash);
+    // Verify password (legacy hashes are upgraded on success)
+    const passwordValid = await verifyAndUpgradePassword(accountData, password);
 
     if (!passwordValid) {
       return res.status(401).json({ 
@@ -246,31 +318,21 @@ router.post("/login-session", async (req, res) => {
       });
     }
 
-    // Create session
-    const userAgent = req.headers['user-agent'] || '';
-    const ipAddress = req.ip || req.connection.remoteAddress || '';
-    
-    const session = await createSession(accountData.id, userAgent, ipAddress);
+    // Second factor: no session until /login-session/verify passes
+    if (accountData.totp_secret || accountData.two_factor_required) {
+      const challenge = await createLoginChallenge(accountData.id);
 
-    // Set session cookie
-    res.cookie('session_id', session.sessionId, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        // Required by an admin but not set up yet: enrol via /login-session/2fa-setup first
+        enrollmentRequired: !accountData.totp_secret,
+        challengeToken: challenge.challengeToken,
+        expiresAt: challenge.expiresAt
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Login successful",
-      user: {
-        id: accountData.id,
-        email: accountData.email,
-        name: accountData.name,
-        subscriptionStatus: accountData.subscription_status
-      },
-      sessionId: session.sessionId
-    });
+    res.json(await startDashboardSession(req, res, accountData));
 
   } catch (error) {
     console.error("Session login error:", error);
@@ -281,6 +343,306 @@ router.post("/login-session", async (req, res) => {
   }
 });
 
+// Enrol an authenticator during login when an admin requires 2FA (step 1b)
+router.post("/login-session/2fa-setup", async (req, res) => {
+  const { challengeToken } = req.body || {};
+
+  try {
+    const challenge = await getLoginChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        error: "Login challenge is invalid or has expired. Please sign in again.",
+        code: "INVALID_CHALLENGE"
+      });
+    }
+
+    if (challenge.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is already set up"
+      });
+    }
+
+    const enrollment = await beginTotpEnrollment(challenge);
+
+    res.json({
+      success: true,
+      ...enrollment
+    });
+
+  } catch (error) {
+    console.error("Login 2FA setup error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// Second login step: a TOTP or recovery code turns the challenge into a session
+router.post("/login-session/verify", async (req, res) => {
+  const { challengeToken, code } = req.body || {};
+
+  if (!challengeToken || !code) {
+    return res.status(400).json({
+      success: false,
+      error: "Challenge token and code are required"
+    });
+  }
+
+  try {
+    // Every code tried uses up an attempt, right or wrong
+    const challenge = await claimChallengeAttempt(challengeToken);
+    if (!challenge || challenge.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        error: "Login challenge is invalid or has expired. Please sign in again.",
+        code: "INVALID_CHALLENGE"
+      });
+    }
+
+    let factor = null;
+    let recoveryCodes;
+
+    if (challenge.totp_secret) {
+      factor = await verifySecondFactor(challenge, code);
+    } else if (challenge.totp_pending_secret) {
+      const enrollment = await completeTotpEnrollment(challenge, code);
+      if (enrollment) {
+        factor = { method: 'totp' };
+        recoveryCodes = enrollment.recoveryCodes;
+      }
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: "Set up an authenticator app first",
+        code: "ENROLLMENT_REQUIRED"
+      });
+    }
+
+    if (!factor) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid authentication code",
+        code: "INVALID_CODE"
+      });
+    }
+
+    if (!await consumeLoginChallenge(challenge.challenge_id)) {
+      return res.status(401).json({
+        success: false,
+        error: "Login challenge is invalid or has expired. Please sign in again.",
+        code: "INVALID_CHALLENGE"
+      });
+    }
+
+    await pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'login_two_factor', $3)`,
+      [challenge.email, challenge.id, JSON.stringify({ method: factor.method, ip: req.ip })]
+    );
+
+    const response = await startDashboardSession(req, res, challenge);
+
+    if (recoveryCodes) {
+      response.recoveryCodes = recoveryCodes;
+    }
+    if (factor.method === 'recovery_code') {
+      response.recoveryCodesRemaining = await countRecoveryCodes(challenge.id);
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error("Login 2FA verify error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error during login"
+    });
+  }
+});
+
+// Load the signed-in account's 2FA fields
+const getTwoFactorAccount = async (accountId) => {
+  const account = await pool.query(
+    `SELECT id, email, password_hash, totp_secret, totp_last_step, totp_enabled_at, two_factor_required
+     FROM accounts WHERE id = $1`,
+    [accountId]
+  );
+  return account.rows[0];
+};
+
+// Two-factor status for the signed-in user
+router.get("/2fa", requireAuth, async (req, res) => {
+  try {
+    const account = await getTwoFactorAccount(req.user.accountId);
+
+    res.json({
+      success: true,
+      enabled: !!account.totp_secret,
+      enabledAt: account.totp_enabled_at,
+      required: account.two_factor_required,
+      recoveryCodesRemaining: account.totp_secret ? await countRecoveryCodes(account.id) : 0
+    });
+
+  } catch (error) {
+    console.error("2FA status error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// Start enrolment: returns the secret and an otpauth:// URI for the QR code
+router.post("/2fa/setup", requireAuth, async (req, res) => {
+  try {
+    const account = await getTwoFactorAccount(req.user.accountId);
+
+    if (account.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is already enabled"
+      });
+    }
+
+    const enrollment = await beginTotpEnrollment(account);
+
+    res.json({
+      success: true,
+      ...enrollment
+    });
+
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// Confirm enrolment with a code from the app; recovery codes are only shown here
+router.post("/2fa/enable", requireAuth, async (req, res) => {
+  const { code } = req.body || {};
+
+  try {
+    const account = await getTwoFactorAccount(req.user.accountId);
+    const enrollment = await completeTotpEnrollment(account, code);
+
+    if (!enrollment) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid authentication code, or setup has not been started",
+        code: "INVALID_CODE"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes: enrollment.recoveryCodes
+    });
+
+  } catch (error) {
+    console.error("2FA enable error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// Replace the recovery codes (needs a current code)
+router.post("/2fa/recovery-codes", requireAuth, async (req, res) => {
+  const { code } = req.body || {};
+
+  try {
+    const account = await getTwoFactorAccount(req.user.accountId);
+
+    if (!account.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not enabled"
+      });
+    }
+
+    if (!await verifySecondFactor(account, code)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid authentication code",
+        code: "INVALID_CODE"
+      });
+    }
+
+    res.json({
+      success: true,
+      recoveryCodes: await regenerateRecoveryCodes(account)
+    });
+
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// Turn 2FA off (needs the password and a current code, and not while an admin requires it)
+router.post("/2fa/disable", requireAuth, async (req, res) => {
+  const { password, code } = req.body || {};
+
+  try {
+    const account = await getTwoFactorAccount(req.user.accountId);
+
+    if (!account.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not enabled"
+      });
+    }
+
+    if (account.two_factor_required) {
+      return res.status(403).json({
+        success: false,
+        error: "Two-factor authentication is required for this account",
+        code: "TWO_FACTOR_REQUIRED"
+      });
+    }
+
+    if (!password || !await verifyPassword(password, account.password_hash)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid password"
+      });
+    }
+
+    if (!await verifySecondFactor(account, code)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid authentication code",
+        code: "INVALID_CODE"
+      });
+    }
+
+    await disableTotp(account);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled"
+    });
+
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
 // Session logout endpoint
 router.post("/logout", async (req, res) => {
   try {
@@ -306,26 +668,8 @@ router.post("/logout", async (req, res) => {
   }
 });
 
-// Token verification middleware
-export const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'Access token required' });
-  }
-
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ ok: false, error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-};
-
-// Get current user info (protected route)
-router.get("/me", authenticateToken, async (req, res) => {
+// Get current user info (protected route; session or bearer token)
+router.get("/me", requireAuth, async (req, res) => {
   try {
     const account = await pool.query(
       "SELECT id, email, name, role, created_at FROM accounts WHERE id = $1",
@@ -356,30 +700,31 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
-// Update existing account with password (temporary endpoint for migration)
-router.post("/update-password", async (req, res) => {
-  const { email, password, adminKey } = req.body || {};
+// Set an account's password (admins, or an API key with accounts:manage; only a
+// signed-in admin may set an admin's, so a key can't take over an admin account)
+router.post("/update-password", requireAdmin('accounts:manage'), async (req, res) => {
+  const { email, password } = req.body || {};
 
-  // Simple admin key check (in production, this should be more secure)
-  if (adminKey !== "syncsure-admin-2025") {
-    return res.status(403).json({ 
+  // Validation
+  if (!email || !password) {
+    return res.status(400).json({ 
       ok: false, 
-      error: "Unauthorized" 
+      error: "Email and password are required" 
     });
   }
 
-  // Validation
-  if (!email || !password) {
+  const passwordError = validateNewPassword(password, { email });
+  if (passwordError) {
     return res.status(400).json({ 
       ok: false, 
-      error: "Email and password are required" 
+      error: passwordError 
     });
   }
 
   try {
     // Check if account exists
     const existingAccount = await pool.query(
-      "SELECT id, email, name, password_hash FROM accounts WHERE email = $1",
+      "SELECT id, email, name, role, password_hash FROM accounts WHERE email = $1",
       [email]
     );
 
@@ -392,8 +737,16 @@ router.post("/update-password", async (req, res) => {
 
     const account = existingAccount.rows[0];
 
+    if (account.role === 'admin' && req.admin.authMethod === 'api_key') {
+      return res.status(403).json({ 
+        ok: false, 
+        error: "Admin passwords can only be set by a signed-in admin",
+        code: "ADMIN_TARGET_REQUIRES_SESSION"
+      });
+    }
+
     // Hash password
-    const passwordHash = simpleHash(password);
+    const passwordHash = await hashPassword(password);
 
     // Update account with password hash
     await pool.query(`
@@ -402,6 +755,9 @@ router.post("/update-password", async (req, res) => {
       WHERE email = $2
     `, [passwordHash, email]);
 
+    // Whoever held the old password is signed out, as after a password reset
+    const sessionsRevoked = await revokeAccountCredentials(pool, account.id);
+
     res.json({ 
       ok: true, 
       message: `Password updated for account: ${account.email}`,
@@ -410,7 +766,8 @@ router.post("/update-password", async (req, res) => {
         email: account.email,
         name: account.name,
         hadPreviousPassword: !!account.password_hash
-      }
+      },
+      sessionsRevoked
     });
 
   } catch (error) {
@@ -422,5 +779,314 @@ router.post("/update-password", async (req, res) => {
   }
 });
 
-export default router;
+// Request a password reset link
+router.post("/forgot-password", async (req, res) => {
+  const { email } = req.body || {};
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      error: "Email is required"
+    });
+  }
+
+  // Same answer whether or not the account exists, so this can't be used to probe for emails
+  const response = {
+    success: true,
+    message: "If an account exists for that email, a reset link has been sent"
+  };
+
+  try {
+    const account = await pool.query(
+      "SELECT id, email, name, status FROM accounts WHERE email = $1",
+      [email]
+    );
+
+    const accountData = account.rows[0];
+    if (!accountData || accountData.status === 'suspended') {
+      return res.json(response);
+    }
+
+    const issued = await issueAuthToken(accountData.id, 'password_reset', req.ip);
+    if (!issued) {
+      return res.json(response);
+    }
+
+    await pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'password_reset_requested', $3)`,
+      [accountData.email, accountData.id, JSON.stringify({ ip: req.ip })]
+    );
+
+    await sendPasswordResetEmail({
+      to: accountData.email,
+      customerName: accountData.name,
+      resetUrl: buildTokenUrl('password_reset', issued.token),
+      expiresMinutes: issued.ttlMinutes
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    // Only known addresses get this far, so a failure answers like everything else
+    console.error("Forgot password error:", error);
+    res.json(response);
+  }
+});
+
+// Set a new password with a reset token
+router.post("/reset-password", async (req, res) => {
+  const { token, password } = req.body || {};
+
+  if (!token || !password) {
+    return res.status(400).json({
+      success: false,
+      error: "Token and password are required"
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    const resetToken = await findAuthToken(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        error: "Reset link is invalid or has expired",
+        code: "INVALID_TOKEN"
+      });
+    }
 
+    const passwordError = validateNewPassword(password, { email: resetToken.email });
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    await client.query('BEGIN');
+
+    if (!await consumeAuthToken(client, resetToken.id)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: "Reset link is invalid or has expired",
+        code: "INVALID_TOKEN"
+      });
+    }
+
+    // Following the emailed link also proves the address
+    await client.query(`
+      UPDATE accounts
+      SET password_hash = $1,
+          email_verified = true,
+          email_verified_at = COALESCE(email_verified_at, now()),
+          updated_at = now()
+      WHERE id = $2
+    `, [passwordHash, resetToken.account_id]);
+
+    // Whoever had the old password shouldn't keep a session or token
+    const sessionsRevoked = await revokeAccountCredentials(client, resetToken.account_id);
+
+    await client.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'password_reset', $3)`,
+      [resetToken.email, resetToken.account_id, JSON.stringify({ ip: req.ip, sessionsRevoked })]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`🔑 Password reset for ${resetToken.email}`);
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please sign in with your new password."
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error during password reset"
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Confirm an email address with a verification token
+router.post("/verify-email", async (req, res) => {
+  const { token } = req.body || {};
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: "Token is required"
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    const verifyToken = await findAuthToken(token, 'email_verification');
+
+    await client.query('BEGIN');
+
+    if (!verifyToken || !await consumeAuthToken(client, verifyToken.id)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: "Verification link is invalid or has expired",
+        code: "INVALID_TOKEN"
+      });
+    }
+
+    await client.query(`
+      UPDATE accounts
+      SET email_verified = true, email_verified_at = now(), updated_at = now()
+      WHERE id = $1
+    `, [verifyToken.account_id]);
+
+    await client.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'email_verified', $3)`,
+      [verifyToken.email, verifyToken.account_id, JSON.stringify({ ip: req.ip })]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Email verified for ${verifyToken.email}`);
+
+    res.json({
+      success: true,
+      message: "Email address verified"
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error during email verification"
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Send another verification link to the signed-in user
+router.post("/resend-verification", requireAuth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: "Email address is already verified"
+      });
+    }
+
+    const account = await pool.query(
+      "SELECT id, email, name FROM accounts WHERE id = $1",
+      [req.user.accountId]
+    );
+
+    const sent = await sendVerificationLink(account.rows[0], req.ip);
+    if (!sent) {
+      return res.status(429).json({
+        success: false,
+        error: "Too many verification emails requested, please try again later"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// Look up an organisation invite so the accept page can say who it's from
+router.get("/invite", async (req, res) => {
+  try {
+    const invite = await findInvite(req.query.token);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        error: "Invitation is invalid or has expired",
+        code: "INVALID_TOKEN"
+      });
+    }
+
+    const existing = await pool.query(
+      "SELECT 1 FROM accounts WHERE lower(email) = lower($1)",
+      [invite.email]
+    );
+
+    res.json({
+      success: true,
+      invite: {
+        email: invite.email,
+        role: invite.role,
+        roleLabel: ROLE_LABELS[invite.role],
+        organizationName: invite.organization_name || invite.organization_email,
+        invitedBy: invite.invited_by,
+        expiresAt: invite.expires_at,
+        hasAccount: existing.rows.length > 0
+      }
+    });
+
+  } catch (error) {
+    console.error("Invite lookup error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// Join an organisation; the signed-in account must be the invited address
+router.post("/accept-invite", requireAuth, async (req, res) => {
+  const { token } = req.body || {};
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: "Token is required"
+    });
+  }
+
+  try {
+    const result = await acceptInvite(token, req.user);
+
+    if (result.error) {
+      return res.status(result.code === 'INVITE_EMAIL_MISMATCH' ? 403 : 400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `You've joined ${result.membership.organizationName || result.membership.organizationEmail}`,
+      membership: result.membership
+    });
+
+  } catch (error) {
+    console.error("Accept invite error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+export default router;
@@ -1,13 +1,16 @@
 // routes/builds.js
 import express from "express";
 import { pool } from "../db.js";
+import { requireAuth, resolveCustomer, requirePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
-// Get builds for a customer by email
-router.get("/customer/:email", async (req, res) => {
+router.use(requireAuth);
+
+// Get builds for a customer by email (must be the signed-in customer's own)
+router.get("/customer/:email", resolveCustomer, requirePermission('dashboard:read'), async (req, res) => {
   try {
-    const { email } = req.params;
+    const { accountId } = req.customer;
     
     const query = `
       select 
@@ -23,12 +26,11 @@ router.get("/customer/:email", async (req, res) => {
         l.device_count
       from builds b
       join licenses l on l.id = b.license_id
-      join accounts a on a.id = l.account_id
-      where a.email = $1
+      where l.account_id = $1
       order by b.created_at desc
     `;
     
-    const { rows } = await pool.query(query, [email]);
+    const { rows } = await pool.query(query, [accountId]);
     
     res.json({
       success: true,
@@ -44,7 +46,7 @@ router.get("/customer/:email", async (req, res) => {
 });
 
 // Get download URL for a specific build
-router.get("/download/:buildId", async (req, res) => {
+router.get("/download/:buildId", resolveCustomer, requirePermission('builds:download'), async (req, res) => {
   try {
     const { buildId } = req.params;
     
@@ -57,10 +59,10 @@ router.get("/download/:buildId", async (req, res) => {
         l.license_key
       from builds b
       join licenses l on l.id = b.license_id
-      where b.id = $1 and b.status = 'released'
+      where b.id = $1 and b.status = 'released' and l.account_id = $2
     `;
     
-    const { rows } = await pool.query(query, [buildId]);
+    const { rows } = await pool.query(query, [buildId, req.customer.accountId]);
     
     if (rows.length === 0) {
       return res.status(404).json({
@@ -89,7 +91,7 @@ router.get("/download/:buildId", async (req, res) => {
 });
 
 // Direct download proxy for SyncSureAgent.exe
-router.get("/download/:buildId/exe", async (req, res) => {
+router.get("/download/:buildId/exe", resolveCustomer, requirePermission('builds:download'), async (req, res) => {
   try {
     const { buildId } = req.params;
     
@@ -101,10 +103,10 @@ router.get("/download/:buildId/exe", async (req, res) => {
         l.license_key
       from builds b
       join licenses l on l.id = b.license_id
-      where b.id = $1 and b.status = 'released'
+      where b.id = $1 and b.status = 'released' and l.account_id = $2
     `;
     
-    const { rows } = await pool.query(query, [buildId]);
+    const { rows } = await pool.query(query, [buildId, req.customer.accountId]);
     
     if (rows.length === 0) {
       return res.status(404).json({
@@ -143,7 +145,7 @@ router.get("/download/:buildId/exe", async (req, res) => {
 });
 
 // Direct download proxy for SHA256 hash file
-router.get("/download/:buildId/hash", async (req, res) => {
+router.get("/download/:buildId/hash", resolveCustomer, requirePermission('builds:download'), async (req, res) => {
   try {
     const { buildId } = req.params;
     
@@ -155,10 +157,10 @@ router.get("/download/:buildId/hash", async (req, res) => {
         l.license_key
       from builds b
       join licenses l on l.id = b.license_id
-      where b.id = $1 and b.status = 'released'
+      where b.id = $1 and b.status = 'released' and l.account_id = $2
     `;
     
-    const { rows } = await pool.query(query, [buildId]);
+    const { rows } = await pool.query(query, [buildId, req.customer.accountId]);
     
     if (rows.length === 0) {
       return res.status(404).json({
@@ -197,7 +199,7 @@ router.get("/download/:buildId/hash", async (req, res) => {
 });
 
 // Direct download proxy for PowerShell script
-router.get("/download/:buildId/script", async (req, res) => {
+router.get("/download/:buildId/script", resolveCustomer, requirePermission('builds:download'), async (req, res) => {
   try {
     const { buildId } = req.params;
     
@@ -210,10 +212,10 @@ router.get("/download/:buildId/script", async (req, res) => {
         l.max_devices
       from builds b
       join licenses l on l.id = b.license_id
-      where b.id = $1 and b.status = 'released'
+      where b.id = $1 and b.status = 'released' and l.account_id = $2
     `;
     
-    const { rows } = await pool.query(query, [buildId]);
+    const { rows } = await pool.query(query, [buildId, req.customer.accountId]);
     
     if (rows.length === 0) {
       return res.status(404).json({
@@ -1,54 +1,22 @@
 import express from 'express';
-import Stripe from 'stripe';
-import pkg from 'pg';
-const { Pool } = pkg;
+import { pool } from '../db.js';
+import { getStripe, getTierInfo } from '../services/billing.js';
+import { requireAuthOrApiKey, resolveCustomer, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
-});
-
-// V9 Pricing Tiers Configuration
-const PRICING_TIERS = {
-  starter: { min: 1, max: 50, price: 1.99, name: 'Starter' },
-  business: { min: 51, max: 500, price: 1.49, name: 'Business' },
-  enterprise: { min: 501, max: Infinity, price: 0.99, name: 'Enterprise' }
-};
-
-// Helper function to determine pricing tier
-function getPricingTier(quantity) {
-  if (quantity <= 50) return 'starter';
-  if (quantity <= 500) return 'business';
-  return 'enterprise';
-}
-
-// Helper function to get tier info
-function getTierInfo(quantity) {
-  const tier = getPricingTier(quantity);
-  return {
-    tier,
-    ...PRICING_TIERS[tier],
-    quantity,
-    monthlyTotal: quantity * PRICING_TIERS[tier].price
-  };
-}
+// Identity comes from the session (or an audited admin impersonation), never from ?email=;
+// each route then checks the user's role in that organisation (or an API key's scope)
+router.use(requireAuthOrApiKey, resolveCustomer);
 
 // V9 Dashboard Summary - Fetches data from Stripe
-router.get('/summary', async (req, res) => {
+router.get('/summary', requirePermission('dashboard:read', 'licence:read'), async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email parameter is required' });
-    }
+    const { accountId, billingEmail, partnerAccountId } = req.customer;
 
-    // Get Stripe customer and subscription data
-    const customers = await stripe.customers.list({
-      email: email,
+    // Get Stripe customer and subscription data (a partner's customers are on the partner's)
+    const customers = await getStripe().customers.list({
+      email: billingEmail,
       limit: 1
     });
 
@@ -60,7 +28,7 @@ router.get('/summary', async (req, res) => {
       const customer = customers.data[0];
       
       // Get active subscriptions
-      const subscriptions = await stripe.subscriptions.list({
+      const subscriptions = await getStripe().subscriptions.list({
         customer: customer.id,
         status: 'active',
         limit: 1
@@ -74,26 +42,35 @@ router.get('/summary', async (req, res) => {
       }
     }
 
+    // The partner's quantity covers all its customers; this customer has what it was allocated
+    if (partnerAccountId) {
+      const allocation = await pool.query(
+        'SELECT device_count FROM licenses WHERE account_id = $1 LIMIT 1',
+        [accountId]
+      );
+      activeLicenses = allocation.rows[0]?.device_count || 0;
+    }
+
     // Get connected devices from database (device_bindings)
     const deviceQuery = await pool.query(
       `SELECT COUNT(*) as device_count 
        FROM device_bindings db 
        JOIN licenses l ON db.license_id = l.id 
        WHERE l.account_id = $1 AND db.status = 'active'`,
-      [email]
+      [accountId]
     );
 
     const connectedDevices = parseInt(deviceQuery.rows[0].device_count) || 0;
 
-    // Get healthy devices (devices with recent heartbeat)
+    // Get healthy devices (the health state the worker last recorded)
     const healthyDeviceQuery = await pool.query(
       `SELECT COUNT(*) as healthy_count 
        FROM device_bindings db 
        JOIN licenses l ON db.license_id = l.id 
        WHERE l.account_id = $1 
        AND db.status = 'active' 
-       AND db.last_heartbeat > NOW() - INTERVAL '5 minutes'`,
-      [email]
+       AND db.health_state = 'online'`,
+      [accountId]
     );
 
     const healthyDevices = parseInt(healthyDeviceQuery.rows[0].healthy_count) || 0;
@@ -106,7 +83,7 @@ router.get('/summary', async (req, res) => {
        WHERE l.account_id = $1
        ORDER BY b.created_at DESC
        LIMIT 1`,
-      [email]
+      [accountId]
     );
 
     let buildInfo = null;
@@ -144,16 +121,25 @@ router.get('/summary', async (req, res) => {
 });
 
 // V9 License Management Data
-router.get('/license-management', async (req, res) => {
+router.get('/license-management', requirePermission('billing:read', 'billing:read'), async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email parameter is required' });
+    const { email, partnerAccountId } = req.customer;
+
+    if (partnerAccountId) {
+      return res.json({
+        hasCustomer: false,
+        hasSubscription: false,
+        billedByPartner: true,
+        customer: null,
+        subscription: null,
+        tierInfo: null,
+        paymentMethods: [],
+        invoices: []
+      });
     }
 
     // Get Stripe customer data
-    const customers = await stripe.customers.list({
+    const customers = await getStripe().customers.list({
       email: email,
       limit: 1
     });
@@ -173,7 +159,7 @@ router.get('/license-management', async (req, res) => {
     const customer = customers.data[0];
 
     // Get active subscription
-    const subscriptions = await stripe.subscriptions.list({
+    const subscriptions = await getStripe().subscriptions.list({
       customer: customer.id,
       status: 'active',
       limit: 1
@@ -189,13 +175,13 @@ router.get('/license-management', async (req, res) => {
     }
 
     // Get payment methods
-    const paymentMethods = await stripe.paymentMethods.list({
+    const paymentMethods = await getStripe().paymentMethods.list({
       customer: customer.id,
       type: 'card'
     });
 
     // Get recent invoices
-    const invoices = await stripe.invoices.list({
+    const invoices = await getStripe().invoices.list({
       customer: customer.id,
       limit: 5
     });
@@ -243,24 +229,20 @@ router.get('/license-management', async (req, res) => {
 });
 
 // V9 Downloads Data
-router.get('/downloads', async (req, res) => {
+router.get('/downloads', requirePermission('builds:download'), async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email parameter is required' });
-    }
+    const { accountId, billingEmail } = req.customer;
 
-    // Check if customer has active subscription
-    const customers = await stripe.customers.list({
-      email: email,
+    // Check if customer (or its partner) has active subscription
+    const customers = await getStripe().customers.list({
+      email: billingEmail,
       limit: 1
     });
 
     let hasActiveSubscription = false;
     if (customers.data.length > 0) {
       const customer = customers.data[0];
-      const subscriptions = await stripe.subscriptions.list({
+      const subscriptions = await getStripe().subscriptions.list({
         customer: customer.id,
         status: 'active',
         limit: 1
@@ -280,7 +262,7 @@ router.get('/downloads', async (req, res) => {
     // Get license and build information
     const licenseQuery = await pool.query(
       'SELECT id, license_key FROM licenses WHERE account_id = $1',
-      [email]
+      [accountId]
     );
 
     if (licenseQuery.rows.length === 0) {
@@ -356,13 +338,9 @@ router.get('/downloads', async (req, res) => {
 });
 
 // V9 Device List
-router.get('/devices', async (req, res) => {
+router.get('/devices', requirePermission('dashboard:read', 'devices:read'), async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email parameter is required' });
-    }
+    const { accountId } = req.customer;
 
     const deviceQuery = await pool.query(
       `SELECT 
@@ -373,13 +351,15 @@ router.get('/devices', async (req, res) => {
         db.last_heartbeat,
         db.agent_version,
         db.status,
+        db.health_state,
+        db.health_changed_at,
         db.system_info,
         l.license_key
        FROM device_bindings db 
        JOIN licenses l ON db.license_id = l.id 
        WHERE l.account_id = $1 
        ORDER BY db.last_heartbeat DESC`,
-      [email]
+      [accountId]
     );
 
     const devices = deviceQuery.rows.map(device => ({
@@ -392,8 +372,9 @@ router.get('/devices', async (req, res) => {
       status: device.status,
       systemInfo: device.system_info,
       licenseKey: device.license_key,
-      isHealthy: device.last_heartbeat && 
-                 new Date(device.last_heartbeat) > new Date(Date.now() - 5 * 60 * 1000)
+      healthState: device.health_state,
+      healthChangedAt: device.health_changed_at,
+      isHealthy: device.health_state === 'online'
     }));
 
     res.json({
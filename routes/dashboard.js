@@ -1,9 +1,19 @@
 import express from "express";
 import { pool } from "../db.js";
-import { requireAuth, attachUserLicense, optionalAuth } from "../middleware/auth.js";
+import { requireAuth, requireAuthOrApiKey, resolveCustomer, requirePermission, attachUserLicense, optionalAuth } from "../middleware/auth.js";
+import { COMMAND_TYPES, COMMAND_STATUSES, queueCommand, cancelCommand, listCommands } from "../utils/agentCommands.js";
+import { TRANSFER_ERRORS, unbindDevice, transferBinding } from "../utils/deviceBindings.js";
+import { isUuid } from "../utils/uuid.js";
 
 const router = express.Router();
 
+// Members see their organisation's license; what they can change depends on their role
+const canRead = [requireAuth, resolveCustomer, requirePermission('dashboard:read')];
+// The same reads for customer API keys with the matching scope
+const canReadDevices = [requireAuthOrApiKey, resolveCustomer, requirePermission('dashboard:read', 'devices:read')];
+const canReadLicense = [requireAuthOrApiKey, resolveCustomer, requirePermission('dashboard:read', 'licence:read')];
+const canManageDevices = [requireAuth, resolveCustomer, requirePermission('devices:manage')];
+
 // Prevent caching of dashboard data
 router.use((req, res, next) => {
   res.set({
@@ -15,7 +25,7 @@ router.use((req, res, next) => {
 });
 
 // GET /api/dashboard/devices - Get devices for authenticated user
-router.get("/devices", requireAuth, attachUserLicense, async (req, res) => {
+router.get("/devices", canReadDevices, attachUserLicense, async (req, res) => {
   try {
     // Use authenticated user's license (attached by middleware)
     const license = req.license;
@@ -55,7 +65,7 @@ router.get("/devices", requireAuth, attachUserLicense, async (req, res) => {
         active_devices: activeDevices,
         last_sync: license.last_sync,
         status: license.status,
-        account_email: req.user.email
+        account_email: req.customer.email
       },
       devices: devicesResult.rows.map(device => ({
         device_id: device.device_id,
@@ -90,7 +100,7 @@ router.get("/devices", requireAuth, attachUserLicense, async (req, res) => {
 });
 
 // GET /api/dashboard/stats - Get dashboard statistics
-router.get("/stats", requireAuth, attachUserLicense, async (req, res) => {
+router.get("/stats", canReadLicense, attachUserLicense, async (req, res) => {
   try {
     // Use authenticated user's license (attached by middleware)
     const license = req.license;
@@ -109,7 +119,7 @@ router.get("/stats", requireAuth, attachUserLicense, async (req, res) => {
         MAX(db.last_heartbeat) as latest_heartbeat
       FROM licenses l
       LEFT JOIN device_bindings db ON l.id = db.license_id
-      WHERE l.id = $1 AND l.status = 'active'
+      WHERE l.id = $1 AND l.status IN ('active', 'past_due', 'suspended')
       GROUP BY l.id, l.license_key, l.device_count, l.pricing_tier, l.bound_count, l.last_sync
     `;
     
@@ -151,7 +161,7 @@ router.get("/stats", requireAuth, attachUserLicense, async (req, res) => {
 });
 
 // GET /api/dashboard/heartbeats - Get heartbeat data for charts
-router.get("/heartbeats", async (req, res) => {
+router.get("/heartbeats", canReadDevices, async (req, res) => {
   try {
     const { licenseKey, hours = 24 } = req.query;
     
@@ -177,11 +187,11 @@ router.get("/heartbeats", async (req, res) => {
       LEFT JOIN audit_log al ON al.license_key = l.license_key 
         AND al.action = 'heartbeat' 
         AND al.timestamp > NOW() - INTERVAL '${parseInt(hours)} hours'
-      WHERE l.license_key = $1
+      WHERE l.license_key = $1 AND l.account_id = $2
       ORDER BY al.timestamp DESC
     `;
     
-    const heartbeatResult = await pool.query(heartbeatQuery, [licenseKey]);
+    const heartbeatResult = await pool.query(heartbeatQuery, [licenseKey, req.customer.accountId]);
 
     // Group heartbeats by device and time
     const heartbeatData = heartbeatResult.rows.reduce((acc, row) => {
@@ -221,5 +231,202 @@ router.get("/heartbeats", async (req, res) => {
   }
 });
 
+// POST /api/dashboard/devices/:deviceId/unbind - Release a device's seat
+router.post("/devices/:deviceId/unbind", canManageDevices, attachUserLicense, async (req, res) => {
+  try {
+    const result = await unbindDevice({
+      licenseId: req.license.id,
+      accountId: req.customer.accountId,
+      deviceId: req.params.deviceId,
+      actor: req.user.email,
+      reason: 'dashboard_unbound'
+    });
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Device not bound to this license" 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Device unbound",
+      device_id: result.binding.device_id,
+      bound_count: result.boundCount
+    });
+
+  } catch (error) {
+    console.error("Dashboard unbind error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Internal server error" 
+    });
+  }
+});
+
+// POST /api/dashboard/devices/:deviceId/transfer - Move a seat to a replacement device hash
+router.post("/devices/:deviceId/transfer", canManageDevices, attachUserLicense, async (req, res) => {
+  try {
+    const { newDeviceHash, deviceName } = req.body || {};
+
+    if (!newDeviceHash) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "newDeviceHash is required" 
+      });
+    }
+
+    const result = await transferBinding({
+      licenseId: req.license.id,
+      accountId: req.customer.accountId,
+      fromDeviceId: req.params.deviceId,
+      toDeviceId: newDeviceHash,
+      deviceName: deviceName || null,
+      actor: req.user.email
+    });
+
+    if (result.error) {
+      const status = { not_found: 404, target_active: 409, same_device: 400, license_suspended: 402, license_cancelled: 403 }[result.error];
+      return res.status(status).json({ 
+        success: false, 
+        error: TRANSFER_ERRORS[result.error] 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Device binding transferred",
+      device: result.binding,
+      bound_count: result.boundCount
+    });
+
+  } catch (error) {
+    console.error("Dashboard transfer error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Internal server error" 
+    });
+  }
+});
+
+// GET /api/dashboard/commands - List agent commands and their status
+router.get("/commands", canRead, attachUserLicense, async (req, res) => {
+  try {
+    const { deviceId, status, limit } = req.query;
+
+    if (status && !COMMAND_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid status. Use: ${COMMAND_STATUSES.join(', ')}` 
+      });
+    }
+
+    const commands = await listCommands(req.license.id, {
+      deviceId: deviceId || null,
+      status: status || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      commands: commands.map(command => ({
+        id: command.id,
+        device_id: command.device_id,
+        device_name: command.device_name || 'Unknown Device',
+        command_type: command.command_type,
+        payload: command.payload,
+        status: command.status,
+        attempts: command.attempts,
+        result: command.result,
+        created_by: command.created_by,
+        created_at: command.created_at,
+        delivered_at: command.delivered_at,
+        completed_at: command.completed_at,
+        expires_at: command.expires_at
+      }))
+    });
+
+  } catch (error) {
+    console.error("Dashboard commands error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Internal server error" 
+    });
+  }
+});
+
+// POST /api/dashboard/commands - Queue a command for one device or the whole license
+router.post("/commands", canManageDevices, attachUserLicense, async (req, res) => {
+  try {
+    const { deviceId, commandType, payload, ttlHours } = req.body || {};
+
+    if (!COMMAND_TYPES.includes(commandType)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid command type. Use: ${COMMAND_TYPES.join(', ')}` 
+      });
+    }
+
+    const commands = await queueCommand({
+      licenseId: req.license.id,
+      accountId: req.customer.accountId,
+      deviceId: deviceId || null,
+      commandType,
+      payload: payload || {},
+      createdBy: req.user.email,
+      ttlHours: ttlHours ? Math.max(1, Math.min(parseInt(ttlHours) || 24, 168)) : undefined
+    });
+
+    if (commands.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: deviceId ? "Device not bound to this license" : "No active devices on this license" 
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Queued ${commandType} for ${commands.length} device(s)`,
+      commands
+    });
+
+  } catch (error) {
+    console.error("Dashboard queue command error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Internal server error" 
+    });
+  }
+});
+
+// POST /api/dashboard/commands/:commandId/cancel - Cancel a command that has not completed
+router.post("/commands/:commandId/cancel", canManageDevices, attachUserLicense, async (req, res) => {
+  try {
+    const command = isUuid(req.params.commandId)
+      ? await cancelCommand(req.license.id, req.params.commandId)
+      : null;
+
+    if (!command) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Command not found or already completed" 
+      });
+    }
+
+    res.json({
+      success: true,
+      command
+    });
+
+  } catch (error) {
+    console.error("Dashboard cancel command error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Internal server error" 
+    });
+  }
+});
+
 export default router;
 
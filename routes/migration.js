@@ -1,30 +1,12 @@
 import express from "express";
 import { pool } from "../db.js";
+import { hashPassword, verifyPassword } from "../utils/passwords.js";
+import { requireAdmin } from "../middleware/auth.js";
 
 const router = express.Router();
 
-// Simple password hashing (for development - replace with proper hashing in production)
-const simpleHash = (password) => {
-  // Simple hash for development - NOT secure for production
-  return Buffer.from(password).toString('base64');
-};
-
-const verifyPassword = (password, hash) => {
-  return simpleHash(password) === hash;
-};
-
 // Database migration endpoint
-router.post("/migrate-auth", async (req, res) => {
-  const { adminKey } = req.body || {};
-
-  // Simple admin key check
-  if (adminKey !== "syncsure-admin-2025") {
-    return res.status(403).json({ 
-      ok: false, 
-      error: "Unauthorized" 
-    });
-  }
-
+router.post("/migrate-auth", requireAdmin('migration:run'), async (req, res) => {
   try {
     console.log("🔄 Starting authentication migration...");
     
@@ -42,7 +24,7 @@ router.post("/migrate-auth", async (req, res) => {
 
     // Step 2: Update existing accounts with default password
     const defaultPassword = "TestPassword123!";
-    const passwordHash = simpleHash(defaultPassword);
+    const passwordHash = await hashPassword(defaultPassword);
 
     const updateResult = await pool.query(`
       UPDATE accounts 
@@ -82,7 +64,7 @@ router.post("/migrate-auth", async (req, res) => {
 });
 
 // Test authentication endpoint
-router.post("/test-auth", async (req, res) => {
+router.post("/test-auth", requireAdmin('accounts:manage'), async (req, res) => {
   const { email, password } = req.body || {};
 
   if (!email || !password) {
@@ -118,7 +100,7 @@ router.post("/test-auth", async (req, res) => {
     }
 
     // Verify password
-    const passwordValid = verifyPassword(password, account.password_hash);
+    const passwordValid = await verifyPassword(password, account.password_hash);
 
     res.json({ 
       ok: passwordValid, 
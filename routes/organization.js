@@ -0,0 +1,371 @@
+import express from "express";
+import { pool } from "../db.js";
+import { requireAuth, resolveCustomer, requirePermission } from "../middleware/auth.js";
+import {
+  ORGANIZATION_ROLES,
+  ROLE_LABELS,
+  ROLE_PERMISSIONS,
+  roleHasPermission,
+  buildInviteUrl,
+  listMemberships,
+  createInvite
+} from "../utils/organizations.js";
+import { sendOrganizationInviteEmail } from "../services/email.js";
+import { isUuid } from "../utils/uuid.js";
+
+const router = express.Router();
+
+router.use(requireAuth, resolveCustomer);
+
+const canManageMembers = requirePermission('members:manage');
+
+function validateRole(role) {
+  if (!ORGANIZATION_ROLES.includes(role)) {
+    return `role must be one of: ${ORGANIZATION_ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+async function findMember(organizationId, memberId) {
+  if (!isUuid(memberId)) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT m.*, a.email FROM organization_members m
+     JOIN accounts a ON a.id = m.account_id
+     WHERE m.id = $1 AND m.organization_id = $2`,
+    [memberId, organizationId]
+  );
+  return rows[0] || null;
+}
+
+async function writeAudit(req, event, context) {
+  await pool.query(
+    `INSERT INTO audit_log (actor, account_id, event, context)
+     VALUES ($1, $2, $3, $4)`,
+    [req.user.email, req.customer.accountId, event, JSON.stringify(context)]
+  );
+}
+
+// GET /api/v9/dashboard/organization - Current organisation, your role, and the ones you can switch to
+router.get("/", async (req, res) => {
+  try {
+    const organizations = await listMemberships(req.user.accountId);
+
+    res.json({
+      success: true,
+      organization: {
+        id: req.customer.accountId,
+        email: req.customer.email
+      },
+      role: req.customer.role,
+      permissions: ROLE_PERMISSIONS[req.customer.role],
+      organizations
+    });
+
+  } catch (error) {
+    console.error("Organization context error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// GET /api/v9/dashboard/organization/members - Owner account, members, and pending invites for managers
+router.get("/members", requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const { rows: owner } = await pool.query(
+      "SELECT id, email, name, created_at FROM accounts WHERE id = $1",
+      [req.customer.accountId]
+    );
+
+    const { rows: members } = await pool.query(
+      `SELECT m.id, m.account_id, m.role, m.invited_by, m.created_at, a.email, a.name
+       FROM organization_members m
+       JOIN accounts a ON a.id = m.account_id
+       WHERE m.organization_id = $1
+       ORDER BY m.created_at`,
+      [req.customer.accountId]
+    );
+
+    const response = {
+      success: true,
+      roles: ORGANIZATION_ROLES.map(role => ({ role, label: ROLE_LABELS[role], permissions: ROLE_PERMISSIONS[role] })),
+      owner: {
+        accountId: owner[0].id,
+        email: owner[0].email,
+        name: owner[0].name,
+        role: 'owner',
+        since: owner[0].created_at
+      },
+      members: members.map(member => ({
+        id: member.id,
+        accountId: member.account_id,
+        email: member.email,
+        name: member.name,
+        role: member.role,
+        invitedBy: member.invited_by,
+        joinedAt: member.created_at
+      }))
+    };
+
+    if (roleHasPermission(req.customer.role, 'members:manage')) {
+      const { rows: invites } = await pool.query(
+        `SELECT id, email, role, invited_by, expires_at, created_at
+         FROM organization_invites
+         WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at`,
+        [req.customer.accountId]
+      );
+
+      response.invites = invites.map(invite => ({
+        id: invite.id,
+        email: invite.email,
+        role: invite.role,
+        invitedBy: invite.invited_by,
+        expiresAt: invite.expires_at,
+        createdAt: invite.created_at
+      }));
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error("Organization members error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/dashboard/organization/invites - Invite someone by email
+// (inviteeEmail, because resolveCustomer treats a body "email" as a claim to be that account)
+router.post("/invites", canManageMembers, async (req, res) => {
+  const { inviteeEmail: email, role } = req.body || {};
+
+  if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return res.status(400).json({
+      success: false,
+      error: "A valid email is required"
+    });
+  }
+
+  const roleError = validateRole(role);
+  if (roleError) {
+    return res.status(400).json({
+      success: false,
+      error: roleError
+    });
+  }
+
+  if (email.toLowerCase() === req.customer.email.toLowerCase()) {
+    return res.status(400).json({
+      success: false,
+      error: "That address already owns this organisation"
+    });
+  }
+
+  try {
+    const issued = await createInvite({
+      organizationId: req.customer.accountId,
+      email: email.trim(),
+      role,
+      invitedBy: req.user.email
+    });
+
+    if (!issued) {
+      return res.status(429).json({
+        success: false,
+        error: "Too many invitations sent, please try again later"
+      });
+    }
+
+    await writeAudit(req, 'organization_member_invited', {
+      inviteId: issued.invite.id,
+      email: issued.invite.email,
+      role
+    });
+
+    const { rows } = await pool.query(
+      "SELECT name FROM accounts WHERE id = $1",
+      [req.customer.accountId]
+    );
+
+    // The invite stands even if the email doesn't go out; inviting again sends a fresh link
+    let emailSent = true;
+    try {
+      await sendOrganizationInviteEmail({
+        to: issued.invite.email,
+        organizationName: rows[0]?.name || req.customer.email,
+        inviterEmail: req.user.email,
+        roleLabel: ROLE_LABELS[role],
+        inviteUrl: buildInviteUrl(issued.token),
+        expiresDays: issued.ttlDays
+      });
+    } catch (error) {
+      console.error("Failed to send organization invite email:", error.message);
+      emailSent = false;
+    }
+
+    console.log(`👥 ${req.user.email} invited ${issued.invite.email} to ${req.customer.email} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      invite: {
+        id: issued.invite.id,
+        email: issued.invite.email,
+        role: issued.invite.role,
+        invitedBy: issued.invite.invited_by,
+        expiresAt: issued.invite.expires_at,
+        createdAt: issued.invite.created_at
+      },
+      emailSent
+    });
+
+  } catch (error) {
+    console.error("Organization invite error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// DELETE /api/v9/dashboard/organization/invites/:inviteId - Withdraw a pending invite
+router.delete("/invites/:inviteId", canManageMembers, async (req, res) => {
+  if (!isUuid(req.params.inviteId)) {
+    return res.status(404).json({
+      success: false,
+      error: "Pending invite not found"
+    });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE organization_invites SET revoked_at = NOW()
+       WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id, email`,
+      [req.params.inviteId, req.customer.accountId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Pending invite not found"
+      });
+    }
+
+    await writeAudit(req, 'organization_invite_revoked', { inviteId: rows[0].id, email: rows[0].email });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error("Organization invite revoke error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// PUT /api/v9/dashboard/organization/members/:memberId - Change a member's role
+router.put("/members/:memberId", canManageMembers, async (req, res) => {
+  const { role } = req.body || {};
+
+  const roleError = validateRole(role);
+  if (roleError) {
+    return res.status(400).json({
+      success: false,
+      error: roleError
+    });
+  }
+
+  try {
+    const member = await findMember(req.customer.accountId, req.params.memberId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "Member not found"
+      });
+    }
+
+    if (member.account_id === req.user.accountId) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot change your own role"
+      });
+    }
+
+    await pool.query(
+      "UPDATE organization_members SET role = $1, updated_at = now() WHERE id = $2",
+      [role, member.id]
+    );
+
+    await writeAudit(req, 'organization_member_role_changed', {
+      memberAccountId: member.account_id,
+      email: member.email,
+      from: member.role,
+      to: role
+    });
+
+    res.json({
+      success: true,
+      member: { id: member.id, accountId: member.account_id, email: member.email, role }
+    });
+
+  } catch (error) {
+    console.error("Organization role change error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// DELETE /api/v9/dashboard/organization/members/:memberId - Remove a member (or leave, for yourself)
+router.delete("/members/:memberId", async (req, res) => {
+  try {
+    const member = await findMember(req.customer.accountId, req.params.memberId);
+    const leaving = member?.account_id === req.user.accountId;
+
+    if (!leaving && !roleHasPermission(req.customer.role, 'members:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: "Your role in this organisation does not allow this",
+        code: "PERMISSION_DENIED",
+        permission: 'members:manage'
+      });
+    }
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "Member not found"
+      });
+    }
+
+    await pool.query("DELETE FROM organization_members WHERE id = $1", [member.id]);
+
+    await writeAudit(req, leaving ? 'organization_member_left' : 'organization_member_removed', {
+      memberAccountId: member.account_id,
+      email: member.email,
+      role: member.role
+    });
+
+    console.log(`👥 ${member.email} ${leaving ? 'left' : 'removed from'} ${req.customer.email}`);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error("Organization member removal error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,283 @@
+import express from "express";
+import { requireAuth, resolveCustomer, requirePermission } from "../middleware/auth.js";
+import {
+  PARTNER_ERRORS,
+  listPartnerCustomers,
+  createPartnerCustomer,
+  setCustomerSeats,
+  discardPartnerCustomer,
+  revertCustomerSeats,
+  getPartnerBilling,
+  syncPartnerBilling
+} from "../utils/partners.js";
+import { isUuid } from "../utils/uuid.js";
+
+const router = express.Router();
+
+// Work on a customer by sending X-Organization-Id: <customer account id> to any dashboard route
+router.use(requireAuth, resolveCustomer, (req, res, next) => {
+  if (req.customer.accountType !== 'partner') {
+    return res.status(403).json({
+      success: false,
+      error: "This is not a partner account",
+      code: "NOT_A_PARTNER"
+    });
+  }
+  next();
+});
+
+function validateSeats(seats, { min }) {
+  if (!Number.isInteger(seats) || seats < min || seats > 100000) {
+    return `seats must be a whole number of at least ${min}`;
+  }
+  return null;
+}
+
+function sendPartnerError(res, result) {
+  const error = PARTNER_ERRORS[result.error];
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(result.boundDevices !== undefined && { boundDevices: result.boundDevices })
+  });
+}
+
+// GET /api/v9/partner/dashboard - Roll-up across every customer licence and device
+router.get("/dashboard", requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const customers = await listPartnerCustomers(req.customer.accountId);
+
+    const totals = customers.reduce((sum, customer) => ({
+      customers: sum.customers + 1,
+      seats: sum.seats + (customer.license?.seats || 0),
+      boundDevices: sum.boundDevices + customer.devices.bound,
+      onlineDevices: sum.onlineDevices + customer.devices.online,
+      staleDevices: sum.staleDevices + customer.devices.stale,
+      offlineDevices: sum.offlineDevices + customer.devices.offline,
+      customersWithOfflineDevices: sum.customersWithOfflineDevices + (customer.devices.offline > 0 ? 1 : 0)
+    }), {
+      customers: 0,
+      seats: 0,
+      boundDevices: 0,
+      onlineDevices: 0,
+      staleDevices: 0,
+      offlineDevices: 0,
+      customersWithOfflineDevices: 0
+    });
+
+    res.json({
+      success: true,
+      partner: {
+        id: req.customer.accountId,
+        email: req.customer.email
+      },
+      totals,
+      customers,
+      lastUpdated: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error("Partner dashboard error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// GET /api/v9/partner/customers - Customer accounts managed by this partner
+router.get("/customers", requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      customers: await listPartnerCustomers(req.customer.accountId)
+    });
+
+  } catch (error) {
+    console.error("Partner customers error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/partner/customers - Add a customer with its own licence, billed to the partner
+// (customerEmail, because resolveCustomer treats a body "email" as a claim to be that account)
+router.post("/customers", requirePermission('billing:manage'), async (req, res) => {
+  const { name, customerEmail, seats } = req.body || {};
+
+  if (!customerEmail || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(customerEmail)) {
+    return res.status(400).json({
+      success: false,
+      error: "A valid customerEmail is required"
+    });
+  }
+
+  const seatsError = validateSeats(seats, { min: 1 });
+  if (seatsError) {
+    return res.status(400).json({
+      success: false,
+      error: seatsError
+    });
+  }
+
+  try {
+    const result = await createPartnerCustomer({
+      partner: req.customer,
+      name,
+      email: customerEmail.trim(),
+      seats,
+      actor: req.user.email
+    });
+
+    if (result.error) {
+      return sendPartnerError(res, result);
+    }
+
+    // Seats nobody is billed for can't be left where an agent could bind to them
+    const billing = await syncPartnerBilling(req.customer.accountId);
+    if (!billing.synced) {
+      await discardPartnerCustomer({
+        partnerId: req.customer.accountId,
+        customerId: result.customer.id,
+        reason: billing.reason
+      });
+      await syncPartnerBilling(req.customer.accountId);
+      return sendPartnerError(res, { error: 'billing_failed' });
+    }
+
+    res.status(201).json({
+      success: true,
+      customer: {
+        accountId: result.customer.id,
+        email: result.customer.email,
+        name: result.customer.name,
+        createdAt: result.customer.created_at,
+        license: {
+          id: result.license.id,
+          licenseKey: result.license.license_key,
+          seats: result.license.device_count
+        }
+      },
+      billing
+    });
+
+  } catch (error) {
+    console.error("Partner create customer error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// PUT /api/v9/partner/customers/:customerId/seats - Change a customer's seat allocation
+router.put("/customers/:customerId/seats", requirePermission('billing:manage'), async (req, res) => {
+  const { seats } = req.body || {};
+
+  if (!isUuid(req.params.customerId)) {
+    return sendPartnerError(res, { error: 'customer_not_found' });
+  }
+
+  // Zero keeps the customer and its devices' history but stops billing for it
+  const seatsError = validateSeats(seats, { min: 0 });
+  if (seatsError) {
+    return res.status(400).json({
+      success: false,
+      error: seatsError
+    });
+  }
+
+  try {
+    const result = await setCustomerSeats({
+      partnerId: req.customer.accountId,
+      customerId: req.params.customerId,
+      seats,
+      actor: req.user.email
+    });
+
+    if (result.error) {
+      return sendPartnerError(res, result);
+    }
+
+    // A reduction Stripe missed only overbills until the next sync; an increase is put back
+    const billing = await syncPartnerBilling(req.customer.accountId);
+    if (!billing.synced && seats > result.previousSeats) {
+      await revertCustomerSeats({
+        partnerId: req.customer.accountId,
+        customerId: req.params.customerId,
+        seats: result.previousSeats
+      });
+      await syncPartnerBilling(req.customer.accountId);
+      return sendPartnerError(res, { error: 'billing_failed' });
+    }
+
+    res.json({
+      success: true,
+      license: {
+        id: result.license.id,
+        licenseKey: result.license.license_key,
+        seats: result.license.device_count,
+        previousSeats: result.previousSeats
+      },
+      billing
+    });
+
+  } catch (error) {
+    console.error("Partner seat change error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// GET /api/v9/partner/billing - Consolidated seats against the partner's Stripe subscription
+router.get("/billing", requirePermission('billing:read'), async (req, res) => {
+  try {
+    const [billing, customers] = await Promise.all([
+      getPartnerBilling(req.customer.accountId),
+      listPartnerCustomers(req.customer.accountId)
+    ]);
+
+    res.json({
+      success: true,
+      ...billing,
+      breakdown: customers.map(customer => ({
+        accountId: customer.accountId,
+        name: customer.name,
+        email: customer.email,
+        seats: customer.license?.seats || 0,
+        monthlyTotal: Math.round((customer.license?.seats || 0) * billing.pricePerDevice * 100) / 100
+      }))
+    });
+
+  } catch (error) {
+    console.error("Partner billing error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/partner/billing/sync - Push the allocated seat total to Stripe
+router.post("/billing/sync", requirePermission('billing:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      billing: await syncPartnerBilling(req.customer.accountId)
+    });
+
+  } catch (error) {
+    console.error("Partner billing sync error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+export default router;
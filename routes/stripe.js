@@ -1,11 +1,28 @@
 // routes/stripe.js
+// Billing routes, mounted at /api/v9/stripe and (for older clients) /api/stripe.
+// Stripe itself is behind services/billing.js; licences follow subscriptions through
+// the webhook (stripeWebhook below), never through these routes.
 import express from "express";
-import Stripe from "stripe";
-import crypto from "node:crypto";
 import { pool } from "../db.js";
-import { sendWelcomeEmail, sendPaymentConfirmationEmail } from "../services/email.js";
-
-// Stripe needs the raw body; index.js already mounts `stripeRaw` before json()
+import { requireAuth, requireAuthOrApiKey, resolveCustomer, requirePermission } from "../middleware/auth.js";
+import { receiveStripeEvent } from "../utils/stripeEvents.js";
+import {
+  getStripe,
+  getTierInfo,
+  findStripeCustomer,
+  findActiveSubscription,
+  createCheckoutSession,
+  updateSubscriptionQuantity,
+  SEAT_CHANGE_ERRORS,
+  previewSeatChange,
+  getScheduledSeatReduction,
+  scheduleSeatReduction,
+  cancelScheduledSeatReduction,
+  cancelSubscription,
+  createPortalSession
+} from "../services/billing.js";
+
+// Stripe needs the raw body; index.js mounts the webhook with it before json()
 export const stripeRaw = express.raw({ type: "application/json" });
 const router = express.Router();
 
@@ -20,554 +37,436 @@ router.use((req, res, next) => {
   next();
 });
 
-// ---- Helpers ----
-
-// Generate license key in SYNC-xxxxxxxxxx-xxxxxxxx format
-function generateLicenseKey() {
-  const part1 = crypto.randomBytes(5).toString("hex").toUpperCase(); // 10 hex chars
-  const part2 = crypto.randomBytes(4).toString("hex").toUpperCase(); // 8 hex chars
-  return `SYNC-${part1}-${part2}`;
-}
-
-async function upsertAccountByCustomer({ email, stripeCustomerId }) {
-  const q = `
-    insert into accounts (email, stripe_customer_id, role)
-    values ($1, $2, 'user')
-    on conflict (email) do update set
-      stripe_customer_id = coalesce(excluded.stripe_customer_id, accounts.stripe_customer_id)
-    returning id, email
-  `;
-  const { rows } = await pool.query(q, [email, stripeCustomerId]);
-  return rows[0]; // { id, email }
-}
-
-async function upsertSubscription({
-  accountId,
-  stripeSubscriptionId,
-  blocks,
-  status,
-  currentPeriodEnd
-}) {
-  const q = `
-    insert into subscriptions (account_id, stripe_subscription_id, blocks, status, current_period_end)
-    values ($1, $2, $3, $4, to_timestamp($5))
-    on conflict (stripe_subscription_id) do update set
-      account_id = excluded.account_id,
-      blocks = excluded.blocks,
-      status = excluded.status,
-      current_period_end = excluded.current_period_end
-    returning id
-  `;
-  const { rows } = await pool.query(q, [
-    accountId,
-    stripeSubscriptionId,
-    blocks,
-    status,
-    currentPeriodEnd ? Math.floor(currentPeriodEnd) : null
-  ]);
-  return rows[0];
-}
-
-async function ensureLicenseForAccount({ accountId, blocks }) {
-  // decide device allowance; tweak if you want different mapping
-  const maxDevices = Math.max(1, Number(blocks || 1)) * 5;
-
-  // if a license already exists, just make sure max_devices reflects blocks
-  const existing = await pool.query(
-    `select id, license_key, max_devices from licenses where account_id=$1 order by created_at asc limit 1`,
-    [accountId]
-  );
-  if (existing.rows.length > 0) {
-    const lic = existing.rows[0];
-    if (lic.max_devices !== maxDevices) {
-      await pool.query(
-        `update licenses set max_devices=$1, updated_at=now() where id=$2`,
-        [maxDevices, lic.id]
-      );
-    }
-    return lic; // { id, license_key, max_devices }
+// Customers of an MSP partner are billed on the partner's subscription (see /api/v9/partner)
+function rejectPartnerBilled(req, res, next) {
+  if (req.customer.partnerAccountId) {
+    return res.status(409).json({ error: 'Billing for this account is managed by its partner', code: 'BILLED_BY_PARTNER' });
   }
-
-  const licenseKey = generateLicenseKey();
-  const insert = await pool.query(
-    `insert into licenses (account_id, license_key, max_devices)
-     values ($1,$2,$3)
-     returning id, license_key, max_devices`,
-    [accountId, licenseKey, maxDevices]
-  );
-  return insert.rows[0];
-}
-
-async function writeAudit({ actor, accountId, licenseId, event, context = {} }) {
-  await pool.query(
-    `insert into audit_log (actor, account_id, license_id, event, context)
-     values ($1,$2,$3,$4,$5)`,
-    [actor, accountId || null, licenseId || null, event, context]
-  );
+  next();
 }
 
-async function triggerBuildForLicense(licenseId, accountId) {
-  // Check if a build already exists for this license
-  const existingBuildQuery = `
-    SELECT id, tag, status FROM builds 
-    WHERE license_id = $1 
-    ORDER BY created_at DESC 
-    LIMIT 1
-  `;
-  
-  const { rows: existingBuilds } = await pool.query(existingBuildQuery, [licenseId]);
-  
-  if (existingBuilds.length > 0) {
-    const existingBuild = existingBuilds[0];
-    console.log(`🔄 Build already exists for license ${licenseId}: ${existingBuild.tag} (status: ${existingBuild.status})`);
-    return existingBuild;
+// A partner's quantity is the sum of its customers' seats, changed per customer
+function rejectPartnerSeatChanges(req, res, next) {
+  if (req.customer.accountType === 'partner') {
+    return res.status(409).json({ error: 'Change seats per customer under /api/v9/partner/customers', code: 'PARTNER_SEATS_MANAGED' });
   }
-  
-  // Create new build only if none exists
-  const tag = `license-${licenseId}-${Date.now()}`;
-  
-  const buildQuery = `
-    INSERT INTO builds (license_id, account_id, status, tag)
-    VALUES ($1, $2, 'queued', $3)
-    RETURNING id, tag
-  `;
-  
-  const { rows } = await pool.query(buildQuery, [licenseId, accountId, tag]);
-  const build = rows[0];
-  
-  console.log(`🏗️ New build queued for license ${licenseId}: ${build.tag}`);
-  return build;
-}
-
-// Extract “blocks” from a Stripe subscription object
-function extractBlocks(stripeSubscription) {
-  // Priority: item.quantity → item.metadata.blocks → subscription.metadata.blocks → 1
-  const items = stripeSubscription?.items?.data || [];
-  let qty = 0;
-  if (items[0]?.quantity) qty = Number(items[0].quantity);
-  let blocks =
-    qty ||
-    Number(items[0]?.metadata?.blocks || 0) ||
-    Number(stripeSubscription?.metadata?.blocks || 0) ||
-    1;
-  return Math.max(1, blocks);
+  next();
 }
 
 // ---- Webhook handler ----
+// Served at /api/stripe/webhook and /api/v9/stripe/webhook. Events are recorded in the
+// stripe_events ledger and applied once (utils/stripeEvents.js, services/billing.js)
 
-router.post("/", async (req, res) => {
+export async function stripeWebhook(req, res) {
   const secret = process.env.STRIPE_WEBHOOK_SECRET || "";
-  const stripeKey = process.env.STRIPE_SECRET_KEY || "";
-  if (!secret || !stripeKey) {
+  if (!secret || !process.env.STRIPE_SECRET_KEY) {
     // Keep deploys safe if not configured yet
     return res.status(204).send();
   }
 
-  const stripe = new Stripe(stripeKey, { apiVersion: "2024-06-20" });
-
   let event;
   try {
     const sig = req.headers["stripe-signature"];
-    event = stripe.webhooks.constructEvent(req.body, sig, secret);
+    event = getStripe().webhooks.constructEvent(req.body, sig, secret);
   } catch (e) {
     console.error("[stripe] signature verify failed:", e.message);
-    return res.status(400).json({ ok: false, error: "invalid signature" });
+    return res.status(400).json({ error: "Invalid signature" });
   }
 
   try {
-    switch (event.type) {
-      case "checkout.session.completed": {
-        // Session-level context (email + subscription id) - DO NOT CREATE LICENSE YET
-        const session = event.data.object;
-        const email =
-          session?.customer_details?.email ||
-          session?.customer_email ||
-          session?.metadata?.email ||
-          null;
-        const stripeCustomerId =
-          typeof session.customer === "string" ? session.customer : session.customer?.id || null;
-        const subscriptionId =
-          typeof session.subscription === "string"
-            ? session.subscription
-            : session.subscription?.id || null;
-
-        if (!email || !stripeCustomerId) {
-          await writeAudit({
-            actor: "stripe",
-            event: "CHECKOUT_COMPLETED_MISSING_FIELDS",
-            context: { email, stripeCustomerId, subscriptionId }
-          });
-          break;
-        }
-
-        // Only create account, do NOT create license until payment is confirmed
-        const account = await upsertAccountByCustomer({ email, stripeCustomerId });
-
-        await writeAudit({
-          actor: "stripe",
-          accountId: account.id,
-          event: "CHECKOUT_COMPLETED_ACCOUNT_CREATED",
-          context: { subscriptionId, email }
-        });
-
-        break;
-      }
-
-      case "invoice.payment_succeeded": {
-        // This is the event that confirms payment was actually successful
-        const invoice = event.data.object;
-        const stripeCustomerId =
-          typeof invoice.customer === "string" ? invoice.customer : invoice.customer?.id || null;
-        const subscriptionId =
-          typeof invoice.subscription === "string"
-            ? invoice.subscription
-            : invoice.subscription?.id || null;
-
-        if (!stripeCustomerId || !subscriptionId) {
-          await writeAudit({
-            actor: "stripe",
-            event: "PAYMENT_SUCCEEDED_MISSING_FIELDS",
-            context: { stripeCustomerId, subscriptionId }
-          });
-          break;
-        }
-
-        // Get customer email
-        let email = null;
-        try {
-          const customer = await stripe.customers.retrieve(stripeCustomerId);
-          email = customer?.email || null;
-        } catch (e) {
-          console.error("Failed to retrieve customer:", e.message);
-        }
-
-        if (!email) {
-          await writeAudit({
-            actor: "stripe",
-            event: "PAYMENT_SUCCEEDED_NO_EMAIL",
-            context: { stripeCustomerId, subscriptionId }
-          });
-          break;
-        }
-
-        const account = await upsertAccountByCustomer({ email, stripeCustomerId });
-
-        // Fetch the subscription to derive blocks & period end
-        const sub = await stripe.subscriptions.retrieve(subscriptionId, { expand: ["items"] });
-        const blocks = extractBlocks(sub);
-        const status = sub.status;
-        const currentPeriodEnd = sub.current_period_end; // unix ts
-
-        await upsertSubscription({
-          accountId: account.id,
-          stripeSubscriptionId: sub.id,
-          blocks,
-          status,
-          currentPeriodEnd
-        });
-
-        // NOW create license after payment confirmation
-        const lic = await ensureLicenseForAccount({ accountId: account.id, blocks });
-
-        // Trigger build for new license
-        await triggerBuildForLicense(lic.id, account.id);
-
-        // Send welcome email with license information
-        try {
-          await sendWelcomeEmail({
-            to: email,
-            customerName: account.name || email.split('@')[0],
-            licenseKey: lic.license_key,
-            downloadUrl: `${process.env.FRONTEND_ORIGIN || 'https://syncsure.cloud'}/dashboard`,
-            maxDevices: lic.max_devices
-          });
-          
-          console.log(`[email] Welcome email sent to ${email} for license ${lic.license_key}`);
-        } catch (emailError) {
-          console.error(`[email] Failed to send welcome email to ${email}:`, emailError.message);
-          // Don't fail the webhook if email fails
-        }
-
-        // Send payment confirmation email
-        try {
-          const invoiceAmount = (invoice.amount_paid / 100).toFixed(2);
-          const nextBillingDate = new Date(sub.current_period_end * 1000).toLocaleDateString();
-          
-          await sendPaymentConfirmationEmail({
-            to: email,
-            customerName: account.name || email.split('@')[0],
-            amount: invoiceAmount,
-            invoiceId: invoice.id,
-            nextBilling: nextBillingDate
-          });
-          
-          console.log(`[email] Payment confirmation sent to ${email} for invoice ${invoice.id}`);
-        } catch (emailError) {
-          console.error(`[email] Failed to send payment confirmation to ${email}:`, emailError.message);
-          // Don't fail the webhook if email fails
-        }
-
-        await writeAudit({
-          actor: "stripe",
-          accountId: account.id,
-          licenseId: lic.id,
-          event: "PAYMENT_SUCCEEDED_LICENSE_CREATED",
-          context: { subscriptionId: sub.id, blocks, status, invoiceId: invoice.id, emailsSent: true }
-        });
-
-        break;
-      }
+    // A failed event is kept and retried by the worker, so Stripe doesn't need to resend it
+    const result = await receiveStripeEvent(event);
+    return res.json({ received: true, type: event.type, status: result.status });
+  } catch (e) {
+    console.error("[stripe] handler error:", e);
+    return res.status(500).json({ error: "Webhook processing failed" });
+  }
+}
 
-      case "customer.subscription.created":
-      case "customer.subscription.updated": {
-        // Only update subscription data, do NOT create license until payment confirmed
-        const sub = event.data.object; // full stripe subscription
-        const stripeCustomerId =
-          typeof sub.customer === "string" ? sub.customer : sub.customer?.id || null;
-
-        // Best effort to get email
-        let email = null;
-        try {
-          const cust =
-            stripeCustomerId && (await stripe.customers.retrieve(stripeCustomerId));
-          email = cust?.email || null;
-        } catch {
-          // ignore
-        }
-
-        const account = await upsertAccountByCustomer({ email: email || "unknown@unknown", stripeCustomerId });
-
-        const blocks = extractBlocks(sub);
-        const status = sub.status;
-        const currentPeriodEnd = sub.current_period_end;
-
-        await upsertSubscription({
-          accountId: account.id,
-          stripeSubscriptionId: sub.id,
-          blocks,
-          status,
-          currentPeriodEnd
-        });
-
-        // Do NOT create license here - wait for payment confirmation
-        await writeAudit({
-          actor: "stripe",
-          accountId: account.id,
-          event: event.type.toUpperCase() + "_NO_LICENSE",
-          context: { subscriptionId: sub.id, blocks, status }
-        });
-
-        break;
-      }
+// Get customer subscription data (the :email segment is kept for older clients; the
+// customer always comes from the session)
+router.get('/customer/:email', requireAuthOrApiKey, resolveCustomer, requirePermission('billing:read', 'billing:read'), async (req, res) => {
+  try {
+    if (req.customer.partnerAccountId) {
+      return res.json({
+        hasSubscription: false,
+        billedByPartner: true,
+        customer: null,
+        subscription: null,
+        tierInfo: null
+      });
+    }
 
-      case "customer.subscription.deleted": {
-        const sub = event.data.object;
-        const stripeCustomerId =
-          typeof sub.customer === "string" ? sub.customer : sub.customer?.id || null;
-
-        // Mark subscription canceled
-        const q = `update subscriptions set status='canceled', current_period_end=to_timestamp($1)
-                   where stripe_subscription_id=$2`;
-        await pool.query(q, [sub.current_period_end || sub.canceled_at || null, sub.id]);
-
-        // Optional: also reduce license max_devices to 0 or keep at last value
-        // await pool.query(`update licenses set max_devices=0, updated_at=now()
-        //                   where account_id in (select id from accounts where stripe_customer_id=$1)`, [stripeCustomerId]);
-
-        // Audit
-        const accId = await pool
-          .query(`select id from accounts where stripe_customer_id=$1 limit 1`, [stripeCustomerId])
-          .then((r) => r.rows[0]?.id || null);
-
-        await writeAudit({
-          actor: "stripe",
-          accountId: accId,
-          event: "CUSTOMER_SUBSCRIPTION_DELETED",
-          context: { subscriptionId: sub.id }
-        });
-
-        break;
-      }
+    const customer = await findStripeCustomer(req.customer);
+    if (!customer) {
+      return res.json({
+        hasSubscription: false,
+        customer: null,
+        subscription: null,
+        tierInfo: null
+      });
+    }
 
-      default:
-        // Unhandled event types are fine; acknowledge
-        // console.log("[stripe] unhandled:", event.type);
-        break;
+    const subscription = await findActiveSubscription(customer.id);
+    if (!subscription) {
+      return res.json({
+        hasSubscription: false,
+        customer: customer,
+        subscription: null,
+        tierInfo: null
+      });
     }
 
-    return res.json({ ok: true, type: event.type });
-  } catch (e) {
-    console.error("[stripe] handler error:", e);
-    return res.status(500).json({ ok: false, error: e.message });
+    const quantity = subscription.items.data[0].quantity;
+
+    res.json({
+      hasSubscription: true,
+      customer: {
+        id: customer.id,
+        email: customer.email,
+        name: customer.name,
+        created: customer.created
+      },
+      subscription: {
+        id: subscription.id,
+        status: subscription.status,
+        quantity: quantity,
+        current_period_start: subscription.current_period_start,
+        current_period_end: subscription.current_period_end,
+        cancel_at_period_end: subscription.cancel_at_period_end,
+        scheduled_reduction: await getScheduledSeatReduction(subscription.id)
+      },
+      tierInfo: getTierInfo(quantity)
+    });
+
+  } catch (error) {
+    console.error('Error fetching customer data:', error);
+    res.status(500).json({ error: 'Failed to fetch customer data' });
   }
 });
 
-// Create Stripe Checkout Session
-router.post("/create-checkout-session", async (req, res) => {
+// Subscription summary with paid invoices (older dashboard)
+router.get("/subscription", requireAuthOrApiKey, resolveCustomer, requirePermission('billing:read', 'billing:read'), async (req, res) => {
+  const inactive = (customerId = null, subscriptionId = null) => ({
+    active: false,
+    licenseCount: 0,
+    deviceCount: 0,
+    customerId,
+    subscriptionId,
+    nextBilling: null,
+    invoices: []
+  });
+
   try {
-    const { email, priceId, successUrl, cancelUrl } = req.body;
+    if (req.customer.partnerAccountId) {
+      return res.json(inactive());
+    }
 
-    if (!email || !priceId) {
-      return res.status(400).json({ error: "Email and priceId are required" });
+    const customer = await findStripeCustomer(req.customer);
+    if (!customer) {
+      return res.json(inactive());
     }
 
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+    const subscription = await findActiveSubscription(customer.id);
+    if (!subscription) {
+      return res.json(inactive(customer.id));
+    }
 
-    // Create or retrieve customer
-    let customer;
-    const existingCustomers = await stripe.customers.list({
-      email: email,
-      limit: 1
+    // CRITICAL: a subscription can be 'active' with no payment yet; that is no licence
+    const paidInvoices = await getStripe().invoices.list({
+      customer: customer.id,
+      status: 'paid',
+      limit: 100
     });
 
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-    } else {
-      customer = await stripe.customers.create({
-        email: email,
-        metadata: {
-          source: 'syncsure_dashboard'
-        }
-      });
+    if (paidInvoices.data.length === 0) {
+      return res.json(inactive(customer.id, subscription.id));
     }
 
-    // Create checkout session
-    const session = await stripe.checkout.sessions.create({
-      customer: customer.id,
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price: priceId,
-          quantity: 1,
-        },
-      ],
-      mode: 'subscription',
-      success_url: successUrl || `${process.env.FRONTEND_ORIGIN}/dashboard?success=true`,
-      cancel_url: cancelUrl || `${process.env.FRONTEND_ORIGIN}/dashboard?canceled=true`,
-      metadata: {
-        customer_email: email
-      }
+    const licenseCount = subscription.items.data.reduce((sum, item) => sum + (item.quantity ?? 0), 0);
+
+    const bound = await pool.query(
+      "SELECT COALESCE(SUM(bound_count), 0)::int AS count FROM licenses WHERE account_id = $1",
+      [req.customer.accountId]
+    );
+
+    res.json({
+      active: licenseCount > 0,
+      licenseCount,
+      deviceCount: bound.rows[0].count,
+      customerId: customer.id,
+      subscriptionId: subscription.id,
+      nextBilling: subscription.current_period_end
+        ? new Date(subscription.current_period_end * 1000).toLocaleDateString()
+        : null,
+      invoices: paidInvoices.data.map(invoice => ({
+        id: invoice.id,
+        description: invoice.lines.data[0]?.description || 'SyncSure Monitor',
+        amount: (invoice.amount_paid / 100).toFixed(2),
+        date: new Date(invoice.created * 1000).toLocaleDateString(),
+        status: invoice.status === 'paid' ? 'Paid' : 'Pending'
+      }))
     });
+  } catch (error) {
+    console.error('Error fetching subscription data:', error);
+    res.status(500).json({ error: 'Failed to fetch subscription data' });
+  }
+});
+
+// Create Stripe Checkout session
+router.post('/create-checkout-session', requireAuth, resolveCustomer, requirePermission('billing:manage'), rejectPartnerBilled, async (req, res) => {
+  try {
+    const { quantity, successUrl, cancelUrl } = req.body;
+    const { email } = req.customer;
+
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({ error: 'Invalid quantity' });
+    }
+
+    // Accounts that signed up but never confirmed their email can't buy yet
+    const account = await pool.query('SELECT email_verified FROM accounts WHERE email = $1', [email]);
+    if (account.rows[0]?.email_verified === false) {
+      return res.status(403).json({ error: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    const session = await createCheckoutSession({ email, quantity, successUrl, cancelUrl });
+
+    res.json({ sessionId: session.id, url: session.url });
 
-    res.json({ url: session.url });
   } catch (error) {
     console.error('Error creating checkout session:', error);
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to create checkout session' });
   }
 });
 
-// Get customer subscription data
-router.get("/subscription", async (req, res) => {
+// Preview a seat change: proration, new tier and the next invoice (?quantity=&effective=now|period_end)
+router.get('/preview-subscription-change', requireAuthOrApiKey, resolveCustomer, requirePermission('billing:read', 'billing:read'), rejectPartnerBilled, rejectPartnerSeatChanges, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization required' });
+    const quantity = parseInt(req.query.quantity);
+    const { effective = 'now' } = req.query;
+
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({ error: 'Invalid quantity' });
+    }
+    if (!['now', 'period_end'].includes(effective)) {
+      return res.status(400).json({ error: 'effective must be now or period_end' });
     }
 
-    // In a real app, you'd verify the JWT token here
-    // For now, we'll extract email from the request or token
-    const email = req.query.email || req.user?.email;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email required' });
+    const customer = await findStripeCustomer(req.customer);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
     }
 
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+    const subscription = await findActiveSubscription(customer.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'No active subscription found' });
+    }
 
-    // 1) Find customer by email
-    const customers = await stripe.customers.list({
-      email: email,
-      limit: 1
+    const preview = await previewSeatChange(subscription, quantity, { atPeriodEnd: effective === 'period_end' });
+
+    const bound = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM device_bindings db
+       JOIN licenses l ON l.id = db.license_id
+       WHERE l.account_id = $1 AND db.status = 'active'`,
+      [req.customer.accountId]
+    );
+
+    res.json({
+      success: true,
+      ...preview,
+      boundDevices: bound.rows[0].count,
+      // A reduction below the bound devices can't be scheduled until some are released
+      canSchedule: effective === 'period_end' && quantity < preview.currentQuantity && bound.rows[0].count <= quantity
     });
 
-    const customer = customers.data[0];
+  } catch (error) {
+    console.error('Error previewing subscription change:', error);
+    res.status(500).json({ error: 'Failed to preview subscription change' });
+  }
+});
+
+// Update subscription quantity
+router.post('/update-subscription', requireAuth, resolveCustomer, requirePermission('billing:manage'), rejectPartnerBilled, rejectPartnerSeatChanges, async (req, res) => {
+  try {
+    const { newQuantity } = req.body;
+
+    if (!newQuantity || newQuantity < 1) {
+      return res.status(400).json({ error: 'Invalid quantity' });
+    }
+
+    const customer = await findStripeCustomer(req.customer);
     if (!customer) {
-      return res.json({
-        active: false,
-        licenseCount: 0,
-        deviceCount: 0,
-        customerId: null,
-        subscriptionId: null,
-        nextBilling: null,
-        invoices: []
-      });
+      return res.status(404).json({ error: 'Customer not found' });
     }
 
-    // 2) List ACTIVE subscriptions only
-    const subscriptions = await stripe.subscriptions.list({
-      customer: customer.id,
-      status: 'active',
-      expand: ['data.items.data.price']
+    const subscription = await findActiveSubscription(customer.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'No active subscription found' });
+    }
+
+    // The schedule would overwrite an immediate change when the period ends
+    if (await getScheduledSeatReduction(subscription.id)) {
+      return res.status(409).json({ error: 'A seat reduction is scheduled; cancel it first', code: 'SEAT_REDUCTION_SCHEDULED' });
+    }
+
+    const updatedSubscription = await updateSubscriptionQuantity(subscription, newQuantity);
+
+    res.json({
+      success: true,
+      subscription: {
+        id: updatedSubscription.id,
+        quantity: newQuantity,
+        status: updatedSubscription.status
+      },
+      tierInfo: getTierInfo(newQuantity)
     });
 
-    if (subscriptions.data.length === 0) {
-      return res.json({
-        active: false,
-        licenseCount: 0,
-        deviceCount: 0,
-        customerId: customer.id,
-        subscriptionId: null,
-        nextBilling: null,
-        invoices: []
-      });
+  } catch (error) {
+    console.error('Error updating subscription:', error);
+    res.status(500).json({ error: 'Failed to update subscription' });
+  }
+});
+
+// Reduce seats from the end of the billing period
+router.post('/schedule-seat-reduction', requireAuth, resolveCustomer, requirePermission('billing:manage'), rejectPartnerBilled, rejectPartnerSeatChanges, async (req, res) => {
+  try {
+    const { newQuantity } = req.body;
+
+    if (!newQuantity || newQuantity < 1) {
+      return res.status(400).json({ error: 'Invalid quantity' });
     }
 
-    // 2.5) CRITICAL: Check for successful payments - subscription can be 'active' but have no payments
-    const paidInvoices = await stripe.invoices.list({
-      customer: customer.id,
-      status: 'paid',
-      limit: 100
+    const customer = await findStripeCustomer(req.customer);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const subscription = await findActiveSubscription(customer.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'No active subscription found' });
+    }
+
+    const result = await scheduleSeatReduction({
+      accountId: req.customer.accountId,
+      subscription,
+      quantity: newQuantity,
+      actor: req.user.email
     });
 
-    // If no paid invoices, customer has no valid licenses regardless of subscription status
-    if (paidInvoices.data.length === 0) {
-      return res.json({
-        active: false,
-        licenseCount: 0,
-        deviceCount: 0,
-        customerId: customer.id,
-        subscriptionId: subscriptions.data[0]?.id ?? null,
-        nextBilling: null,
-        invoices: []
+    if (result.error) {
+      const { code, message } = SEAT_CHANGE_ERRORS[result.error];
+      return res.status(result.error === 'devices_exceed_quantity' ? 409 : 400).json({
+        error: message,
+        code,
+        ...(result.error === 'devices_exceed_quantity' && { boundDevices: result.boundDevices, newQuantity }),
+        ...(result.error === 'not_a_reduction' && { currentQuantity: result.currentQuantity })
       });
     }
 
-    // 3) Sum quantities (seats) from Stripe subscriptions - but only if payments exist
-    const licenseCount = subscriptions.data.reduce((sum, sub) => {
-      const qty = sub.items.data.reduce((s, item) => s + (item.quantity ?? 0), 0);
-      return sum + qty;
-    }, 0);
+    res.json({
+      success: true,
+      subscription: {
+        id: subscription.id,
+        quantity: subscription.items.data[0].quantity,
+        scheduled_quantity: result.quantity,
+        scheduled_for: result.effectiveAt
+      },
+      tierInfo: getTierInfo(result.quantity)
+    });
 
-    const nextBilling = subscriptions.data[0]?.current_period_end
-      ? new Date(subscriptions.data[0].current_period_end * 1000).toLocaleDateString()
-      : null;
+  } catch (error) {
+    console.error('Error scheduling seat reduction:', error);
+    res.status(500).json({ error: 'Failed to schedule seat reduction' });
+  }
+});
 
-    // Get recent invoices (use the paid invoices we already fetched)
-    const invoices = paidInvoices;
+// Drop a scheduled seat reduction
+router.delete('/schedule-seat-reduction', requireAuth, resolveCustomer, requirePermission('billing:manage'), rejectPartnerBilled, async (req, res) => {
+  try {
+    const customer = await findStripeCustomer(req.customer);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
 
-    // Get device count from database (this is fine to get from DB)
-    const deviceCount = 0; // TODO: Implement device counting from heartbeats
+    const subscription = await findActiveSubscription(customer.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'No active subscription found' });
+    }
 
-    const subscriptionData = {
-      active: licenseCount > 0,
-      licenseCount: licenseCount, // Now comes from Stripe, not DB
-      deviceCount: deviceCount,
-      customerId: customer.id,
-      subscriptionId: subscriptions.data[0]?.id ?? null,
-      nextBilling: nextBilling,
-      invoices: invoices.data.map(invoice => ({
-        id: invoice.id,
-        description: invoice.lines.data[0]?.description || 'SyncSure Monitor',
-        amount: (invoice.amount_paid / 100).toFixed(2),
-        date: new Date(invoice.created * 1000).toLocaleDateString(),
-        status: invoice.status === 'paid' ? 'Paid' : 'Pending'
-      }))
-    };
+    const result = await cancelScheduledSeatReduction({
+      accountId: req.customer.accountId,
+      subscription,
+      actor: req.user.email
+    });
+
+    if (result.error) {
+      const { code, message } = SEAT_CHANGE_ERRORS[result.error];
+      return res.status(404).json({ error: message, code });
+    }
+
+    res.json({
+      success: true,
+      subscription: {
+        id: subscription.id,
+        quantity: subscription.items.data[0].quantity,
+        scheduled_quantity: null
+      }
+    });
 
-    res.json(subscriptionData);
   } catch (error) {
-    console.error('Error fetching subscription data:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error cancelling seat reduction:', error);
+    res.status(500).json({ error: 'Failed to cancel seat reduction' });
+  }
+});
+
+// Cancel subscription
+router.post('/cancel-subscription', requireAuth, resolveCustomer, requirePermission('billing:manage'), rejectPartnerBilled, async (req, res) => {
+  try {
+    const { cancelAtPeriodEnd = true } = req.body;
+
+    const customer = await findStripeCustomer(req.customer);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const subscription = await findActiveSubscription(customer.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'No active subscription found' });
+    }
+
+    const updatedSubscription = await cancelSubscription(subscription, cancelAtPeriodEnd);
+
+    res.json({
+      success: true,
+      subscription: {
+        id: updatedSubscription.id,
+        status: updatedSubscription.status,
+        cancel_at_period_end: updatedSubscription.cancel_at_period_end,
+        canceled_at: updatedSubscription.canceled_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Error canceling subscription:', error);
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+});
+
+// Create customer portal session
+router.post('/create-portal-session', requireAuth, resolveCustomer, requirePermission('billing:manage'), rejectPartnerBilled, async (req, res) => {
+  try {
+    const customer = await findStripeCustomer(req.customer);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const session = await createPortalSession(customer.id, req.body.returnUrl);
+
+    res.json({ url: session.url });
+
+  } catch (error) {
+    console.error('Error creating portal session:', error);
+    res.status(500).json({ error: 'Failed to create portal session' });
   }
 });
 
@@ -0,0 +1,104 @@
+import express from "express";
+import { pool } from "../db.js";
+import { requireAuthOrApiKey, resolveCustomer, requirePermission, attachUserLicense } from "../middleware/auth.js";
+import {
+  TELEMETRY_SCHEMA_VERSION,
+  TELEMETRY_RESOLUTIONS,
+  getTelemetryRetention,
+  getDeviceTelemetry,
+  getLatestTelemetry
+} from "../utils/telemetry.js";
+
+const router = express.Router();
+
+router.use(requireAuthOrApiKey, resolveCustomer, requirePermission('dashboard:read', 'devices:read'), attachUserLicense);
+
+// GET /api/v9/dashboard/telemetry - Latest sync-health sample for every device
+router.get("/", async (req, res) => {
+  try {
+    const devices = await getLatestTelemetry(req.license.id);
+
+    res.json({
+      success: true,
+      schemaVersion: TELEMETRY_SCHEMA_VERSION,
+      devices
+    });
+
+  } catch (error) {
+    console.error("Telemetry overview error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// GET /api/v9/dashboard/telemetry/devices/:deviceId - Per-device trend (?from&to&resolution)
+router.get("/devices/:deviceId", async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const resolution = req.query.resolution || 'auto';
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (!TELEMETRY_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid resolution. Use: ${TELEMETRY_RESOLUTIONS.join(', ')}`
+      });
+    }
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be ISO-8601 timestamps with from before to"
+      });
+    }
+
+    const maxRangeMs = getTelemetryRetention().hourlyDays * 24 * 60 * 60 * 1000;
+    if (to - from > maxRangeMs) {
+      return res.status(400).json({
+        success: false,
+        error: `Range cannot exceed ${getTelemetryRetention().hourlyDays} days`
+      });
+    }
+
+    const deviceResult = await pool.query(
+      "SELECT device_name FROM device_bindings WHERE license_id = $1 AND device_id = $2",
+      [req.license.id, deviceId]
+    );
+
+    if (deviceResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found"
+      });
+    }
+
+    const trend = await getDeviceTelemetry({
+      licenseId: req.license.id,
+      deviceId,
+      from,
+      to,
+      resolution
+    });
+
+    res.json({
+      success: true,
+      deviceId,
+      deviceName: deviceResult.rows[0].device_name,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      ...trend
+    });
+
+  } catch (error) {
+    console.error("Device telemetry error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,393 @@
+// routes/v1.js - Public API v1 (described by openapi/v1.json, served at /api/v1/openapi.json)
+// Stable shapes for scripts and integrations: { data } or { data, pagination } on success,
+// { error: { code, message } } on failure. Sessions, bearer JWTs and customer API keys all work.
+import express from "express";
+import fs from "fs";
+import { pool } from "../db.js";
+import { getStripe } from "../services/billing.js";
+import { requireAuthOrApiKey, resolveCustomer, requirePermission } from "../middleware/auth.js";
+import { mapTier } from "../utils/tierMapping.js";
+import { getPartnerBilling } from "../utils/partners.js";
+import { sendError, encodeCursor, parsePagination, paginate } from "../utils/apiV1.js";
+import { UUID_PATTERN } from "../utils/uuid.js";
+
+const router = express.Router();
+
+const openApiDocument = JSON.parse(fs.readFileSync(new URL("../openapi/v1.json", import.meta.url)));
+
+const DEVICE_STATUSES = ['active', 'released'];
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+function sendInternalError(res, context, error) {
+  console.error(`API v1 ${context} error:`, error);
+  return sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+}
+
+// GET /api/v1/openapi.json - The specification for this API (no auth)
+router.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+router.use(requireAuthOrApiKey, resolveCustomer);
+
+const DEVICE_FIELDS = `
+  db.id, db.device_id, db.device_name, db.status, db.agent_version, db.system_info,
+  db.bound_at, db.last_heartbeat, db.health_state, db.health_changed_at, db.released_at, l.license_key
+`;
+
+function toDevice(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    deviceName: row.device_name,
+    status: row.status,
+    healthState: row.health_state,
+    lastHeartbeat: toIso(row.last_heartbeat),
+    healthChangedAt: toIso(row.health_changed_at),
+    agentVersion: row.agent_version,
+    systemInfo: row.system_info,
+    licenseKey: row.license_key,
+    boundAt: toIso(row.bound_at),
+    releasedAt: toIso(row.released_at)
+  };
+}
+
+// GET /api/v1/devices - Devices bound to the organisation's licences, by device ID
+router.get("/devices", requirePermission('dashboard:read', 'devices:read'), async (req, res) => {
+  const page = parsePagination(req.query, key => typeof key.k === 'string' && UUID_PATTERN.test(key.i));
+  if (page.error) {
+    return sendError(res, 400, page.code, page.error);
+  }
+
+  const { status } = req.query;
+  if (status !== undefined && !DEVICE_STATUSES.includes(status)) {
+    return sendError(res, 400, 'INVALID_REQUEST', `status must be one of: ${DEVICE_STATUSES.join(', ')}`);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${DEVICE_FIELDS}
+       FROM device_bindings db
+       JOIN licenses l ON l.id = db.license_id
+       WHERE l.account_id = $1
+         AND ($2::text IS NULL OR db.status = $2)
+         AND ($3::text IS NULL OR (db.device_id, db.id) > ($3, $4::uuid))
+       ORDER BY db.device_id, db.id
+       LIMIT $5`,
+      [req.customer.accountId, status ?? null, page.cursor?.k ?? null, page.cursor?.i ?? null, page.limit + 1]
+    );
+
+    const { rows: devices, pagination } = paginate(rows, page.limit, row => ({ k: row.device_id, i: row.id }));
+
+    res.json({
+      data: devices.map(toDevice),
+      pagination
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'devices', error);
+  }
+});
+
+// GET /api/v1/devices/:deviceId - One device (its active binding, else the latest)
+router.get("/devices/:deviceId", requirePermission('dashboard:read', 'devices:read'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${DEVICE_FIELDS}
+       FROM device_bindings db
+       JOIN licenses l ON l.id = db.license_id
+       WHERE l.account_id = $1 AND db.device_id = $2
+       ORDER BY (db.status = 'active') DESC, db.bound_at DESC NULLS LAST
+       LIMIT 1`,
+      [req.customer.accountId, req.params.deviceId]
+    );
+
+    if (rows.length === 0) {
+      return sendError(res, 404, 'DEVICE_NOT_FOUND', 'Device not found');
+    }
+
+    res.json({ data: toDevice(rows[0]) });
+
+  } catch (error) {
+    sendInternalError(res, 'device', error);
+  }
+});
+
+// GET /api/v1/license - The organisation's current licence and seat usage (cancelled ones are gone)
+router.get("/license", requirePermission('dashboard:read', 'licence:read'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT l.id, l.license_key, l.device_count, l.pricing_tier, l.status, l.created_at, l.updated_at,
+              (SELECT COUNT(*)::int FROM device_bindings db WHERE db.license_id = l.id AND db.status = 'active') AS bound_devices
+       FROM licenses l
+       WHERE l.account_id = $1 AND l.status IN ('active', 'past_due', 'suspended')
+       ORDER BY l.created_at DESC
+       LIMIT 1`,
+      [req.customer.accountId]
+    );
+
+    if (rows.length === 0) {
+      return sendError(res, 404, 'NO_LICENSE', 'No active license found');
+    }
+
+    const license = rows[0];
+    res.json({
+      data: {
+        id: license.id,
+        licenseKey: license.license_key,
+        status: license.status,
+        seats: license.device_count,
+        boundDevices: license.bound_devices,
+        availableSeats: Math.max(license.device_count - license.bound_devices, 0),
+        tier: license.pricing_tier || mapTier(license.device_count).tier,
+        createdAt: toIso(license.created_at),
+        updatedAt: toIso(license.updated_at)
+      }
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'license', error);
+  }
+});
+
+// created_us keeps the cursor at Postgres' microsecond precision, so no build is skipped between pages
+const BUILD_FIELDS = `
+  b.id, b.status, b.tag, b.release_url, b.asset_name, b.created_at, b.updated_at, l.license_key,
+  (extract(epoch FROM b.created_at) * 1000000)::bigint AS created_us
+`;
+
+function toBuild(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    tag: row.tag,
+    licenseKey: row.license_key,
+    download: row.status === 'released' && row.release_url
+      ? { releaseUrl: row.release_url, assetName: row.asset_name }
+      : null,
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at)
+  };
+}
+
+// GET /api/v1/builds - Agent builds for the organisation's licences, newest first
+router.get("/builds", requirePermission('builds:download', 'builds:read'), async (req, res) => {
+  const page = parsePagination(req.query, key => /^\d{1,20}$/.test(key.t) && UUID_PATTERN.test(key.i));
+  if (page.error) {
+    return sendError(res, 400, page.code, page.error);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${BUILD_FIELDS}
+       FROM builds b
+       JOIN licenses l ON l.id = b.license_id
+       WHERE l.account_id = $1
+         AND ($2::bigint IS NULL OR ((extract(epoch FROM b.created_at) * 1000000)::bigint, b.id) < ($2, $3::uuid))
+       ORDER BY b.created_at DESC, b.id DESC
+       LIMIT $4`,
+      [req.customer.accountId, page.cursor?.t ?? null, page.cursor?.i ?? null, page.limit + 1]
+    );
+
+    const { rows: builds, pagination } = paginate(rows, page.limit, row => ({ t: row.created_us, i: row.id }));
+
+    res.json({
+      data: builds.map(toBuild),
+      pagination
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'builds', error);
+  }
+});
+
+// GET /api/v1/builds/:buildId - One build
+router.get("/builds/:buildId", requirePermission('builds:download', 'builds:read'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.buildId)) {
+    return sendError(res, 404, 'BUILD_NOT_FOUND', 'Build not found');
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${BUILD_FIELDS}
+       FROM builds b
+       JOIN licenses l ON l.id = b.license_id
+       WHERE b.id = $1 AND l.account_id = $2`,
+      [req.params.buildId, req.customer.accountId]
+    );
+
+    if (rows.length === 0) {
+      return sendError(res, 404, 'BUILD_NOT_FOUND', 'Build not found');
+    }
+
+    res.json({ data: toBuild(rows[0]) });
+
+  } catch (error) {
+    sendInternalError(res, 'build', error);
+  }
+});
+
+/**
+ * The organisation's Stripe customer ID (stored, else looked up by billing email)
+ * @returns {Promise<string|null>} - null when there is none or Stripe isn't configured
+ */
+async function findStripeCustomerId(customer) {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    "SELECT stripe_customer_id FROM accounts WHERE id = $1",
+    [customer.accountId]
+  );
+  if (rows[0]?.stripe_customer_id) {
+    return rows[0].stripe_customer_id;
+  }
+
+  const customers = await getStripe().customers.list({ email: customer.billingEmail, limit: 1 });
+  return customers.data[0]?.id || null;
+}
+
+function toSubscription(subscription) {
+  return {
+    id: subscription.id,
+    status: subscription.status,
+    quantity: subscription.items.data[0]?.quantity ?? 0,
+    currentPeriodEnd: fromUnix(subscription.current_period_end),
+    cancelAtPeriodEnd: subscription.cancel_at_period_end
+  };
+}
+
+// GET /api/v1/billing - Seats, tier and subscription
+router.get("/billing", requirePermission('billing:read', 'billing:read'), async (req, res) => {
+  try {
+    const { accountId, accountType, partnerAccountId } = req.customer;
+
+    if (accountType === 'partner') {
+      const billing = await getPartnerBilling(accountId);
+      return res.json({
+        data: {
+          billedByPartner: false,
+          seats: billing.seats,
+          tier: billing.tier,
+          pricePerDevice: billing.pricePerDevice,
+          monthlyTotal: billing.monthlyTotal,
+          subscription: billing.subscription && {
+            id: billing.subscription.id,
+            status: billing.subscription.status,
+            quantity: billing.subscription.quantity,
+            currentPeriodEnd: fromUnix(billing.subscription.currentPeriodEnd),
+            cancelAtPeriodEnd: billing.subscription.cancelAtPeriodEnd
+          }
+        }
+      });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT device_count, pricing_tier, price_per_device FROM licenses
+       WHERE account_id = $1 AND status = 'active'
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [accountId]
+    );
+
+    const seats = rows[0]?.device_count || 0;
+    const { tier, price } = mapTier(seats);
+    const pricePerDevice = Number(rows[0]?.price_per_device) || price;
+
+    let subscription = null;
+    if (!partnerAccountId) {
+      try {
+        const customerId = await findStripeCustomerId(req.customer);
+        if (customerId) {
+          const subscriptions = await getStripe().subscriptions.list({ customer: customerId, status: 'active', limit: 1 });
+          subscription = subscriptions.data[0] ? toSubscription(subscriptions.data[0]) : null;
+        }
+      } catch (error) {
+        console.error(`API v1 subscription lookup failed for ${req.customer.billingEmail}:`, error.message);
+      }
+    }
+
+    res.json({
+      data: {
+        billedByPartner: !!partnerAccountId,
+        seats,
+        tier: rows[0]?.pricing_tier || tier,
+        pricePerDevice,
+        monthlyTotal: Math.round(seats * pricePerDevice * 100) / 100,
+        subscription
+      }
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'billing', error);
+  }
+});
+
+// GET /api/v1/billing/invoices - Stripe invoices, newest first
+router.get("/billing/invoices", requirePermission('billing:read', 'billing:read'), async (req, res) => {
+  const page = parsePagination(req.query, key => typeof key.i === 'string' && key.i.startsWith('in_'));
+  if (page.error) {
+    return sendError(res, 400, page.code, page.error);
+  }
+
+  // Stripe pages at most 100 invoices
+  if (page.limit > 100) {
+    return sendError(res, 400, 'INVALID_REQUEST', 'limit must be a whole number from 1 to 100 for invoices');
+  }
+
+  if (req.customer.partnerAccountId) {
+    return sendError(res, 409, 'BILLED_BY_PARTNER', 'This account is billed through its partner');
+  }
+
+  if (!process.env.STRIPE_SECRET_KEY) {
+    return sendError(res, 503, 'BILLING_UNAVAILABLE', 'Billing is not available right now');
+  }
+
+  try {
+    const customerId = await findStripeCustomerId(req.customer);
+    if (!customerId) {
+      return res.json({
+        data: [],
+        pagination: { limit: page.limit, hasMore: false, nextCursor: null }
+      });
+    }
+
+    const invoices = await getStripe().invoices.list({
+      customer: customerId,
+      limit: page.limit,
+      ...(page.cursor && { starting_after: page.cursor.i })
+    });
+
+    const last = invoices.data[invoices.data.length - 1];
+
+    res.json({
+      data: invoices.data.map(invoice => ({
+        id: invoice.id,
+        number: invoice.number,
+        status: invoice.status,
+        currency: invoice.currency,
+        amountDue: invoice.amount_due,
+        amountPaid: invoice.amount_paid,
+        createdAt: fromUnix(invoice.created),
+        invoicePdf: invoice.invoice_pdf
+      })),
+      pagination: {
+        limit: page.limit,
+        hasMore: invoices.has_more,
+        nextCursor: invoices.has_more ? encodeCursor({ i: last.id }) : null
+      }
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'invoices', error);
+  }
+});
+
+router.use((req, res) => {
+  sendError(res, 404, 'NOT_FOUND', `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+export default router;
@@ -0,0 +1,363 @@
+import express from "express";
+import { pool } from "../db.js";
+import { requireAuth, requireVerifiedEmail, resolveCustomer, requirePermission } from "../middleware/auth.js";
+import {
+  DELIVERY_STATUSES,
+  generateSecret,
+  enqueueTestDelivery,
+  redeliver,
+  listDeliveries
+} from "../utils/webhooks.js";
+import { validateOutboundUrl } from "../utils/outboundUrl.js";
+import { isUuid } from "../utils/uuid.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireVerifiedEmail, resolveCustomer, requirePermission('webhooks:manage'));
+
+function formatEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    events: endpoint.events,
+    description: endpoint.description,
+    enabled: endpoint.enabled,
+    secretPreview: `${endpoint.secret.substring(0, 10)}…`,
+    createdAt: endpoint.created_at,
+    updatedAt: endpoint.updated_at
+  };
+}
+
+function validateEndpoint({ url, events }) {
+  if (url !== undefined) {
+    const urlError = validateOutboundUrl(url);
+    if (urlError) {
+      return urlError;
+    }
+  }
+  if (events !== undefined &&
+      (!Array.isArray(events) || events.some(event => typeof event !== 'string' || !event.trim()))) {
+    return "events must be an array of event names (empty for all events)";
+  }
+  return null;
+}
+
+async function findEndpoint(accountId, endpointId) {
+  if (!isUuid(endpointId)) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    "SELECT * FROM webhook_endpoints WHERE id = $1 AND account_id = $2",
+    [endpointId, accountId]
+  );
+  return rows[0] || null;
+}
+
+async function writeAudit(req, event, context) {
+  await pool.query(
+    `INSERT INTO audit_log (actor, account_id, event, context)
+     VALUES ($1, $2, $3, $4)`,
+    [req.user.email, req.customer.accountId, event, JSON.stringify(context)]
+  );
+}
+
+// GET /api/v9/dashboard/webhooks - List webhook endpoints
+router.get("/", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT * FROM webhook_endpoints WHERE account_id = $1 ORDER BY created_at",
+      [req.customer.accountId]
+    );
+
+    res.json({
+      success: true,
+      endpoints: rows.map(formatEndpoint)
+    });
+
+  } catch (error) {
+    console.error("Webhook endpoints list error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/dashboard/webhooks - Subscribe an HTTPS endpoint; the secret is only returned here
+router.post("/", async (req, res) => {
+  try {
+    const { url, events = [], description = null } = req.body || {};
+
+    const validationError = url ? validateEndpoint({ url, events }) : "url is required";
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO webhook_endpoints (account_id, url, secret, events, description)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [req.customer.accountId, url, generateSecret(), events.map(event => event.trim()), description]
+    );
+
+    await writeAudit(req, 'webhook_endpoint_created', { endpoint_id: rows[0].id, url, events });
+
+    res.status(201).json({
+      success: true,
+      endpoint: formatEndpoint(rows[0]),
+      secret: rows[0].secret
+    });
+
+  } catch (error) {
+    console.error("Webhook endpoint create error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// GET /api/v9/dashboard/webhooks/deliveries - Delivery log
+router.get("/deliveries", async (req, res) => {
+  try {
+    const { endpointId, status, limit } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    if (endpointId && !isUuid(endpointId)) {
+      return res.status(400).json({
+        success: false,
+        error: "endpointId must be a webhook endpoint ID"
+      });
+    }
+
+    const deliveries = await listDeliveries(req.customer.accountId, {
+      endpointId: endpointId || null,
+      status: status || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      deliveries
+    });
+
+  } catch (error) {
+    console.error("Webhook deliveries error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// GET /api/v9/dashboard/webhooks/dead-letter - Deliveries that exhausted their retries
+router.get("/dead-letter", async (req, res) => {
+  try {
+    const deliveries = await listDeliveries(req.customer.accountId, {
+      status: 'dead',
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      deliveries
+    });
+
+  } catch (error) {
+    console.error("Webhook dead-letter error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/dashboard/webhooks/deliveries/:deliveryId/redeliver - Queue a delivery again
+router.post("/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const delivery = isUuid(req.params.deliveryId)
+      ? await redeliver(req.customer.accountId, req.params.deliveryId)
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found"
+      });
+    }
+
+    await writeAudit(req, 'webhook_redelivery_requested', { delivery_id: delivery.id, event: delivery.event });
+
+    res.json({
+      success: true,
+      delivery
+    });
+
+  } catch (error) {
+    console.error("Webhook redeliver error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// PUT /api/v9/dashboard/webhooks/:endpointId - Update url, events, description or enabled
+router.put("/:endpointId", async (req, res) => {
+  try {
+    const existing = await findEndpoint(req.customer.accountId, req.params.endpointId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook endpoint not found"
+      });
+    }
+
+    const { url, events, description, enabled } = req.body || {};
+    const validationError = validateEndpoint({ url, events });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE webhook_endpoints
+       SET url = $1, events = $2, description = $3, enabled = $4
+       WHERE id = $5 AND account_id = $6
+       RETURNING *`,
+      [
+        url ?? existing.url,
+        events ? events.map(event => event.trim()) : existing.events,
+        description !== undefined ? description : existing.description,
+        enabled !== undefined ? Boolean(enabled) : existing.enabled,
+        existing.id,
+        req.customer.accountId
+      ]
+    );
+
+    await writeAudit(req, 'webhook_endpoint_updated', { endpoint_id: existing.id });
+
+    res.json({
+      success: true,
+      endpoint: formatEndpoint(rows[0])
+    });
+
+  } catch (error) {
+    console.error("Webhook endpoint update error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// DELETE /api/v9/dashboard/webhooks/:endpointId - Remove an endpoint and its delivery log
+router.delete("/:endpointId", async (req, res) => {
+  try {
+    const existing = await findEndpoint(req.customer.accountId, req.params.endpointId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook endpoint not found"
+      });
+    }
+
+    await pool.query(
+      "DELETE FROM webhook_endpoints WHERE id = $1 AND account_id = $2",
+      [existing.id, req.customer.accountId]
+    );
+
+    await writeAudit(req, 'webhook_endpoint_deleted', { endpoint_id: existing.id, url: existing.url });
+
+    res.json({
+      success: true,
+      message: "Webhook endpoint deleted"
+    });
+
+  } catch (error) {
+    console.error("Webhook endpoint delete error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/dashboard/webhooks/:endpointId/rotate-secret - Issue a new signing secret
+router.post("/:endpointId/rotate-secret", async (req, res) => {
+  try {
+    const existing = await findEndpoint(req.customer.accountId, req.params.endpointId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook endpoint not found"
+      });
+    }
+
+    const { rows } = await pool.query(
+      "UPDATE webhook_endpoints SET secret = $1 WHERE id = $2 RETURNING *",
+      [generateSecret(), existing.id]
+    );
+
+    await writeAudit(req, 'webhook_secret_rotated', { endpoint_id: existing.id });
+
+    res.json({
+      success: true,
+      endpoint: formatEndpoint(rows[0]),
+      secret: rows[0].secret
+    });
+
+  } catch (error) {
+    console.error("Webhook secret rotation error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+// POST /api/v9/dashboard/webhooks/:endpointId/test - Queue a webhook.test delivery
+router.post("/:endpointId/test", async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.customer.accountId, req.params.endpointId);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook endpoint not found"
+      });
+    }
+
+    const delivery = await enqueueTestDelivery(endpoint);
+
+    res.status(202).json({
+      success: true,
+      message: "Test delivery queued; it will be sent on the next worker tick",
+      delivery
+    });
+
+  } catch (error) {
+    console.error("Webhook test error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error"
+    });
+  }
+});
+
+export default router;
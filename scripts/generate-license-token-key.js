@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * Generate an Ed25519 key pair for offline licence tokens
+ * Prints the env line for the new signing key and the public key to append
+ * to LICENSE_TOKEN_RETIRED_KEYS when this key is later rotated out.
+ */
+
+import crypto from "crypto";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+const privatePem = privateKey.export({ type: "pkcs8", format: "pem" });
+const publicPem = publicKey.export({ type: "spki", format: "pem" });
+const keyId = crypto
+  .createHash("sha256")
+  .update(publicKey.export({ type: "spki", format: "der" }))
+  .digest("hex")
+  .substring(0, 16);
+
+console.log(`🔑 New licence token key (kid ${keyId})\n`);
+console.log(`LICENSE_TOKEN_SIGNING_KEY=${privatePem.trim().replace(/\n/g, "\\n")}\n`);
+console.log("Public key (keep for LICENSE_TOKEN_RETIRED_KEYS when rotating this key out):");
+console.log(publicPem);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Give an account the admin role (or take it away with --revoke)
+ * Admin routes need an admin account or an API key an admin created, so the
+ * first admin has to be made here, against DATABASE_URL.
+ *
+ *   node scripts/grant-admin.js ops@example.com [--revoke]
+ */
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+import { pool } from "../db.js";
+
+async function grantAdmin() {
+  const email = process.argv[2];
+  const revoke = process.argv.includes("--revoke");
+
+  if (!email || email.startsWith("--")) {
+    console.error("Usage: node scripts/grant-admin.js <email> [--revoke]");
+    process.exit(1);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE accounts SET role = $1, updated_at = now()
+       WHERE lower(email) = lower($2)
+       RETURNING id, email`,
+      [revoke ? "user" : "admin", email]
+    );
+
+    if (rows.length === 0) {
+      console.error(`❌ No account with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await pool.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ('system', $1, $2, $3)`,
+      [rows[0].id, revoke ? "admin_role_revoked" : "admin_role_granted", JSON.stringify({ via: "scripts/grant-admin.js" })]
+    );
+
+    console.log(`✅ ${rows[0].email} ${revoke ? "is no longer an admin" : "is now an admin"}`);
+  } catch (error) {
+    console.error("❌ Failed to update admin role:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+grantAdmin();
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Reconcile Stripe subscriptions with the subscriptions and licenses tables now
+ * (the worker does this every STRIPE_RECONCILE_INTERVAL_HOURS) and print the drift.
+ * Against stripe-mock: STRIPE_API_BASE=http://localhost:12111 STRIPE_SECRET_KEY=sk_test_123
+ *
+ *   node scripts/reconcile-stripe.js [--dry-run]
+ */
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+import { pool } from "../db.js";
+import { reconcileStripeSubscriptions } from "../utils/stripeReconciliation.js";
+
+async function reconcile() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  if (!process.env.STRIPE_SECRET_KEY) {
+    console.error("❌ STRIPE_SECRET_KEY is not set");
+    process.exit(1);
+  }
+
+  try {
+    const run = await reconcileStripeSubscriptions({ dryRun, triggeredBy: "scripts/reconcile-stripe.js" });
+
+    if (!run) {
+      console.error("❌ A reconciliation is already running");
+      process.exitCode = 1;
+      return;
+    }
+
+    for (const entry of run.drift) {
+      console.log(`${entry.action.padEnd(9)} ${entry.type.padEnd(19)} ${entry.email || entry.stripeCustomerId} ${entry.stripeSubscriptionId}`,
+        JSON.stringify({ expected: entry.expected, actual: entry.actual }));
+    }
+
+    console.log(`${run.status === "completed" ? "✅" : "❌"} Run ${run.id}${dryRun ? " (dry run)" : ""}: ${run.subscriptionsChecked} subscriptions, ${run.driftCount} drifted, ${run.fixedCount} fixed${run.error ? ` (${run.error})` : ""}`);
+    process.exitCode = run.status === "completed" ? 0 : 1;
+  } catch (error) {
+    console.error("❌ Reconciliation failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+reconcile();
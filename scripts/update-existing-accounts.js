@@ -1,10 +1,5 @@
 import { pool } from "../db.js";
-
-// Simple password hashing (for development - replace with proper hashing in production)
-const simpleHash = (password) => {
-  // Simple hash for development - NOT secure for production
-  return Buffer.from(password).toString('base64');
-};
+import { hashPassword } from "../utils/passwords.js";
 
 async function updateExistingAccounts() {
   try {
@@ -12,7 +7,7 @@ async function updateExistingAccounts() {
     
     // Hash the test password
     const testPassword = "TestPassword123!";
-    const passwordHash = simpleHash(testPassword);
+    const passwordHash = await hashPassword(testPassword);
     
     // Update the test account
     const result = await pool.query(`
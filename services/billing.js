@@ -0,0 +1,926 @@
+/**
+ * SyncSure Billing
+ * The one Stripe integration: checkout, seat changes, cancellation and the portal for
+ * /api/stripe and /api/v9/stripe, and the webhook event handlers the stripe_events
+ * ledger runs (utils/stripeEvents.js). A subscription's quantity is its seat count;
+ * licence seats only ever change through mirrorSubscriptionToLicense, licence states
+ * (past due, suspended, cancelled) through utils/licenseStatus.js.
+ */
+
+import Stripe from "stripe";
+import { pool } from "../db.js";
+import { sendWelcomeEmail, sendPaymentConfirmationEmail } from "./email.js";
+import { mapTier, getTierDisplayName, getTierLimits } from "../utils/tierMapping.js";
+import {
+  subscriptionSeats,
+  invoiceSeats,
+  mirrorSubscriptionToLicense
+} from "../utils/licenseManager.js";
+import { markLicensesPastDue, reactivateLicenses, cancelLicenses } from "../utils/licenseStatus.js";
+
+// Subscription statuses whose seats the licence should follow
+export const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+let stripeClient = null;
+
+/**
+ * Shared Stripe client. STRIPE_API_BASE points it somewhere other than api.stripe.com,
+ * e.g. stripe-mock at http://localhost:12111 in tests.
+ * @returns {Stripe}
+ */
+export function getStripe() {
+  if (!stripeClient) {
+    const options = { apiVersion: "2024-06-20" };
+
+    if (process.env.STRIPE_API_BASE) {
+      const base = new URL(process.env.STRIPE_API_BASE);
+      options.host = base.hostname;
+      options.port = base.port || (base.protocol === "http:" ? 80 : 443);
+      options.protocol = base.protocol.replace(":", "");
+    }
+
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY || "", options);
+  }
+  return stripeClient;
+}
+
+/**
+ * Tier, price and monthly total for a seat count
+ * @param {number} quantity - Seats
+ * @returns {Object} - { tier, min, max, price, name, quantity, monthlyTotal }
+ */
+export function getTierInfo(quantity) {
+  const { tier, price } = mapTier(quantity);
+  return {
+    tier,
+    ...getTierLimits(tier),
+    price,
+    name: getTierDisplayName(tier),
+    quantity,
+    monthlyTotal: Math.round(quantity * price * 100) / 100
+  };
+}
+
+const idOf = (value) => (typeof value === "string" ? value : value?.id || null);
+
+// ---- Customer-facing operations ----
+
+/**
+ * The account's Stripe customer (stored ID, else looked up by email)
+ * @param {Object} customer - { accountId, email }
+ * @returns {Promise<Object|null>}
+ */
+export async function findStripeCustomer({ accountId, email }) {
+  const stripe = getStripe();
+  const { rows } = await pool.query("SELECT stripe_customer_id FROM accounts WHERE id = $1", [accountId]);
+
+  if (rows[0]?.stripe_customer_id) {
+    const stored = await stripe.customers.retrieve(rows[0].stripe_customer_id);
+    if (!stored.deleted) {
+      return stored;
+    }
+  }
+
+  const customers = await stripe.customers.list({ email, limit: 1 });
+  return customers.data[0] || null;
+}
+
+/**
+ * The customer's active subscription, if any
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Promise<Object|null>}
+ */
+export async function findActiveSubscription(customerId) {
+  const subscriptions = await getStripe().subscriptions.list({ customer: customerId, status: 'active', limit: 1 });
+  return subscriptions.data[0] || null;
+}
+
+/**
+ * Start a per-device subscription checkout
+ * @param {Object} options - { email, quantity, successUrl, cancelUrl }
+ * @returns {Promise<Object>} - Stripe Checkout session
+ */
+export async function createCheckoutSession({ email, quantity, successUrl, cancelUrl }) {
+  const tierInfo = getTierInfo(quantity);
+
+  return getStripe().checkout.sessions.create({
+    customer_email: email,
+    payment_method_types: ['card'],
+    line_items: [{
+      price_data: {
+        currency: 'gbp',
+        product_data: {
+          name: 'SyncSure Monitor',
+          description: `${tierInfo.name} Plan - ${quantity} devices`
+        },
+        unit_amount: Math.round(tierInfo.price * 100), // Convert to pence
+        recurring: {
+          interval: 'month'
+        }
+      },
+      quantity
+    }],
+    mode: 'subscription',
+    success_url: successUrl || `${process.env.FRONTEND_ORIGIN}/dashboard?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: cancelUrl || `${process.env.FRONTEND_ORIGIN}/license-management`,
+    metadata: {
+      email,
+      quantity: String(quantity),
+      tier: tierInfo.tier
+    }
+  });
+}
+
+/**
+ * Change a subscription's seats (invoiced immediately). The licence follows when
+ * Stripe's customer.subscription.updated event arrives.
+ * @param {Object} subscription - Stripe subscription
+ * @param {number} quantity - New seat count
+ * @returns {Promise<Object>} - Updated Stripe subscription
+ */
+export async function updateSubscriptionQuantity(subscription, quantity) {
+  return getStripe().subscriptions.update(subscription.id, {
+    items: [{ id: subscription.items.data[0].id, quantity }],
+    proration_behavior: 'always_invoice'
+  });
+}
+
+export const SEAT_CHANGE_ERRORS = {
+  not_a_reduction: { code: 'NOT_A_REDUCTION', message: 'Only a lower seat count can be scheduled; increases apply straight away' },
+  devices_exceed_quantity: { code: 'DEVICES_EXCEED_QUANTITY', message: 'More devices are bound than the new seat count; release some first' },
+  no_scheduled_change: { code: 'NO_SCHEDULED_CHANGE', message: 'No seat reduction is scheduled' }
+};
+
+/**
+ * What a seat change would cost, from Stripe's upcoming invoice. Changes made now are
+ * prorated and invoiced straight away (as updateSubscriptionQuantity does), so the
+ * proration is split from the next invoice; changes at the period end are not prorated.
+ * @param {Object} subscription - Stripe subscription
+ * @param {number} quantity - New seat count
+ * @param {Object} options - { atPeriodEnd, stripe }
+ * @returns {Promise<Object>} - { currentQuantity, quantity, effective, effectiveAt, currency,
+ *                                prorationAmount, nextInvoice: { total, date }, tierInfo, currentTierInfo }
+ */
+export async function previewSeatChange(subscription, quantity, { atPeriodEnd = false, stripe = getStripe() } = {}) {
+  const item = subscription.items.data[0];
+  const now = Math.floor(Date.now() / 1000);
+
+  const upcoming = await stripe.invoices.retrieveUpcoming({
+    customer: idOf(subscription.customer),
+    subscription: subscription.id,
+    subscription_items: [{ id: item.id, quantity }],
+    subscription_proration_behavior: atPeriodEnd ? 'none' : 'always_invoice',
+    subscription_proration_date: now
+  });
+
+  const proration = (upcoming.lines?.data || [])
+    .filter(line => line.proration)
+    .reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    currentQuantity: item.quantity,
+    quantity,
+    effective: atPeriodEnd ? 'period_end' : 'now',
+    effectiveAt: atPeriodEnd ? subscription.current_period_end : now,
+    currency: upcoming.currency,
+    prorationAmount: proration / 100,
+    nextInvoice: {
+      total: (upcoming.total - proration) / 100,
+      date: upcoming.next_payment_attempt || subscription.current_period_end
+    },
+    tierInfo: getTierInfo(quantity),
+    currentTierInfo: getTierInfo(item.quantity)
+  };
+}
+
+/**
+ * The seat reduction waiting for a subscription's period end, if any
+ * @param {string} stripeSubscriptionId
+ * @returns {Promise<Object|null>} - { quantity, effectiveAt (unix seconds), scheduleId }
+ */
+export async function getScheduledSeatReduction(stripeSubscriptionId) {
+  const { rows } = await pool.query(
+    `select scheduled_quantity, extract(epoch from scheduled_for)::bigint as scheduled_for, stripe_schedule_id
+     from subscriptions where stripe_subscription_id = $1 and scheduled_quantity is not null`,
+    [stripeSubscriptionId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    quantity: rows[0].scheduled_quantity,
+    effectiveAt: Number(rows[0].scheduled_for),
+    scheduleId: rows[0].stripe_schedule_id
+  };
+}
+
+// Hold a subscription to the lower seat count before Stripe is asked for it. The account's
+// licences are locked (as bindDevice locks them) only for the count and the write, so no
+// device can bind between the two, and from then on bindDevice holds binds to the new count.
+async function reserveSeatReduction({ accountId, subscription, quantity }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const licenses = await client.query(
+      `SELECT id FROM licenses
+       WHERE account_id = $1 AND COALESCE(status, 'active') <> 'cancelled'
+       FOR UPDATE`,
+      [accountId]
+    );
+    const bound = await client.query(
+      "SELECT COUNT(*)::int AS count FROM device_bindings WHERE license_id = ANY($1) AND status = 'active'",
+      [licenses.rows.map(license => license.id)]
+    );
+    const boundDevices = bound.rows[0].count;
+
+    if (boundDevices > quantity) {
+      await client.query('ROLLBACK');
+      return { error: 'devices_exceed_quantity', boundDevices, quantity };
+    }
+
+    const { rows: [previous] } = await client.query(
+      `select scheduled_quantity, extract(epoch from scheduled_for)::bigint as scheduled_for, stripe_schedule_id
+       from subscriptions where stripe_subscription_id = $1
+       for update`,
+      [subscription.id]
+    );
+
+    await upsertSubscription(client, {
+      accountId,
+      stripeSubscriptionId: subscription.id,
+      quantity: subscription.items.data[0].quantity,
+      status: subscription.status,
+      currentPeriodEnd: subscription.current_period_end
+    });
+    await client.query(
+      `update subscriptions
+       set scheduled_quantity = $2, scheduled_for = to_timestamp($3), updated_at = now()
+       where stripe_subscription_id = $1`,
+      [subscription.id, quantity, subscription.current_period_end]
+    );
+
+    await client.query('COMMIT');
+    return { boundDevices, licenseId: licenses.rows[0]?.id || null, previous: previous || null };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lower a subscription's seats from the end of the current period, through a Stripe
+ * subscription schedule. The new seat count is reserved first (see reserveSeatReduction),
+ * Stripe is called without holding any lock, and a failed Stripe call puts back whatever
+ * was scheduled before. Until the period ends bindDevice holds the account to the lower count.
+ * @param {Object} options - { accountId, subscription (Stripe), quantity, actor, stripe }
+ * @returns {Promise<Object>} - { quantity, effectiveAt, scheduleId, boundDevices } or { error }
+ *                              with a SEAT_CHANGE_ERRORS key
+ */
+export async function scheduleSeatReduction({ accountId, subscription, quantity, actor, stripe = getStripe() }) {
+  const item = subscription.items.data[0];
+  if (quantity >= item.quantity) {
+    return { error: 'not_a_reduction', currentQuantity: item.quantity };
+  }
+
+  const reserved = await reserveSeatReduction({ accountId, subscription, quantity });
+  if (reserved.error) {
+    return reserved;
+  }
+
+  let schedule;
+  try {
+    // Reuse the subscription's schedule if it has one, replacing any earlier reduction
+    schedule = subscription.schedule
+      ? await stripe.subscriptionSchedules.retrieve(idOf(subscription.schedule))
+      : await stripe.subscriptionSchedules.create({ from_subscription: subscription.id });
+    const price = idOf(item.price);
+
+    await stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      proration_behavior: 'none',
+      phases: [
+        {
+          items: [{ price, quantity: item.quantity }],
+          start_date: schedule.current_phase?.start_date || subscription.current_period_start,
+          end_date: subscription.current_period_end
+        },
+        { items: [{ price, quantity }], iterations: 1 }
+      ]
+    });
+  } catch (error) {
+    const { previous } = reserved;
+    await pool.query(
+      `update subscriptions
+       set scheduled_quantity = $2, scheduled_for = to_timestamp($3), stripe_schedule_id = $4, updated_at = now()
+       where stripe_subscription_id = $1`,
+      [subscription.id, previous?.scheduled_quantity ?? null, previous?.scheduled_for ?? null, previous?.stripe_schedule_id ?? null]
+    );
+    throw error;
+  }
+
+  // All three again: a schedule event handled meanwhile may have cleared the reservation
+  await pool.query(
+    `update subscriptions
+     set scheduled_quantity = $2, scheduled_for = to_timestamp($3), stripe_schedule_id = $4, updated_at = now()
+     where stripe_subscription_id = $1`,
+    [subscription.id, quantity, subscription.current_period_end, schedule.id]
+  );
+
+  await pool.query(
+    `insert into audit_log (actor, account_id, license_id, event, context)
+     values ($1, $2, $3, 'seat_reduction_scheduled', $4)`,
+    [actor, accountId, reserved.licenseId, JSON.stringify({
+      subscriptionId: subscription.id,
+      scheduleId: schedule.id,
+      from: item.quantity,
+      to: quantity,
+      effectiveAt: new Date(subscription.current_period_end * 1000).toISOString()
+    })]
+  );
+
+  return { quantity, effectiveAt: subscription.current_period_end, scheduleId: schedule.id, boundDevices: reserved.boundDevices };
+}
+
+/**
+ * Drop a scheduled seat reduction; the subscription carries on at its current seats
+ * @param {Object} options - { accountId, subscription (Stripe), actor, stripe }
+ * @returns {Promise<Object>} - { quantity } (the reduction dropped) or { error: 'no_scheduled_change' }
+ */
+export async function cancelScheduledSeatReduction({ accountId, subscription, actor, stripe = getStripe() }) {
+  const scheduled = await getScheduledSeatReduction(subscription.id);
+  if (!scheduled) {
+    return { error: 'no_scheduled_change' };
+  }
+
+  if (scheduled.scheduleId && idOf(subscription.schedule) === scheduled.scheduleId) {
+    await stripe.subscriptionSchedules.release(scheduled.scheduleId);
+  }
+
+  await pool.query(
+    `update subscriptions
+     set scheduled_quantity = null, scheduled_for = null, stripe_schedule_id = null, updated_at = now()
+     where stripe_subscription_id = $1`,
+    [subscription.id]
+  );
+  await pool.query(
+    `insert into audit_log (actor, account_id, event, context)
+     values ($1, $2, 'seat_reduction_cancelled', $3)`,
+    [actor, accountId, JSON.stringify({ subscriptionId: subscription.id, scheduleId: scheduled.scheduleId, to: scheduled.quantity })]
+  );
+
+  return { quantity: scheduled.quantity };
+}
+
+/**
+ * Cancel a subscription now or at the end of the period
+ * @param {Object} subscription - Stripe subscription
+ * @param {boolean} atPeriodEnd
+ * @returns {Promise<Object>} - Updated Stripe subscription
+ */
+export async function cancelSubscription(subscription, atPeriodEnd = true) {
+  return atPeriodEnd
+    ? getStripe().subscriptions.update(subscription.id, { cancel_at_period_end: true })
+    : getStripe().subscriptions.cancel(subscription.id);
+}
+
+/**
+ * Stripe billing portal session
+ * @param {string} customerId - Stripe customer ID
+ * @param {string} [returnUrl]
+ * @returns {Promise<Object>}
+ */
+export async function createPortalSession(customerId, returnUrl) {
+  return getStripe().billingPortal.sessions.create({
+    customer: customerId,
+    return_url: returnUrl || `${process.env.FRONTEND_ORIGIN}/license-management`
+  });
+}
+
+// ---- Webhook event handlers (run inside the stripe_events transaction) ----
+
+async function writeAudit(db, { accountId, licenseId, event, context = {} }) {
+  await db.query(
+    `insert into audit_log (actor, account_id, license_id, event, context)
+     values ('stripe', $1, $2, $3, $4)`,
+    [accountId || null, licenseId || null, event, context]
+  );
+}
+
+/**
+ * The account a Stripe customer belongs to. Events carrying an email link (or create)
+ * the account by it; the others find the account checkout already linked.
+ * @returns {Promise<Object|null>} - { id, email, name, account_type }
+ */
+async function accountForCustomer(db, stripeCustomerId, email = null) {
+  if (!email && stripeCustomerId) {
+    const linked = await db.query(
+      "SELECT id, email, name, account_type FROM accounts WHERE stripe_customer_id = $1",
+      [stripeCustomerId]
+    );
+    if (linked.rows[0]) {
+      return linked.rows[0];
+    }
+
+    const customer = await getStripe().customers.retrieve(stripeCustomerId);
+    email = customer?.email || null;
+  }
+
+  if (!email) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `insert into accounts (email, stripe_customer_id, role)
+     values ($1, $2, 'user')
+     on conflict (email) do update set
+       stripe_customer_id = coalesce(excluded.stripe_customer_id, accounts.stripe_customer_id)
+     returning id, email, name, account_type`,
+    [email, stripeCustomerId]
+  );
+  return rows[0];
+}
+
+/**
+ * Record a Stripe subscription's seats and status in the subscriptions table
+ * @param {Object} db - Client or pool
+ * @param {Object} subscription - { accountId, stripeSubscriptionId, quantity, status, currentPeriodEnd (unix seconds),
+ *   eventCreated (unix seconds of the subscription event applied, if any) }
+ */
+export async function upsertSubscription(db, { accountId, stripeSubscriptionId, quantity, status, currentPeriodEnd, eventCreated }) {
+  await db.query(
+    `insert into subscriptions (account_id, stripe_subscription_id, quantity, status, current_period_end, last_event_at)
+     values ($1, $2, $3, $4, to_timestamp($5), to_timestamp($6))
+     on conflict (stripe_subscription_id) do update set
+       account_id = excluded.account_id,
+       quantity = coalesce(excluded.quantity, subscriptions.quantity),
+       -- Stripe never brings a canceled subscription back
+       status = case when subscriptions.status = 'canceled' then subscriptions.status else excluded.status end,
+       current_period_end = coalesce(excluded.current_period_end, subscriptions.current_period_end),
+       -- a scheduled reduction is done once Stripe reports the new quantity
+       scheduled_quantity = case when excluded.quantity = subscriptions.scheduled_quantity then null else subscriptions.scheduled_quantity end,
+       scheduled_for = case when excluded.quantity = subscriptions.scheduled_quantity then null else subscriptions.scheduled_for end,
+       stripe_schedule_id = case when excluded.quantity = subscriptions.scheduled_quantity then null else subscriptions.stripe_schedule_id end,
+       last_event_at = greatest(subscriptions.last_event_at, excluded.last_event_at),
+       updated_at = now()`,
+    [accountId, stripeSubscriptionId, quantity, status, currentPeriodEnd ? Math.floor(currentPeriodEnd) : null, eventCreated || null]
+  );
+}
+
+/**
+ * Whether a subscription event is older than one already applied to the subscription.
+ * Stripe doesn't deliver in order, and a retry or replay can arrive long after a newer
+ * update; applying it would roll the quantity or status back. Locks the row until commit.
+ * @param {Object} db - Transaction client
+ * @param {Object} event - Stripe event
+ * @returns {Promise<boolean>}
+ */
+async function isStaleSubscriptionEvent(db, event) {
+  const { rows } = await db.query(
+    `select last_event_at > to_timestamp($2) as stale
+     from subscriptions where stripe_subscription_id = $1
+     for update`,
+    [event.data.object.id, event.created]
+  );
+  return rows[0]?.stale === true;
+}
+
+/**
+ * The stored subscription an invoice event is for, locked until commit: its status, seats
+ * and whether a subscription event newer than this invoice event has been applied to it
+ * @param {Object} db - Transaction client
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {Object} event - Stripe event
+ * @returns {Promise<Object|null>} - { status, quantity, stale }
+ */
+async function lockInvoiceSubscription(db, subscriptionId, event) {
+  const { rows } = await db.query(
+    `select status, quantity, coalesce(last_event_at > to_timestamp($2), false) as stale
+     from subscriptions where stripe_subscription_id = $1
+     for update`,
+    [subscriptionId, event.created]
+  );
+  return rows[0] || null;
+}
+
+// Whether a later invoice event for the subscription has already been applied
+async function hasNewerInvoiceEvent(db, subscriptionId, event) {
+  const { rows } = await db.query(
+    `select 1 from stripe_events
+     where status = 'processed' and id <> $1
+       and type in ('invoice.payment_succeeded', 'invoice.payment_failed')
+       and payload->'data'->'object'->>'subscription' = $2
+       and stripe_created_at > to_timestamp($3)
+     limit 1`,
+    [event.id, subscriptionId, event.created]
+  );
+  return rows.length > 0;
+}
+
+// Queue the first agent build for a new licence
+async function queueFirstBuild(db, license) {
+  const existing = await db.query("SELECT id FROM builds WHERE license_id = $1 LIMIT 1", [license.id]);
+  if (existing.rows.length > 0) {
+    return;
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO builds (license_id, account_id, status, tag)
+     VALUES ($1, $2, 'queued', $3)
+     RETURNING tag`,
+    [license.id, license.account_id, `license-${license.id}-${Date.now()}`]
+  );
+  console.log(`🏗️ New build queued for license ${license.id}: ${rows[0].tag}`);
+}
+
+async function handleCheckoutCompleted(event, { db }) {
+  // Links the Stripe customer to an account; the licence waits for the first payment
+  const session = event.data.object;
+  const email =
+    session?.customer_details?.email ||
+    session?.customer_email ||
+    session?.metadata?.email ||
+    null;
+  const stripeCustomerId = idOf(session.customer);
+  const subscriptionId = idOf(session.subscription);
+
+  if (!email || !stripeCustomerId) {
+    await writeAudit(db, {
+      event: "CHECKOUT_COMPLETED_MISSING_FIELDS",
+      context: { email, stripeCustomerId, subscriptionId }
+    });
+    return;
+  }
+
+  const account = await accountForCustomer(db, stripeCustomerId, email);
+
+  await writeAudit(db, {
+    accountId: account.id,
+    event: "CHECKOUT_COMPLETED_ACCOUNT_CREATED",
+    context: { subscriptionId, email }
+  });
+}
+
+async function handleSubscriptionChanged(event, { db }) {
+  const sub = event.data.object;
+
+  if (await isStaleSubscriptionEvent(db, event)) {
+    await writeAudit(db, {
+      event: event.type.toUpperCase() + "_STALE",
+      context: { subscriptionId: sub.id, stripeEventId: event.id, seats: subscriptionSeats(sub), status: sub.status }
+    });
+    return;
+  }
+
+  const account = await accountForCustomer(db, idOf(sub.customer));
+
+  if (!account) {
+    await writeAudit(db, {
+      event: "SUBSCRIPTION_NO_ACCOUNT",
+      context: { subscriptionId: sub.id, stripeCustomerId: idOf(sub.customer) }
+    });
+    return;
+  }
+
+  const seats = subscriptionSeats(sub);
+
+  await upsertSubscription(db, {
+    accountId: account.id,
+    stripeSubscriptionId: sub.id,
+    quantity: seats,
+    status: sub.status,
+    currentPeriodEnd: sub.current_period_end,
+    eventCreated: event.created
+  });
+
+  // Subscribed again: a cancelled licence only comes back with a live subscription
+  if (['active', 'trialing'].includes(sub.status)) {
+    await reactivateLicenses(db, account.id, {
+      from: ['cancelled'],
+      context: { subscriptionId: sub.id, stripeEventId: event.id }
+    });
+  }
+
+  // Seat changes reach an existing licence straight away; a new one waits for payment.
+  // A partner's quantity is its customers' total, allocated per customer instead.
+  let mirrored = null;
+  if (account.account_type !== 'partner' && LIVE_SUBSCRIPTION_STATUSES.includes(sub.status)) {
+    mirrored = await mirrorSubscriptionToLicense(account.id, seats, {
+      db,
+      createIfMissing: false,
+      context: { subscriptionId: sub.id, stripeEventId: event.id }
+    });
+  }
+
+  await writeAudit(db, {
+    accountId: account.id,
+    licenseId: mirrored?.license?.id,
+    event: event.type.toUpperCase() + (mirrored?.license ? "_LICENSE_MIRRORED" : "_NO_LICENSE"),
+    context: { subscriptionId: sub.id, seats, status: sub.status }
+  });
+}
+
+async function handlePaymentSucceeded(event, { db, afterCommit }) {
+  // The first paid invoice creates the licence
+  const invoice = event.data.object;
+  const stripeCustomerId = idOf(invoice.customer);
+  const subscriptionId = idOf(invoice.subscription);
+
+  if (!stripeCustomerId || !subscriptionId) {
+    await writeAudit(db, {
+      event: "PAYMENT_SUCCEEDED_MISSING_FIELDS",
+      context: { stripeCustomerId, subscriptionId }
+    });
+    return;
+  }
+
+  const account = await accountForCustomer(db, stripeCustomerId, invoice.customer_email || null);
+  if (!account) {
+    await writeAudit(db, {
+      event: "PAYMENT_SUCCEEDED_NO_EMAIL",
+      context: { stripeCustomerId, subscriptionId }
+    });
+    return;
+  }
+
+  // Retries, replays and late redeliveries can bring an old invoice: it never revives a
+  // canceled subscription, and after a newer subscription event it only creates a missing licence
+  const stored = await lockInvoiceSubscription(db, subscriptionId, event);
+  const stale = stored?.stale === true;
+  const licensed = stale &&
+    (await db.query("SELECT 1 FROM licenses WHERE account_id = $1 LIMIT 1", [account.id])).rows.length > 0;
+
+  if (stored?.status === 'canceled' || (stale && (licensed || account.account_type === 'partner'))) {
+    await writeAudit(db, {
+      accountId: account.id,
+      event: "PAYMENT_SUCCEEDED_STALE",
+      context: { subscriptionId, invoiceId: invoice.id, stripeEventId: event.id, subscriptionStatus: stored.status }
+    });
+    return;
+  }
+
+  // Seats from the invoice; a proration-only invoice falls back to what we know of the subscription
+  let seats = stale ? stored.quantity : invoiceSeats(invoice);
+  let currentPeriodEnd = stale ? null : (invoice.lines?.data || []).find(l => l.type === 'subscription' && !l.proration)?.period?.end;
+  if (seats === null) {
+    seats = stored?.quantity ?? null;
+  }
+  if (seats === null) {
+    const sub = await getStripe().subscriptions.retrieve(subscriptionId);
+    seats = subscriptionSeats(sub);
+    currentPeriodEnd = sub.current_period_end;
+  }
+
+  await upsertSubscription(db, {
+    accountId: account.id,
+    stripeSubscriptionId: subscriptionId,
+    quantity: seats,
+    status: stale ? stored.status : 'active',
+    currentPeriodEnd
+  });
+
+  // Paid again: anything past due or suspended works again (a partner's customers too)
+  if (!stale) {
+    await reactivateLicenses(db, account.id, {
+      context: { subscriptionId, invoiceId: invoice.id, stripeEventId: event.id }
+    });
+  }
+
+  if (account.account_type === 'partner') {
+    await writeAudit(db, {
+      accountId: account.id,
+      event: "PAYMENT_SUCCEEDED_PARTNER",
+      context: { subscriptionId, seats, invoiceId: invoice.id }
+    });
+    return;
+  }
+
+  const { license, created } = await mirrorSubscriptionToLicense(account.id, seats, {
+    db,
+    context: { subscriptionId, invoiceId: invoice.id, stripeEventId: event.id }
+  });
+
+  if (created) {
+    await queueFirstBuild(db, license);
+  }
+
+  await writeAudit(db, {
+    accountId: account.id,
+    licenseId: license.id,
+    event: created ? "PAYMENT_SUCCEEDED_LICENSE_CREATED" : "PAYMENT_SUCCEEDED",
+    context: { subscriptionId, seats, invoiceId: invoice.id }
+  });
+
+  const customerName = account.name || account.email.split('@')[0];
+
+  // Emails only go out once the licence is committed; a failed send doesn't fail the event
+  if (created) {
+    afterCommit(async () => {
+      await sendWelcomeEmail({
+        to: account.email,
+        customerName,
+        licenseKey: license.license_key,
+        downloadUrl: `${process.env.FRONTEND_ORIGIN || 'https://syncsure.cloud'}/dashboard`,
+        maxDevices: license.device_count
+      });
+      console.log(`[email] Welcome email sent to ${account.email} for license ${license.license_key}`);
+    });
+  }
+
+  afterCommit(async () => {
+    await sendPaymentConfirmationEmail({
+      to: account.email,
+      customerName,
+      amount: (invoice.amount_paid / 100).toFixed(2),
+      invoiceId: invoice.id,
+      nextBilling: currentPeriodEnd ? new Date(currentPeriodEnd * 1000).toLocaleDateString() : null
+    });
+    console.log(`[email] Payment confirmation sent to ${account.email} for invoice ${invoice.id}`);
+  });
+}
+
+async function handlePaymentFailed(event, { db }) {
+  // The licence enters its grace period; the worker sends the reminders and suspends it after
+  const invoice = event.data.object;
+  const stripeCustomerId = idOf(invoice.customer);
+  const subscriptionId = idOf(invoice.subscription);
+
+  if (!stripeCustomerId || !subscriptionId) {
+    await writeAudit(db, {
+      event: "PAYMENT_FAILED_MISSING_FIELDS",
+      context: { stripeCustomerId, subscriptionId, invoiceId: invoice.id }
+    });
+    return;
+  }
+
+  // Nothing to hold back for a customer we never linked to an account
+  const { rows: [account] } = await db.query(
+    "select id from accounts where stripe_customer_id = $1 limit 1",
+    [stripeCustomerId]
+  );
+  if (!account) {
+    await writeAudit(db, {
+      event: "PAYMENT_FAILED_NO_ACCOUNT",
+      context: { stripeCustomerId, subscriptionId, invoiceId: invoice.id }
+    });
+    return;
+  }
+
+  // Already paid, or out of order: a retry or replay of an earlier attempt's failure
+  // mustn't put a paying account back into dunning
+  const stored = await lockInvoiceSubscription(db, subscriptionId, event);
+  const outdated =
+    invoice.status === 'paid' ||
+    stored?.status === 'canceled' ||
+    (stored?.stale && stored.status === 'active') ||
+    await hasNewerInvoiceEvent(db, subscriptionId, event);
+
+  if (outdated) {
+    await writeAudit(db, {
+      accountId: account.id,
+      event: "PAYMENT_FAILED_STALE",
+      context: { subscriptionId, invoiceId: invoice.id, stripeEventId: event.id, invoiceStatus: invoice.status, subscriptionStatus: stored?.status }
+    });
+    return;
+  }
+
+  await db.query(
+    `update subscriptions set status = 'past_due', updated_at = now()
+     where stripe_subscription_id = $1 and status <> 'canceled'`,
+    [subscriptionId]
+  );
+
+  const licenses = await markLicensesPastDue(db, account.id, {
+    context: { subscriptionId, invoiceId: invoice.id, attemptCount: invoice.attempt_count, stripeEventId: event.id }
+  });
+
+  await writeAudit(db, {
+    accountId: account.id,
+    event: "PAYMENT_FAILED",
+    context: { subscriptionId, invoiceId: invoice.id, attemptCount: invoice.attempt_count, licensesPastDue: licenses.length }
+  });
+}
+
+async function handleSubscriptionDeleted(event, { db }) {
+  const sub = event.data.object;
+
+  if (await isStaleSubscriptionEvent(db, event)) {
+    await writeAudit(db, {
+      event: "CUSTOMER_SUBSCRIPTION_DELETED_STALE",
+      context: { subscriptionId: sub.id, stripeEventId: event.id }
+    });
+    return;
+  }
+
+  await db.query(
+    `update subscriptions set status = 'canceled', current_period_end = to_timestamp($1),
+       last_event_at = greatest(last_event_at, to_timestamp($3)), updated_at = now()
+     where stripe_subscription_id = $2`,
+    [sub.current_period_end || sub.canceled_at || null, sub.id, event.created || null]
+  );
+
+  const account = await db.query(
+    "select id from accounts where stripe_customer_id = $1 limit 1",
+    [idOf(sub.customer)]
+  );
+  const accountId = account.rows[0]?.id;
+
+  // The licence goes with the subscription, unless another live one still pays for it
+  let cancelled = [];
+  if (accountId) {
+    const live = await db.query(
+      "select 1 from subscriptions where account_id = $1 and status = any($2) limit 1",
+      [accountId, LIVE_SUBSCRIPTION_STATUSES]
+    );
+    if (live.rows.length === 0) {
+      cancelled = await cancelLicenses(db, accountId, {
+        context: { subscriptionId: sub.id, stripeEventId: event.id }
+      });
+    }
+  }
+
+  await writeAudit(db, {
+    accountId,
+    event: "CUSTOMER_SUBSCRIPTION_DELETED",
+    context: { subscriptionId: sub.id, licensesCancelled: cancelled.length }
+  });
+}
+
+async function handleScheduleEnded(event, { db }) {
+  // Released or cancelled in Stripe (the dashboard, or at the end of its last phase): the
+  // reduction it carried won't happen, so stop holding binds to it
+  const schedule = event.data.object;
+
+  const { rows } = await db.query(
+    `update subscriptions
+     set scheduled_quantity = null, scheduled_for = null, stripe_schedule_id = null, updated_at = now()
+     where stripe_schedule_id = $1
+     returning account_id, stripe_subscription_id`,
+    [schedule.id]
+  );
+
+  await writeAudit(db, {
+    accountId: rows[0]?.account_id,
+    event: event.type.toUpperCase(),
+    context: { scheduleId: schedule.id, subscriptionId: rows[0]?.stripe_subscription_id || idOf(schedule.subscription), cleared: rows.length > 0 }
+  });
+}
+
+const HANDLERS = {
+  "checkout.session.completed": handleCheckoutCompleted,
+  "invoice.payment_succeeded": handlePaymentSucceeded,
+  "invoice.payment_failed": handlePaymentFailed,
+  "customer.subscription.created": handleSubscriptionChanged,
+  "customer.subscription.updated": handleSubscriptionChanged,
+  "customer.subscription.deleted": handleSubscriptionDeleted,
+  "subscription_schedule.released": handleScheduleEnded,
+  "subscription_schedule.canceled": handleScheduleEnded
+};
+
+/**
+ * Whether an event type changes anything here (others are recorded and acknowledged)
+ * @param {string} type - Stripe event type
+ * @returns {boolean}
+ */
+export function isHandledEventType(type) {
+  return type in HANDLERS;
+}
+
+/**
+ * Apply one Stripe event
+ * @param {Object} event - Stripe event as received
+ * @param {Object} context - { db (client inside the event's transaction), afterCommit(fn) }
+ * @returns {Promise<boolean>} - Whether the event type has a handler
+ */
+export async function handleStripeEvent(event, context) {
+  const handler = HANDLERS[event.type];
+  if (!handler) {
+    return false;
+  }
+
+  await handler(event, context);
+  return true;
+}
+
+export default {
+  LIVE_SUBSCRIPTION_STATUSES,
+  getStripe,
+  getTierInfo,
+  findStripeCustomer,
+  findActiveSubscription,
+  createCheckoutSession,
+  updateSubscriptionQuantity,
+  previewSeatChange,
+  getScheduledSeatReduction,
+  scheduleSeatReduction,
+  cancelScheduledSeatReduction,
+  cancelSubscription,
+  createPortalSession,
+  upsertSubscription,
+  isHandledEventType,
+  handleStripeEvent
+};
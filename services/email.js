@@ -168,6 +168,228 @@ const templates = {
       </body>
       </html>
     `
+  },
+
+  passwordReset: {
+    subject: "Reset your SyncSure password",
+    getHtml: ({ customerName, resetUrl, expiresMinutes }) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Reset your password</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+          .action-btn { display: inline-block; background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>🔑 Password Reset</h1>
+        </div>
+        <div class="content">
+          <p>Hi ${customerName || 'there'},</p>
+          
+          <p>We received a request to reset the password for your SyncSure account. Use the button below to choose a new one.</p>
+          
+          <div style="text-align: center;">
+            <a href="${resetUrl}" class="action-btn">Reset Password</a>
+          </div>
+          
+          <p>This link can be used once and expires in ${expiresMinutes} minutes. Resetting your password signs you out of all dashboard sessions.</p>
+          
+          <p>If you didn't request this, you can ignore this email — your password won't change.</p>
+          
+          <p>Best regards,<br/>
+          The SyncSure Team</p>
+        </div>
+        <div class="footer">
+          <p>SyncSure - Professional OneDrive Monitoring for MSPs</p>
+        </div>
+      </body>
+      </html>
+    `
+  },
+
+  emailVerification: {
+    subject: "Verify your SyncSure email address",
+    getHtml: ({ customerName, verifyUrl, expiresHours }) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Verify your email</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #059669; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #f0fdf4; padding: 30px; border-radius: 0 0 8px 8px; }
+          .action-btn { display: inline-block; background: #059669; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>✉️ Confirm Your Email</h1>
+        </div>
+        <div class="content">
+          <p>Hi ${customerName || 'there'},</p>
+          
+          <p>Thanks for signing up to SyncSure. Please confirm this is your email address to unlock purchasing, alerts and webhooks.</p>
+          
+          <div style="text-align: center;">
+            <a href="${verifyUrl}" class="action-btn">Verify Email</a>
+          </div>
+          
+          <p>This link expires in ${expiresHours} hours. You can request a new one from the dashboard.</p>
+          
+          <p>Best regards,<br/>
+          The SyncSure Team</p>
+        </div>
+        <div class="footer">
+          <p>SyncSure - Professional OneDrive Monitoring for MSPs</p>
+        </div>
+      </body>
+      </html>
+    `
+  },
+
+  organizationInvite: {
+    subject: "You've been invited to a SyncSure organisation",
+    getHtml: ({ organizationName, inviterEmail, roleLabel, inviteUrl, expiresDays }) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>SyncSure invitation</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #eff6ff; padding: 30px; border-radius: 0 0 8px 8px; }
+          .action-btn { display: inline-block; background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>👥 You're Invited</h1>
+        </div>
+        <div class="content">
+          <p>Hi there,</p>
+          
+          <p>${inviterEmail} has invited you to join <strong>${organizationName}</strong> on SyncSure as <strong>${roleLabel}</strong>.</p>
+          
+          <div style="text-align: center;">
+            <a href="${inviteUrl}" class="action-btn">Accept Invitation</a>
+          </div>
+          
+          <p>Sign in, or create a SyncSure account with this email address, to accept. This link expires in ${expiresDays} days.</p>
+          
+          <p>If you weren't expecting this, you can ignore this email.</p>
+          
+          <p>Best regards,<br/>
+          The SyncSure Team</p>
+        </div>
+        <div class="footer">
+          <p>SyncSure - Professional OneDrive Monitoring for MSPs</p>
+        </div>
+      </body>
+      </html>
+    `
+  },
+
+  paymentFailed: {
+    subject: "Action needed: your SyncSure payment failed",
+    getHtml: ({ customerName, reminder, reminders, daysLeft, graceEndsAt, updateUrl }) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Payment failed</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #d97706; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #fffbeb; padding: 30px; border-radius: 0 0 8px 8px; }
+          .action-btn { display: inline-block; background: #d97706; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>⚠️ Payment Failed</h1>
+          <p>Reminder ${reminder} of ${reminders}</p>
+        </div>
+        <div class="content">
+          <p>Hi ${customerName || 'there'},</p>
+          
+          <p>We couldn't take the latest payment for your SyncSure subscription. Your devices are still monitored, but no new devices can be added until it's paid.</p>
+          
+          <p><strong>Monitoring will be suspended on ${graceEndsAt}</strong> (${daysLeft} day${daysLeft === 1 ? '' : 's'} from now) unless the payment goes through.</p>
+          
+          <div style="text-align: center;">
+            <a href="${updateUrl}" class="action-btn">Update Payment Details</a>
+          </div>
+          
+          <p>Once the payment succeeds your licence is restored automatically.</p>
+          
+          <p>Best regards,<br/>
+          The SyncSure Team</p>
+        </div>
+        <div class="footer">
+          <p>SyncSure - Professional OneDrive Monitoring for MSPs</p>
+        </div>
+      </body>
+      </html>
+    `
+  },
+
+  licenseSuspended: {
+    subject: "Your SyncSure licence has been suspended",
+    getHtml: ({ customerName, updateUrl }) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Licence suspended</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #dc2626; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background: #fef2f2; padding: 30px; border-radius: 0 0 8px 8px; }
+          .action-btn { display: inline-block; background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>⛔ Licence Suspended</h1>
+        </div>
+        <div class="content">
+          <p>Hi ${customerName || 'there'},</p>
+          
+          <p>Your SyncSure payment is still outstanding, so your licence has been suspended and your devices have stopped reporting.</p>
+          
+          <p>Your devices stay registered. As soon as the payment goes through, monitoring resumes on its own.</p>
+          
+          <div style="text-align: center;">
+            <a href="${updateUrl}" class="action-btn">Pay Now</a>
+          </div>
+          
+          <p>Best regards,<br/>
+          The SyncSure Team</p>
+        </div>
+        <div class="footer">
+          <p>SyncSure - Professional OneDrive Monitoring for MSPs</p>
+        </div>
+      </body>
+      </html>
+    `
   }
 };
 
@@ -204,6 +426,61 @@ export async function sendPaymentConfirmationEmail({ to, customerName, amount, i
   });
 }
 
+/**
+ * Send password reset link
+ */
+export async function sendPasswordResetEmail({ to, customerName, resetUrl, expiresMinutes }) {
+  return await sendEmail({
+    to,
+    template: 'passwordReset',
+    data: { customerName, resetUrl, expiresMinutes }
+  });
+}
+
+/**
+ * Send email verification link
+ */
+export async function sendEmailVerificationEmail({ to, customerName, verifyUrl, expiresHours }) {
+  return await sendEmail({
+    to,
+    template: 'emailVerification',
+    data: { customerName, verifyUrl, expiresHours }
+  });
+}
+
+/**
+ * Send an organisation invitation
+ */
+export async function sendOrganizationInviteEmail({ to, organizationName, inviterEmail, roleLabel, inviteUrl, expiresDays }) {
+  return await sendEmail({
+    to,
+    template: 'organizationInvite',
+    data: { organizationName, inviterEmail, roleLabel, inviteUrl, expiresDays }
+  });
+}
+
+/**
+ * Send a dunning reminder after a failed payment
+ */
+export async function sendPaymentFailedEmail({ to, customerName, reminder, reminders, daysLeft, graceEndsAt, updateUrl }) {
+  return await sendEmail({
+    to,
+    template: 'paymentFailed',
+    data: { customerName, reminder, reminders, daysLeft, graceEndsAt, updateUrl }
+  });
+}
+
+/**
+ * Tell a customer their licence was suspended for non-payment
+ */
+export async function sendLicenseSuspendedEmail({ to, customerName, updateUrl }) {
+  return await sendEmail({
+    to,
+    template: 'licenseSuspended',
+    data: { customerName, updateUrl }
+  });
+}
+
 /**
  * Generic email sending function with custom sender addresses
  */
@@ -260,6 +537,11 @@ function getSenderAddress(template) {
     case 'welcome':
     case 'paymentConfirmation':
     case 'buildComplete':
+    case 'passwordReset':
+    case 'emailVerification':
+    case 'organizationInvite':
+    case 'paymentFailed':
+    case 'licenseSuspended':
       return "SyncSure Accounts <accounts@syncsure.cloud>";
     case 'deviceAlert':
     case 'systemAlert':
@@ -94,3 +94,458 @@ CREATE TRIGGER trg_builds_updated_at
 BEFORE UPDATE ON builds
 FOR EACH ROW
 EXECUTE FUNCTION set_updated_at();
+
+-- Agent command queue (queued by operators, delivered on heartbeat, acknowledged by the agent)
+CREATE TABLE IF NOT EXISTS agent_commands (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_id uuid NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  device_id text NOT NULL,
+  command_type text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  result jsonb,
+  created_by text NOT NULL,
+  expires_at timestamptz,
+  delivered_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS agent_commands_device_status_idx ON agent_commands(license_id, device_id, status);
+CREATE INDEX IF NOT EXISTS agent_commands_created_at_idx ON agent_commands(created_at);
+
+DROP TRIGGER IF EXISTS trg_agent_commands_updated_at ON agent_commands;
+CREATE TRIGGER trg_agent_commands_updated_at
+BEFORE UPDATE ON agent_commands
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+-- Agent release catalogue (served by GET /api/agent/latest)
+CREATE TABLE IF NOT EXISTS agent_releases (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  version text NOT NULL UNIQUE,
+  release_notes text,
+  status text NOT NULL DEFAULT 'draft',
+  build_id uuid REFERENCES builds(id) ON DELETE SET NULL,
+  published_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS agent_release_assets (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  release_id uuid NOT NULL REFERENCES agent_releases(id) ON DELETE CASCADE,
+  arch text NOT NULL,
+  download_url text NOT NULL,
+  sha256 text NOT NULL,
+  size_bytes bigint,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (release_id, arch)
+);
+
+CREATE INDEX IF NOT EXISTS agent_releases_status_idx ON agent_releases(status);
+
+DROP TRIGGER IF EXISTS trg_agent_releases_updated_at ON agent_releases;
+CREATE TRIGGER trg_agent_releases_updated_at
+BEFORE UPDATE ON agent_releases
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+-- Staged rollout rings: percentage of each ring offered a release.
+-- Existing releases default to full rollout; new ones start at canary only.
+ALTER TABLE agent_releases
+  ADD COLUMN IF NOT EXISTS rollout jsonb NOT NULL DEFAULT '{"canary": 100, "early": 100, "general": 100}'::jsonb;
+
+-- Device health state, moved online -> stale -> offline by the worker. Bindings that exist
+-- when the columns are added start from their last heartbeat (default DEVICE_STALE_MINUTES
+-- and DEVICE_OFFLINE_MINUTES), so the first worker tick doesn't alert for every dead device.
+DO $migrate$
+BEGIN
+  IF to_regclass('device_bindings') IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'device_bindings' AND column_name = 'health_state'
+  ) THEN
+    ALTER TABLE device_bindings
+      ADD COLUMN health_state text,
+      ADD COLUMN health_changed_at timestamptz;
+
+    UPDATE device_bindings
+    SET health_state = CASE
+          WHEN last_heartbeat IS NULL OR last_heartbeat < NOW() - INTERVAL '30 minutes' THEN 'offline'
+          WHEN last_heartbeat < NOW() - INTERVAL '5 minutes' THEN 'stale'
+          ELSE 'online'
+        END,
+        health_changed_at = COALESCE(last_heartbeat, NOW());
+
+    ALTER TABLE device_bindings
+      ALTER COLUMN health_state SET DEFAULT 'online',
+      ALTER COLUMN health_state SET NOT NULL,
+      ALTER COLUMN health_changed_at SET DEFAULT now();
+  END IF;
+END
+$migrate$;
+
+-- Alert notifications (sent, suppressed or failed), used for de-duplication and rate limiting
+CREATE TABLE IF NOT EXISTS alert_notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id uuid REFERENCES accounts(id) ON DELETE CASCADE,
+  license_id uuid REFERENCES licenses(id) ON DELETE CASCADE,
+  device_id text,
+  alert_type text NOT NULL,
+  channel text NOT NULL DEFAULT 'email',
+  recipient text,
+  status text NOT NULL,
+  context jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS alert_notifications_device_idx ON alert_notifications(license_id, device_id, alert_type, created_at);
+CREATE INDEX IF NOT EXISTS alert_notifications_account_idx ON alert_notifications(account_id, created_at);
+
+-- Per-account alerting rules and notification preferences
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  event_type text NOT NULL,
+  channel text NOT NULL DEFAULT 'email',
+  target text NOT NULL,
+  webhook_format text,
+  threshold numeric,
+  quiet_hours_start text,
+  quiet_hours_end text,
+  timezone text NOT NULL DEFAULT 'UTC',
+  enabled boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS alert_rules_account_event_idx ON alert_rules(account_id, event_type);
+
+DROP TRIGGER IF EXISTS trg_alert_rules_updated_at ON alert_rules;
+CREATE TRIGGER trg_alert_rules_updated_at
+BEFORE UPDATE ON alert_rules
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+ALTER TABLE alert_notifications
+  ADD COLUMN IF NOT EXISTS rule_id uuid REFERENCES alert_rules(id) ON DELETE SET NULL;
+
+-- Outbound customer webhooks fed from audit_log
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  url text NOT NULL,
+  secret text NOT NULL,
+  events text[] NOT NULL DEFAULT '{}',
+  description text,
+  enabled boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_endpoints_account_idx ON webhook_endpoints(account_id);
+
+DROP TRIGGER IF EXISTS trg_webhook_endpoints_updated_at ON webhook_endpoints;
+CREATE TRIGGER trg_webhook_endpoints_updated_at
+BEFORE UPDATE ON webhook_endpoints
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  endpoint_id uuid NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  account_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  audit_log_id uuid REFERENCES audit_log(id) ON DELETE SET NULL,
+  event text NOT NULL,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz DEFAULT now(),
+  response_status integer,
+  response_body text,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE(endpoint_id, audit_log_id)
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_account_idx ON webhook_deliveries(account_id, created_at);
+
+DROP TRIGGER IF EXISTS trg_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER trg_webhook_deliveries_updated_at
+BEFORE UPDATE ON webhook_deliveries
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+-- OneDrive sync-health telemetry: raw heartbeat samples and hourly rollups
+CREATE TABLE IF NOT EXISTS device_telemetry (
+  id bigserial PRIMARY KEY,
+  license_id uuid NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  device_id text NOT NULL,
+  recorded_at timestamptz NOT NULL DEFAULT now(),
+  schema_version integer NOT NULL,
+  onedrive_state text,
+  pending_files integer,
+  sync_errors integer,
+  last_successful_sync timestamptz,
+  free_disk_bytes bigint,
+  raw jsonb
+);
+
+CREATE INDEX IF NOT EXISTS device_telemetry_device_time_idx ON device_telemetry(license_id, device_id, recorded_at);
+CREATE INDEX IF NOT EXISTS device_telemetry_recorded_at_idx ON device_telemetry(recorded_at);
+
+CREATE TABLE IF NOT EXISTS device_telemetry_hourly (
+  license_id uuid NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  device_id text NOT NULL,
+  bucket timestamptz NOT NULL,
+  samples integer NOT NULL,
+  avg_pending_files numeric,
+  max_pending_files integer,
+  max_sync_errors integer,
+  min_free_disk_bytes bigint,
+  last_onedrive_state text,
+  last_successful_sync timestamptz,
+  PRIMARY KEY (license_id, device_id, bucket)
+);
+
+CREATE INDEX IF NOT EXISTS device_telemetry_hourly_bucket_idx ON device_telemetry_hourly(bucket);
+
+-- Device binding release (unbind, transfer, auto-release of silent devices)
+ALTER TABLE IF EXISTS device_bindings
+  ADD COLUMN IF NOT EXISTS released_at timestamptz,
+  ADD COLUMN IF NOT EXISTS release_reason text;
+
+-- Idempotency keys for agent bind retries
+CREATE TABLE IF NOT EXISTS bind_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_id uuid NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  idempotency_key text NOT NULL,
+  device_id text NOT NULL,
+  result jsonb NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(license_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS bind_requests_created_at_idx ON bind_requests(created_at);
+
+-- Email verification; accounts that predate it (and Stripe-provisioned ones) count as verified,
+-- /api/auth/register inserts false
+ALTER TABLE IF EXISTS accounts
+  ADD COLUMN IF NOT EXISTS email_verified boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS email_verified_at timestamptz;
+
+-- Single-use tokens for password reset and email verification (only the SHA-256 is stored)
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  purpose text NOT NULL,
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  requested_ip text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS auth_tokens_account_idx ON auth_tokens(account_id, purpose, created_at);
+
+-- TOTP two-factor authentication (enabled once totp_secret is set)
+ALTER TABLE IF EXISTS accounts
+  ADD COLUMN IF NOT EXISTS totp_secret text,
+  ADD COLUMN IF NOT EXISTS totp_pending_secret text,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at timestamptz,
+  ADD COLUMN IF NOT EXISTS totp_last_step bigint,
+  ADD COLUMN IF NOT EXISTS two_factor_required boolean NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(account_id, code_hash)
+);
+
+-- Password accepted, second factor pending; a session is only created once this is redeemed
+CREATE TABLE IF NOT EXISTS login_challenges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  attempts integer NOT NULL DEFAULT 0,
+  used_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS login_challenges_account_idx ON login_challenges(account_id);
+
+-- Access tokens (JWTs) issued before this are rejected; set on password reset and forced 2FA
+ALTER TABLE IF EXISTS accounts ADD COLUMN IF NOT EXISTS tokens_revoked_at timestamptz;
+
+-- Organisations: the account that owns the licence and subscription is the organisation.
+-- Its own login is always the owner; other accounts join by invite with one of
+-- owner, billing, technician or read_only (permissions live in utils/organizations.js)
+CREATE TABLE IF NOT EXISTS organization_members (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  account_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  role text NOT NULL CHECK (role IN ('owner', 'billing', 'technician', 'read_only')),
+  invited_by text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE(organization_id, account_id),
+  CHECK (organization_id <> account_id)
+);
+
+CREATE INDEX IF NOT EXISTS organization_members_account_idx ON organization_members(account_id);
+
+-- Pending invitations (only the SHA-256 of the emailed token is stored)
+CREATE TABLE IF NOT EXISTS organization_invites (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  email text NOT NULL,
+  role text NOT NULL CHECK (role IN ('owner', 'billing', 'technician', 'read_only')),
+  token_hash text NOT NULL UNIQUE,
+  invited_by text NOT NULL,
+  expires_at timestamptz NOT NULL,
+  accepted_at timestamptz,
+  accepted_by uuid REFERENCES accounts(id) ON DELETE SET NULL,
+  revoked_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS organization_invites_org_idx ON organization_invites(organization_id, created_at);
+
+-- MSP partners: a partner account owns child customer accounts (one licence each) and
+-- pays for all of their seats on its own Stripe subscription
+ALTER TABLE IF EXISTS accounts
+  ADD COLUMN IF NOT EXISTS account_type text NOT NULL DEFAULT 'customer',
+  ADD COLUMN IF NOT EXISTS partner_account_id uuid REFERENCES accounts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS accounts_partner_account_idx ON accounts(partner_account_id);
+
+-- Admin API keys for automation (only the SHA-256 of the key is stored; admins
+-- signed in with accounts.role = 'admin' don't need one)
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  key_prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  scopes text[] NOT NULL,
+  created_by text NOT NULL,
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Customer API keys: read-only, scoped access to an organisation's data for scripts
+-- (only the SHA-256 of the key is stored)
+CREATE TABLE IF NOT EXISTS customer_api_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  key_prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  scopes text[] NOT NULL,
+  created_by text NOT NULL,
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS customer_api_keys_org_idx ON customer_api_keys(organization_id, created_at);
+
+-- Stripe webhook ledger: every event received, keyed by Stripe's event ID, so retried
+-- deliveries are applied once; failed events are retried by the worker (utils/stripeEvents.js)
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id text PRIMARY KEY,
+  type text NOT NULL,
+  livemode boolean NOT NULL DEFAULT false,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz DEFAULT now(),
+  last_error text,
+  stripe_created_at timestamptz,
+  received_at timestamptz DEFAULT now(),
+  processed_at timestamptz,
+  replayed_by text,
+  replayed_at timestamptz,
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS stripe_events_due_idx ON stripe_events(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS stripe_events_type_idx ON stripe_events(type, received_at);
+
+DROP TRIGGER IF EXISTS trg_stripe_events_updated_at ON stripe_events;
+CREATE TRIGGER trg_stripe_events_updated_at
+BEFORE UPDATE ON stripe_events
+FOR EACH ROW
+EXECUTE FUNCTION set_updated_at();
+
+-- Subscriptions are per device: quantity is the seat count mirrored to the licence
+-- (services/billing.js). blocks is only kept for rows written before it.
+ALTER TABLE IF EXISTS subscriptions
+  ADD COLUMN IF NOT EXISTS quantity integer,
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+ALTER TABLE IF EXISTS subscriptions ALTER COLUMN blocks DROP NOT NULL;
+
+-- Stripe reconciliation runs: drift found between Stripe's subscriptions and the
+-- subscriptions/licenses tables, and how much was fixed (utils/stripeReconciliation.js)
+CREATE TABLE IF NOT EXISTS stripe_reconciliation_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  dry_run boolean NOT NULL DEFAULT false,
+  triggered_by text NOT NULL,
+  status text NOT NULL DEFAULT 'running',
+  subscriptions_checked integer NOT NULL DEFAULT 0,
+  drift_count integer NOT NULL DEFAULT 0,
+  fixed_count integer NOT NULL DEFAULT 0,
+  drift jsonb NOT NULL DEFAULT '[]',
+  error text,
+  started_at timestamptz DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS stripe_reconciliation_runs_started_idx ON stripe_reconciliation_runs(started_at DESC);
+
+-- Licence states when payments fail (utils/licenseStatus.js): active → past_due
+-- (grace period until grace_ends_at, dunning reminders by dunning_stage) → suspended,
+-- cancelled when the subscription ends; a successful payment makes it active again.
+ALTER TABLE IF EXISTS licenses
+  ADD COLUMN IF NOT EXISTS status text DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS status_changed_at timestamptz,
+  ADD COLUMN IF NOT EXISTS past_due_since timestamptz,
+  ADD COLUMN IF NOT EXISTS grace_ends_at timestamptz,
+  ADD COLUMN IF NOT EXISTS dunning_stage integer NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS licenses_dunning_idx ON licenses(status, grace_ends_at) WHERE status IN ('past_due', 'suspended');
+
+-- Seat reductions scheduled for the end of the billing period (services/billing.js):
+-- the Stripe subscription schedule that applies it, cleared once Stripe reports the new quantity
+ALTER TABLE IF EXISTS subscriptions
+  ADD COLUMN IF NOT EXISTS scheduled_quantity integer,
+  ADD COLUMN IF NOT EXISTS scheduled_for timestamptz,
+  ADD COLUMN IF NOT EXISTS stripe_schedule_id text;
+
+-- Webhook deliveries keep only the response status; bodies stored before that are dropped
+UPDATE webhook_deliveries SET response_body = NULL WHERE response_body IS NOT NULL;
+
+-- Created time of the last customer.subscription.* event applied, so an older one
+-- delivered late (retry, replay) is skipped instead of rolling the subscription back
+ALTER TABLE IF EXISTS subscriptions
+  ADD COLUMN IF NOT EXISTS last_event_at timestamptz;
+
+-- One Stripe reconciliation run at a time (utils/stripeReconciliation.js): the start is an
+-- insert this index refuses while another run is 'running'. Runs left over from before it
+-- are closed first, keeping the newest.
+UPDATE stripe_reconciliation_runs SET status = 'failed', error = 'Superseded by a later run', finished_at = now()
+WHERE status = 'running'
+  AND id <> (SELECT id FROM stripe_reconciliation_runs WHERE status = 'running' ORDER BY started_at DESC LIMIT 1);
+CREATE UNIQUE INDEX IF NOT EXISTS stripe_reconciliation_runs_running_idx
+  ON stripe_reconciliation_runs ((true)) WHERE status = 'running';
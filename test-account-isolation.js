@@ -0,0 +1,134 @@
+/**
+ * Integration test: customer routes only serve the signed-in account
+ * Starts the API on a spare port against DATABASE_URL (use a local Postgres),
+ * seeds two customers and an admin, and checks cross-account requests are refused.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-account-isolation.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { check, fail, finish, testApi, seedAccount } from './test-harness.js';
+
+const PORT = process.env.TEST_PORT || 10987;
+const { start, request } = testApi(PORT);
+
+async function seedCustomer(label, suffix, role = 'user') {
+  const { id, email, session } = await seedAccount(label, suffix, { name: `Isolation ${label}`, role });
+
+  const license = await pool.query(
+    `INSERT INTO licenses (account_id, license_key, max_devices, device_count)
+     VALUES ($1, $2, 5, 5) RETURNING id, license_key`,
+    [id, `SYNC-${label.toUpperCase()}${suffix}-ISOLATION`]
+  );
+
+  await pool.query(
+    `INSERT INTO device_bindings (license_id, device_id, device_name, status, last_heartbeat)
+     VALUES ($1, $2, $3, 'active', NOW())`,
+    [license.rows[0].id, `${label}-device`, `${label} PC`]
+  );
+
+  const build = await pool.query(
+    `INSERT INTO builds (license_id, account_id, status, tag, release_url)
+     VALUES ($1, $2, 'released', $3, 'https://github.com/example/releases/tag/x') RETURNING id`,
+    [license.rows[0].id, id, `isolation-${label}-${suffix}`]
+  );
+
+  return { id, email, buildId: build.rows[0].id, session };
+}
+
+async function testAccountIsolation() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const accountIds = [];
+  let server;
+
+  try {
+    console.log('🧪 Testing cross-account access on customer routes...');
+
+    const alice = await seedCustomer('alice', suffix);
+    const bob = await seedCustomer('bob', suffix);
+    const admin = await seedCustomer('admin', suffix, 'admin');
+    accountIds.push(alice.id, bob.id, admin.id);
+
+    server = await start();
+
+    // Test 1: no credentials
+    console.log('\n1. Unauthenticated requests...');
+    for (const path of ['/api/v9/dashboard/devices', `/api/builds/customer/${bob.email}`, `/api/v9/stripe/customer/${bob.email}`]) {
+      const res = await request(path);
+      check(res.status === 401, `${path} → ${res.status}`);
+    }
+
+    // Test 2: someone else's email is refused, not served
+    console.log("\n2. Alice asking for Bob's data...");
+    const crossAccount = [
+      `/api/v9/dashboard/summary?email=${bob.email}`,
+      `/api/v9/dashboard/devices?email=${bob.email}`,
+      `/api/v9/dashboard/downloads?email=${bob.email}`,
+      `/api/v9/dashboard/license-management?email=${bob.email}`,
+      `/api/builds/customer/${bob.email}`,
+      `/api/v9/stripe/customer/${bob.email}`
+    ];
+    for (const path of crossAccount) {
+      const res = await request(path, { session: alice.session });
+      check(res.status === 403 && res.body?.code === 'ACCOUNT_MISMATCH', `${path} → ${res.status}`);
+    }
+
+    const cancel = await request('/api/v9/stripe/cancel-subscription', {
+      session: alice.session,
+      method: 'POST',
+      body: { email: bob.email }
+    });
+    check(cancel.status === 403, `cancel-subscription for Bob → ${cancel.status}`);
+
+    const download = await request(`/api/builds/download/${bob.buildId}`, { session: alice.session });
+    check(download.status === 404, `Bob's build download → ${download.status}`);
+
+    // Test 3: without an email the session decides
+    console.log('\n3. Alice asking for her own data...');
+    const devices = await request('/api/v9/dashboard/devices', { session: alice.session });
+    const deviceIds = (devices.body?.devices || []).map(d => d.deviceId);
+    check(devices.status === 200 && deviceIds.length === 1 && deviceIds[0] === 'alice-device',
+      `devices → ${devices.status} [${deviceIds.join(', ')}]`);
+
+    const builds = await request(`/api/builds/customer/${alice.email}`, { session: alice.session });
+    check(builds.status === 200 && builds.body.builds.every(b => b.id === alice.buildId),
+      `own builds → ${builds.status} (${builds.body?.builds?.length} build)`);
+
+    // Test 4: impersonation is admin-only and audited
+    console.log('\n4. Impersonation...');
+    const notAdmin = await request('/api/v9/dashboard/devices', { session: alice.session, impersonate: bob.email });
+    check(notAdmin.status === 403 && notAdmin.body?.code === 'IMPERSONATION_FORBIDDEN', `customer impersonating → ${notAdmin.status}`);
+
+    const asBob = await request('/api/v9/dashboard/devices', { session: admin.session, impersonate: bob.id });
+    const bobDevices = (asBob.body?.devices || []).map(d => d.deviceId);
+    check(asBob.status === 200 && bobDevices.length === 1 && bobDevices[0] === 'bob-device',
+      `admin impersonating Bob → ${asBob.status} [${bobDevices.join(', ')}]`);
+
+    const audit = await pool.query(
+      "SELECT actor, context FROM audit_log WHERE account_id = $1 AND event = 'admin_impersonation'",
+      [bob.id]
+    );
+    check(audit.rows.length === 1 && audit.rows[0].actor === admin.email,
+      `impersonation audited (${audit.rows.length} row, actor ${audit.rows[0]?.actor})`);
+
+  } catch (error) {
+    fail('Account isolation test failed', error);
+  } finally {
+    if (server) server.kill();
+    if (accountIds.length > 0) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM sessions WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM accounts WHERE id = ANY($1)', [accountIds]);
+    }
+    await pool.end();
+  }
+
+  finish('All account isolation checks passed');
+}
+
+testAccountIsolation();
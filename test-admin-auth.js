@@ -0,0 +1,198 @@
+/**
+ * Integration test: admin authentication
+ * Starts the API on a spare port against DATABASE_URL (use a local Postgres), seeds an
+ * admin and an ordinary account, and checks admin routes take only an admin login or
+ * a scoped API key, that keys stop working when revoked, and that actions are audited.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-admin-auth.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { createSession } from './middleware/auth.js';
+import { check, fail, finish, testApi, seedAccount } from './test-harness.js';
+
+const PORT = process.env.TEST_PORT || 10990;
+const { start, request } = testApi(PORT);
+
+async function testAdminAuth() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const accountIds = [];
+  const keyIds = [];
+  let server;
+
+  try {
+    console.log('🧪 Testing admin authentication...');
+
+    const admin = await seedAccount('admin', suffix, { name: 'Admin test admin', role: 'admin' });
+    const customer = await seedAccount('customer', suffix, { name: 'Admin test customer' });
+    accountIds.push(admin.id, customer.id);
+
+    server = await start();
+
+    // Test 1: who gets in
+    console.log('\n1. Admin accounts...');
+    const anonymous = await request('/api/admin/status');
+    check(anonymous.status === 401, `no credentials → ${anonymous.status}`);
+
+    const notAdmin = await request('/api/admin/status', { session: customer.session });
+    check(notAdmin.status === 403 && notAdmin.body?.code === 'ADMIN_REQUIRED', `customer account → ${notAdmin.status}`);
+
+    const asAdmin = await request('/api/admin/status', { session: admin.session });
+    check(asAdmin.status === 200 && asAdmin.body?.success === true, `admin account → ${asAdmin.status}`);
+
+    for (const path of ['/api/migration/migrate-auth', '/api/auth/update-password']) {
+      const legacy = await request(path, {
+        method: 'POST',
+        body: { adminKey: 'syncsure-admin-2025', email: customer.email, password: 'An0ther-Str0ng-Passw0rd!' }
+      });
+      check(legacy.status === 401, `old shared admin key on ${path} → ${legacy.status}`);
+    }
+
+    // Test 2: scoped keys
+    console.log('\n2. Scoped API keys...');
+    const created = await request('/api/admin/api-keys', {
+      session: admin.session,
+      method: 'POST',
+      body: { name: `reporting-${suffix}`, scopes: ['admin:read'] }
+    });
+    check(created.status === 201 && created.body?.key?.startsWith('ssk_admin_'), `admin creates a read-only key → ${created.status}`);
+    const readKey = created.body?.key;
+    if (created.body?.apiKey) keyIds.push(created.body.apiKey.id);
+
+    const stored = await pool.query('SELECT key_hash FROM admin_api_keys WHERE id = $1', [created.body?.apiKey?.id]);
+    check(stored.rows[0]?.key_hash === crypto.createHash('sha256').update(readKey || '').digest('hex'),
+      'only the hash of the key is stored');
+
+    const keyRead = await request('/api/admin/status', { adminKey: readKey });
+    check(keyRead.status === 200, `read key on admin:read route → ${keyRead.status}`);
+
+    const keyWrite = await request(`/api/admin/accounts/${customer.id}/two-factor`, {
+      adminKey: readKey,
+      method: 'PUT',
+      body: { required: true }
+    });
+    check(keyWrite.status === 403 && keyWrite.body?.code === 'SCOPE_DENIED', `read key on accounts:manage route → ${keyWrite.status}`);
+
+    // Releases are signed by the server and reach the whole fleet
+    for (const path of ['/api/admin/releases', '/api/admin/releases/from-build', '/api/admin/releases/9.9.9/publish']) {
+      const body = { version: '9.9.9', buildId: crypto.randomUUID(), assets: [] };
+      const [anon, asCustomer, asReadKey] = await Promise.all([
+        request(path, { method: 'POST', body }),
+        request(path, { session: customer.session, method: 'POST', body }),
+        request(path, { adminKey: readKey, method: 'POST', body })
+      ]);
+      check(anon.status === 401 && asCustomer.status === 403 && asReadKey.body?.code === 'SCOPE_DENIED',
+        `${path} without releases:manage → ${anon.status}/${asCustomer.status}/${asReadKey.status}`);
+    }
+
+    const keyMintsKey = await request('/api/admin/api-keys', {
+      adminKey: readKey,
+      method: 'POST',
+      body: { name: 'escalate', scopes: ['accounts:manage'] }
+    });
+    check(keyMintsKey.status === 403 && keyMintsKey.body?.code === 'SCOPE_DENIED', `key creating keys → ${keyMintsKey.status}`);
+
+    const badScope = await request('/api/admin/api-keys', {
+      session: admin.session,
+      method: 'POST',
+      body: { name: 'too-much', scopes: ['keys:manage'] }
+    });
+    check(badScope.status === 400, `key with keys:manage scope → ${badScope.status}`);
+
+    const accountsKey = await request('/api/admin/api-keys', {
+      session: admin.session,
+      method: 'POST',
+      body: { name: `support-${suffix}`, scopes: ['accounts:manage'], expiresInDays: 30 }
+    });
+    if (accountsKey.body?.apiKey) keyIds.push(accountsKey.body.apiKey.id);
+
+    const forced = await request(`/api/admin/accounts/${customer.id}/two-factor`, {
+      adminKey: accountsKey.body?.key,
+      method: 'PUT',
+      body: { required: true }
+    });
+    check(forced.status === 200 && forced.body?.account?.twoFactorRequired === true, `accounts key forces 2FA → ${forced.status}`);
+
+    const malformed = await request('/api/admin/accounts/not-an-id/two-factor', {
+      adminKey: accountsKey.body?.key,
+      method: 'PUT',
+      body: { required: true }
+    });
+    check(malformed.status === 400, `malformed account ID → ${malformed.status}`);
+
+    const adminTakeover = await request('/api/auth/update-password', {
+      adminKey: accountsKey.body?.key,
+      method: 'POST',
+      body: { email: admin.email, password: 'An0ther-Str0ng-Passw0rd!' }
+    });
+    check(adminTakeover.status === 403 && adminTakeover.body?.code === 'ADMIN_TARGET_REQUIRES_SESSION',
+      `accounts key setting an admin's password → ${adminTakeover.status}`);
+
+    const customerSession = (await createSession(customer.id, 'test-admin-auth', '127.0.0.1')).sessionId;
+    const passwordSet = await request('/api/auth/update-password', {
+      adminKey: accountsKey.body?.key,
+      method: 'POST',
+      body: { email: customer.email, password: 'An0ther-Str0ng-Passw0rd!' }
+    });
+    const afterReset = await request('/api/auth/me', { session: customerSession });
+    check(passwordSet.status === 200 && passwordSet.body?.sessionsRevoked >= 1 && afterReset.status === 401,
+      `customer's password set, sessions revoked → ${passwordSet.status}, then ${afterReset.status}`);
+
+    // Test 3: audit trail
+    console.log('\n3. Audit trail...');
+    // admin_action is written once the response has gone out
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const audit = await pool.query(
+      `SELECT actor, event, context FROM audit_log
+       WHERE (account_id = $1 AND event = 'two_factor_required') OR (event = 'admin_action' AND context->>'apiKeyId' = $2)`,
+      [customer.id, accountsKey.body?.apiKey?.id]
+    );
+    const actor = `api_key:support-${suffix}`;
+    check(audit.rows.some(row => row.event === 'two_factor_required' && row.actor === actor), 'change recorded with the key as actor');
+    check(audit.rows.some(row => row.event === 'admin_action' && row.actor === actor && row.context.status === 200),
+      'admin request recorded with its outcome');
+
+    const keyCreatedAudit = await pool.query(
+      "SELECT actor FROM audit_log WHERE event = 'admin_api_key_created' AND context->>'apiKeyId' = $1",
+      [accountsKey.body?.apiKey?.id]
+    );
+    check(keyCreatedAudit.rows[0]?.actor === admin.email, `key creation recorded against ${keyCreatedAudit.rows[0]?.actor}`);
+
+    // Test 4: revocation
+    console.log('\n4. Revoking...');
+    const revoked = await request(`/api/admin/api-keys/${created.body?.apiKey?.id}`, { session: admin.session, method: 'DELETE' });
+    check(revoked.status === 200, `admin revokes the read key → ${revoked.status}`);
+
+    const afterRevoke = await request('/api/admin/status', { adminKey: readKey });
+    check(afterRevoke.status === 401 && afterRevoke.body?.code === 'INVALID_ADMIN_KEY', `revoked key → ${afterRevoke.status}`);
+
+    const listed = await request('/api/admin/api-keys', { session: admin.session });
+    const listedKey = listed.body?.apiKeys?.find(key => key.id === created.body?.apiKey?.id);
+    check(listed.status === 200 && listedKey?.revokedAt && listedKey.lastUsedAt && !('key' in listedKey),
+      `list shows revoked key without the secret → ${listed.status}`);
+
+  } catch (error) {
+    fail('Admin auth test failed', error);
+  } finally {
+    if (server) server.kill();
+    if (keyIds.length > 0) {
+      await pool.query("DELETE FROM audit_log WHERE context->>'apiKeyId' = ANY($1)", [keyIds]);
+      await pool.query('DELETE FROM admin_api_keys WHERE id = ANY($1)', [keyIds]);
+    }
+    if (accountIds.length > 0) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM sessions WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM accounts WHERE id = ANY($1)', [accountIds]);
+    }
+    await pool.end();
+  }
+
+  finish('All admin auth checks passed');
+}
+
+testAdminAuth();
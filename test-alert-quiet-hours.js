@@ -0,0 +1,137 @@
+/**
+ * Integration test: offline alerts held back by quiet hours
+ * Runs the worker's device health pass against DATABASE_URL (use a local Postgres): a
+ * device going offline inside a rule's quiet hours is suppressed, stays held while they
+ * last and is alerted once they end if the device is still offline, once.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-alert-quiet-hours.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { processDeviceHealth } from './utils/deviceHealth.js';
+import { check, fail, finish } from './test-harness.js';
+
+// Alert emails are only logged (recorded as skipped), never sent
+delete process.env.RESEND_API_KEY;
+
+// A quiet-hours window (UTC, HH:MM) starting `fromMinutes` from now and lasting two hours
+function window(fromMinutes) {
+  const now = new Date();
+  const at = (offset) => {
+    const minutes = (((now.getUTCHours() * 60 + now.getUTCMinutes() + offset) % 1440) + 1440) % 1440;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  };
+  return { start: at(fromMinutes), end: at(fromMinutes + 120) };
+}
+
+async function notifications(licenseId, deviceId) {
+  const { rows } = await pool.query(
+    `SELECT status, context FROM alert_notifications
+     WHERE license_id = $1 AND device_id = $2 AND alert_type = 'device_offline'
+     ORDER BY created_at`,
+    [licenseId, deviceId]
+  );
+  return rows;
+}
+
+async function testAlertQuietHours() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const deviceId = `quiet-device-${suffix}`;
+  let accountId;
+
+  try {
+    console.log('🧪 Testing offline alerts held by quiet hours...');
+
+    const account = await pool.query(
+      "INSERT INTO accounts (email, name) VALUES ($1, 'Quiet Hours Test') RETURNING id",
+      [`quiet-${suffix}@syncsure.test`]
+    );
+    accountId = account.rows[0].id;
+    const license = await pool.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count)
+       VALUES ($1, $2, 5, 5) RETURNING id`,
+      [accountId, `SYNC-QUIET${suffix.toUpperCase()}-ALERTS`]
+    );
+    const licenseId = license.rows[0].id;
+
+    const quiet = window(-60);
+    const rule = await pool.query(
+      `INSERT INTO alert_rules (account_id, event_type, channel, target, quiet_hours_start, quiet_hours_end, timezone)
+       VALUES ($1, 'device_offline', 'email', $2, $3, $4, 'UTC') RETURNING id`,
+      [accountId, `quiet-${suffix}@syncsure.test`, quiet.start, quiet.end]
+    );
+    await pool.query(
+      `INSERT INTO device_bindings (license_id, device_id, device_name, status, last_heartbeat)
+       VALUES ($1, $2, 'Quiet PC', 'active', NOW() - INTERVAL '2 hours')`,
+      [licenseId, deviceId]
+    );
+
+    // Test 1: the device goes offline inside quiet hours
+    console.log('\n1. Offline during quiet hours...');
+    await processDeviceHealth();
+    let rows = await notifications(licenseId, deviceId);
+    check(rows.length === 1 && rows[0].status === 'suppressed' && rows[0].context.reason === 'quiet_hours',
+      `alert held → ${rows.map(row => `${row.status}/${row.context.reason}`).join(', ')}`);
+
+    await processDeviceHealth();
+    check((await notifications(licenseId, deviceId)).length === 1, 'still held while quiet hours last');
+
+    // Test 2: quiet hours end with the device still offline
+    console.log('\n2. Quiet hours over...');
+    const later = window(120);
+    await pool.query(
+      'UPDATE alert_rules SET quiet_hours_start = $2, quiet_hours_end = $3 WHERE id = $1',
+      [rule.rows[0].id, later.start, later.end]
+    );
+    const { held } = await processDeviceHealth();
+    rows = await notifications(licenseId, deviceId);
+    check(rows.length === 2 && rows[1].status === 'skipped' && rows[1].context.held_for === 'quiet_hours',
+      `held alert delivered → ${rows[1]?.status} (held for ${rows[1]?.context?.held_for})`);
+    check(held.skipped === 1, `worker reports it → ${JSON.stringify(held)}`);
+
+    await processDeviceHealth();
+    check((await notifications(licenseId, deviceId)).length === 2, 'not sent again on the next pass');
+
+    // Test 3: a device back online by the end of quiet hours isn't alerted
+    console.log('\n3. Back online before quiet hours end...');
+    const backDevice = `${deviceId}-back`;
+    await pool.query(
+      'UPDATE alert_rules SET quiet_hours_start = $2, quiet_hours_end = $3 WHERE id = $1',
+      [rule.rows[0].id, quiet.start, quiet.end]
+    );
+    await pool.query(
+      `INSERT INTO device_bindings (license_id, device_id, device_name, status, last_heartbeat)
+       VALUES ($1, $2, 'Back PC', 'active', NOW() - INTERVAL '2 hours')`,
+      [licenseId, backDevice]
+    );
+    await processDeviceHealth();
+    await pool.query(
+      'UPDATE device_bindings SET last_heartbeat = NOW() WHERE license_id = $1 AND device_id = $2',
+      [licenseId, backDevice]
+    );
+    await pool.query(
+      'UPDATE alert_rules SET quiet_hours_start = $2, quiet_hours_end = $3 WHERE id = $1',
+      [rule.rows[0].id, later.start, later.end]
+    );
+    await processDeviceHealth();
+    rows = await notifications(licenseId, backDevice);
+    check(rows.length === 1 && rows[0].status === 'suppressed', `only the held alert → ${rows.map(row => row.status).join(', ')}`);
+
+  } catch (error) {
+    fail('Quiet hours alert test failed', error);
+  } finally {
+    if (accountId) {
+      await pool.query('DELETE FROM accounts WHERE id = $1', [accountId]);
+    }
+    await pool.end();
+  }
+
+  finish('All quiet hours alert checks passed');
+}
+
+testAlertQuietHours();
@@ -0,0 +1,166 @@
+/**
+ * Integration test: customer API keys
+ * Starts the API on a spare port against DATABASE_URL (use a local Postgres), seeds two
+ * customers with a device each, and checks a key reads only its own organisation's data,
+ * only through routes its scopes name, within its rate limit, and not after revocation.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-api-keys.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { check, fail, finish, testApi, seedAccount } from './test-harness.js';
+
+const PORT = process.env.TEST_PORT || 10991;
+const { start, request } = testApi(PORT);
+const RATE_LIMIT = 5;
+
+// An account with a licence and one bound device
+async function seedCustomer(label, suffix) {
+  const customer = await seedAccount(label, suffix, { name: `API key test ${label}` });
+
+  const license = await pool.query(
+    `INSERT INTO licenses (account_id, license_key, max_devices, device_count)
+     VALUES ($1, $2, 5, 5) RETURNING id`,
+    [customer.id, `SYNC-${label.toUpperCase()}${suffix}-KEY`]
+  );
+
+  await pool.query(
+    `INSERT INTO device_bindings (license_id, device_id, device_name, status, last_heartbeat)
+     VALUES ($1, $2, $3, 'active', NOW())`,
+    [license.rows[0].id, `${label}-device`, `${label} PC`]
+  );
+
+  return customer;
+}
+
+async function createKey(session, body, organization) {
+  return request('/api/v9/dashboard/api-keys', { session, organization, method: 'POST', body });
+}
+
+const deviceIds = res => (res.body?.devices || []).map(d => d.deviceId || d.device_id);
+
+async function testApiKeys() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const accountIds = [];
+  let server;
+
+  try {
+    console.log('🧪 Testing customer API keys...');
+
+    const owner = await seedCustomer('owner', suffix);
+    const other = await seedCustomer('other', suffix);
+    const technician = await seedCustomer('tech', suffix);
+    accountIds.push(owner.id, other.id, technician.id);
+
+    await pool.query(
+      `INSERT INTO organization_members (organization_id, account_id, role, invited_by)
+       VALUES ($1, $2, 'technician', $3)`,
+      [owner.id, technician.id, owner.email]
+    );
+
+    server = await start({ CUSTOMER_API_KEY_RATE_LIMIT: String(RATE_LIMIT) });
+
+    // Test 1: creating keys
+    console.log('\n1. Creating keys...');
+    const created = await createKey(owner.session, { name: 'monitoring', scopes: ['devices:read'] });
+    check(created.status === 201 && created.body?.key?.startsWith('ssk_live_'), `owner creates a devices:read key → ${created.status}`);
+    const devicesKey = created.body?.key;
+
+    const stored = await pool.query('SELECT key_hash FROM customer_api_keys WHERE id = $1', [created.body?.apiKey?.id]);
+    check(stored.rows[0]?.key_hash === crypto.createHash('sha256').update(devicesKey || '').digest('hex'),
+      'only the hash of the key is stored');
+
+    const unknownScope = await createKey(owner.session, { name: 'bad', scopes: ['devices:write'] });
+    check(unknownScope.status === 400, `unknown scope → ${unknownScope.status}`);
+
+    const beyondRole = await createKey(technician.session, { name: 'finance', scopes: ['billing:read'] }, owner.id);
+    check(beyondRole.status === 400, `technician granting billing:read → ${beyondRole.status}`);
+
+    // Test 2: what a key reaches
+    console.log('\n2. Using a key...');
+    const viaHeader = await request('/api/v9/dashboard/devices', { apiKey: devicesKey });
+    check(viaHeader.status === 200 && deviceIds(viaHeader).join() === 'owner-device',
+      `X-API-Key lists its organisation's devices → ${viaHeader.status} [${deviceIds(viaHeader).join(', ')}]`);
+
+    const viaBearer = await request('/api/dashboard/devices', { bearerKey: devicesKey });
+    check(viaBearer.status === 200 && deviceIds(viaBearer).join() === 'owner-device', `Bearer key on /api/dashboard/devices → ${viaBearer.status}`);
+
+    const outOfScope = await request('/api/v9/dashboard/license-management', { apiKey: devicesKey });
+    check(outOfScope.status === 403 && outOfScope.body?.code === 'SCOPE_DENIED', `billing route without billing:read → ${outOfScope.status}`);
+
+    for (const [path, method] of [
+      ['/api/v9/dashboard/downloads', 'GET'],
+      ['/api/dashboard/devices/owner-device/unbind', 'POST'],
+      ['/api/v9/dashboard/api-keys', 'GET'],
+      ['/api/auth/me', 'GET']
+    ]) {
+      const res = await request(path, { apiKey: devicesKey, method });
+      check(res.status === 403 && res.body?.code === 'API_KEY_NOT_ALLOWED', `${method} ${path} → ${res.status}`);
+    }
+
+    const admin = await request('/api/admin/status', { apiKey: devicesKey });
+    check(admin.status === 403, `admin route → ${admin.status}`);
+
+    const foreign = await request('/api/v9/dashboard/devices', { apiKey: devicesKey, organization: other.id });
+    check(foreign.status === 403 && foreign.body?.code === 'NOT_A_MEMBER', `X-Organization-Id of another customer → ${foreign.status}`);
+
+    const listed = await request('/api/v9/dashboard/api-keys', { session: owner.session });
+    const listedKey = listed.body?.apiKeys?.find(key => key.id === created.body?.apiKey?.id);
+    check(listed.status === 200 && listedKey?.lastUsedAt && !('key' in listedKey), `list shows last use without the secret → ${listed.status}`);
+
+    const otherList = await request('/api/v9/dashboard/api-keys', { session: other.session });
+    check(otherList.status === 200 && otherList.body?.apiKeys?.length === 0, "another customer doesn't see the key");
+
+    // Test 3: rate limit
+    console.log('\n3. Rate limit...');
+    const limited = await createKey(owner.session, { name: 'busy-script', scopes: ['licence:read'] });
+    const statuses = [];
+    for (let i = 0; i <= RATE_LIMIT; i++) {
+      statuses.push((await request('/api/dashboard/stats', { apiKey: limited.body?.key })).status);
+    }
+    check(statuses.slice(0, RATE_LIMIT).every(status => status !== 429) && statuses[RATE_LIMIT] === 429,
+      `request ${RATE_LIMIT + 1} in a minute → ${statuses[RATE_LIMIT]}`);
+
+    const fresh = await createKey(owner.session, { name: 'second-script', scopes: ['licence:read'] });
+    const unaffected = await request('/api/dashboard/stats', { apiKey: fresh.body?.key });
+    check(unaffected.status === 200, `other keys keep their own limit → ${unaffected.status}`);
+
+    // Test 4: revocation
+    console.log('\n4. Revoking...');
+    const revokedByOther = await request(`/api/v9/dashboard/api-keys/${created.body?.apiKey?.id}`, { session: other.session, method: 'DELETE' });
+    check(revokedByOther.status === 404, `another customer revoking it → ${revokedByOther.status}`);
+
+    const revoked = await request(`/api/v9/dashboard/api-keys/${created.body?.apiKey?.id}`, { session: owner.session, method: 'DELETE' });
+    check(revoked.status === 200, `owner revokes → ${revoked.status}`);
+
+    const afterRevoke = await request('/api/v9/dashboard/devices', { apiKey: devicesKey });
+    check(afterRevoke.status === 401 && afterRevoke.body?.code === 'INVALID_API_KEY', `revoked key → ${afterRevoke.status}`);
+
+    const audit = await pool.query(
+      "SELECT DISTINCT event FROM audit_log WHERE account_id = $1 AND event LIKE 'api_key_%'",
+      [owner.id]
+    );
+    const events = audit.rows.map(row => row.event).sort();
+    check(events.join() === 'api_key_created,api_key_revoked', `audited: ${events.join(', ')}`);
+
+  } catch (error) {
+    fail('API keys test failed', error);
+  } finally {
+    if (server) server.kill();
+    if (accountIds.length > 0) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM sessions WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM accounts WHERE id = ANY($1)', [accountIds]);
+    }
+    await pool.end();
+  }
+
+  finish('All API key checks passed');
+}
+
+testApiKeys();
@@ -0,0 +1,309 @@
+/**
+ * Integration test: public API v1 against its OpenAPI document
+ * Checks openapi/v1.json describes exactly the routes routes/v1.js serves, then starts the
+ * API on a spare port against DATABASE_URL (use a local Postgres), seeds a customer with
+ * devices and builds, and validates every response against the schema the document gives
+ * for its status: data, cursor pagination, scopes and the error envelope.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-api-v1.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { pool } from './db.js';
+import v1Router from './routes/v1.js';
+import { check, fail, finish, testApi, seedAccount } from './test-harness.js';
+import { UUID_PATTERN } from './utils/uuid.js';
+
+const PORT = process.env.TEST_PORT || 10992;
+const { start, request } = testApi(PORT);
+
+const spec = JSON.parse(fs.readFileSync(new URL('./openapi/v1.json', import.meta.url)));
+const ALL_SCOPES = ['devices:read', 'licence:read', 'builds:read', 'billing:read'];
+
+function resolveRef(schema) {
+  while (schema?.$ref) {
+    schema = schema.$ref.replace(/^#\//, '').split('/').reduce((node, part) => node[part], spec);
+  }
+  return schema;
+}
+
+/**
+ * Check a value against the subset of OpenAPI 3.0 schema the document uses
+ * @returns {string[]} - Problems found, with their JSON path
+ */
+function validate(value, schema, path = '$') {
+  schema = resolveRef(schema);
+
+  if (value === null) {
+    return schema.nullable ? [] : [`${path} is null`];
+  }
+
+  if (schema.allOf) {
+    return schema.allOf.flatMap(part => validate(value, part, path));
+  }
+
+  const errors = [];
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+
+  switch (schema.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) errors.push(`${path} should be an integer, got ${JSON.stringify(value)}`);
+      break;
+    case 'number':
+    case 'string':
+    case 'boolean':
+    case 'array':
+    case 'object':
+      if (actual !== schema.type) errors.push(`${path} should be ${schema.type}, got ${actual}`);
+      break;
+  }
+  if (errors.length > 0) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}, got ${value}`);
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    errors.push(`${path} should be a date-time, got ${value}`);
+  }
+  if (schema.format === 'uuid' && !UUID_PATTERN.test(value)) {
+    errors.push(`${path} should be a uuid, got ${value}`);
+  }
+
+  for (const name of schema.required || []) {
+    if (!(name in value)) errors.push(`${path}.${name} is missing`);
+  }
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (value[name] !== undefined) errors.push(...validate(value[name], property, `${path}.${name}`));
+  }
+  if (schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a response against the document's schema for that operation and status
+ * @returns {string[]} - Problems found; an undocumented status is one
+ */
+function validateResponse(method, pathTemplate, res) {
+  const operation = spec.paths[pathTemplate]?.[method.toLowerCase()];
+  const response = resolveRef(operation?.responses?.[String(res.status)]);
+
+  if (!response) {
+    return [`${res.status} is not documented for ${method} ${pathTemplate}`];
+  }
+
+  return validate(res.body, response.content['application/json'].schema);
+}
+
+// Operations the router serves, as "get /devices/{deviceId}"
+function routerOperations() {
+  return v1Router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .map(method => `${method} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`));
+}
+
+function specOperations() {
+  return Object.entries(spec.paths)
+    .flatMap(([path, item]) => Object.keys(item).map(method => `${method} ${path}`));
+}
+
+async function testApiV1() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const accountIds = [];
+  let server;
+
+  try {
+    console.log('🧪 Testing public API v1...');
+
+    // Test 1: the document matches the router
+    console.log('\n1. OpenAPI document vs routes...');
+    const served = routerOperations();
+    const documented = specOperations();
+    const undocumented = served.filter(op => !documented.includes(op));
+    const missing = documented.filter(op => !served.includes(op));
+    check(undocumented.length === 0, `every route is documented${undocumented.length ? `: missing ${undocumented.join(', ')}` : ''}`);
+    check(missing.length === 0, `every documented operation exists${missing.length ? `: no route for ${missing.join(', ')}` : ''}`);
+
+    const unscoped = documented.filter(op => {
+      const [method, path] = op.split(' ');
+      return path !== '/openapi.json' && !spec.paths[path][method]['x-api-key-scope'];
+    });
+    check(unscoped.length === 0, `every authenticated operation names its API key scope${unscoped.length ? `: ${unscoped.join(', ')}` : ''}`);
+
+    // Seed a customer with three devices (one released) and three builds (one released)
+    const owner = await seedAccount('owner', suffix, { name: 'API v1 test owner' });
+    const viewer = await seedAccount('viewer', suffix, { name: 'API v1 test viewer' });
+    const other = await seedAccount('other', suffix, { name: 'API v1 test other' });
+    accountIds.push(owner.id, viewer.id, other.id);
+
+    await pool.query(
+      `INSERT INTO organization_members (organization_id, account_id, role, invited_by)
+       VALUES ($1, $2, 'read_only', $3)`,
+      [owner.id, viewer.id, owner.email]
+    );
+
+    const license = await pool.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count)
+       VALUES ($1, $2, 10, 10) RETURNING id`,
+      [owner.id, `SYNC-V1${suffix}-KEY`]
+    );
+    const licenseId = license.rows[0].id;
+
+    await pool.query(
+      `INSERT INTO device_bindings (license_id, device_id, device_name, status, last_heartbeat, released_at)
+       VALUES ($1, 'v1-device-a', 'Device A', 'active', NOW(), NULL),
+              ($1, 'v1-device-b', 'Device B', 'active', NOW() - interval '2 hours', NULL),
+              ($1, 'v1-device-c', 'Device C', 'released', NOW() - interval '2 days', NOW() - interval '1 day')`,
+      [licenseId]
+    );
+
+    const builds = await pool.query(
+      `INSERT INTO builds (license_id, account_id, status, tag, release_url, asset_name, created_at)
+       VALUES ($1, $2, 'released', 'v1.0.0', 'https://example.test/agent.exe', 'agent.exe', NOW() - interval '3 minutes'),
+              ($1, $2, 'building', 'v1.0.1', NULL, NULL, NOW() - interval '2 minutes'),
+              ($1, $2, 'queued', NULL, NULL, NULL, NOW() - interval '1 minute')
+       RETURNING id`,
+      [licenseId, owner.id]
+    );
+    const buildId = builds.rows[0].id;
+
+    // Invoices answer BILLING_UNAVAILABLE without Stripe, which keeps the test offline
+    server = await start({ STRIPE_SECRET_KEY: undefined });
+
+    const created = await request('/api/v9/dashboard/api-keys', {
+      session: owner.session,
+      method: 'POST',
+      body: { name: 'v1 all', scopes: ALL_SCOPES }
+    });
+    check(created.status === 201, `key with every scope → ${created.status}`);
+    const allKey = created.body?.key;
+
+    // Test 2: every operation, validated against the document
+    console.log('\n2. Responses match the document...');
+    const calls = [
+      ['GET', '/openapi.json', '/api/v1/openapi.json', {}, 200],
+      ['GET', '/devices', '/api/v1/devices', { apiKey: allKey }, 200],
+      ['GET', '/devices/{deviceId}', '/api/v1/devices/v1-device-a', { apiKey: allKey }, 200],
+      ['GET', '/license', '/api/v1/license', { apiKey: allKey }, 200],
+      ['GET', '/builds', '/api/v1/builds', { apiKey: allKey }, 200],
+      ['GET', '/builds/{buildId}', `/api/v1/builds/${buildId}`, { apiKey: allKey }, 200],
+      ['GET', '/billing', '/api/v1/billing', { apiKey: allKey }, 200],
+      ['GET', '/billing/invoices', '/api/v1/billing/invoices', { apiKey: allKey }, 503],
+      ['GET', '/devices', '/api/v1/devices', { session: owner.session }, 200],
+      ['GET', '/license', '/api/v1/license', { session: viewer.session, organization: owner.id }, 200],
+      ['GET', '/devices/{deviceId}', '/api/v1/devices/v1-device-x', { apiKey: allKey }, 404],
+      ['GET', '/builds/{buildId}', `/api/v1/builds/${buildId}`, { session: other.session }, 404],
+      ['GET', '/license', '/api/v1/license', { session: other.session }, 404],
+      ['GET', '/builds', '/api/v1/builds', { session: viewer.session, organization: owner.id }, 403],
+      ['GET', '/devices', '/api/v1/devices?limit=0', { apiKey: allKey }, 400],
+      ['GET', '/devices', '/api/v1/devices?status=lost', { apiKey: allKey }, 400]
+    ];
+
+    const results = {};
+    for (const [method, template, path, options, expected] of calls) {
+      const res = await request(path, { ...options, method });
+      const problems = validateResponse(method, template, res);
+      check(res.status === expected && problems.length === 0,
+        `${method} ${path} → ${res.status}${problems.length ? ` (${problems.slice(0, 3).join('; ')})` : ''}`);
+      results[path] ??= res;
+    }
+
+    const spec200 = results['/api/v1/openapi.json'];
+    check(spec200.body?.openapi === spec.openapi && Object.keys(spec200.body?.paths || {}).length === Object.keys(spec.paths).length,
+      'the served document is openapi/v1.json');
+
+    const device = results['/api/v1/devices/v1-device-a'].body?.data;
+    check(device?.status === 'active' && device?.healthState === 'online', `device A is active and online → ${device?.status}/${device?.healthState}`);
+
+    const licence = results['/api/v1/license'].body?.data;
+    check(licence?.seats === 10 && licence?.boundDevices === 2 && licence?.availableSeats === 8,
+      `licence counts active bindings → ${licence?.boundDevices}/${licence?.seats}`);
+
+    const released = results[`/api/v1/builds/${buildId}`].body?.data;
+    check(released?.download?.assetName === 'agent.exe', 'a released build carries its download');
+
+    const billing = results['/api/v1/billing'].body?.data;
+    check(billing?.seats === 10 && billing?.billedByPartner === false && billing?.subscription === null,
+      `billing without Stripe → ${billing?.seats} seats, subscription ${billing?.subscription}`);
+
+    // Test 3: scopes
+    console.log('\n3. API key scopes...');
+    for (const [path, item] of Object.entries(spec.paths)) {
+      const scope = item.get['x-api-key-scope'];
+      if (!scope) continue;
+
+      const withoutScope = await request('/api/v9/dashboard/api-keys', {
+        session: owner.session,
+        method: 'POST',
+        body: { name: `without ${scope}`, scopes: ALL_SCOPES.filter(other => other !== scope) }
+      });
+
+      const concrete = path.replace('{deviceId}', 'v1-device-a').replace('{buildId}', buildId);
+      const res = await request(`/api/v1${concrete}`, { apiKey: withoutScope.body?.key });
+      check(res.status === 403 && res.body?.error?.code === 'SCOPE_DENIED' && res.body?.error?.details?.scope === scope,
+        `GET ${path} without ${scope} → ${res.status} ${res.body?.error?.code}`);
+    }
+
+    // Test 4: error envelope
+    console.log('\n4. Error envelope...');
+    const envelopeCalls = [
+      ['/api/v1/devices', {}, 401, 'NO_SESSION'],
+      ['/api/v1/devices', { apiKey: 'ssk_live_not-a-key' }, 401, 'INVALID_API_KEY'],
+      ['/api/v1/devices', { apiKey: allKey, organization: other.id }, 403, 'NOT_A_MEMBER'],
+      ['/api/v1/devices?cursor=bm90LWpzb24', { apiKey: allKey }, 400, 'INVALID_CURSOR'],
+      ['/api/v1/builds?cursor=eyJrIjoiYSJ9', { apiKey: allKey }, 400, 'INVALID_CURSOR'],
+      ['/api/v1/nowhere', { apiKey: allKey }, 404, 'NOT_FOUND']
+    ];
+    for (const [path, options, status, code] of envelopeCalls) {
+      const res = await request(path, options);
+      const problems = validate(res.body, { $ref: '#/components/schemas/Error' });
+      check(res.status === status && res.body?.error?.code === code && problems.length === 0 && !('success' in (res.body || {})),
+        `${path} → ${res.status} ${res.body?.error?.code}`);
+    }
+
+    // Test 5: cursor pagination
+    console.log('\n5. Cursor pagination...');
+    for (const [path, expected] of [
+      ['/api/v1/devices', ['v1-device-a', 'v1-device-b', 'v1-device-c']],
+      ['/api/v1/builds', builds.rows.map(row => row.id).reverse()]
+    ]) {
+      const seen = [];
+      let cursor = null;
+      let pages = 0;
+      do {
+        const res = await request(`${path}?limit=2${cursor ? `&cursor=${cursor}` : ''}`, { apiKey: allKey });
+        seen.push(...(res.body?.data || []).map(item => item.deviceId || item.id));
+        cursor = res.body?.pagination?.nextCursor;
+        pages++;
+      } while (cursor && pages < 5);
+
+      check(pages === 2 && seen.join() === expected.join(), `${path} in pages of 2 → ${pages} pages, ${seen.length} items in order`);
+    }
+
+    const activeOnly = await request('/api/v1/devices?status=active', { apiKey: allKey });
+    check(activeOnly.body?.data?.length === 2 && activeOnly.body?.pagination?.hasMore === false, 'status=active filters released devices out');
+
+  } catch (error) {
+    fail('API v1 test failed', error);
+  } finally {
+    if (server) server.kill();
+    if (accountIds.length > 0) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM sessions WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM accounts WHERE id = ANY($1)', [accountIds]);
+    }
+    await pool.end();
+  }
+
+  finish('All API v1 checks passed');
+}
+
+testApiV1();
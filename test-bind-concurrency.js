@@ -0,0 +1,118 @@
+/**
+ * Concurrency test for device binding against seat limits
+ * Fires parallel binds at the database in DATABASE_URL (use a local Postgres)
+ * and checks the licence never ends up with more bindings than seats.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-bind-concurrency.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { bindDevice, unbindDevice } from './utils/deviceBindings.js';
+import { check, fail, finish } from './test-harness.js';
+
+const SEATS = 5;
+const PARALLEL_BINDS = 20;
+
+async function countActive(licenseId) {
+  const { rows } = await pool.query(
+    `SELECT l.bound_count,
+            (SELECT COUNT(*)::int FROM device_bindings WHERE license_id = l.id AND status = 'active') AS active
+     FROM licenses l WHERE l.id = $1`,
+    [licenseId]
+  );
+  return rows[0];
+}
+
+async function testBindConcurrency() {
+  const suffix = crypto.randomBytes(4).toString('hex').toUpperCase();
+  const licenseKey = `SYNC-TEST${suffix}-CONCURRENCY`;
+  let accountId;
+
+  try {
+    console.log('🧪 Testing concurrent device binding...');
+
+    const account = await pool.query(
+      "INSERT INTO accounts (email, name) VALUES ($1, 'Bind Concurrency Test') RETURNING id",
+      [`bind-test-${suffix.toLowerCase()}@syncsure.test`]
+    );
+    accountId = account.rows[0].id;
+
+    const license = await pool.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count)
+       VALUES ($1, $2, $3, $3) RETURNING id`,
+      [accountId, licenseKey, SEATS]
+    );
+    const licenseId = license.rows[0].id;
+
+    // Test 1: more distinct devices than seats, all at once
+    console.log(`\n1. Binding ${PARALLEL_BINDS} devices in parallel against ${SEATS} seats...`);
+    const results = await Promise.all(
+      Array.from({ length: PARALLEL_BINDS }, (_, i) => bindDevice({
+        licenseKey,
+        deviceHash: `device-${i}`,
+        deviceName: `Test PC ${i}`
+      }))
+    );
+
+    const bound = results.filter(r => r.outcome === 'bound');
+    const rejected = results.filter(r => r.error === 'seat_limit_reached');
+    check(bound.length === SEATS, `${bound.length} of ${PARALLEL_BINDS} binds succeeded (expected ${SEATS})`);
+    check(rejected.length === PARALLEL_BINDS - SEATS, `${rejected.length} binds rejected with seat_limit_reached`);
+
+    let counts = await countActive(licenseId);
+    check(counts.active === SEATS && counts.bound_count === SEATS,
+      `active bindings ${counts.active}, bound_count ${counts.bound_count}`);
+
+    // Test 2: the same already-bound device retrying in parallel never takes another seat
+    console.log('\n2. Re-binding one bound device in parallel...');
+    const boundDevice = `device-${results.indexOf(bound[0])}`;
+    const rebinds = await Promise.all(
+      Array.from({ length: 10 }, () => bindDevice({ licenseKey, deviceHash: boundDevice }))
+    );
+    check(rebinds.every(r => r.outcome === 'updated'), 'all re-binds refreshed the existing binding');
+
+    counts = await countActive(licenseId);
+    check(counts.active === SEATS, `active bindings still ${counts.active}`);
+
+    // Test 3: idempotent retries of a new bind
+    console.log('\n3. Retrying a bind with one idempotency key in parallel...');
+    await unbindDevice({ licenseId, accountId, deviceId: boundDevice, actor: 'test' });
+
+    const idempotencyKey = crypto.randomUUID();
+    const retries = await Promise.all(
+      Array.from({ length: 5 }, () => bindDevice({ licenseKey, deviceHash: 'device-new', idempotencyKey }))
+    );
+    check(retries.every(r => r.outcome === 'bound'), 'every retry reports the device as bound');
+    check(retries.filter(r => !r.replayed).length === 1, 'exactly one retry did the work, the rest were replayed');
+
+    const conflict = await bindDevice({ licenseKey, deviceHash: 'device-other', idempotencyKey });
+    check(conflict.error === 'idempotency_conflict', 'same key for a different device is rejected');
+
+    counts = await countActive(licenseId);
+    check(counts.active === SEATS && counts.bound_count === SEATS,
+      `active bindings ${counts.active}, bound_count ${counts.bound_count}`);
+
+    // Test 4: a released device must win a free seat like any other bind
+    console.log('\n4. Re-binding a released device with no free seat...');
+    const reactivate = await bindDevice({ licenseKey, deviceHash: boundDevice });
+    check(reactivate.error === 'seat_limit_reached', 'released device cannot reclaim a seat on a full licence');
+
+  } catch (error) {
+    fail('Bind concurrency test failed', error);
+  } finally {
+    if (accountId) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = $1', [accountId]);
+      await pool.query('DELETE FROM accounts WHERE id = $1', [accountId]);
+    }
+    await pool.end();
+  }
+
+  finish('All bind concurrency checks passed');
+}
+
+testBindConcurrency();
@@ -0,0 +1,125 @@
+/**
+ * Shared harness for the integration tests (test-*.js): the pass/fail tally, starting
+ * the API on a spare port and calling it, and seeding an account with a session.
+ * Each test is its own process, so the tally is module state.
+ *
+ *   import { check, fail, finish, testApi, seedAccount } from './test-harness.js';
+ */
+
+import crypto from 'crypto';
+import { basename } from 'path';
+import { spawn } from 'child_process';
+import { pool } from './db.js';
+import { createSession } from './middleware/auth.js';
+
+// Sessions are labelled with the test that made them
+const SESSION_AGENT = basename(process.argv[1] || 'test-harness', '.js');
+
+let failures = 0;
+
+export function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    console.log(`❌ ${message}`);
+    failures++;
+  }
+}
+
+/**
+ * Count a test that stopped on an exception
+ * @param {string} message - e.g. 'Admin auth test failed'
+ * @param {Error} error
+ */
+export function fail(message, error) {
+  console.error(`❌ ${message}:`, error.message);
+  failures++;
+}
+
+/**
+ * Print the tally and exit with its status
+ * @param {string} passed - Shown when every check passed, e.g. 'All admin auth checks passed'
+ */
+export function finish(passed) {
+  console.log(failures === 0 ? `\n🎉 ${passed}` : `\n💥 ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+/**
+ * The API on a port: start() runs index.js there, request() calls it
+ * @param {number|string} port
+ * @returns {Object} - { baseUrl, start(env), request(path, options) }
+ */
+export function testApi(port) {
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // env: extra variables for the server; an undefined value removes one
+  async function start(env = {}) {
+    const serverEnv = {
+      ...process.env,
+      PORT: String(port),
+      JWT_SECRET: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+      ...env
+    };
+    for (const [name, value] of Object.entries(serverEnv)) {
+      if (value === undefined) delete serverEnv[name];
+    }
+
+    const server = spawn(process.execPath, ['index.js'], { env: serverEnv, stdio: ['ignore', 'ignore', 'pipe'] });
+
+    // The request logger is noisy; only show server output if it never comes up
+    let serverLog = '';
+    server.stderr.on('data', chunk => { serverLog += chunk; });
+
+    for (let attempt = 0; attempt < 60; attempt++) {
+      try {
+        const res = await fetch(`${baseUrl}/api/health`);
+        if (res.ok) return server;
+      } catch {
+        // not listening yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    server.kill();
+    console.error(serverLog.slice(-2000));
+    throw new Error('API did not start');
+  }
+
+  async function request(path, { session, bearerKey, apiKey, adminKey, organization, impersonate, method = 'GET', body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (session) headers.Authorization = `Bearer ${session}`;
+    if (bearerKey) headers.Authorization = `Bearer ${bearerKey}`;
+    if (apiKey) headers['X-API-Key'] = apiKey;
+    if (adminKey) headers['X-Admin-Key'] = adminKey;
+    if (organization) headers['X-Organization-Id'] = organization;
+    if (impersonate) headers['X-Impersonate-Account'] = impersonate;
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    return { status: res.status, body: await res.json().catch(() => null) };
+  }
+
+  return { baseUrl, start, request };
+}
+
+/**
+ * An active account <label>-<suffix>@syncsure.test with a dashboard session
+ * @param {string} label
+ * @param {string} suffix - Per-run random suffix
+ * @param {Object} options - { name, role }
+ * @returns {Promise<Object>} - { id, email, session }
+ */
+export async function seedAccount(label, suffix, { name = label, role = 'user' } = {}) {
+  const account = await pool.query(
+    "INSERT INTO accounts (email, name, role, status) VALUES ($1, $2, $3, 'active') RETURNING id, email",
+    [`${label}-${suffix}@syncsure.test`, name, role]
+  );
+  const { id, email } = account.rows[0];
+  const session = await createSession(id, SESSION_AGENT, '127.0.0.1');
+  return { id, email, session: session.sessionId };
+}
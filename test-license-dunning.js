@@ -0,0 +1,293 @@
+/**
+ * Integration test: licence states and dunning
+ * Starts the API on a spare port against DATABASE_URL (use a local Postgres) with a test
+ * webhook secret, then walks a licence through a failed payment: past due (bound devices
+ * keep working, new ones are refused), the dunning reminders, suspension when the grace
+ * period ends, reactivation on payment, invoice events arriving out of order and
+ * cancellation when the subscription is deleted.
+ * A partner's customer licence follows the partner's payments.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-license-dunning.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import Stripe from 'stripe';
+import { pool } from './db.js';
+import { sendDunningReminders, suspendExpiredLicenses } from './utils/licenseStatus.js';
+import { check, fail, finish, testApi } from './test-harness.js';
+
+const PORT = process.env.TEST_PORT || 10995;
+const { baseUrl: BASE_URL, start } = testApi(PORT);
+const WEBHOOK_SECRET = `whsec_test_${crypto.randomBytes(8).toString('hex')}`;
+
+const stripe = new Stripe('sk_test_dunning');
+
+// Reminders and the suspension notice are only logged, never sent
+delete process.env.RESEND_API_KEY;
+process.env.DUNNING_EMAIL_DAYS = '0,3,6';
+process.env.LICENSE_GRACE_PERIOD_DAYS = '7';
+
+async function post(path, body) {
+  const res = await fetch(`${BASE_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+// Post an event the way Stripe does: raw JSON with a Stripe-Signature header.
+// created (unix seconds) backdates it, as a late redelivery or retry would be.
+async function deliver(type, object, { created = Math.floor(Date.now() / 1000) } = {}) {
+  const payload = JSON.stringify({
+    id: `evt_test_${crypto.randomBytes(6).toString('hex')}`,
+    object: 'event',
+    type,
+    created,
+    livemode: false,
+    data: { object }
+  });
+
+  const res = await fetch(`${BASE_URL}/api/stripe/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })
+    },
+    body: payload
+  });
+
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+function invoice({ customer, subscription, seats, paid }) {
+  return {
+    id: `in_${crypto.randomBytes(6).toString('hex')}`,
+    object: 'invoice',
+    customer,
+    subscription,
+    amount_paid: paid ? Math.round(seats * 199) : 0,
+    attempt_count: 1,
+    paid,
+    status: paid ? 'paid' : 'open',
+    lines: {
+      object: 'list',
+      data: [{
+        object: 'line_item',
+        type: 'subscription',
+        proration: false,
+        quantity: seats,
+        subscription,
+        period: { start: Math.floor(Date.now() / 1000), end: Math.floor(Date.now() / 1000) + 30 * 86400 }
+      }]
+    }
+  };
+}
+
+async function licenseState(licenseId) {
+  const { rows } = await pool.query(
+    'SELECT status, past_due_since, grace_ends_at, dunning_stage FROM licenses WHERE id = $1',
+    [licenseId]
+  );
+  return rows[0];
+}
+
+async function auditCount(accountId, event) {
+  const { rows } = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM audit_log WHERE account_id = $1 AND event = $2',
+    [accountId, event]
+  );
+  return rows[0].count;
+}
+
+async function testLicenseDunning() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const customerId = `cus_dunning_${suffix}`;
+  const subscriptionId = `sub_dunning_${suffix}`;
+  const partnerCustomerId = `cus_partner_${suffix}`;
+  const licenseKey = `SYNC-DUN${suffix}-LICENSE`;
+  const childKey = `SYNC-DUN${suffix}-CHILD`;
+  let server;
+
+  try {
+    console.log('🧪 Testing licence states and dunning...');
+
+    const account = await pool.query(
+      `INSERT INTO accounts (email, name, role, status, stripe_customer_id)
+       VALUES ($1, 'Dunning customer', 'user', 'active', $2) RETURNING id`,
+      [`dunning-${suffix}@syncsure.test`, customerId]
+    );
+    const accountId = account.rows[0].id;
+    const license = await pool.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count, pricing_tier, price_per_device, status)
+       VALUES ($1, $2, 2, 2, 'starter', 1.99, 'active') RETURNING id`,
+      [accountId, licenseKey]
+    );
+    const licenseId = license.rows[0].id;
+    await pool.query(
+      `INSERT INTO subscriptions (account_id, stripe_subscription_id, quantity, status)
+       VALUES ($1, $2, 2, 'active')`,
+      [accountId, subscriptionId]
+    );
+
+    server = await start({ STRIPE_SECRET_KEY: 'sk_test_dunning', STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET });
+
+    const bound = await post('/api/bind', { licenseKey, deviceHash: 'device-bound' });
+    check(bound.status === 200 && bound.body?.licenseStatus === 'active', `device bound while active → ${bound.status} ${bound.body?.licenseStatus}`);
+
+    // Test 1: a failed payment starts the grace period
+    console.log('\n1. Payment failed...');
+    const failed = await deliver('invoice.payment_failed', invoice({ customer: customerId, subscription: subscriptionId, seats: 2, paid: false }));
+    let state = await licenseState(licenseId);
+    check(failed.body?.status === 'processed' && state.status === 'past_due', `licence → ${state.status}`);
+    const graceDays = (new Date(state.grace_ends_at) - new Date(state.past_due_since)) / 86400000;
+    check(Math.round(graceDays) === 7, `grace period ends after ${graceDays.toFixed(1)} days`);
+    const sub = await pool.query('SELECT status FROM subscriptions WHERE stripe_subscription_id = $1', [subscriptionId]);
+    check(sub.rows[0].status === 'past_due', 'subscription row marked past_due');
+
+    const retried = await deliver('invoice.payment_failed', invoice({ customer: customerId, subscription: subscriptionId, seats: 2, paid: false }));
+    const afterRetry = await licenseState(licenseId);
+    check(retried.body?.status === 'processed' && String(afterRetry.grace_ends_at) === String(state.grace_ends_at),
+      "Stripe's retry doesn't restart the grace period");
+
+    // Test 2: bound devices keep working, new ones are refused
+    console.log('\n2. Agents in the grace period...');
+    const newDevice = await post('/api/bind', { licenseKey, deviceHash: 'device-new' });
+    check(newDevice.status === 402 && newDevice.body?.code === 'LICENSE_PAST_DUE', `new device → ${newDevice.status} ${newDevice.body?.code}`);
+    const rebind = await post('/api/bind', { licenseKey, deviceHash: 'device-bound' });
+    check(rebind.status === 200 && rebind.body?.licenseStatus === 'past_due', `bound device rebinds → ${rebind.status}`);
+    const heartbeat = await post('/api/heartbeat', { licenseKey, deviceHash: 'device-bound' });
+    check(heartbeat.status === 200 && heartbeat.body?.licenseStatus === 'past_due', `heartbeat → ${heartbeat.status} ${heartbeat.body?.licenseStatus}`);
+
+    // Test 3: reminders go out on the schedule, once each
+    console.log('\n3. Dunning reminders...');
+    await sendDunningReminders();
+    check((await auditCount(accountId, 'dunning_email_sent')) === 1 && (await licenseState(licenseId)).dunning_stage === 1, 'first reminder sent straight away');
+    await sendDunningReminders();
+    check((await auditCount(accountId, 'dunning_email_sent')) === 1, 'not sent again before the next one is due');
+
+    await pool.query(
+      "UPDATE licenses SET past_due_since = past_due_since - INTERVAL '3 days 1 hour' WHERE id = $1",
+      [licenseId]
+    );
+    await sendDunningReminders();
+    const reminders = await pool.query(
+      "SELECT context FROM audit_log WHERE account_id = $1 AND event = 'dunning_email_sent' ORDER BY created_at",
+      [accountId]
+    );
+    check(reminders.rows.length === 2 && reminders.rows[1].context.reminder === 2 && reminders.rows[1].context.of === 3,
+      `second reminder after 3 days → ${reminders.rows[1]?.context?.reminder} of ${reminders.rows[1]?.context?.of}`);
+
+    // Test 4: the grace period ends
+    console.log('\n4. Grace period over...');
+    await pool.query("UPDATE licenses SET grace_ends_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [licenseId]);
+    await suspendExpiredLicenses();
+    check((await licenseState(licenseId)).status === 'suspended' && (await auditCount(accountId, 'license_suspended')) === 1, 'licence suspended');
+    const suspendedBeat = await post('/api/heartbeat', { licenseKey, deviceHash: 'device-bound' });
+    check(suspendedBeat.status === 402 && suspendedBeat.body?.code === 'LICENSE_SUSPENDED' && !suspendedBeat.body?.licenseToken,
+      `heartbeat refused → ${suspendedBeat.status} ${suspendedBeat.body?.code}`);
+    const suspendedBind = await post('/api/bind', { licenseKey, deviceHash: 'device-bound' });
+    check(suspendedBind.status === 402, `rebind refused → ${suspendedBind.status}`);
+    const binding = await pool.query(
+      "SELECT status FROM device_bindings WHERE license_id = $1 AND device_id = 'device-bound'",
+      [licenseId]
+    );
+    check(binding.rows[0]?.status === 'active', 'binding kept while suspended');
+
+    // Test 5: paying reactivates it
+    console.log('\n5. Paid...');
+    const paid = await deliver('invoice.payment_succeeded', invoice({ customer: customerId, subscription: subscriptionId, seats: 2, paid: true }));
+    state = await licenseState(licenseId);
+    check(paid.body?.status === 'processed' && state.status === 'active' && state.grace_ends_at === null && state.dunning_stage === 0,
+      `licence → ${state.status}`);
+    const reactivated = await pool.query(
+      "SELECT context FROM audit_log WHERE license_id = $1 AND event = 'license_reactivated'",
+      [licenseId]
+    );
+    check(reactivated.rows[0]?.context?.from === 'suspended', 'reactivation audited with the previous state');
+    const resumed = await post('/api/heartbeat', { licenseKey, deviceHash: 'device-bound' });
+    check(resumed.status === 200 && resumed.body?.licenseStatus === 'active', `heartbeat works again → ${resumed.status}`);
+    const secondDevice = await post('/api/bind', { licenseKey, deviceHash: 'device-new' });
+    check(secondDevice.status === 200, `new device binds again → ${secondDevice.status}`);
+
+    // Test 6: an earlier attempt's failure arriving after the payment changes nothing
+    console.log('\n6. Events out of order...');
+    const anHourAgo = Math.floor(Date.now() / 1000) - 3600;
+    const lateFailure = await deliver('invoice.payment_failed',
+      invoice({ customer: customerId, subscription: subscriptionId, seats: 2, paid: false }), { created: anHourAgo });
+    check(lateFailure.body?.status === 'processed' && (await licenseState(licenseId)).status === 'active',
+      `late payment failure ignored → ${(await licenseState(licenseId)).status}`);
+    check((await auditCount(accountId, 'PAYMENT_FAILED_STALE')) === 1, 'late payment failure audited as stale');
+    const paidSub = await pool.query('SELECT status FROM subscriptions WHERE stripe_subscription_id = $1', [subscriptionId]);
+    check(paidSub.rows[0].status === 'active', `subscription row stays ${paidSub.rows[0].status}`);
+
+    // Test 7: deleting the subscription cancels the licence
+    console.log('\n7. Subscription deleted...');
+    await deliver('customer.subscription.deleted', {
+      id: subscriptionId,
+      object: 'subscription',
+      customer: customerId,
+      status: 'canceled',
+      canceled_at: Math.floor(Date.now() / 1000)
+    });
+    check((await licenseState(licenseId)).status === 'cancelled', 'licence cancelled');
+    const cancelledBeat = await post('/api/heartbeat', { licenseKey, deviceHash: 'device-bound' });
+    check(cancelledBeat.status === 403 && cancelledBeat.body?.code === 'LICENSE_CANCELLED', `heartbeat → ${cancelledBeat.status} ${cancelledBeat.body?.code}`);
+
+    // Neither a replayed payment from before the deletion nor a new one revives it
+    await deliver('invoice.payment_succeeded',
+      invoice({ customer: customerId, subscription: subscriptionId, seats: 2, paid: true }), { created: anHourAgo });
+    await deliver('invoice.payment_succeeded', invoice({ customer: customerId, subscription: subscriptionId, seats: 2, paid: true }));
+    const canceledSub = await pool.query('SELECT status FROM subscriptions WHERE stripe_subscription_id = $1', [subscriptionId]);
+    check((await licenseState(licenseId)).status === 'cancelled' && canceledSub.rows[0].status === 'canceled',
+      `paid invoices after deletion → licence ${(await licenseState(licenseId)).status}, subscription ${canceledSub.rows[0].status}`);
+    check((await auditCount(accountId, 'PAYMENT_SUCCEEDED_STALE')) === 2, 'both audited as stale');
+
+    // Test 8: a partner's customers follow the partner's payments
+    console.log('\n8. Partner customers...');
+    const partner = await pool.query(
+      `INSERT INTO accounts (email, name, role, status, account_type, stripe_customer_id)
+       VALUES ($1, 'Dunning partner', 'user', 'active', 'partner', $2) RETURNING id`,
+      [`partner-${suffix}@syncsure.test`, partnerCustomerId]
+    );
+    const child = await pool.query(
+      `INSERT INTO accounts (email, name, role, status, partner_account_id)
+       VALUES ($1, 'Partner customer', 'user', 'active', $2) RETURNING id`,
+      [`child-${suffix}@syncsure.test`, partner.rows[0].id]
+    );
+    const childLicense = await pool.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count, pricing_tier, price_per_device, status)
+       VALUES ($1, $2, 5, 5, 'starter', 1.99, 'active') RETURNING id`,
+      [child.rows[0].id, childKey]
+    );
+
+    await deliver('invoice.payment_failed', invoice({ customer: partnerCustomerId, subscription: `sub_partner_${suffix}`, seats: 5, paid: false }));
+    check((await licenseState(childLicense.rows[0].id)).status === 'past_due', "customer's licence past due with the partner's payment");
+    await sendDunningReminders();
+    check((await auditCount(partner.rows[0].id, 'dunning_email_sent')) === 1 && (await auditCount(child.rows[0].id, 'dunning_email_sent')) === 0,
+      'reminder goes to the partner');
+    await deliver('invoice.payment_succeeded', invoice({ customer: partnerCustomerId, subscription: `sub_partner_${suffix}`, seats: 5, paid: true }));
+    check((await licenseState(childLicense.rows[0].id)).status === 'active', "customer's licence active once the partner pays");
+
+  } catch (error) {
+    fail('Licence dunning test failed', error);
+  } finally {
+    if (server) server.kill();
+    await pool.query(
+      'DELETE FROM audit_log WHERE account_id IN (SELECT id FROM accounts WHERE email LIKE $1)',
+      [`%-${suffix}@syncsure.test`]
+    );
+    await pool.query("DELETE FROM stripe_events WHERE payload::text LIKE $1", [`%_${suffix}%`]);
+    await pool.query('DELETE FROM accounts WHERE email LIKE $1', [`%-${suffix}@syncsure.test`]);
+    await pool.end();
+  }
+
+  finish('All licence dunning checks passed');
+}
+
+testLicenseDunning();
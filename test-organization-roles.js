@@ -0,0 +1,207 @@
+/**
+ * Integration test: organisation invites and role permissions
+ * Starts the API on a spare port against DATABASE_URL (use a local Postgres), seeds an
+ * organisation owner, a colleague to invite and an outsider, and checks each role
+ * only reaches the routes its permissions allow.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-organization-roles.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { createInvite } from './utils/organizations.js';
+import { check, fail, finish, testApi, seedAccount } from './test-harness.js';
+
+const PORT = process.env.TEST_PORT || 10988;
+const { start, request } = testApi(PORT);
+
+// An account, optionally with a licence, a bound device and a released build
+async function seedOrganization(label, suffix, { withLicense }) {
+  const { id, email, session } = await seedAccount(label, suffix, { name: `Organisation ${label}` });
+
+  let buildId = null;
+  if (withLicense) {
+    const license = await pool.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count)
+       VALUES ($1, $2, 5, 5) RETURNING id`,
+      [id, `SYNC-${label.toUpperCase()}${suffix}-ORG`]
+    );
+
+    await pool.query(
+      `INSERT INTO device_bindings (license_id, device_id, device_name, status, last_heartbeat)
+       VALUES ($1, $2, $3, 'active', NOW())`,
+      [license.rows[0].id, `${label}-device`, `${label} PC`]
+    );
+
+    const build = await pool.query(
+      `INSERT INTO builds (license_id, account_id, status, tag, release_url)
+       VALUES ($1, $2, 'released', $3, 'https://github.com/example/releases/tag/x') RETURNING id`,
+      [license.rows[0].id, id, `org-${label}-${suffix}`]
+    );
+    buildId = build.rows[0].id;
+  }
+
+  return { id, email, buildId, session };
+}
+
+const deviceIds = res => (res.body?.devices || []).map(d => d.deviceId || d.device_id);
+
+async function testOrganizationRoles() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const accountIds = [];
+  let server;
+
+  try {
+    console.log('🧪 Testing organisation invites and roles...');
+
+    const owner = await seedOrganization('owner', suffix, { withLicense: true });
+    const colleague = await seedOrganization('colleague', suffix, { withLicense: false });
+    const outsider = await seedOrganization('outsider', suffix, { withLicense: true });
+    accountIds.push(owner.id, colleague.id, outsider.id);
+
+    server = await start();
+
+    // Test 1: inviting
+    console.log('\n1. Owner invites a technician...');
+    const invited = await request('/api/v9/dashboard/organization/invites', {
+      session: owner.session,
+      method: 'POST',
+      body: { inviteeEmail: colleague.email, role: 'technician' }
+    });
+    check(invited.status === 201 && invited.body?.invite?.role === 'technician', `invite → ${invited.status}`);
+
+    const badRole = await request('/api/v9/dashboard/organization/invites', {
+      session: owner.session,
+      method: 'POST',
+      body: { inviteeEmail: colleague.email, role: 'admin' }
+    });
+    check(badRole.status === 400, `invite with unknown role → ${badRole.status}`);
+
+    // The raw token only exists in the email, so mint a fresh one the way the route does
+    const { token } = await createInvite({
+      organizationId: owner.id,
+      email: colleague.email,
+      role: 'technician',
+      invitedBy: owner.email
+    });
+
+    const preview = await request(`/api/auth/invite?token=${encodeURIComponent(token)}`);
+    check(preview.status === 200 && preview.body?.invite?.hasAccount === true, `invite preview → ${preview.status}`);
+
+    // Test 2: accepting
+    console.log('\n2. Accepting the invite...');
+    const wrongAccount = await request('/api/auth/accept-invite', {
+      session: outsider.session,
+      method: 'POST',
+      body: { token }
+    });
+    check(wrongAccount.status === 403 && wrongAccount.body?.code === 'INVITE_EMAIL_MISMATCH',
+      `accepted by someone else → ${wrongAccount.status}`);
+
+    const accepted = await request('/api/auth/accept-invite', {
+      session: colleague.session,
+      method: 'POST',
+      body: { token }
+    });
+    check(accepted.status === 200 && accepted.body?.membership?.role === 'technician', `accept → ${accepted.status}`);
+
+    const replay = await request('/api/auth/accept-invite', {
+      session: colleague.session,
+      method: 'POST',
+      body: { token }
+    });
+    check(replay.status === 400 && replay.body?.code === 'INVALID_TOKEN', `accepting twice → ${replay.status}`);
+
+    const members = await request('/api/v9/dashboard/organization/members', { session: owner.session });
+    const member = members.body?.members?.find(m => m.accountId === colleague.id);
+    check(members.status === 200 && member?.role === 'technician', `owner sees the new member → ${members.status}`);
+
+    // Test 3: technician permissions
+    console.log('\n3. Technician...');
+    const techDevices = await request('/api/v9/dashboard/devices', { session: colleague.session });
+    check(techDevices.status === 200 && deviceIds(techDevices).join() === 'owner-device',
+      `lands in the organisation's devices → ${techDevices.status} [${deviceIds(techDevices).join(', ')}]`);
+
+    const techDownload = await request(`/api/builds/download/${owner.buildId}`, { session: colleague.session });
+    check(techDownload.status === 200, `downloads the organisation's build → ${techDownload.status}`);
+
+    for (const [path, method] of [
+      ['/api/v9/dashboard/license-management', 'GET'],
+      ['/api/v9/stripe/cancel-subscription', 'POST'],
+      ['/api/v9/dashboard/organization/invites', 'POST']
+    ]) {
+      const res = await request(path, { session: colleague.session, method, body: method === 'POST' ? {} : undefined });
+      check(res.status === 403 && res.body?.code === 'PERMISSION_DENIED', `${method} ${path} → ${res.status}`);
+    }
+
+    const foreign = await request('/api/v9/dashboard/devices', { session: colleague.session, organization: outsider.id });
+    check(foreign.status === 403 && foreign.body?.code === 'NOT_A_MEMBER', `X-Organization-Id of another customer → ${foreign.status}`);
+
+    // Test 4: billing and read-only
+    console.log('\n4. Billing and read-only...');
+    const toBilling = await request(`/api/v9/dashboard/organization/members/${member.id}`, {
+      session: owner.session,
+      method: 'PUT',
+      body: { role: 'billing' }
+    });
+    check(toBilling.status === 200, `owner changes role to billing → ${toBilling.status}`);
+
+    const malformed = await request('/api/v9/dashboard/organization/members/not-a-uuid', {
+      session: owner.session,
+      method: 'PUT',
+      body: { role: 'billing' }
+    });
+    check(malformed.status === 404, `malformed member ID → ${malformed.status}`);
+
+    const billingDownload = await request(`/api/builds/download/${owner.buildId}`, { session: colleague.session });
+    check(billingDownload.status === 403, `billing downloading builds → ${billingDownload.status}`);
+
+    await request(`/api/v9/dashboard/organization/members/${member.id}`, {
+      session: owner.session,
+      method: 'PUT',
+      body: { role: 'read_only' }
+    });
+
+    const readDevices = await request('/api/dashboard/devices', { session: colleague.session });
+    check(readDevices.status === 200 && deviceIds(readDevices).join() === 'owner-device',
+      `read-only lists devices → ${readDevices.status}`);
+
+    const readUnbind = await request('/api/dashboard/devices/owner-device/unbind', { session: colleague.session, method: 'POST' });
+    check(readUnbind.status === 403 && readUnbind.body?.code === 'PERMISSION_DENIED', `read-only unbinding → ${readUnbind.status}`);
+
+    // Test 5: removal
+    console.log('\n5. Removing the member...');
+    const removed = await request(`/api/v9/dashboard/organization/members/${member.id}`, { session: owner.session, method: 'DELETE' });
+    check(removed.status === 200, `owner removes member → ${removed.status}`);
+
+    const afterRemoval = await request('/api/v9/dashboard/devices', { session: colleague.session, organization: owner.id });
+    check(afterRemoval.status === 403, `former member selecting the organisation → ${afterRemoval.status}`);
+
+    const audit = await pool.query(
+      `SELECT event FROM audit_log WHERE account_id = $1 AND event LIKE 'organization_%' ORDER BY created_at`,
+      [owner.id]
+    );
+    const events = [...new Set(audit.rows.map(row => row.event))];
+    check(['organization_member_invited', 'organization_member_joined', 'organization_member_role_changed', 'organization_member_removed']
+      .every(event => events.includes(event)), `audited: ${events.join(', ')}`);
+
+  } catch (error) {
+    fail('Organisation roles test failed', error);
+  } finally {
+    if (server) server.kill();
+    if (accountIds.length > 0) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM sessions WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM accounts WHERE id = ANY($1)', [accountIds]);
+    }
+    await pool.end();
+  }
+
+  finish('All organisation role checks passed');
+}
+
+testOrganizationRoles();
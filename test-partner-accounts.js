@@ -0,0 +1,239 @@
+/**
+ * Integration test: MSP partner accounts
+ * Starts the API on a spare port against DATABASE_URL (use a local Postgres), makes a
+ * partner with two customers, and checks the roll-up, switching into a customer's
+ * context, seat changes and that customers can't be reached by anyone else. Stripe is
+ * a small in-test stand-in holding the partner's subscription, so billing sync can be
+ * made to fail and the unbilled seats checked for.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-partner-accounts.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import http from 'http';
+import { pool } from './db.js';
+import { upsertSubscription } from './services/billing.js';
+import { check, fail, finish, testApi, seedAccount } from './test-harness.js';
+
+const PORT = process.env.TEST_PORT || 10989;
+const { start, request } = testApi(PORT);
+const STRIPE_PORT = Number(PORT) + 1000;
+
+// Lists the one subscription and applies quantity updates to it, unless told to fail
+function startStripeStandIn(subscription) {
+  const stripe = { subscription, failUpdates: false };
+
+  stripe.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.method === 'GET' && req.url.startsWith('/v1/subscriptions')) {
+        return res.end(JSON.stringify({ object: 'list', data: [subscription], has_more: false, url: '/v1/subscriptions' }));
+      }
+      if (req.method === 'POST' && req.url === `/v1/subscriptions/${subscription.id}` && !stripe.failUpdates) {
+        subscription.items.data[0].quantity = Number(new URLSearchParams(body).get('items[0][quantity]'));
+        return res.end(JSON.stringify(subscription));
+      }
+      res.statusCode = 500;
+      res.end(JSON.stringify({ error: { type: 'api_error', message: 'Stand-in refused the request' } }));
+    });
+  });
+
+  return new Promise(resolve => stripe.server.listen(STRIPE_PORT, '127.0.0.1', () => resolve(stripe)));
+}
+
+async function testPartnerAccounts() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const accountIds = [];
+  let server;
+  let stripe;
+
+  try {
+    console.log('🧪 Testing MSP partner accounts...');
+
+    const partner = await seedAccount('partner', suffix, { name: 'Partner test partner' });
+    const outsider = await seedAccount('outsider', suffix, { name: 'Partner test outsider' });
+    const admin = await seedAccount('admin', suffix, { name: 'Partner test admin', role: 'admin' });
+    accountIds.push(partner.id, outsider.id, admin.id);
+
+    stripe = await startStripeStandIn({
+      id: `sub_partner_${suffix}`,
+      object: 'subscription',
+      customer: `cus_partner_${suffix}`,
+      status: 'active',
+      items: { object: 'list', data: [{ id: `si_partner_${suffix}`, object: 'subscription_item', quantity: 1 }] }
+    });
+    server = await start({
+      STRIPE_SECRET_KEY: 'sk_test_partner_accounts',
+      STRIPE_API_BASE: `http://127.0.0.1:${STRIPE_PORT}`
+    });
+
+    // Test 1: becoming a partner
+    console.log('\n1. Partner setup...');
+    const notYet = await request('/api/v9/partner/dashboard', { session: partner.session });
+    check(notYet.status === 403 && notYet.body?.code === 'NOT_A_PARTNER', `before promotion → ${notYet.status}`);
+
+    const promoted = await request(`/api/admin/accounts/${partner.id}/partner`, {
+      session: admin.session,
+      method: 'PUT',
+      body: { accountType: 'partner' }
+    });
+    check(promoted.status === 200 && promoted.body?.account?.accountType === 'partner', `admin makes partner → ${promoted.status}`);
+
+    // Test 2: adding customers
+    console.log('\n2. Adding customers...');
+    const unpaid = await request('/api/v9/partner/customers', {
+      session: partner.session,
+      method: 'POST',
+      body: { customerEmail: `unpaid-${suffix}@syncsure.test`, seats: 100000 }
+    });
+    check(unpaid.status === 402 && unpaid.body?.code === 'PARTNER_SUBSCRIPTION_REQUIRED',
+      `seats without a partner subscription → ${unpaid.status}`);
+
+    await pool.query('UPDATE accounts SET stripe_customer_id = $1 WHERE id = $2', [stripe.subscription.customer, partner.id]);
+    await upsertSubscription(pool, {
+      accountId: partner.id,
+      stripeSubscriptionId: stripe.subscription.id,
+      quantity: 1,
+      status: 'active',
+      currentPeriodEnd: Math.floor(Date.now() / 1000) + 30 * 86400
+    });
+
+    const customers = [];
+    for (const [label, seats] of [['acme', 10], ['globex', 45]]) {
+      const created = await request('/api/v9/partner/customers', {
+        session: partner.session,
+        method: 'POST',
+        body: { name: `${label} Ltd`, customerEmail: `${label}-${suffix}@syncsure.test`, seats }
+      });
+      check(created.status === 201 && created.body?.customer?.license?.seats === seats,
+        `create ${label} with ${seats} seats → ${created.status}`);
+      if (created.body?.customer) {
+        customers.push(created.body.customer);
+        accountIds.push(created.body.customer.accountId);
+      }
+    }
+    const [acme, globex] = customers;
+
+    const duplicate = await request('/api/v9/partner/customers', {
+      session: partner.session,
+      method: 'POST',
+      body: { customerEmail: acme.email, seats: 1 }
+    });
+    check(duplicate.status === 409 && duplicate.body?.code === 'EMAIL_TAKEN', `duplicate customer email → ${duplicate.status}`);
+    check(stripe.subscription.items.data[0].quantity === 55, `Stripe billed for ${stripe.subscription.items.data[0].quantity} seats`);
+
+    await pool.query(
+      `INSERT INTO device_bindings (license_id, device_id, device_name, status, last_heartbeat, health_state)
+       VALUES ($1, 'acme-1', 'Acme PC 1', 'active', NOW(), 'online'),
+              ($1, 'acme-2', 'Acme PC 2', 'active', NOW() - INTERVAL '2 days', 'offline')`,
+      [acme.license.id]
+    );
+
+    // Test 3: roll-up
+    console.log('\n3. Roll-up dashboard...');
+    const dashboard = await request('/api/v9/partner/dashboard', { session: partner.session });
+    const totals = dashboard.body?.totals;
+    check(dashboard.status === 200 && totals?.customers === 2 && totals?.seats === 55 &&
+      totals?.boundDevices === 2 && totals?.onlineDevices === 1 && totals?.offlineDevices === 1,
+      `totals → ${JSON.stringify(totals)}`);
+
+    const billing = await request('/api/v9/partner/billing', { session: partner.session });
+    check(billing.status === 200 && billing.body?.seats === 55 && billing.body?.tier === 'business' &&
+      billing.body?.breakdown?.length === 2, `consolidated billing → ${billing.body?.seats} seats, ${billing.body?.tier}`);
+
+    const tiers = await pool.query(
+      'SELECT DISTINCT pricing_tier FROM licenses WHERE id = ANY($1)',
+      [[acme.license.id, globex.license.id]]
+    );
+    check(tiers.rows.length === 1 && tiers.rows[0].pricing_tier === 'business', 'customers share the partner volume tier');
+
+    // Test 4: switching into a customer
+    console.log("\n4. Switching into a customer's context...");
+    const acmeDevices = await request('/api/v9/dashboard/devices', { session: partner.session, organization: acme.accountId });
+    const ids = (acmeDevices.body?.devices || []).map(d => d.deviceId).sort();
+    check(acmeDevices.status === 200 && ids.join() === 'acme-1,acme-2', `acme devices → ${acmeDevices.status} [${ids.join(', ')}]`);
+
+    const checkout = await request('/api/v9/stripe/create-checkout-session', {
+      session: partner.session,
+      organization: acme.accountId,
+      method: 'POST',
+      body: { quantity: 5 }
+    });
+    check(checkout.status === 409 && checkout.body?.code === 'BILLED_BY_PARTNER', `customer checkout → ${checkout.status}`);
+
+    const foreign = await request('/api/v9/dashboard/devices', { session: outsider.session, organization: acme.accountId });
+    check(foreign.status === 403 && foreign.body?.code === 'NOT_A_MEMBER', `outsider switching in → ${foreign.status}`);
+
+    const outsiderRollup = await request('/api/v9/partner/customers', { session: outsider.session });
+    check(outsiderRollup.status === 403, `outsider roll-up → ${outsiderRollup.status}`);
+
+    // Test 5: seat changes
+    console.log('\n5. Seat changes...');
+    const belowBound = await request(`/api/v9/partner/customers/${acme.accountId}/seats`, {
+      session: partner.session,
+      method: 'PUT',
+      body: { seats: 1 }
+    });
+    check(belowBound.status === 409 && belowBound.body?.boundDevices === 2, `below bound devices → ${belowBound.status}`);
+
+    const reduced = await request(`/api/v9/partner/customers/${globex.accountId}/seats`, {
+      session: partner.session,
+      method: 'PUT',
+      body: { seats: 20 }
+    });
+    check(reduced.status === 200 && reduced.body?.billing?.seats === 30 && reduced.body?.billing?.tier === 'starter',
+      `globex to 20 seats → ${reduced.status}, billed ${reduced.body?.billing?.seats}`);
+
+    const notTheirs = await request(`/api/v9/partner/customers/${outsider.id}/seats`, {
+      session: partner.session,
+      method: 'PUT',
+      body: { seats: 5 }
+    });
+    check(notTheirs.status === 404, `another account's seats → ${notTheirs.status}`);
+
+    // Test 6: Stripe refusing the change
+    console.log('\n6. Billing failures...');
+    stripe.failUpdates = true;
+    const unbilledIncrease = await request(`/api/v9/partner/customers/${acme.accountId}/seats`, {
+      session: partner.session,
+      method: 'PUT',
+      body: { seats: 500 }
+    });
+    const acmeSeats = await pool.query('SELECT device_count FROM licenses WHERE id = $1', [acme.license.id]);
+    check(unbilledIncrease.status === 502 && unbilledIncrease.body?.code === 'BILLING_SYNC_FAILED' && acmeSeats.rows[0].device_count === 10,
+      `increase Stripe refused → ${unbilledIncrease.status}, acme back to ${acmeSeats.rows[0].device_count} seats`);
+
+    const unbilledCustomer = await request('/api/v9/partner/customers', {
+      session: partner.session,
+      method: 'POST',
+      body: { customerEmail: `initech-${suffix}@syncsure.test`, seats: 5 }
+    });
+    const leftBehind = await pool.query('SELECT id FROM accounts WHERE email = $1', [`initech-${suffix}@syncsure.test`]);
+    leftBehind.rows.forEach(row => accountIds.push(row.id));
+    check(unbilledCustomer.status === 502 && leftBehind.rows.length === 0,
+      `customer Stripe refused → ${unbilledCustomer.status}, ${leftBehind.rows.length} account(s) left`);
+
+  } catch (error) {
+    fail('Partner accounts test failed', error);
+  } finally {
+    if (server) server.kill();
+    if (stripe) stripe.server.close();
+    if (accountIds.length > 0) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM sessions WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM builds WHERE account_id = ANY($1)', [accountIds]);
+      await pool.query('DELETE FROM accounts WHERE id = ANY($1)', [accountIds.slice().reverse()]);
+    }
+    await pool.end();
+  }
+
+  finish('All partner account checks passed');
+}
+
+testPartnerAccounts();
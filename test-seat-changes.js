@@ -0,0 +1,247 @@
+/**
+ * Integration test: seat-change previews and scheduled seat reductions
+ * Runs services/billing.js against DATABASE_URL (use a local Postgres). stripe-mock can't
+ * hold a subscription with more than one seat, so Stripe is a small in-test stand-in that
+ * records the calls made to it. Checks the preview splits the proration from the next
+ * invoice, a reduction is refused while more devices are bound, a scheduled one caps new
+ * bindings until Stripe reports the new quantity, and can be dropped again. Stripe is called
+ * without the licences locked, a failed call leaves nothing scheduled, and a schedule
+ * released in Stripe clears the reduction.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-seat-changes.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { bindDevice } from './utils/deviceBindings.js';
+import {
+  previewSeatChange,
+  getScheduledSeatReduction,
+  scheduleSeatReduction,
+  cancelScheduledSeatReduction,
+  upsertSubscription,
+  handleStripeEvent
+} from './services/billing.js';
+import { check, fail, finish } from './test-harness.js';
+
+// Answers the calls previewSeatChange and the schedule functions make, and remembers them
+function stripeStandIn(subscription) {
+  const calls = [];
+
+  const stripe = {
+    calls,
+    // Called inside subscriptionSchedules.update, e.g. to fail it or look at the database meanwhile
+    onUpdate: null,
+    invoices: {
+      retrieveUpcoming: async (params) => {
+        calls.push(['invoices.retrieveUpcoming', params]);
+        const quantity = params.subscription_items[0].quantity;
+        const prorated = params.subscription_proration_behavior !== 'none';
+        const lines = [{ proration: false, amount: quantity * 199 }];
+        if (prorated) {
+          // half the period left: credit the old seats, charge the new ones
+          lines.push({ proration: true, amount: -Math.round(subscription.items.data[0].quantity * 199 / 2) });
+          lines.push({ proration: true, amount: Math.round(quantity * 199 / 2) });
+        }
+        return {
+          object: 'invoice',
+          currency: 'gbp',
+          total: lines.reduce((sum, line) => sum + line.amount, 0),
+          next_payment_attempt: subscription.current_period_end,
+          lines: { object: 'list', data: lines }
+        };
+      }
+    },
+    subscriptionSchedules: {
+      create: async (params) => {
+        calls.push(['subscriptionSchedules.create', params]);
+        return { id: `sub_sched_${subscription.id}`, current_phase: { start_date: subscription.current_period_start } };
+      },
+      retrieve: async (id) => {
+        calls.push(['subscriptionSchedules.retrieve', id]);
+        return { id, current_phase: { start_date: subscription.current_period_start } };
+      },
+      update: async (id, params) => {
+        calls.push(['subscriptionSchedules.update', params]);
+        if (stripe.onUpdate) await stripe.onUpdate();
+        subscription.schedule = id;
+        return { id };
+      },
+      release: async (id) => {
+        calls.push(['subscriptionSchedules.release', id]);
+        subscription.schedule = null;
+        return { id, status: 'released' };
+      }
+    }
+  };
+
+  return stripe;
+}
+
+async function testSeatChanges() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const licenseKey = `SYNC-SEAT${suffix}-CHANGES`;
+  const now = Math.floor(Date.now() / 1000);
+  let accountId = null;
+
+  const subscription = {
+    id: `sub_seats_${suffix}`,
+    object: 'subscription',
+    customer: `cus_seats_${suffix}`,
+    status: 'active',
+    schedule: null,
+    current_period_start: now - 15 * 86400,
+    current_period_end: now + 15 * 86400,
+    items: { object: 'list', data: [{ id: `si_seats_${suffix}`, price: { id: `price_seats_${suffix}` }, quantity: 10 }] }
+  };
+  const stripe = stripeStandIn(subscription);
+
+  try {
+    console.log('🧪 Testing seat-change previews and scheduled reductions...');
+
+    const account = await pool.query(
+      `INSERT INTO accounts (email, name, role, status, stripe_customer_id)
+       VALUES ($1, 'Seat customer', 'user', 'active', $2) RETURNING id`,
+      [`seats-${suffix}@syncsure.test`, subscription.customer]
+    );
+    accountId = account.rows[0].id;
+    await pool.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count, pricing_tier, price_per_device, status)
+       VALUES ($1, $2, 10, 10, 'starter', 1.99, 'active')`,
+      [accountId, licenseKey]
+    );
+    await upsertSubscription(pool, {
+      accountId,
+      stripeSubscriptionId: subscription.id,
+      quantity: 10,
+      status: 'active',
+      currentPeriodEnd: subscription.current_period_end
+    });
+
+    for (let i = 0; i < 6; i++) {
+      await bindDevice({ licenseKey, deviceHash: `device-${i}` });
+    }
+
+    // Test 1: previews
+    console.log('\n1. Previews...');
+    const now60 = await previewSeatChange(subscription, 60, { stripe });
+    check(now60.effective === 'now' && now60.tierInfo.tier === 'business' && now60.currentTierInfo.tier === 'starter',
+      `tier ${now60.currentTierInfo.tier} → ${now60.tierInfo.tier}`);
+    check(now60.prorationAmount === (Math.round(60 * 199 / 2) - Math.round(10 * 199 / 2)) / 100,
+      `proration charged now → ${now60.prorationAmount}`);
+    check(now60.nextInvoice.total === 60 * 1.99 && now60.nextInvoice.date === subscription.current_period_end,
+      `next invoice → ${now60.nextInvoice.total}`);
+    const upcomingCall = stripe.calls.find(([name]) => name === 'invoices.retrieveUpcoming')[1];
+    check(upcomingCall.subscription_proration_behavior === 'always_invoice' && upcomingCall.subscription_items[0].id === subscription.items.data[0].id,
+      'previewed the way update-subscription invoices it');
+
+    const end5 = await previewSeatChange(subscription, 5, { atPeriodEnd: true, stripe });
+    check(end5.prorationAmount === 0 && end5.effectiveAt === subscription.current_period_end && end5.nextInvoice.total === 5 * 1.99,
+      `period-end preview → no proration, next invoice ${end5.nextInvoice.total}`);
+
+    // Test 2: a reduction below the bound devices is refused
+    console.log('\n2. Too many devices bound...');
+    const blocked = await scheduleSeatReduction({ accountId, subscription, quantity: 5, actor: 'test', stripe });
+    check(blocked.error === 'devices_exceed_quantity' && blocked.boundDevices === 6, `5 seats with 6 bound → ${blocked.error}`);
+    check(!stripe.calls.some(([name]) => name.startsWith('subscriptionSchedules')) && (await getScheduledSeatReduction(subscription.id)) === null,
+      'nothing scheduled');
+    const increase = await scheduleSeatReduction({ accountId, subscription, quantity: 12, actor: 'test', stripe });
+    check(increase.error === 'not_a_reduction', 'an increase cannot be scheduled');
+
+    // Test 3: scheduling a reduction
+    console.log('\n3. Scheduling...');
+    let lockedDuringStripe = null;
+    stripe.onUpdate = async () => {
+      const locked = await pool.query(
+        "SELECT id FROM licenses WHERE license_key = $1 FOR UPDATE SKIP LOCKED",
+        [licenseKey]
+      );
+      lockedDuringStripe = locked.rows.length === 0;
+    };
+    const scheduled = await scheduleSeatReduction({ accountId, subscription, quantity: 7, actor: 'test', stripe });
+    stripe.onUpdate = null;
+    check(lockedDuringStripe === false, 'the licence is not locked while Stripe is called');
+    check(!scheduled.error && scheduled.effectiveAt === subscription.current_period_end, `7 seats from ${new Date(scheduled.effectiveAt * 1000).toISOString()}`);
+    const phases = stripe.calls.find(([name]) => name === 'subscriptionSchedules.update')[1].phases;
+    check(phases.length === 2 && phases[0].items[0].quantity === 10 && phases[0].end_date === subscription.current_period_end &&
+      phases[1].items[0].quantity === 7 && phases[1].items[0].price === subscription.items.data[0].price.id,
+      'Stripe schedule keeps 10 seats to the period end, then 7');
+    const stored = await getScheduledSeatReduction(subscription.id);
+    check(stored?.quantity === 7 && stored?.effectiveAt === subscription.current_period_end, 'reduction recorded on the subscription');
+    const audit = await pool.query(
+      "SELECT context FROM audit_log WHERE account_id = $1 AND event = 'seat_reduction_scheduled'",
+      [accountId]
+    );
+    check(audit.rows[0]?.context?.from === 10 && audit.rows[0]?.context?.to === 7, 'scheduling audited');
+
+    // Test 4: new bindings are held to the scheduled seats
+    console.log('\n4. Binding while a reduction is scheduled...');
+    const seventh = await bindDevice({ licenseKey, deviceHash: 'device-6' });
+    const eighth = await bindDevice({ licenseKey, deviceHash: 'device-7' });
+    check(!seventh.error && eighth.error === 'seat_limit_reached' && eighth.deviceCount === 7,
+      `7th device binds, 8th refused → ${eighth.error}`);
+
+    // Test 5: dropping it
+    console.log('\n5. Cancelling...');
+    const dropped = await cancelScheduledSeatReduction({ accountId, subscription, actor: 'test', stripe });
+    check(dropped.quantity === 7 && stripe.calls.some(([name]) => name === 'subscriptionSchedules.release') &&
+      (await getScheduledSeatReduction(subscription.id)) === null, 'schedule released and cleared');
+    check((await cancelScheduledSeatReduction({ accountId, subscription, actor: 'test', stripe })).error === 'no_scheduled_change',
+      'nothing left to cancel');
+    const eighthAgain = await bindDevice({ licenseKey, deviceHash: 'device-7' });
+    check(!eighthAgain.error, '8th device binds once the reduction is dropped');
+
+    stripe.onUpdate = async () => {
+      check((await getScheduledSeatReduction(subscription.id))?.quantity === 8, 'the new seats are held while Stripe is called');
+      throw new Error('Stripe unavailable');
+    };
+    const failed = await scheduleSeatReduction({ accountId, subscription, quantity: 8, actor: 'test', stripe }).catch(error => error);
+    stripe.onUpdate = null;
+    check(failed instanceof Error && (await getScheduledSeatReduction(subscription.id)) === null,
+      'a failed Stripe call leaves nothing scheduled');
+
+    const released = await scheduleSeatReduction({ accountId, subscription, quantity: 8, actor: 'test', stripe });
+    await handleStripeEvent({
+      id: `evt_released_${suffix}`,
+      type: 'subscription_schedule.released',
+      created: now,
+      data: { object: { id: released.scheduleId, object: 'subscription_schedule', subscription: subscription.id } }
+    }, { db: pool, afterCommit: () => {} });
+    subscription.schedule = null;
+    check(!released.error && (await getScheduledSeatReduction(subscription.id)) === null,
+      'a schedule released in Stripe clears the reduction');
+
+    // Test 6: the period ends and Stripe reports the new quantity
+    console.log('\n6. Period end...');
+    const creates = () => stripe.calls.filter(([name]) => name === 'subscriptionSchedules.create').length;
+    const createsBefore = creates();
+    const again = await scheduleSeatReduction({ accountId, subscription, quantity: 9, actor: 'test', stripe });
+    check(!again.error && creates() === createsBefore + 1,
+      'a new schedule replaces the released one');
+    await upsertSubscription(pool, {
+      accountId,
+      stripeSubscriptionId: subscription.id,
+      quantity: 9,
+      status: 'active',
+      currentPeriodEnd: subscription.current_period_end + 30 * 86400
+    });
+    check((await getScheduledSeatReduction(subscription.id)) === null, 'reduction cleared when Stripe reports 9 seats');
+
+  } catch (error) {
+    fail('Seat change test failed', error);
+  } finally {
+    if (accountId) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = $1', [accountId]);
+      await pool.query('DELETE FROM accounts WHERE id = $1', [accountId]);
+    }
+    await pool.end();
+  }
+
+  finish('All seat change checks passed');
+}
+
+testSeatChanges();
@@ -0,0 +1,195 @@
+/**
+ * Integration test: billing service against recorded Stripe events
+ * Starts the API on a spare port against DATABASE_URL (use a local Postgres) and replays
+ * the fixtures in fixtures/stripe (checkout, subscription created, first invoice, seat
+ * change, proration invoice, cancellation) as signed webhooks, alternating between
+ * /api/stripe/webhook and /api/v9/stripe/webhook. After each event the account's single
+ * licence must match the subscription's quantity and tier. No Stripe API calls are made.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-stripe-billing.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Stripe from 'stripe';
+import { fileURLToPath } from 'url';
+import { pool } from './db.js';
+import { check, fail, finish, testApi } from './test-harness.js';
+
+const PORT = process.env.TEST_PORT || 10994;
+const { baseUrl: BASE_URL, start } = testApi(PORT);
+const WEBHOOK_SECRET = `whsec_test_${crypto.randomBytes(8).toString('hex')}`;
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'stripe');
+const WEBHOOK_PATHS = ['/api/stripe/webhook', '/api/v9/stripe/webhook'];
+
+const stripe = new Stripe('sk_test_fixtures');
+
+// The recorded events in order, with IDs and email made unique to this run
+function loadFixtures(suffix, email) {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const raw = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')
+        .replace(/\b(evt|cus|sub)_fixture(\w*)/g, `$1_fixture$2_${suffix}`)
+        .replace(/fixture@example\.com/g, email);
+      return { file, event: JSON.parse(raw) };
+    });
+}
+
+// Post an event the way Stripe does: raw JSON with a Stripe-Signature header
+async function deliver(event, webhookPath) {
+  const payload = JSON.stringify(event);
+  const res = await fetch(`${BASE_URL}${webhookPath}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })
+    },
+    body: payload
+  });
+
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+async function billingState(email, subscriptionId) {
+  const account = await pool.query('SELECT id, stripe_customer_id FROM accounts WHERE email = $1', [email]);
+  const accountId = account.rows[0]?.id || null;
+
+  const licenses = await pool.query(
+    'SELECT id, license_key, device_count, max_devices, pricing_tier, price_per_device FROM licenses WHERE account_id = $1',
+    [accountId]
+  );
+  const builds = await pool.query('SELECT COUNT(*)::int AS count FROM builds WHERE account_id = $1', [accountId]);
+  const subscription = await pool.query(
+    'SELECT status, quantity FROM subscriptions WHERE stripe_subscription_id = $1',
+    [subscriptionId]
+  );
+
+  return {
+    account: account.rows[0] || null,
+    licenses: licenses.rows,
+    license: licenses.rows[0] || null,
+    builds: builds.rows[0].count,
+    subscription: subscription.rows[0] || null
+  };
+}
+
+function licenseMatches(license, seats, tier, price) {
+  return license?.device_count === seats &&
+    license?.max_devices === seats &&
+    license?.pricing_tier === tier &&
+    Number(license?.price_per_device) === price;
+}
+
+async function testStripeBilling() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const email = `billing-${suffix}@syncsure.test`;
+  const customerId = `cus_fixture_${suffix}`;
+  const subscriptionId = `sub_fixture_${suffix}`;
+  let server;
+
+  try {
+    console.log('🧪 Testing the billing service with recorded Stripe events...');
+
+    const fixtures = loadFixtures(suffix, email);
+    check(fixtures.length === 6, `loaded ${fixtures.length} fixtures`);
+
+    server = await start({ STRIPE_SECRET_KEY: 'sk_test_fixtures', STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET });
+
+    let step = 0;
+    const replay = async ({ file, event }) => {
+      const webhookPath = WEBHOOK_PATHS[step++ % WEBHOOK_PATHS.length];
+      const res = await deliver(event, webhookPath);
+      check(res.status === 200 && res.body?.status === 'processed', `${file} via ${webhookPath} → ${res.status} ${res.body?.status}`);
+      return res;
+    };
+
+    // Test 1: checkout links the Stripe customer, nothing is licensed yet
+    console.log('\n1. Checkout...');
+    await replay(fixtures[0]);
+    let state = await billingState(email, subscriptionId);
+    check(state.account?.stripe_customer_id === customerId, 'checkout created the account with its Stripe customer');
+    check(state.licenses.length === 0, 'no licence before payment');
+
+    // Test 2: the subscription is recorded by quantity, still unlicensed
+    console.log('\n2. Subscription created...');
+    await replay(fixtures[1]);
+    state = await billingState(email, subscriptionId);
+    check(state.subscription?.status === 'active' && state.subscription?.quantity === 10, `subscription stored → ${state.subscription?.status} × ${state.subscription?.quantity}`);
+    check(state.licenses.length === 0, 'no licence before payment');
+
+    // Test 3: the first paid invoice creates the licence and queues one build
+    console.log('\n3. First invoice paid...');
+    await replay(fixtures[2]);
+    state = await billingState(email, subscriptionId);
+    check(state.licenses.length === 1 && licenseMatches(state.license, 10, 'starter', 1.99),
+      `licence created → ${state.license?.device_count} devices, ${state.license?.pricing_tier} at ${state.license?.price_per_device}`);
+    check(state.builds === 1, `one build queued → ${state.builds}`);
+    const licenseKey = state.license?.license_key;
+
+    const redelivered = await deliver(fixtures[2].event, WEBHOOK_PATHS[step % WEBHOOK_PATHS.length]);
+    state = await billingState(email, subscriptionId);
+    check(redelivered.body?.status === 'duplicate' && state.licenses.length === 1 && state.builds === 1,
+      `redelivery on the other prefix → ${redelivered.body?.status}, still one licence and build`);
+
+    // Test 4: a seat change moves the licence to the new quantity and tier
+    console.log('\n4. Seats changed...');
+    await replay(fixtures[3]);
+    state = await billingState(email, subscriptionId);
+    check(licenseMatches(state.license, 60, 'business', 1.49),
+      `licence mirrors the subscription → ${state.license?.device_count} devices, ${state.license?.pricing_tier} at ${state.license?.price_per_device}`);
+    check(state.license?.license_key === licenseKey && state.licenses.length === 1, 'same licence key, still one licence');
+    check(state.subscription?.quantity === 60, `subscription quantity → ${state.subscription?.quantity}`);
+
+    const mirrored = await pool.query(
+      `SELECT context FROM audit_log WHERE event = 'license_mirrored' AND license_id = $1 ORDER BY created_at`,
+      [state.license?.id]
+    );
+    check(mirrored.rows.length === 2 && mirrored.rows[1].context.from === 10 && mirrored.rows[1].context.to === 60,
+      `licence changes audited → ${mirrored.rows.map(row => `${row.context.from}→${row.context.to}`).join(', ')}`);
+
+    // Test 5: a proration-only invoice keeps the seats the subscription already has
+    console.log('\n5. Proration invoice paid...');
+    await replay(fixtures[4]);
+    state = await billingState(email, subscriptionId);
+    check(licenseMatches(state.license, 60, 'business', 1.49), `proration leaves the licence at ${state.license?.device_count}`);
+    check(state.builds === 1, `no new build → ${state.builds}`);
+
+    // Test 6: cancellation marks the subscription canceled
+    console.log('\n6. Subscription deleted...');
+    await replay(fixtures[5]);
+    state = await billingState(email, subscriptionId);
+    check(state.subscription?.status === 'canceled', `subscription → ${state.subscription?.status}`);
+
+    // Test 7: both prefixes serve the same authenticated routes
+    console.log('\n7. Routes...');
+    for (const prefix of ['/api/stripe', '/api/v9/stripe']) {
+      const summary = await fetch(`${BASE_URL}${prefix}/subscription?email=${encodeURIComponent(email)}`);
+      const customer = await fetch(`${BASE_URL}${prefix}/customer/${encodeURIComponent(email)}`);
+      check(summary.status === 401 && customer.status === 401, `${prefix} billing routes need a session → ${summary.status}, ${customer.status}`);
+    }
+
+  } catch (error) {
+    fail('Billing test failed', error);
+  } finally {
+    if (server) server.kill();
+    await pool.query('DELETE FROM stripe_events WHERE id LIKE $1', [`evt_fixture_%_${suffix}`]);
+    await pool.query(
+      `DELETE FROM audit_log WHERE context->>'email' = $1
+         OR account_id IN (SELECT id FROM accounts WHERE email = $1)`,
+      [email]
+    );
+    await pool.query('DELETE FROM accounts WHERE email = $1', [email]);
+    await pool.end();
+  }
+
+  finish('All billing checks passed');
+}
+
+testStripeBilling();
@@ -0,0 +1,256 @@
+/**
+ * Integration test: Stripe webhook event ledger
+ * Starts the API on a spare port against DATABASE_URL (use a local Postgres) with a test
+ * webhook secret, posts signed events and checks each is recorded, applied exactly once
+ * (also when Stripe redelivers it concurrently), rolled back and retried when it fails,
+ * dead-lettered after the last attempt, replayed on an admin's request, and that a
+ * subscription event older than one already applied is skipped.
+ *
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-stripe-events.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import Stripe from 'stripe';
+import { pool } from './db.js';
+import { processDueStripeEvents } from './utils/stripeEvents.js';
+import { check, fail, finish, testApi, seedAccount } from './test-harness.js';
+
+const PORT = process.env.TEST_PORT || 10993;
+const { baseUrl: BASE_URL, start, request } = testApi(PORT);
+const WEBHOOK_SECRET = `whsec_test_${crypto.randomBytes(8).toString('hex')}`;
+const MAX_ATTEMPTS = 2;
+
+const stripe = new Stripe('sk_test_ledger');
+
+// Post an event the way Stripe does: raw JSON with a Stripe-Signature header
+async function deliver(event, { secret = WEBHOOK_SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const res = await fetch(`${BASE_URL}/api/v9/stripe/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret })
+    },
+    body: payload
+  });
+
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+function checkoutEvent(id, email, customerId) {
+  return {
+    id,
+    object: 'event',
+    type: 'checkout.session.completed',
+    created: Math.floor(Date.now() / 1000),
+    livemode: false,
+    data: {
+      object: {
+        id: `cs_${id}`,
+        object: 'checkout.session',
+        customer: customerId,
+        customer_details: { email },
+        subscription: `sub_${id}`
+      }
+    }
+  };
+}
+
+function subscriptionEvent(id, customerId, subscriptionId, quantity, created) {
+  return {
+    id,
+    object: 'event',
+    type: 'customer.subscription.updated',
+    created,
+    livemode: false,
+    data: {
+      object: {
+        id: subscriptionId,
+        object: 'subscription',
+        customer: customerId,
+        status: 'active',
+        current_period_end: created + 30 * 86400,
+        items: { object: 'list', data: [{ id: `si_${subscriptionId}`, quantity }] }
+      }
+    }
+  };
+}
+
+async function ledgerRow(id) {
+  const { rows } = await pool.query('SELECT * FROM stripe_events WHERE id = $1', [id]);
+  return rows[0];
+}
+
+async function checkoutAudits(email) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM audit_log
+     WHERE event = 'CHECKOUT_COMPLETED_ACCOUNT_CREATED' AND context->>'email' = $1`,
+    [email]
+  );
+  return rows[0].count;
+}
+
+async function accountsWithEmail(email) {
+  const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM accounts WHERE email = $1', [email]);
+  return rows[0].count;
+}
+
+async function makeDue(id) {
+  await pool.query('UPDATE stripe_events SET next_attempt_at = NOW() WHERE id = $1', [id]);
+}
+
+async function testStripeEvents() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const email = (label) => `${label}-${suffix}@syncsure.test`;
+  const eventId = (label) => `evt_test_${label}_${suffix}`;
+  let server;
+
+  process.env.STRIPE_EVENT_MAX_ATTEMPTS = String(MAX_ATTEMPTS);
+
+  try {
+    console.log('🧪 Testing the Stripe event ledger...');
+
+    const adminSession = (await seedAccount('admin', suffix, { name: 'Ledger admin', role: 'admin' })).session;
+    const userSession = (await seedAccount('user', suffix, { name: 'Ledger user' })).session;
+
+    // Holds the Stripe customer IDs the failing events use, so their account insert conflicts
+    await pool.query(
+      `INSERT INTO accounts (email, name, role, status, stripe_customer_id)
+       VALUES ($1, 'Ledger holder', 'user', 'active', $2), ($3, 'Ledger holder', 'user', 'active', $4)`,
+      [email('holder'), `cus_taken_${suffix}`, email('holder2'), `cus_taken2_${suffix}`]
+    );
+
+    server = await start({
+      STRIPE_SECRET_KEY: 'sk_test_ledger',
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      STRIPE_EVENT_MAX_ATTEMPTS: String(MAX_ATTEMPTS)
+    });
+
+    // Test 1: an event is recorded and applied once
+    console.log('\n1. Recording and applying...');
+    const first = checkoutEvent(eventId('checkout'), email('buyer'), `cus_buyer_${suffix}`);
+    const delivered = await deliver(first);
+    const row = await ledgerRow(first.id);
+    check(delivered.status === 200 && delivered.body?.status === 'processed', `new event → ${delivered.status} ${delivered.body?.status}`);
+    check(row?.status === 'processed' && row?.attempts === 1 && row?.payload?.id === first.id, 'ledger stores the event as processed');
+    check(await accountsWithEmail(email('buyer')) === 1, 'the checkout created the account');
+
+    const redelivered = await deliver(first);
+    check(redelivered.status === 200 && redelivered.body?.status === 'duplicate', `redelivery → ${redelivered.status} ${redelivered.body?.status}`);
+    check(await checkoutAudits(email('buyer')) === 1, 'a redelivery has no side effects');
+
+    const badSignature = await deliver(checkoutEvent(eventId('forged'), email('forged'), 'cus_forged'), { secret: 'whsec_wrong' });
+    check(badSignature.status === 400 && !(await ledgerRow(eventId('forged'))), `bad signature → ${badSignature.status}, not recorded`);
+
+    // Test 2: concurrent redeliveries
+    console.log('\n2. Concurrent deliveries...');
+    const burst = checkoutEvent(eventId('burst'), email('burst'), `cus_burst_${suffix}`);
+    const results = await Promise.all(Array.from({ length: 5 }, () => deliver(burst)));
+    const statuses = results.map(res => res.body?.status);
+    check(results.every(res => res.status === 200) && statuses.filter(status => status === 'processed').length === 1,
+      `5 simultaneous deliveries → ${statuses.join(', ')}`);
+    check(await checkoutAudits(email('burst')) === 1, 'applied exactly once');
+
+    // Test 3: failure, rollback and worker retry
+    console.log('\n3. Failure and retry...');
+    const conflicting = checkoutEvent(eventId('conflict'), email('late'), `cus_taken_${suffix}`);
+    const failed = await deliver(conflicting);
+    let failedRow = await ledgerRow(conflicting.id);
+    check(failed.status === 200 && failed.body?.status === 'failed', `failing event is still acknowledged → ${failed.status} ${failed.body?.status}`);
+    check(failedRow?.status === 'failed' && failedRow?.attempts === 1 && failedRow?.last_error && new Date(failedRow?.next_attempt_at) > new Date(),
+      `queued for retry with the error → ${failedRow?.last_error?.slice(0, 60)}`);
+    check(await accountsWithEmail(email('late')) === 0 && await checkoutAudits(email('late')) === 0, 'nothing from the failed attempt was kept');
+
+    const notDue = await processDueStripeEvents();
+    failedRow = await ledgerRow(conflicting.id);
+    check(failedRow?.attempts === 1, `worker waits for the backoff (retried ${notDue.processed + notDue.failed + notDue.dead})`);
+
+    await pool.query('UPDATE accounts SET stripe_customer_id = NULL WHERE email = $1', [email('holder')]);
+    await makeDue(conflicting.id);
+    await processDueStripeEvents();
+    failedRow = await ledgerRow(conflicting.id);
+    check(failedRow?.status === 'processed' && failedRow?.attempts === 2 && !failedRow?.last_error, `worker retry → ${failedRow?.status}`);
+    check(await accountsWithEmail(email('late')) === 1 && await checkoutAudits(email('late')) === 1, 'the retry applied it once');
+
+    // Test 4: dead-lettering
+    console.log('\n4. Dead-lettering...');
+    const doomed = checkoutEvent(eventId('doomed'), email('doomed'), `cus_taken2_${suffix}`);
+    await deliver(doomed);
+    await makeDue(doomed.id);
+    await processDueStripeEvents();
+    const deadRow = await ledgerRow(doomed.id);
+    check(deadRow?.status === 'dead' && deadRow?.attempts === MAX_ATTEMPTS, `after ${MAX_ATTEMPTS} attempts → ${deadRow?.status}`);
+
+    const deadList = await request('/api/admin/stripe-events?status=dead', { session: adminSession });
+    check(deadList.status === 200 && deadList.body?.events?.some(event => event.id === doomed.id), 'admin lists dead events');
+
+    const detail = await request(`/api/admin/stripe-events/${doomed.id}`, { session: adminSession });
+    check(detail.status === 200 && detail.body?.event?.payload?.id === doomed.id, 'admin reads the stored event');
+
+    // Test 5: admin replay
+    console.log('\n5. Replay...');
+    const denied = await request(`/api/admin/stripe-events/${doomed.id}/replay`, { session: userSession, method: 'POST' });
+    check(denied.status === 403, `non-admin replay → ${denied.status}`);
+
+    const stillFailing = await request(`/api/admin/stripe-events/${doomed.id}/replay`, { session: adminSession, method: 'POST' });
+    check(stillFailing.status === 500 && stillFailing.body?.code === 'REPLAY_FAILED', `replay that fails again → ${stillFailing.status}`);
+
+    await pool.query('UPDATE accounts SET stripe_customer_id = NULL WHERE email = $1', [email('holder2')]);
+    const revived = await request(`/api/admin/stripe-events/${doomed.id}/replay`, { session: adminSession, method: 'POST' });
+    check(revived.status === 200 && revived.body?.event?.status === 'processed' && revived.body?.event?.replayedBy === email('admin'),
+      `replay of a dead event once fixed → ${revived.status} ${revived.body?.event?.status}`);
+    check(await accountsWithEmail(email('doomed')) === 1, 'the replay applied it');
+
+    const again = await request(`/api/admin/stripe-events/${first.id}/replay`, { session: adminSession, method: 'POST' });
+    check(again.status === 200 && await checkoutAudits(email('buyer')) === 2, `replay of a processed event runs it again → ${again.status}`);
+
+    const audit = await pool.query(
+      "SELECT COUNT(*)::int AS count FROM audit_log WHERE event = 'stripe_event_replayed' AND actor = $1",
+      [email('admin')]
+    );
+    check(audit.rows[0].count === 3, `replays audited → ${audit.rows[0].count}`);
+
+    // Test 6: an older subscription event arriving after a newer one
+    console.log('\n6. Out-of-order subscription events...');
+    const subscriptionId = `sub_order_${suffix}`;
+    const now = Math.floor(Date.now() / 1000);
+    const newer = subscriptionEvent(eventId('sub_newer'), `cus_buyer_${suffix}`, subscriptionId, 20, now);
+    const older = subscriptionEvent(eventId('sub_older'), `cus_buyer_${suffix}`, subscriptionId, 5, now - 60);
+    const seats = async () => (await pool.query(
+      'SELECT quantity FROM subscriptions WHERE stripe_subscription_id = $1', [subscriptionId]
+    )).rows[0]?.quantity;
+
+    await deliver(newer);
+    const late = await deliver(older);
+    check(late.body?.status === 'processed' && await seats() === 20, `older event after a newer one → ${await seats()} seats`);
+
+    const replayedOld = await request(`/api/admin/stripe-events/${older.id}/replay`, { session: adminSession, method: 'POST' });
+    check(replayedOld.status === 200 && await seats() === 20, `replay of the older event → ${await seats()} seats`);
+
+    const latest = await deliver(subscriptionEvent(eventId('sub_latest'), `cus_buyer_${suffix}`, subscriptionId, 25, now + 1));
+    check(latest.body?.status === 'processed' && await seats() === 25, `a newer event still applies → ${await seats()} seats`);
+
+  } catch (error) {
+    fail('Stripe event ledger test failed', error);
+  } finally {
+    if (server) server.kill();
+    await pool.query('DELETE FROM stripe_events WHERE id LIKE $1', [`evt_test_%_${suffix}`]);
+    await pool.query('DELETE FROM audit_log WHERE context->>\'subscriptionId\' = $1', [`sub_order_${suffix}`]);
+    await pool.query(
+      `DELETE FROM audit_log WHERE context->>'email' LIKE $1 OR actor LIKE $1
+         OR account_id IN (SELECT id FROM accounts WHERE email LIKE $1)`,
+      [`%-${suffix}@syncsure.test`]
+    );
+    await pool.query('DELETE FROM sessions WHERE account_id IN (SELECT id FROM accounts WHERE email LIKE $1)', [`%-${suffix}@syncsure.test`]);
+    await pool.query('DELETE FROM accounts WHERE email LIKE $1', [`%-${suffix}@syncsure.test`]);
+    await pool.end();
+  }
+
+  finish('All Stripe event ledger checks passed');
+}
+
+testStripeEvents();
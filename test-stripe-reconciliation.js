@@ -0,0 +1,220 @@
+/**
+ * Integration test: Stripe subscription reconciliation
+ * Runs the reconciliation job against stripe-mock (https://github.com/stripe/stripe-mock)
+ * and DATABASE_URL (use a local Postgres). stripe-mock always answers with the same
+ * subscription, so the test links its customer to a fresh account, seeds a licence and
+ * subscriptions row that disagree with it and checks that a dry run only reports the
+ * drift, a real run fixes it through mirrorSubscriptionToLicense, and a rerun finds none.
+ * Runs can't overlap, and a webhook change made while Stripe is listed isn't overwritten,
+ * while a heartbeat then doesn't stop the fix.
+ *
+ *   docker run --rm -p 12111:12111 stripe/stripe-mock
+ *   DATABASE_URL=postgres://localhost/syncsure_test node test-stripe-reconciliation.js
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { mapTier } from './utils/tierMapping.js';
+import { subscriptionSeats } from './utils/licenseManager.js';
+import { recountBoundDevices } from './utils/deviceBindings.js';
+import { getStripe } from './services/billing.js';
+import { reconcileStripeSubscriptions, getReconciliationRun } from './utils/stripeReconciliation.js';
+import { check, fail, finish } from './test-harness.js';
+
+const STRIPE_MOCK_URL = process.env.STRIPE_MOCK_URL || 'http://127.0.0.1:12111';
+
+async function licenseOf(accountId) {
+  const { rows } = await pool.query(
+    'SELECT id, device_count, max_devices, pricing_tier, price_per_device FROM licenses WHERE account_id = $1',
+    [accountId]
+  );
+  return rows[0];
+}
+
+async function subscriptionRow(stripeSubscriptionId) {
+  const { rows } = await pool.query(
+    'SELECT quantity, status FROM subscriptions WHERE stripe_subscription_id = $1',
+    [stripeSubscriptionId]
+  );
+  return rows[0];
+}
+
+function driftOf(run, accountId, type) {
+  return run?.drift?.filter(entry => entry.accountId === accountId && entry.type === type) || [];
+}
+
+async function testStripeReconciliation() {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const email = `reconcile-${suffix}@syncsure.test`;
+  const orphanId = `sub_gone_${suffix}`;
+  const runIds = [];
+  let accountId = null;
+
+  // Every Stripe call in this process goes to stripe-mock
+  process.env.STRIPE_API_BASE = STRIPE_MOCK_URL;
+  process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+
+  try {
+    console.log(`🧪 Testing Stripe reconciliation against stripe-mock at ${STRIPE_MOCK_URL}...`);
+
+    let subscription;
+    try {
+      subscription = (await getStripe().subscriptions.list({ status: 'all', limit: 1 })).data[0];
+    } catch (error) {
+      throw new Error(`stripe-mock is not reachable (${error.message}); start it or set STRIPE_MOCK_URL`);
+    }
+
+    const customerId = typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id;
+    const seats = subscriptionSeats(subscription);
+    const { tier, price } = mapTier(seats);
+
+    const taken = await pool.query('SELECT email FROM accounts WHERE stripe_customer_id = $1', [customerId]);
+    if (taken.rows.length > 0) {
+      throw new Error(`stripe-mock's customer ${customerId} is already linked to ${taken.rows[0].email}`);
+    }
+
+    // Our side disagrees with Stripe: more seats on the licence, a stale subscriptions row,
+    // and a live row Stripe has never heard of
+    const account = await pool.query(
+      `INSERT INTO accounts (email, name, role, status, stripe_customer_id)
+       VALUES ($1, 'Reconcile customer', 'user', 'active', $2) RETURNING id`,
+      [email, customerId]
+    );
+    accountId = account.rows[0].id;
+
+    await pool.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count, pricing_tier, price_per_device, status)
+       VALUES ($1, $2, $3, $3, 'starter', 1.99, 'active')`,
+      [accountId, `SYNC-RECON-${suffix}`, seats + 4]
+    );
+    await pool.query(
+      `INSERT INTO subscriptions (account_id, stripe_subscription_id, quantity, status)
+       VALUES ($1, $2, $3, 'active'), ($1, $4, 5, 'active')`,
+      [accountId, subscription.id, seats + 9, orphanId]
+    );
+
+    // Test 1: a dry run reports and changes nothing
+    console.log('\n1. Dry run...');
+    const dry = await reconcileStripeSubscriptions({ dryRun: true, triggeredBy: `test-${suffix}` });
+    runIds.push(dry?.id);
+    check(dry?.status === 'completed' && dry?.dryRun === true && dry?.subscriptionsChecked >= 1, `dry run → ${dry?.status}, ${dry?.subscriptionsChecked} subscriptions`);
+
+    const seatDrift = driftOf(dry, accountId, 'license_seats')[0];
+    check(seatDrift?.action === 'would_fix' && seatDrift?.expected?.seats === seats && seatDrift?.actual?.seats === seats + 4,
+      `licence drift reported → ${seatDrift?.actual?.seats} vs ${seatDrift?.expected?.seats} (${seatDrift?.action})`);
+    const recordDrift = driftOf(dry, accountId, 'subscription_record')[0];
+    check(recordDrift?.action === 'would_fix' && recordDrift?.actual?.quantity === seats + 9, `subscription row drift reported (${recordDrift?.action})`);
+    const orphan = driftOf(dry, accountId, 'missing_in_stripe')[0];
+    check(orphan?.stripeSubscriptionId === orphanId && orphan?.action === 'manual', 'row missing in Stripe reported for a person to check');
+    check(dry?.fixedCount === 0 && (await licenseOf(accountId)).device_count === seats + 4 && (await subscriptionRow(subscription.id)).quantity === seats + 9,
+      'nothing changed');
+
+    const stored = await getReconciliationRun(dry?.id);
+    check(stored?.drift?.length === dry?.driftCount && stored?.driftCount >= 3, `drift report stored → ${stored?.driftCount} entries`);
+
+    // Test 2: only one run at a time
+    console.log('\n2. Overlapping runs...');
+    const running = await pool.query(
+      "INSERT INTO stripe_reconciliation_runs (triggered_by) VALUES ($1) RETURNING id",
+      [`test-${suffix}`]
+    );
+    runIds.push(running.rows[0].id);
+    const blocked = await reconcileStripeSubscriptions({ triggeredBy: `test-${suffix}` });
+    check(blocked === null, 'a second run is refused while one is running');
+    await pool.query("UPDATE stripe_reconciliation_runs SET status = 'failed' WHERE id = $1", [running.rows[0].id]);
+
+    // Each one waits in the Stripe listing, so all three have tried to start before any finishes
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const slow = {
+      subscriptions: {
+        list: (params) => (async function* () {
+          await held;
+          yield* getStripe().subscriptions.list(params);
+        })()
+      }
+    };
+    const starting = [1, 2, 3].map(() => reconcileStripeSubscriptions({ dryRun: true, triggeredBy: `test-${suffix}`, stripe: slow }));
+    setTimeout(release, 500);
+    const together = await Promise.all(starting);
+    together.forEach(run => runIds.push(run?.id));
+    check(together.filter(run => run !== null).length === 1, `runs started together → ${together.filter(run => run !== null).length} ran`);
+
+    // Test 3: a real run fixes the licence through mirrorSubscriptionToLicense
+    console.log('\n3. Fixing...');
+    const fix = await reconcileStripeSubscriptions({ triggeredBy: `test-${suffix}` });
+    runIds.push(fix?.id);
+    const license = await licenseOf(accountId);
+    check(fix?.status === 'completed' && fix?.fixedCount >= 2, `run → ${fix?.status}, ${fix?.fixedCount} fixed`);
+    check(license.device_count === seats && license.max_devices === seats && license.pricing_tier === tier && Number(license.price_per_device) === price,
+      `licence now matches Stripe → ${license.device_count} devices, ${license.pricing_tier} at ${license.price_per_device}`);
+    const row = await subscriptionRow(subscription.id);
+    check(row?.quantity === seats && row?.status === subscription.status, `subscription row → ${row?.quantity} ${row?.status}`);
+    check(driftOf(fix, accountId, 'license_seats')[0]?.action === 'fixed', 'report marks the drift fixed');
+    check((await subscriptionRow(orphanId))?.status === 'active', 'row missing in Stripe is left alone');
+
+    const audit = await pool.query(
+      "SELECT actor, context FROM audit_log WHERE event = 'license_mirrored' AND license_id = $1",
+      [license.id]
+    );
+    check(audit.rows.length === 1 && audit.rows[0].actor === 'reconciliation' && audit.rows[0].context.runId === fix?.id &&
+      audit.rows[0].context.from === seats + 4, 'licence change audited with the run');
+
+    // Test 4: a rerun finds nothing left to fix
+    console.log('\n4. Rerun...');
+    const rerun = await reconcileStripeSubscriptions({ triggeredBy: `test-${suffix}` });
+    runIds.push(rerun?.id);
+    check(driftOf(rerun, accountId, 'license_seats').length === 0 && driftOf(rerun, accountId, 'subscription_record').length === 0,
+      `no drift left for the account (${rerun?.fixedCount} fixed)`);
+
+    // Test 5: a webhook lands while Stripe is being listed
+    console.log('\n5. Changed during the run...');
+    await pool.query('UPDATE licenses SET device_count = $2 WHERE account_id = $1', [accountId, seats + 4]);
+    const racing = {
+      subscriptions: {
+        list: (params) => (async function* () {
+          yield* getStripe().subscriptions.list(params);
+          await pool.query('UPDATE licenses SET device_count = $2, max_devices = $2 WHERE account_id = $1', [accountId, seats + 2]);
+        })()
+      }
+    };
+    const raced = await reconcileStripeSubscriptions({ triggeredBy: `test-${suffix}`, stripe: racing });
+    runIds.push(raced?.id);
+    check(driftOf(raced, accountId, 'license_seats')[0]?.action === 'changed' && (await licenseOf(accountId)).device_count === seats + 2,
+      `newer change kept → ${(await licenseOf(accountId)).device_count} devices (${driftOf(raced, accountId, 'license_seats')[0]?.action})`);
+
+    // Test 6: the licence's device heartbeats while Stripe is listed
+    console.log('\n6. Heartbeat during the run...');
+    const beating = {
+      subscriptions: {
+        list: (params) => (async function* () {
+          yield* getStripe().subscriptions.list(params);
+          await pool.query('UPDATE licenses SET last_sync = NOW() WHERE account_id = $1', [accountId]);
+          await recountBoundDevices(pool, license.id);
+        })()
+      }
+    };
+    const beat = await reconcileStripeSubscriptions({ triggeredBy: `test-${suffix}`, stripe: beating });
+    runIds.push(beat?.id);
+    check(driftOf(beat, accountId, 'license_seats')[0]?.action === 'fixed' && (await licenseOf(accountId)).device_count === seats,
+      `still fixed → ${(await licenseOf(accountId)).device_count} devices (${driftOf(beat, accountId, 'license_seats')[0]?.action})`);
+
+  } catch (error) {
+    fail('Stripe reconciliation test failed', error);
+  } finally {
+    await pool.query('DELETE FROM stripe_reconciliation_runs WHERE id = ANY($1::uuid[])', [runIds.filter(Boolean)]);
+    if (accountId) {
+      await pool.query('DELETE FROM audit_log WHERE account_id = $1', [accountId]);
+      await pool.query('DELETE FROM accounts WHERE id = $1', [accountId]);
+    }
+    await pool.end();
+  }
+
+  finish('All Stripe reconciliation checks passed');
+}
+
+testStripeReconciliation();
@@ -0,0 +1,132 @@
+/**
+ * SyncSure Admin API Keys
+ * Scoped keys for scripts and automation that call /api/admin without an admin login.
+ * The raw key is shown once when it is created; the database keeps its SHA-256.
+ */
+
+import crypto from "crypto";
+import { pool } from "../db.js";
+
+export const ADMIN_SCOPES = {
+  'admin:read': 'Read admin status, builds, releases and rollout progress',
+  'builds:manage': 'Create and retry customer builds',
+  'releases:manage': 'Create agent releases and change their status and rollout',
+  'accounts:manage': 'Change account passwords, two-factor requirements and partner links',
+  'email:send': 'Send test emails',
+  'migration:run': 'Run database migrations',
+  'billing:manage': 'Replay Stripe webhook events',
+  'keys:manage': 'Create and revoke admin API keys'
+};
+
+// A leaked key must not be able to mint more keys, so only signed-in admins hold keys:manage
+export const ADMIN_KEY_SCOPES = Object.keys(ADMIN_SCOPES).filter(scope => scope !== 'keys:manage');
+
+const KEY_PREFIX = 'ssk_admin_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toKeySummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: row.scopes,
+    createdBy: row.created_by,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Check requested scopes can be granted to a key
+ * @param {string[]} scopes
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateKeyScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `scopes must list at least one of: ${ADMIN_KEY_SCOPES.join(', ')}`;
+  }
+  const unknown = scopes.filter(scope => !ADMIN_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Scopes not available to API keys: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Create a key
+ * @param {Object} options - { name, scopes, expiresInDays, createdBy }
+ * @returns {Promise<Object>} - { key (raw, show once), apiKey (summary) }
+ */
+export async function createAdminKey({ name, scopes, expiresInDays = null, createdBy }) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+
+  const { rows } = await pool.query(
+    `INSERT INTO admin_api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+     RETURNING *`,
+    [name, key.substring(0, KEY_PREFIX.length + 8), hashKey(key), [...new Set(scopes)], createdBy, expiresInDays]
+  );
+
+  return { key, apiKey: toKeySummary(rows[0]) };
+}
+
+/**
+ * Look up a presented key, recording that it was used
+ * @param {string} key - Raw key from the request
+ * @returns {Promise<Object|null>} - { id, name, scopes } or null if unknown, revoked or expired
+ */
+export async function authenticateAdminKey(key) {
+  if (!key?.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE admin_api_keys SET last_used_at = NOW()
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id, name, scopes`,
+    [hashKey(key)]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Every key, newest first (never the key itself)
+ * @returns {Promise<Object[]>}
+ */
+export async function listAdminKeys() {
+  const { rows } = await pool.query(
+    "SELECT * FROM admin_api_keys ORDER BY created_at DESC"
+  );
+  return rows.map(toKeySummary);
+}
+
+/**
+ * Revoke a key; requests with it fail from now on
+ * @param {string} keyId
+ * @returns {Promise<Object|null>} - Summary of the revoked key, or null if not found or already revoked
+ */
+export async function revokeAdminKey(keyId) {
+  const { rows } = await pool.query(
+    `UPDATE admin_api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING *`,
+    [keyId]
+  );
+  return rows[0] ? toKeySummary(rows[0]) : null;
+}
+
+export default {
+  ADMIN_SCOPES,
+  ADMIN_KEY_SCOPES,
+  validateKeyScopes,
+  createAdminKey,
+  authenticateAdminKey,
+  listAdminKeys,
+  revokeAdminKey
+};
@@ -0,0 +1,237 @@
+/**
+ * SyncSure Agent Command Queue
+ * Operators queue commands per device or per license; agents pick them up
+ * on their next heartbeat and acknowledge each one with a result.
+ */
+
+import { pool } from "../db.js";
+
+export const COMMAND_TYPES = [
+  'force_resync',
+  'collect_diagnostics',
+  'rotate_binding',
+  'uninstall'
+];
+
+export const COMMAND_STATUSES = [
+  'pending',
+  'delivered',
+  'succeeded',
+  'failed',
+  'cancelled',
+  'expired'
+];
+
+const DEFAULT_TTL_HOURS = 24;
+const REDELIVERY_MINUTES = 15;
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+/**
+ * Queue a command for one device, or for every active device on a license
+ * @param {Object} options
+ * @param {string} options.licenseId - License ID
+ * @param {string|null} options.accountId - Account ID (for the audit trail)
+ * @param {string|null} options.deviceId - Device hash, or null for all active devices
+ * @param {string} options.commandType - One of COMMAND_TYPES
+ * @param {Object} options.payload - Command-specific arguments
+ * @param {string} options.createdBy - Actor queuing the command
+ * @param {number} options.ttlHours - Hours before an undelivered command expires
+ * @returns {Array} - Queued command rows (one per device)
+ */
+export async function queueCommand({
+  licenseId,
+  accountId = null,
+  deviceId = null,
+  commandType,
+  payload = {},
+  createdBy,
+  ttlHours = DEFAULT_TTL_HOURS
+}) {
+  if (!COMMAND_TYPES.includes(commandType)) {
+    throw new Error(`Unknown command type: ${commandType}`);
+  }
+
+  const devicesQuery = deviceId
+    ? `SELECT device_id FROM device_bindings WHERE license_id = $1 AND device_id = $2 AND status = 'active'`
+    : `SELECT device_id FROM device_bindings WHERE license_id = $1 AND status = 'active'`;
+  const devicesResult = await pool.query(
+    devicesQuery,
+    deviceId ? [licenseId, deviceId] : [licenseId]
+  );
+
+  if (devicesResult.rows.length === 0) {
+    return [];
+  }
+
+  const insertQuery = `
+    INSERT INTO agent_commands (license_id, device_id, command_type, payload, created_by, expires_at)
+    SELECT $1, unnest($2::text[]), $3, $4, $5, NOW() + make_interval(hours => $6)
+    RETURNING id, device_id, command_type, payload, status, expires_at, created_at
+  `;
+  const { rows } = await pool.query(insertQuery, [
+    licenseId,
+    devicesResult.rows.map(row => row.device_id),
+    commandType,
+    JSON.stringify(payload || {}),
+    createdBy,
+    ttlHours
+  ]);
+
+  await pool.query(
+    `INSERT INTO audit_log (actor, account_id, license_id, event, context)
+     VALUES ($1, $2, $3, 'agent_command_queued', $4)`,
+    [
+      createdBy,
+      accountId,
+      licenseId,
+      JSON.stringify({
+        command_type: commandType,
+        device_id: deviceId,
+        command_ids: rows.map(row => row.id)
+      })
+    ]
+  );
+
+  return rows;
+}
+
+/**
+ * Claim the commands due for a device and mark them delivered.
+ * Delivered commands that were never acknowledged are handed out again
+ * after REDELIVERY_MINUTES, up to MAX_DELIVERY_ATTEMPTS times, then expire.
+ * @param {string} licenseId - License ID
+ * @param {string} deviceId - Device hash
+ * @returns {Array} - Commands in the shape sent to the agent
+ */
+export async function takePendingCommands(licenseId, deviceId) {
+  // Expire anything that outlived its TTL, or was delivered MAX_DELIVERY_ATTEMPTS times
+  // without an acknowledgement, before handing out the rest
+  await pool.query(
+    `UPDATE agent_commands
+     SET status = 'expired', completed_at = NOW()
+     WHERE license_id = $1 AND device_id = $2
+       AND status IN ('pending', 'delivered')
+       AND (
+         (expires_at IS NOT NULL AND expires_at < NOW())
+         OR (status = 'delivered'
+             AND delivered_at < NOW() - make_interval(mins => $3)
+             AND attempts >= $4)
+       )`,
+    [licenseId, deviceId, REDELIVERY_MINUTES, MAX_DELIVERY_ATTEMPTS]
+  );
+
+  const claimQuery = `
+    UPDATE agent_commands
+    SET status = 'delivered', delivered_at = NOW(), attempts = attempts + 1
+    WHERE id IN (
+      SELECT id FROM agent_commands
+      WHERE license_id = $1 AND device_id = $2
+        AND (
+          status = 'pending'
+          OR (status = 'delivered'
+              AND delivered_at < NOW() - make_interval(mins => $3)
+              AND attempts < $4)
+        )
+      ORDER BY created_at ASC
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, command_type, payload, created_at, expires_at
+  `;
+  const { rows } = await pool.query(claimQuery, [
+    licenseId,
+    deviceId,
+    REDELIVERY_MINUTES,
+    MAX_DELIVERY_ATTEMPTS
+  ]);
+
+  return rows
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(row => ({
+      id: row.id,
+      type: row.command_type,
+      payload: row.payload,
+      issuedAt: row.created_at,
+      expiresAt: row.expires_at
+    }));
+}
+
+/**
+ * Record the agent's result for a delivered command
+ * @param {Object} options
+ * @param {string} options.commandId - Command ID
+ * @param {string} options.licenseId - License ID the agent is bound to
+ * @param {string} options.deviceId - Device hash of the acknowledging agent
+ * @param {boolean} options.success - Whether the agent ran the command successfully
+ * @param {Object} options.result - Agent-supplied result details
+ * @returns {Object|null} - Updated command, or null if not found / not acknowledgeable
+ */
+export async function acknowledgeCommand({ commandId, licenseId, deviceId, success, result = null }) {
+  const { rows } = await pool.query(
+    `UPDATE agent_commands
+     SET status = $1, result = $2, completed_at = NOW()
+     WHERE id = $3 AND license_id = $4 AND device_id = $5
+       AND status IN ('pending', 'delivered')
+     RETURNING id, command_type, status, completed_at`,
+    [
+      success ? 'succeeded' : 'failed',
+      result ? JSON.stringify(result) : null,
+      commandId,
+      licenseId,
+      deviceId
+    ]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Cancel a command that has not completed yet
+ * @param {string} licenseId - License ID
+ * @param {string} commandId - Command ID
+ * @returns {Object|null} - Cancelled command, or null if not cancellable
+ */
+export async function cancelCommand(licenseId, commandId) {
+  const { rows } = await pool.query(
+    `UPDATE agent_commands
+     SET status = 'cancelled', completed_at = NOW()
+     WHERE id = $1 AND license_id = $2 AND status IN ('pending', 'delivered')
+     RETURNING id, device_id, command_type, status`,
+    [commandId, licenseId]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * List commands for a license, newest first
+ * @param {string} licenseId - License ID
+ * @param {Object} filters - Optional { deviceId, status, limit }
+ * @returns {Array} - Command rows
+ */
+export async function listCommands(licenseId, { deviceId = null, status = null, limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ac.id, ac.device_id, db.device_name, ac.command_type, ac.payload, ac.status,
+            ac.attempts, ac.result, ac.created_by, ac.created_at, ac.delivered_at,
+            ac.completed_at, ac.expires_at
+     FROM agent_commands ac
+     LEFT JOIN device_bindings db ON db.license_id = ac.license_id AND db.device_id = ac.device_id
+     WHERE ac.license_id = $1
+       AND ($2::text IS NULL OR ac.device_id = $2)
+       AND ($3::text IS NULL OR ac.status = $3)
+     ORDER BY ac.created_at DESC
+     LIMIT $4`,
+    [licenseId, deviceId, status, Math.min(parseInt(limit) || 100, 500)]
+  );
+
+  return rows;
+}
+
+export default {
+  COMMAND_TYPES,
+  COMMAND_STATUSES,
+  queueCommand,
+  takePendingCommands,
+  acknowledgeCommand,
+  cancelCommand,
+  listCommands
+};
@@ -0,0 +1,419 @@
+/**
+ * SyncSure Agent Release Catalogue
+ * Tracks published agent versions per architecture and signs the update
+ * manifests handed to agents by GET /api/agent/latest
+ */
+
+import crypto from "node:crypto";
+import { pool } from "../db.js";
+
+export const SUPPORTED_ARCHITECTURES = ['x64', 'x86', 'arm64'];
+
+export const ROLLOUT_RINGS = ['canary', 'early', 'general'];
+
+export const RELEASE_STATUSES = ['draft', 'published', 'paused', 'rolled_back', 'withdrawn'];
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+const ROLLOUT_BUCKETS = 10000;
+const INITIAL_ROLLOUT = { canary: 100, early: 0, general: 0 };
+
+/**
+ * Compare two dotted version strings numerically (e.g. 1.0.10.0 > 1.0.9.3)
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - -1, 0 or 1
+ */
+export function compareVersions(a, b) {
+  const left = String(a || '0').split('.').map(part => parseInt(part) || 0);
+  const right = String(b || '0').split('.').map(part => parseInt(part) || 0);
+  const length = Math.max(left.length, right.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+
+  return 0;
+}
+
+/**
+ * Validate a SHA-256 hex digest
+ * @param {string} value - Candidate digest
+ * @returns {boolean}
+ */
+export function isValidSha256(value) {
+  return typeof value === 'string' && SHA256_PATTERN.test(value);
+}
+
+/**
+ * Map a device hash to a stable rollout bucket in [0, 10000)
+ * @param {string|null} deviceHash - Device hash reported by the agent
+ * @returns {number} - Bucket; devices without a hash sit at the very end of the general ring
+ */
+export function getRolloutBucket(deviceHash) {
+  if (!deviceHash) return ROLLOUT_BUCKETS - 1;
+  const digest = crypto.createHash('sha256').update(String(deviceHash)).digest();
+  return digest.readUInt32BE(0) % ROLLOUT_BUCKETS;
+}
+
+/**
+ * Ring boundaries in buckets, from the configured ring sizes
+ * @returns {Object} - { canary: [start, end), early: [start, end), general: [start, end) }
+ */
+function getRingRanges() {
+  const canaryPercent = clampPercent(process.env.AGENT_RING_CANARY_PERCENT, 5);
+  const earlyPercent = clampPercent(process.env.AGENT_RING_EARLY_PERCENT, 20);
+  const canaryEnd = Math.round(canaryPercent * 100);
+  const earlyEnd = Math.min(ROLLOUT_BUCKETS, canaryEnd + Math.round(earlyPercent * 100));
+
+  return {
+    canary: [0, canaryEnd],
+    early: [canaryEnd, earlyEnd],
+    general: [earlyEnd, ROLLOUT_BUCKETS]
+  };
+}
+
+function clampPercent(value, fallback) {
+  const parsed = parseFloat(value);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.max(0, Math.min(100, parsed));
+}
+
+function normalizeRollout(rollout) {
+  const normalized = {};
+  for (const ring of ROLLOUT_RINGS) {
+    normalized[ring] = clampPercent(rollout?.[ring], 0);
+  }
+  return normalized;
+}
+
+/**
+ * Work out which ring a device belongs to
+ * @param {string|null} deviceHash - Device hash
+ * @returns {string} - 'canary', 'early' or 'general'
+ */
+export function getDeviceRing(deviceHash) {
+  const bucket = getRolloutBucket(deviceHash);
+  const ranges = getRingRanges();
+  return ROLLOUT_RINGS.find(ring => bucket >= ranges[ring][0] && bucket < ranges[ring][1]) || 'general';
+}
+
+/**
+ * Whether a release's rollout covers this device.
+ * Devices are offered a release when their position inside their ring falls
+ * below the ring's rollout percentage, so raising the percentage only ever adds devices.
+ * @param {Object} rollout - { canary, early, general } percentages
+ * @param {string|null} deviceHash - Device hash
+ * @returns {boolean}
+ */
+export function isDeviceInRollout(rollout, deviceHash) {
+  const bucket = getRolloutBucket(deviceHash);
+  const ranges = getRingRanges();
+  const ring = getDeviceRing(deviceHash);
+  const [start, end] = ranges[ring];
+  const percent = clampPercent(rollout?.[ring], 0);
+
+  if (end <= start) return false;
+  return ((bucket - start) / (end - start)) * 100 < percent;
+}
+
+/**
+ * Pick the release a device should be running.
+ * Paused releases are offered to no new devices; rolled-back releases are
+ * never offered, and devices already on one are sent back to the newest
+ * release their ring is eligible for.
+ * @param {Object} options
+ * @param {string} options.arch - Agent architecture
+ * @param {string|null} options.deviceHash - Device hash
+ * @param {string|null} options.current - Version the agent is running
+ * @returns {Object|null} - { release, updateAvailable, rollback }, or null when no release covers the device
+ */
+export async function getReleaseForDevice({ arch, deviceHash = null, current = null }) {
+  const { rows } = await pool.query(
+    `SELECT r.id, r.version, r.release_notes, r.published_at, r.status, r.rollout,
+            a.arch, a.download_url, a.sha256, a.size_bytes
+     FROM agent_releases r
+     JOIN agent_release_assets a ON a.release_id = r.id
+     WHERE r.status IN ('published', 'rolled_back') AND a.arch = $1`,
+    [arch]
+  );
+
+  const target = rows
+    .filter(row => row.status === 'published' && isDeviceInRollout(row.rollout, deviceHash))
+    .reduce((latest, row) =>
+      !latest || compareVersions(row.version, latest.version) > 0 ? row : latest
+    , null);
+
+  if (!target) return null;
+
+  if (!current || compareVersions(target.version, current) > 0) {
+    return { release: target, updateAvailable: true, rollback: false };
+  }
+
+  const currentRolledBack = rows.some(row =>
+    row.status === 'rolled_back' && compareVersions(row.version, current) === 0
+  );
+  if (currentRolledBack && compareVersions(target.version, current) < 0) {
+    return { release: target, updateAvailable: true, rollback: true };
+  }
+
+  return { release: target, updateAvailable: false, rollback: false };
+}
+
+/**
+ * Set the per-ring rollout percentages for a release
+ * @param {string} version - Release version
+ * @param {Object} rollout - { canary, early, general } percentages (0-100)
+ * @returns {Object|null} - Updated release
+ */
+export async function setReleaseRollout(version, rollout) {
+  const { rows } = await pool.query(
+    `UPDATE agent_releases SET rollout = $1 WHERE version = $2 RETURNING *`,
+    [JSON.stringify(normalizeRollout(rollout)), version]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Count active devices per ring, and how many of them already run a release
+ * @param {string} version - Release version
+ * @returns {Object} - { canary: { devices, onVersion, inRollout }, ... }
+ */
+export async function getRolloutStats(version) {
+  const release = await pool.query(
+    `SELECT rollout FROM agent_releases WHERE version = $1`,
+    [version]
+  );
+  if (release.rows.length === 0) return null;
+
+  const { rows } = await pool.query(
+    `SELECT device_id, agent_version FROM device_bindings WHERE status = 'active'`
+  );
+
+  const stats = {};
+  for (const ring of ROLLOUT_RINGS) {
+    stats[ring] = { devices: 0, onVersion: 0, inRollout: 0 };
+  }
+
+  for (const device of rows) {
+    const ring = getDeviceRing(device.device_id);
+    stats[ring].devices++;
+    if (device.agent_version && compareVersions(device.agent_version, version) === 0) {
+      stats[ring].onVersion++;
+    }
+    if (isDeviceInRollout(release.rows[0].rollout, device.device_id)) {
+      stats[ring].inRollout++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Create a release with its per-architecture assets
+ * @param {Object} options
+ * @param {string} options.version - Agent version (dotted numeric)
+ * @param {string} options.releaseNotes - Release notes shown to operators
+ * @param {Array} options.assets - [{ arch, downloadUrl, sha256, sizeBytes }]
+ * @param {string|null} options.buildId - Source build, if imported from the builds table
+ * @param {boolean} options.publish - Publish immediately instead of saving as draft
+ * @param {Object} options.rollout - Ring percentages; defaults to canary only
+ * @returns {Object} - Created release with assets
+ */
+export async function createRelease({
+  version,
+  releaseNotes = null,
+  assets = [],
+  buildId = null,
+  publish = false,
+  rollout = INITIAL_ROLLOUT
+}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const releaseResult = await client.query(
+      `INSERT INTO agent_releases (version, release_notes, status, build_id, rollout, published_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $3 = 'published' THEN NOW() END)
+       RETURNING *`,
+      [version, releaseNotes, publish ? 'published' : 'draft', buildId, JSON.stringify(normalizeRollout(rollout))]
+    );
+    const release = releaseResult.rows[0];
+
+    const createdAssets = [];
+    for (const asset of assets) {
+      const assetResult = await client.query(
+        `INSERT INTO agent_release_assets (release_id, arch, download_url, sha256, size_bytes)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING arch, download_url, sha256, size_bytes`,
+        [release.id, asset.arch, asset.downloadUrl, asset.sha256.toLowerCase(), asset.sizeBytes || null]
+      );
+      createdAssets.push(assetResult.rows[0]);
+    }
+
+    await client.query('COMMIT');
+
+    return { ...release, assets: createdAssets };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change a release's status
+ * @param {string} version - Release version
+ * @param {string} status - One of RELEASE_STATUSES
+ * @returns {Object|null} - Updated release
+ */
+export async function setReleaseStatus(version, status) {
+  const { rows } = await pool.query(
+    `UPDATE agent_releases
+     SET status = $1,
+         published_at = CASE WHEN $1 = 'published' THEN COALESCE(published_at, NOW()) ELSE published_at END
+     WHERE version = $2
+     RETURNING *`,
+    [status, version]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * List all releases with their assets, newest version first
+ * @returns {Array}
+ */
+export async function listReleases() {
+  const { rows } = await pool.query(
+    `SELECT r.*,
+            COALESCE(
+              JSON_AGG(
+                JSON_BUILD_OBJECT(
+                  'arch', a.arch,
+                  'download_url', a.download_url,
+                  'sha256', a.sha256,
+                  'size_bytes', a.size_bytes
+                )
+              ) FILTER (WHERE a.id IS NOT NULL),
+              '[]'
+            ) as assets
+     FROM agent_releases r
+     LEFT JOIN agent_release_assets a ON a.release_id = r.id
+     GROUP BY r.id`
+  );
+
+  return rows.sort((a, b) => compareVersions(b.version, a.version));
+}
+
+// Parsed once per configured value; null when it can't be parsed (reported once)
+let signingKeyCache = { pem: undefined, key: null };
+
+// Every update check would otherwise repeat the missing-key warning
+let warnedUnsigned = false;
+
+/**
+ * Load the Ed25519 signing key for update manifests from the environment. A key that
+ * doesn't parse is treated like a missing one, so agents still get unsigned manifests.
+ * @returns {crypto.KeyObject|null}
+ */
+function getSigningKey() {
+  const value = process.env.AGENT_UPDATE_SIGNING_KEY;
+  const pem = value ? value.replace(/\\n/g, '\n') : null;
+  if (pem === signingKeyCache.pem) {
+    return signingKeyCache.key;
+  }
+
+  let key = null;
+  if (pem) {
+    try {
+      const parsed = crypto.createPrivateKey(pem);
+      if (parsed.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`expected an Ed25519 key, got ${parsed.asymmetricKeyType}`);
+      }
+      key = parsed;
+    } catch (error) {
+      console.error('❌ AGENT_UPDATE_SIGNING_KEY is not a valid private key — update manifests will be unsigned:', error.message);
+      warnedUnsigned = true;
+    }
+  }
+
+  signingKeyCache = { pem, key };
+  return key;
+}
+
+/**
+ * Public half of the manifest signing key, for agents to pin
+ * @returns {Object|null} - { keyId, algorithm, publicKey } or null if signing is not configured
+ */
+export function getManifestPublicKey() {
+  const privateKey = getSigningKey();
+  if (!privateKey) return null;
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+
+  return {
+    keyId: crypto.createHash('sha256').update(der).digest('hex').substring(0, 16),
+    algorithm: 'Ed25519',
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+/**
+ * Build and sign the update manifest for a release asset.
+ * The signature covers the exact `manifest` JSON string returned, so agents
+ * verify it byte-for-byte before parsing.
+ * @param {Object} release - Release row from getReleaseForDevice
+ * @param {Object} options - { rollback } marks a signed downgrade
+ * @returns {Object} - { manifest, signature, keyId, algorithm }
+ */
+export function signUpdateManifest(release, { rollback = false } = {}) {
+  const manifest = JSON.stringify({
+    version: release.version,
+    rollback,
+    arch: release.arch,
+    downloadUrl: release.download_url,
+    sha256: release.sha256,
+    sizeBytes: release.size_bytes ? Number(release.size_bytes) : null,
+    releaseNotes: release.release_notes,
+    publishedAt: release.published_at,
+    issuedAt: new Date().toISOString()
+  });
+
+  const privateKey = getSigningKey();
+  if (!privateKey) {
+    if (!warnedUnsigned) {
+      console.warn('⚠️ AGENT_UPDATE_SIGNING_KEY not set — update manifests are unsigned');
+      warnedUnsigned = true;
+    }
+    return { manifest, signature: null, keyId: null, algorithm: null };
+  }
+
+  const signature = crypto.sign(null, Buffer.from(manifest), privateKey).toString('base64');
+  const { keyId, algorithm } = getManifestPublicKey();
+
+  return { manifest, signature, keyId, algorithm };
+}
+
+export default {
+  SUPPORTED_ARCHITECTURES,
+  ROLLOUT_RINGS,
+  RELEASE_STATUSES,
+  compareVersions,
+  isValidSha256,
+  getRolloutBucket,
+  getDeviceRing,
+  isDeviceInRollout,
+  getReleaseForDevice,
+  setReleaseRollout,
+  getRolloutStats,
+  createRelease,
+  setReleaseStatus,
+  listReleases,
+  getManifestPublicKey,
+  signUpdateManifest
+};
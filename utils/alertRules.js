@@ -0,0 +1,544 @@
+/**
+ * SyncSure Alert Rules
+ * Per-account rules deciding which events alert a customer, over which
+ * channel (email or Slack/Teams/JSON webhook), with thresholds and quiet hours
+ */
+
+import fetch from "node-fetch";
+import { pool } from "../db.js";
+import { OutboundUrlError, validateOutboundUrl, assertPublicUrl, publicOnlyAgent } from "./outboundUrl.js";
+import { sendDeviceAlertEmail } from "../email-service.js";
+
+export const ALERT_EVENTS = {
+  device_offline: { label: 'Device Offline', detailLabel: 'Last Seen', cooldownMinutes: null, defaultThreshold: null },
+  sync_error: { label: 'OneDrive Sync Error', detailLabel: 'Details', cooldownMinutes: 60, defaultThreshold: 1 },
+  license_near_capacity: { label: 'Licence Near Capacity', detailLabel: 'Details', cooldownMinutes: 1440, defaultThreshold: 90 },
+  build_failed: { label: 'Agent Build Failed', detailLabel: 'Details', cooldownMinutes: 0, defaultThreshold: null }
+};
+
+export const ALERT_CHANNELS = ['email', 'webhook'];
+
+export const WEBHOOK_FORMATS = ['slack', 'teams', 'json'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * Validate and normalise rule input from the dashboard
+ * @param {Object} input - Raw request body
+ * @param {Object} existing - Current rule when updating
+ * @returns {Object} - { errors: string[], rule: Object }
+ */
+export function validateRule(input = {}, existing = {}) {
+  const rule = {
+    event_type: input.eventType ?? existing.event_type,
+    channel: input.channel ?? existing.channel ?? 'email',
+    target: input.target ?? existing.target,
+    webhook_format: input.webhookFormat ?? existing.webhook_format ?? null,
+    threshold: input.threshold ?? existing.threshold ?? null,
+    quiet_hours_start: input.quietHoursStart !== undefined ? input.quietHoursStart : (existing.quiet_hours_start ?? null),
+    quiet_hours_end: input.quietHoursEnd !== undefined ? input.quietHoursEnd : (existing.quiet_hours_end ?? null),
+    timezone: input.timezone ?? existing.timezone ?? 'UTC',
+    enabled: input.enabled ?? existing.enabled ?? true
+  };
+  const errors = [];
+
+  if (!ALERT_EVENTS[rule.event_type]) {
+    errors.push(`eventType must be one of: ${Object.keys(ALERT_EVENTS).join(', ')}`);
+  }
+
+  if (!ALERT_CHANNELS.includes(rule.channel)) {
+    errors.push(`channel must be one of: ${ALERT_CHANNELS.join(', ')}`);
+  } else if (rule.channel === 'email') {
+    if (!rule.target || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(rule.target)) {
+      errors.push('target must be an email address for email rules');
+    }
+    rule.webhook_format = null;
+  } else {
+    if (!rule.target || validateOutboundUrl(String(rule.target))) {
+      errors.push('target must be an https URL on a public host for webhook rules');
+    }
+    rule.webhook_format = rule.webhook_format || 'json';
+    if (!WEBHOOK_FORMATS.includes(rule.webhook_format)) {
+      errors.push(`webhookFormat must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+  }
+
+  if (rule.threshold !== null && rule.threshold !== '') {
+    const threshold = Number(rule.threshold);
+    if (Number.isNaN(threshold) || threshold < 0) {
+      errors.push('threshold must be a non-negative number');
+    } else if (rule.event_type === 'license_near_capacity' && threshold > 100) {
+      errors.push('threshold for license_near_capacity is a percentage (0-100)');
+    }
+    rule.threshold = threshold;
+  } else {
+    rule.threshold = null;
+  }
+
+  if (Boolean(rule.quiet_hours_start) !== Boolean(rule.quiet_hours_end)) {
+    errors.push('quietHoursStart and quietHoursEnd must be set together');
+  } else if (rule.quiet_hours_start &&
+             (!TIME_PATTERN.test(rule.quiet_hours_start) || !TIME_PATTERN.test(rule.quiet_hours_end))) {
+    errors.push('quiet hours must use HH:MM (24-hour) format');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: rule.timezone });
+  } catch {
+    errors.push('timezone must be a valid IANA time zone (e.g. Europe/London)');
+  }
+
+  rule.enabled = Boolean(rule.enabled);
+
+  return { errors, rule };
+}
+
+/**
+ * Whether a rule's quiet hours cover the given moment
+ * @param {Object} rule - Alert rule row
+ * @param {Date} now - Moment to check
+ * @returns {boolean}
+ */
+export function isWithinQuietHours(rule, now = new Date()) {
+  if (!rule.quiet_hours_start || !rule.quiet_hours_end) return false;
+
+  const toMinutes = (hhmm) => {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+
+  const localTime = new Intl.DateTimeFormat('en-GB', {
+    timeZone: rule.timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(now);
+
+  const current = toMinutes(localTime);
+  const start = toMinutes(rule.quiet_hours_start);
+  const end = toMinutes(rule.quiet_hours_end);
+
+  // Windows such as 22:00-07:00 wrap past midnight
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Threshold a rule applies, falling back to the event default
+ */
+export function getRuleThreshold(rule) {
+  const value = rule.threshold !== null && rule.threshold !== undefined
+    ? Number(rule.threshold)
+    : ALERT_EVENTS[rule.event_type]?.defaultThreshold;
+  return value ?? null;
+}
+
+/**
+ * Record an alert decision
+ */
+export async function recordAlertNotification({
+  accountId,
+  licenseId,
+  deviceId = null,
+  ruleId = null,
+  alertType,
+  channel = 'email',
+  recipient = null,
+  status,
+  context = {}
+}) {
+  await pool.query(
+    `INSERT INTO alert_notifications (account_id, license_id, device_id, rule_id, alert_type, channel, recipient, status, context)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [accountId, licenseId, deviceId, ruleId, alertType, channel, recipient, status, JSON.stringify(context)]
+  );
+}
+
+/**
+ * Decide whether an alert may be sent, so a flapping device or a mass
+ * outage does not flood the inbox
+ * @returns {string|null} - Suppression reason, or null if the alert may go out
+ */
+async function getSuppressionReason({ accountId, licenseId, deviceId, ruleId, alertType }) {
+  const cooldownMinutes = ALERT_EVENTS[alertType]?.cooldownMinutes
+    ?? (parseInt(process.env.DEVICE_ALERT_COOLDOWN_MINUTES) || 360);
+  const maxAlertsPerHour = parseInt(process.env.DEVICE_ALERT_MAX_PER_HOUR) || 10;
+
+  if (cooldownMinutes > 0) {
+    const duplicate = await pool.query(
+      `SELECT 1 FROM alert_notifications
+       WHERE license_id IS NOT DISTINCT FROM $1
+         AND device_id IS NOT DISTINCT FROM $2
+         AND rule_id IS NOT DISTINCT FROM $3
+         AND alert_type = $4 AND status = 'sent'
+         AND created_at > NOW() - make_interval(mins => $5)
+       LIMIT 1`,
+      [licenseId, deviceId, ruleId, alertType, cooldownMinutes]
+    );
+    if (duplicate.rows.length > 0) return 'duplicate';
+  }
+
+  const recent = await pool.query(
+    `SELECT COUNT(*) AS count FROM alert_notifications
+     WHERE account_id = $1 AND status = 'sent' AND created_at > NOW() - INTERVAL '1 hour'`,
+    [accountId]
+  );
+  if (parseInt(recent.rows[0].count) >= maxAlertsPerHour) return 'rate_limited';
+
+  return null;
+}
+
+/**
+ * Render the title and detail line for an alert
+ */
+function describeAlert(alertType, { subject, detail }) {
+  const label = ALERT_EVENTS[alertType]?.label || alertType;
+  return {
+    title: `SyncSure Alert: ${label} - ${subject}`,
+    label,
+    detailLabel: ALERT_EVENTS[alertType]?.detailLabel || 'Details',
+    subject,
+    detail
+  };
+}
+
+/**
+ * Build the webhook body for the rule's format
+ */
+function buildWebhookPayload(format, alertType, message, context) {
+  switch (format) {
+    case 'slack':
+      return {
+        text: `:warning: *${message.title}*\n${message.detail}`
+      };
+    case 'teams':
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.title,
+        themeColor: 'EE5A24',
+        title: message.title,
+        text: message.detail
+      };
+    default:
+      return {
+        event: alertType,
+        title: message.title,
+        subject: message.subject,
+        detail: message.detail,
+        context,
+        sentAt: new Date().toISOString()
+      };
+  }
+}
+
+/**
+ * Deliver one alert over a rule's channel
+ * @returns {string} - 'sent', 'skipped' or 'failed'
+ */
+async function deliver(rule, alertType, message, context, account) {
+  if (rule.channel === 'webhook') {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+      // Same rule as customer webhooks: public addresses only, checked again on connect
+      await assertPublicUrl(rule.target);
+      const response = await fetch(rule.target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildWebhookPayload(rule.webhook_format, alertType, message, context)),
+        redirect: 'manual',
+        agent: publicOnlyAgent,
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        console.error(`❌ Alert webhook responded with ${response.status} for rule ${rule.id}`);
+        return 'failed';
+      }
+      return 'sent';
+    } catch (error) {
+      if (error instanceof OutboundUrlError || error.code === 'URL_NOT_ALLOWED') {
+        console.error(`❌ Alert webhook for rule ${rule.id} refused: ${error.message}`);
+        return 'failed';
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  const result = await sendDeviceAlertEmail(
+    rule.target,
+    account.name || account.email.split('@')[0],
+    message.subject,
+    message.label,
+    message.detail,
+    message.detailLabel
+  );
+  return result.success ? 'sent' : (result.skipped ? 'skipped' : 'failed');
+}
+
+/**
+ * Load the enabled rules for an event. Accounts without any rule for
+ * device_offline keep the default behaviour of emailing the account owner.
+ */
+async function getRulesForEvent(account, alertType) {
+  const { rows } = await pool.query(
+    `SELECT * FROM alert_rules WHERE account_id = $1 AND event_type = $2`,
+    [account.id, alertType]
+  );
+
+  if (rows.length === 0 && alertType === 'device_offline') {
+    return [{ id: null, event_type: alertType, channel: 'email', target: account.email, enabled: true }];
+  }
+
+  return rows.filter(rule => rule.enabled);
+}
+
+/**
+ * Evaluate an event against the account's rules and notify each matching channel
+ * @param {Object} event
+ * @param {string} event.accountId - Account ID
+ * @param {string|null} event.licenseId - License ID
+ * @param {string|null} event.deviceId - Device hash, for device events
+ * @param {string} event.alertType - Key of ALERT_EVENTS
+ * @param {number|null} event.value - Measured value compared with the rule threshold
+ * @param {string} event.subject - What the alert is about (device name, licence key, build tag)
+ * @param {string} event.detail - Human-readable detail line
+ * @param {Object} event.context - Extra data stored with the notification
+ * @returns {Object} - { sent, suppressed, skipped, failed }
+ */
+export async function dispatchAlert({
+  accountId,
+  licenseId = null,
+  deviceId = null,
+  alertType,
+  value = null,
+  subject,
+  detail,
+  context = {}
+}) {
+  const summary = { sent: 0, suppressed: 0, skipped: 0, failed: 0 };
+
+  const accountResult = await pool.query(
+    'SELECT id, email, name FROM accounts WHERE id = $1',
+    [accountId]
+  );
+  if (accountResult.rows.length === 0) return summary;
+
+  const account = accountResult.rows[0];
+  const rules = await getRulesForEvent(account, alertType);
+  const message = describeAlert(alertType, { subject, detail });
+
+  for (const rule of rules) {
+    const threshold = getRuleThreshold(rule);
+    if (threshold !== null && value !== null && value < threshold) continue;
+
+    const status = await notifyRule(rule, account, { licenseId, deviceId, alertType, message, context });
+    summary[status]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Send one alert over one rule unless quiet hours, de-duplication or the rate limit hold
+ * it back, and record the outcome
+ * @returns {string} - 'sent', 'suppressed', 'skipped' or 'failed'
+ */
+async function notifyRule(rule, account, { licenseId, deviceId, alertType, message, context }) {
+  const notification = {
+    accountId: account.id,
+    licenseId,
+    deviceId,
+    ruleId: rule.id,
+    alertType,
+    channel: rule.channel,
+    recipient: rule.target
+  };
+
+  try {
+    let reason = isWithinQuietHours(rule) ? 'quiet_hours' : null;
+    if (!reason) reason = await getSuppressionReason(notification);
+
+    if (reason) {
+      await recordAlertNotification({ ...notification, status: 'suppressed', context: { ...context, reason } });
+      return 'suppressed';
+    }
+
+    const status = await deliver(rule, alertType, message, context, account);
+    await recordAlertNotification({ ...notification, status, context });
+    return status;
+  } catch (error) {
+    console.error(`❌ ${alertType} alert failed for rule ${rule.id || 'default'}:`, error.message);
+    await recordAlertNotification({ ...notification, status: 'failed', context: { ...context, error: error.message } })
+      .catch(() => {});
+    return 'failed';
+  }
+}
+
+/**
+ * Worker hook: device_offline fires once, when a device goes offline, so an alert held
+ * back by quiet hours is sent once they end if the device is still offline. Each held
+ * alert is tried once after quiet hours; the outcome is recorded like any other.
+ * @returns {Object} - { sent, suppressed, skipped, failed }
+ */
+export async function sendHeldOfflineAlerts() {
+  const summary = { sent: 0, suppressed: 0, skipped: 0, failed: 0 };
+
+  // Quiet hours never last a day, so older suppressions were dealt with already
+  const { rows } = await pool.query(
+    `SELECT DISTINCT ON (n.rule_id, n.license_id, n.device_id)
+            n.license_id, n.device_id, n.context, r.*,
+            a.email AS account_email, a.name AS account_name,
+            b.device_name, b.last_heartbeat
+     FROM alert_notifications n
+     JOIN alert_rules r ON r.id = n.rule_id AND r.enabled = true
+     JOIN accounts a ON a.id = r.account_id
+     JOIN device_bindings b ON b.license_id = n.license_id AND b.device_id = n.device_id
+     WHERE n.alert_type = 'device_offline' AND n.status = 'suppressed'
+       AND n.context->>'reason' = 'quiet_hours'
+       AND n.created_at > NOW() - INTERVAL '1 day'
+       AND b.status = 'active' AND b.health_state = 'offline'
+       AND b.health_changed_at <= n.created_at
+       AND NOT EXISTS (
+         SELECT 1 FROM alert_notifications later
+         WHERE later.license_id = n.license_id AND later.device_id = n.device_id
+           AND later.rule_id = n.rule_id AND later.alert_type = 'device_offline'
+           AND later.created_at > n.created_at
+           AND later.context->>'reason' IS DISTINCT FROM 'quiet_hours'
+       )
+     ORDER BY n.rule_id, n.license_id, n.device_id, n.created_at DESC`
+  );
+
+  for (const row of rows) {
+    if (isWithinQuietHours(row)) continue;
+
+    const { license_id: licenseId, device_id: deviceId, context, account_email: email, account_name: name } = row;
+    const lastSeen = row.last_heartbeat ? new Date(row.last_heartbeat).toUTCString() : 'Never';
+    const message = describeAlert('device_offline', { subject: row.device_name || deviceId, detail: lastSeen });
+
+    const { reason, ...held } = context || {};
+    const status = await notifyRule(row, { id: row.account_id, email, name }, {
+      licenseId,
+      deviceId,
+      alertType: 'device_offline',
+      message,
+      context: { ...held, held_for: reason }
+    });
+    summary[status]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Send a one-off test notification over a rule's channel, bypassing
+ * quiet hours and de-duplication
+ * @param {Object} rule - Alert rule row
+ * @param {Object} account - { id, email, name }
+ * @returns {string} - 'sent', 'skipped' or 'failed'
+ */
+export async function sendTestAlert(rule, account) {
+  const message = describeAlert(rule.event_type, {
+    subject: 'Test notification',
+    detail: 'This is a test alert from your SyncSure notification settings.'
+  });
+  return deliver(rule, rule.event_type, message, { test: true }, account);
+}
+
+/**
+ * Count sync errors reported in heartbeat systemMetrics
+ * @param {Object} systemMetrics - Agent-reported metrics
+ * @returns {number}
+ */
+export function getSyncErrorCount(systemMetrics) {
+  if (!systemMetrics || typeof systemMetrics !== 'object') return 0;
+
+  const errors = systemMetrics.syncErrorCount ?? systemMetrics.syncErrors;
+  if (Array.isArray(errors)) return errors.length;
+  return parseInt(errors) || 0;
+}
+
+/**
+ * Heartbeat hook: alert on OneDrive sync errors reported by the agent
+ */
+export async function evaluateHeartbeatAlerts({ accountId, licenseId, deviceId, deviceName, systemMetrics }) {
+  const syncErrors = getSyncErrorCount(systemMetrics);
+  if (syncErrors === 0) return null;
+
+  return dispatchAlert({
+    accountId,
+    licenseId,
+    deviceId,
+    alertType: 'sync_error',
+    value: syncErrors,
+    subject: deviceName || deviceId,
+    detail: `${syncErrors} OneDrive sync error(s) reported at ${new Date().toUTCString()}`,
+    context: { sync_errors: syncErrors }
+  });
+}
+
+/**
+ * Worker hook: alert accounts whose licence usage crossed their capacity threshold
+ * @returns {number} - Licences evaluated
+ */
+export async function evaluateLicenseCapacityAlerts() {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT l.id, l.account_id, l.license_key, l.device_count, l.bound_count
+     FROM licenses l
+     JOIN alert_rules r ON r.account_id = l.account_id
+     WHERE r.event_type = 'license_near_capacity' AND r.enabled = true
+       AND l.device_count > 0`
+  );
+
+  for (const license of rows) {
+    const usage = Math.round((license.bound_count / license.device_count) * 100);
+    await dispatchAlert({
+      accountId: license.account_id,
+      licenseId: license.id,
+      alertType: 'license_near_capacity',
+      value: usage,
+      subject: `Licence ${license.license_key}`,
+      detail: `${license.bound_count} of ${license.device_count} devices bound (${usage}%)`,
+      context: { bound_count: license.bound_count, device_count: license.device_count, usage }
+    });
+  }
+
+  return rows.length;
+}
+
+/**
+ * Worker hook: alert on a build that failed to dispatch or complete
+ */
+export async function evaluateBuildFailedAlert(build) {
+  if (!build.account_id) return null;
+
+  return dispatchAlert({
+    accountId: build.account_id,
+    licenseId: build.license_id,
+    alertType: 'build_failed',
+    subject: `Build ${build.tag || build.id}`,
+    detail: `Agent build ${build.tag || build.id} failed at ${new Date().toUTCString()}`,
+    context: { build_id: build.id, tag: build.tag }
+  });
+}
+
+export default {
+  ALERT_EVENTS,
+  ALERT_CHANNELS,
+  WEBHOOK_FORMATS,
+  validateRule,
+  isWithinQuietHours,
+  getRuleThreshold,
+  recordAlertNotification,
+  dispatchAlert,
+  sendHeldOfflineAlerts,
+  sendTestAlert,
+  getSyncErrorCount,
+  evaluateHeartbeatAlerts,
+  evaluateLicenseCapacityAlerts,
+  evaluateBuildFailedAlert
+};
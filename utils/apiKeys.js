@@ -0,0 +1,181 @@
+/**
+ * SyncSure Customer API Keys
+ * Let an organisation's own scripts read its data without a browser session. A key
+ * belongs to the organisation (not the member who made it) and only reaches routes
+ * that name one of its scopes (requirePermission's apiKeyScope).
+ * The raw key is shown once when it is created; the database keeps its SHA-256.
+ */
+
+import crypto from "crypto";
+import { pool } from "../db.js";
+import { roleHasPermission } from "./organizations.js";
+
+// Each scope needs the creator to hold the matching organisation permission
+export const API_KEY_SCOPES = {
+  'devices:read': {
+    description: 'Devices, heartbeats and sync-health telemetry',
+    permission: 'dashboard:read'
+  },
+  'licence:read': {
+    description: 'Licence key, seats and usage',
+    permission: 'dashboard:read'
+  },
+  'builds:read': {
+    description: 'Agent builds and their release downloads',
+    permission: 'builds:download'
+  },
+  'billing:read': {
+    description: 'Subscription, tier and invoices',
+    permission: 'billing:read'
+  }
+};
+
+export const API_KEY_PREFIX = 'ssk_live_';
+
+// Active keys per organisation
+const MAX_ACTIVE_KEYS = 25;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toKeySummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: row.scopes,
+    createdBy: row.created_by,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Whether a presented credential is shaped like a customer API key
+ * @param {string|undefined} credential
+ * @returns {boolean}
+ */
+export function isApiKey(credential) {
+  return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Check requested scopes exist and that the creator's role could read the same data
+ * @param {string[]} scopes
+ * @param {string} role - Creator's role in the organisation
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateApiKeyScopes(scopes, role) {
+  const known = Object.keys(API_KEY_SCOPES);
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `scopes must list at least one of: ${known.join(', ')}`;
+  }
+
+  const unknown = scopes.filter(scope => !known.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}`;
+  }
+
+  const beyondRole = scopes.filter(scope => !roleHasPermission(role, API_KEY_SCOPES[scope].permission));
+  if (beyondRole.length > 0) {
+    return `Your role cannot grant: ${beyondRole.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Create a key for an organisation
+ * @param {Object} options - { organizationId, name, scopes, expiresInDays, createdBy }
+ * @returns {Promise<Object|null>} - { key (raw, show once), apiKey (summary) }, or null at the active key limit
+ */
+export async function createApiKey({ organizationId, name, scopes, expiresInDays = null, createdBy }) {
+  const active = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM customer_api_keys
+     WHERE organization_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [organizationId]
+  );
+
+  if (active.rows[0].count >= MAX_ACTIVE_KEYS) {
+    return null;
+  }
+
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+
+  const { rows } = await pool.query(
+    `INSERT INTO customer_api_keys (organization_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $7::int) END)
+     RETURNING *`,
+    [organizationId, name, key.substring(0, API_KEY_PREFIX.length + 8), hashKey(key), [...new Set(scopes)], createdBy, expiresInDays]
+  );
+
+  return { key, apiKey: toKeySummary(rows[0]) };
+}
+
+/**
+ * Look up a presented key with its organisation, recording that it was used
+ * @param {string} key - Raw key from the request
+ * @returns {Promise<Object|null>} - Key and account fields, or null if unknown, revoked or expired
+ */
+export async function authenticateApiKey(key) {
+  if (!isApiKey(key)) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE customer_api_keys k SET last_used_at = NOW()
+     FROM accounts a
+     WHERE a.id = k.organization_id
+       AND k.key_hash = $1 AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+     RETURNING k.id, k.name, k.scopes,
+               a.id AS account_id, a.email, a.status AS account_status,
+               a.subscription_status, a.email_verified`,
+    [hashKey(key)]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * An organisation's keys, newest first (never the key itself)
+ * @param {string} organizationId
+ * @returns {Promise<Object[]>}
+ */
+export async function listApiKeys(organizationId) {
+  const { rows } = await pool.query(
+    "SELECT * FROM customer_api_keys WHERE organization_id = $1 ORDER BY created_at DESC",
+    [organizationId]
+  );
+  return rows.map(toKeySummary);
+}
+
+/**
+ * Revoke one of an organisation's keys; requests with it fail from now on
+ * @param {string} organizationId
+ * @param {string} keyId
+ * @returns {Promise<Object|null>} - Summary of the revoked key, or null if not found or already revoked
+ */
+export async function revokeApiKey(organizationId, keyId) {
+  const { rows } = await pool.query(
+    `UPDATE customer_api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND organization_id = $2 AND revoked_at IS NULL
+     RETURNING *`,
+    [keyId, organizationId]
+  );
+  return rows[0] ? toKeySummary(rows[0]) : null;
+}
+
+export default {
+  API_KEY_SCOPES,
+  API_KEY_PREFIX,
+  isApiKey,
+  validateApiKeyScopes,
+  createApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  revokeApiKey
+};
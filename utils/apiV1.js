@@ -0,0 +1,137 @@
+/**
+ * SyncSure Public API v1 helpers
+ * /api/v1 answers data as { data } (lists add { pagination }) and every failure as
+ * { error: { code, message, details? } }, whichever middleware produced it.
+ * List cursors are opaque: base64url JSON of the last row's sort key.
+ */
+
+import http from "http";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Codes for errors raised without one (mostly by shared middleware)
+const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * Send a v1 error
+ * @param {object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Stable machine-readable code
+ * @param {string} message - Human-readable message
+ * @param {object} [details] - Extra context, e.g. { scope }
+ */
+export function sendError(res, status, code, message, details) {
+  return res.status(status).json({
+    error: {
+      code,
+      message,
+      ...(details && { details })
+    }
+  });
+}
+
+/**
+ * Middleware for /api/v1 (mount ahead of the rate limiter and auth): rewrites the
+ * { success: false, error, code } and { ok: false, error } bodies the shared middleware
+ * sends into the v1 error envelope, so clients only ever parse one shape
+ */
+export function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode < 400 || body?.error?.code) {
+      return json(body);
+    }
+
+    const { success, ok, error, code, message, ...details } = body || {};
+    return json({
+      error: {
+        code: code || STATUS_CODES[res.statusCode] || 'ERROR',
+        message: (typeof error === 'string' && error) || message || http.STATUS_CODES[res.statusCode],
+        ...(Object.keys(details).length > 0 && { details })
+      }
+    });
+  };
+
+  next();
+}
+
+/**
+ * Opaque cursor for a list's sort key
+ * @param {object} key - e.g. { k: deviceId, i: id }
+ * @returns {string}
+ */
+export function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Read ?limit and ?cursor
+ * @param {object} query - req.query
+ * @param {Function} [isValidKey] - Checks a decoded cursor has the list's sort key
+ * @returns {object} - { limit, cursor (decoded key or null) } or { error, code }
+ */
+export function parsePagination(query, isValidKey = () => true) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`, code: 'INVALID_REQUEST' };
+  }
+
+  if (query.cursor === undefined) {
+    return { limit, cursor: null };
+  }
+
+  let cursor = null;
+  try {
+    cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString());
+  } catch {
+    // reported below
+  }
+
+  if (!cursor || typeof cursor !== 'object' || !isValidKey(cursor)) {
+    return { error: 'cursor is not valid; pass back nextCursor from the previous page unchanged', code: 'INVALID_CURSOR' };
+  }
+
+  return { limit, cursor };
+}
+
+/**
+ * Shape a page fetched with LIMIT limit + 1
+ * @param {Array} rows - Up to limit + 1 rows in list order
+ * @param {number} limit
+ * @param {Function} cursorKey - row => sort key of that row
+ * @returns {object} - { rows, pagination: { limit, hasMore, nextCursor } }
+ */
+export function paginate(rows, limit, cursorKey) {
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    rows: page,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(cursorKey(page[page.length - 1])) : null
+    }
+  };
+}
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  sendError,
+  errorEnvelope,
+  encodeCursor,
+  parsePagination,
+  paginate
+};
@@ -0,0 +1,126 @@
+/**
+ * SyncSure Account Tokens
+ * Single-use, expiring tokens for password reset and email verification.
+ * The raw token only ever exists in the emailed link; the database keeps
+ * its SHA-256 so a leaked table cannot be replayed.
+ */
+
+import crypto from "crypto";
+import { pool } from "../db.js";
+
+export const AUTH_TOKEN_PURPOSES = {
+  password_reset: {
+    ttlMinutes: () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    path: '/reset-password'
+  },
+  email_verification: {
+    ttlMinutes: () => (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60,
+    path: '/verify-email'
+  }
+};
+
+// Links sent per account and purpose per hour, so the endpoints can't be used to spam an inbox
+const MAX_TOKENS_PER_HOUR = 3;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Link the customer follows to redeem a token
+ * @param {string} purpose - Key of AUTH_TOKEN_PURPOSES
+ * @param {string} token - Raw token
+ * @returns {string}
+ */
+export function buildTokenUrl(purpose, token) {
+  const origin = process.env.FRONTEND_ORIGIN || 'https://syncsure.cloud';
+  return `${origin}${AUTH_TOKEN_PURPOSES[purpose].path}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Issue a token, expiring any earlier unused token for the same purpose
+ * @param {string} accountId - Account ID
+ * @param {string} purpose - Key of AUTH_TOKEN_PURPOSES
+ * @param {string|null} ipAddress - Requesting IP, kept for audit
+ * @returns {Promise<Object|null>} - { token, expiresAt, ttlMinutes }, or null if rate limited
+ */
+export async function issueAuthToken(accountId, purpose, ipAddress = null) {
+  const ttlMinutes = AUTH_TOKEN_PURPOSES[purpose].ttlMinutes();
+
+  const recent = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM auth_tokens
+     WHERE account_id = $1 AND purpose = $2 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [accountId, purpose]
+  );
+
+  if (recent.rows[0].count >= MAX_TOKENS_PER_HOUR) {
+    console.log(`⏸️ ${purpose} token rate limited for account ${accountId}`);
+    return null;
+  }
+
+  // Only the newest link works, and long-dead rows are cleared as we go
+  await pool.query(
+    `UPDATE auth_tokens SET expires_at = NOW()
+     WHERE account_id = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()`,
+    [accountId, purpose]
+  );
+  await pool.query(
+    "DELETE FROM auth_tokens WHERE account_id = $1 AND expires_at < NOW() - INTERVAL '7 days'",
+    [accountId]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO auth_tokens (account_id, purpose, token_hash, expires_at, requested_ip)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), $5)
+     RETURNING expires_at`,
+    [accountId, purpose, hashToken(token), ttlMinutes, ipAddress]
+  );
+
+  return { token, expiresAt: result.rows[0].expires_at, ttlMinutes };
+}
+
+/**
+ * Look up a redeemable token without consuming it
+ * @param {string} token - Raw token from the link
+ * @param {string} purpose - Key of AUTH_TOKEN_PURPOSES
+ * @returns {Promise<Object|null>} - { id, account_id, email, name }, or null if unknown, used or expired
+ */
+export async function findAuthToken(token, purpose) {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const result = await pool.query(
+    `SELECT t.id, t.account_id, a.email, a.name
+     FROM auth_tokens t
+     JOIN accounts a ON a.id = t.account_id
+     WHERE t.token_hash = $1 AND t.purpose = $2
+       AND t.used_at IS NULL AND t.expires_at > NOW()`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a token used. Only one caller can win, so a token redeems at most once.
+ * @param {Object} client - Database client (inside the caller's transaction)
+ * @param {string} tokenId - auth_tokens.id
+ * @returns {Promise<boolean>} - Whether this call consumed it
+ */
+export async function consumeAuthToken(client, tokenId) {
+  const result = await client.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE id = $1 AND used_at IS NULL AND expires_at > NOW()`,
+    [tokenId]
+  );
+
+  return result.rowCount > 0;
+}
+
+export default {
+  AUTH_TOKEN_PURPOSES,
+  buildTokenUrl,
+  issueAuthToken,
+  findAuthToken,
+  consumeAuthToken
+};
@@ -0,0 +1,464 @@
+/**
+ * SyncSure Device Bindings
+ * Claims and releases seats: atomic binding against the licence limit,
+ * unbinding a device, moving a binding to a replacement device hash, and
+ * auto-releasing devices that have gone silent
+ */
+
+import { pool } from "../db.js";
+import { getLicensePolicy } from "./licenseStatus.js";
+
+export const BIND_ERRORS = {
+  invalid_license: { code: 'INVALID_LICENSE', message: 'Invalid license key' },
+  seat_limit_reached: { code: 'SEAT_LIMIT_REACHED', message: 'Device limit exceeded' },
+  idempotency_conflict: { code: 'IDEMPOTENCY_CONFLICT', message: 'Idempotency key was already used for a different device' },
+  license_past_due: { code: 'LICENSE_PAST_DUE', message: 'Payment is overdue; no new devices can be bound until it is paid' },
+  license_suspended: { code: 'LICENSE_SUSPENDED', message: 'License is suspended for non-payment' },
+  license_cancelled: { code: 'LICENSE_CANCELLED', message: 'License subscription has been cancelled' }
+};
+
+// Idempotency keys only need to outlive an agent's retry loop
+const BIND_REQUEST_RETENTION_HOURS = 24;
+
+export const TRANSFER_ERRORS = {
+  not_found: 'Device not bound to this license',
+  target_active: 'New device hash is already bound to this license',
+  same_device: 'New device hash must differ from the current one',
+  license_suspended: BIND_ERRORS.license_suspended.message,
+  license_cancelled: BIND_ERRORS.license_cancelled.message
+};
+
+/**
+ * Recompute a license's bound_count from its active bindings
+ * @param {Object} client - pg client or pool
+ * @param {string} licenseId - License ID
+ * @returns {number} - New bound_count
+ */
+export async function recountBoundDevices(client, licenseId) {
+  const { rows } = await client.query(
+    `UPDATE licenses
+     SET bound_count = (
+       SELECT COUNT(*) FROM device_bindings
+       WHERE license_id = $1 AND status = 'active'
+     ), updated_at = NOW()
+     WHERE id = $1
+     RETURNING bound_count`,
+    [licenseId]
+  );
+
+  return rows[0]?.bound_count ?? 0;
+}
+
+/**
+ * Stop handing queued commands to a device that no longer holds a seat
+ */
+async function cancelOpenCommands(client, licenseId, deviceId) {
+  await client.query(
+    `UPDATE agent_commands
+     SET status = 'cancelled', completed_at = NOW()
+     WHERE license_id = $1 AND device_id = $2 AND status IN ('pending', 'delivered')`,
+    [licenseId, deviceId]
+  );
+}
+
+async function writeAudit(client, { actor, accountId, licenseId, event, context }) {
+  await client.query(
+    `INSERT INTO audit_log (actor, account_id, license_id, event, context)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [actor, accountId, licenseId, event, JSON.stringify(context)]
+  );
+}
+
+/**
+ * Bind a device to a licence, or refresh an existing binding.
+ * The licence row is locked for the whole transaction, so concurrent binds
+ * for one licence are serialised and the seat check counts committed
+ * bindings rather than trusting a bound_count read earlier.
+ * @param {Object} options
+ * @param {string} options.licenseKey - License key presented by the agent
+ * @param {string} options.deviceHash - Device hash
+ * @param {string|null} options.deviceName - Device name
+ * @param {string|null} options.agentVersion - Agent version
+ * @param {Object} options.systemInfo - Stored in system_info
+ * @param {string|null} options.idempotencyKey - Agent-generated key; a retry with the same key replays the first success
+ * @returns {Object} - { outcome: 'bound' | 'reactivated' | 'updated', replayed, licenseId, accountId,
+ *                       pricingTier, deviceCount, boundCount, licenseStatus } or { error } with a BIND_ERRORS key
+ */
+export async function bindDevice({
+  licenseKey,
+  deviceHash,
+  deviceName = null,
+  agentVersion = null,
+  systemInfo = {},
+  idempotencyKey = null
+}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const licenseResult = await client.query(
+      `SELECT id, account_id, device_count, pricing_tier, COALESCE(status, 'active') AS status
+       FROM licenses WHERE license_key = $1
+       FOR UPDATE`,
+      [licenseKey]
+    );
+
+    if (licenseResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'invalid_license' };
+    }
+
+    const license = licenseResult.rows[0];
+
+    if (idempotencyKey) {
+      const previous = await client.query(
+        'SELECT device_id, result FROM bind_requests WHERE license_id = $1 AND idempotency_key = $2',
+        [license.id, idempotencyKey]
+      );
+      if (previous.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return previous.rows[0].device_id === deviceHash
+          ? { ...previous.rows[0].result, replayed: true }
+          : { error: 'idempotency_conflict' };
+      }
+    }
+
+    const existingResult = await client.query(
+      'SELECT id, status FROM device_bindings WHERE license_id = $1 AND device_id = $2',
+      [license.id, deviceHash]
+    );
+    const existing = existingResult.rows[0];
+
+    // A past-due licence still refreshes its bound devices but takes no new ones
+    const policy = getLicensePolicy(license.status);
+    if (!(existing?.status === 'active' ? policy.rebind : policy.bindNew)) {
+      await client.query('ROLLBACK');
+      return { error: `license_${license.status}`, licenseStatus: license.status };
+    }
+
+    if (!existing || existing.status !== 'active') {
+      const activeResult = await client.query(
+        "SELECT COUNT(*) AS count FROM device_bindings WHERE license_id = $1 AND status = 'active'",
+        [license.id]
+      );
+      const activeCount = parseInt(activeResult.rows[0].count);
+
+      // A seat reduction scheduled for the period end already caps new bindings
+      const scheduledResult = await client.query(
+        `SELECT MIN(scheduled_quantity) AS seats FROM subscriptions
+         WHERE account_id = $1 AND scheduled_quantity IS NOT NULL AND status <> 'canceled'`,
+        [license.account_id]
+      );
+      const seatLimit = Math.min(license.device_count, scheduledResult.rows[0].seats ?? Infinity);
+
+      if (activeCount >= seatLimit) {
+        await client.query('ROLLBACK');
+        return {
+          error: 'seat_limit_reached',
+          deviceCount: seatLimit,
+          boundCount: activeCount,
+          pricingTier: license.pricing_tier
+        };
+      }
+    }
+
+    let outcome;
+    if (existing) {
+      outcome = existing.status === 'active' ? 'updated' : 'reactivated';
+      await client.query(
+        `UPDATE device_bindings
+         SET device_name = $1, agent_version = $2, last_heartbeat = NOW(), system_info = $3,
+             status = 'active', released_at = NULL, release_reason = NULL,
+             bound_at = CASE WHEN status = 'active' THEN bound_at ELSE NOW() END,
+             health_changed_at = CASE WHEN health_state <> 'online' THEN NOW() ELSE health_changed_at END,
+             health_state = 'online'
+         WHERE id = $4`,
+        [deviceName, agentVersion, JSON.stringify(systemInfo), existing.id]
+      );
+    } else {
+      outcome = 'bound';
+      await client.query(
+        `INSERT INTO device_bindings (license_id, device_id, device_name, agent_version,
+                                     bound_at, last_heartbeat, status, system_info)
+         VALUES ($1, $2, $3, $4, NOW(), NOW(), 'active', $5)`,
+        [license.id, deviceHash, deviceName, agentVersion, JSON.stringify(systemInfo)]
+      );
+    }
+
+    const boundCount = await recountBoundDevices(client, license.id);
+
+    if (outcome !== 'updated') {
+      await writeAudit(client, {
+        actor: 'agent',
+        accountId: license.account_id,
+        licenseId: license.id,
+        event: 'device_bound',
+        context: {
+          device_id: deviceHash,
+          device_name: deviceName,
+          agent_version: agentVersion,
+          platform: systemInfo.platform,
+          operating_system: systemInfo.operatingSystem,
+          architecture: systemInfo.architecture,
+          reactivated: outcome === 'reactivated'
+        }
+      });
+    }
+
+    const result = {
+      outcome,
+      licenseId: license.id,
+      accountId: license.account_id,
+      pricingTier: license.pricing_tier,
+      deviceCount: license.device_count,
+      boundCount,
+      licenseStatus: license.status
+    };
+
+    if (idempotencyKey) {
+      await client.query(
+        `INSERT INTO bind_requests (license_id, idempotency_key, device_id, result)
+         VALUES ($1, $2, $3, $4)`,
+        [license.id, idempotencyKey, deviceHash, JSON.stringify(result)]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return { ...result, replayed: false };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Forget idempotency keys older than the agent retry window
+ * @returns {number} - Keys deleted
+ */
+export async function pruneBindRequests() {
+  const { rowCount } = await pool.query(
+    "DELETE FROM bind_requests WHERE created_at < NOW() - make_interval(hours => $1)",
+    [BIND_REQUEST_RETENTION_HOURS]
+  );
+
+  return rowCount;
+}
+
+/**
+ * Release a device's seat
+ * @param {Object} options
+ * @param {string} options.licenseId - License ID
+ * @param {string} options.accountId - Account ID (for the audit trail)
+ * @param {string} options.deviceId - Device hash
+ * @param {string} options.actor - Who released it ('agent', an email, 'system')
+ * @param {string} options.reason - Stored as release_reason
+ * @returns {Object|null} - { binding, boundCount }, or null if no active binding
+ */
+export async function unbindDevice({ licenseId, accountId, deviceId, actor, reason = 'unbound' }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialise seat changes per license
+    await client.query('SELECT id FROM licenses WHERE id = $1 FOR UPDATE', [licenseId]);
+
+    const { rows } = await client.query(
+      `UPDATE device_bindings
+       SET status = 'released', released_at = NOW(), release_reason = $3
+       WHERE license_id = $1 AND device_id = $2 AND status = 'active'
+       RETURNING id, device_id, device_name, last_heartbeat, released_at`,
+      [licenseId, deviceId, reason]
+    );
+
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await cancelOpenCommands(client, licenseId, deviceId);
+    const boundCount = await recountBoundDevices(client, licenseId);
+
+    await writeAudit(client, {
+      actor,
+      accountId,
+      licenseId,
+      event: 'device_unbound',
+      context: { device_id: deviceId, device_name: rows[0].device_name, reason, bound_count: boundCount }
+    });
+
+    await client.query('COMMIT');
+
+    return { binding: rows[0], boundCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move a binding to a replacement device hash without using another seat
+ * @param {Object} options
+ * @param {string} options.licenseId - License ID
+ * @param {string} options.accountId - Account ID (for the audit trail)
+ * @param {string} options.fromDeviceId - Device hash currently holding the seat
+ * @param {string} options.toDeviceId - Replacement device hash
+ * @param {string|null} options.deviceName - Name for the replacement (defaults to the old name)
+ * @param {string} options.actor - Who requested the transfer
+ * @returns {Object} - { binding, boundCount } or { error, licenseStatus? } with a TRANSFER_ERRORS key
+ */
+export async function transferBinding({ licenseId, accountId, fromDeviceId, toDeviceId, deviceName = null, actor }) {
+  if (fromDeviceId === toDeviceId) {
+    return { error: 'same_device' };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const licenseResult = await client.query(
+      "SELECT COALESCE(status, 'active') AS status FROM licenses WHERE id = $1 FOR UPDATE",
+      [licenseId]
+    );
+
+    // The seat moves with the licence's say-so: a past-due one may, a suspended or cancelled one may not
+    const licenseStatus = licenseResult.rows[0]?.status;
+    if (licenseStatus && !getLicensePolicy(licenseStatus).rebind) {
+      await client.query('ROLLBACK');
+      return { error: `license_${licenseStatus}`, licenseStatus };
+    }
+
+    const sourceResult = await client.query(
+      `UPDATE device_bindings
+       SET status = 'released', released_at = NOW(), release_reason = 'transferred'
+       WHERE license_id = $1 AND device_id = $2 AND status = 'active'
+       RETURNING device_name, agent_version, system_info`,
+      [licenseId, fromDeviceId]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'not_found' };
+    }
+
+    const source = sourceResult.rows[0];
+    const name = deviceName || source.device_name;
+
+    const targetResult = await client.query(
+      'SELECT id, status FROM device_bindings WHERE license_id = $1 AND device_id = $2',
+      [licenseId, toDeviceId]
+    );
+
+    if (targetResult.rows[0]?.status === 'active') {
+      await client.query('ROLLBACK');
+      return { error: 'target_active' };
+    }
+
+    let bindingResult;
+    if (targetResult.rows.length > 0) {
+      // The replacement hash was bound before; bring that row back
+      bindingResult = await client.query(
+        `UPDATE device_bindings
+         SET status = 'active', device_name = $1, bound_at = NOW(), last_heartbeat = NOW(),
+             health_state = 'online', health_changed_at = NOW(),
+             released_at = NULL, release_reason = NULL
+         WHERE id = $2
+         RETURNING id, device_id, device_name, bound_at, status`,
+        [name, targetResult.rows[0].id]
+      );
+    } else {
+      bindingResult = await client.query(
+        `INSERT INTO device_bindings (license_id, device_id, device_name, agent_version,
+                                     bound_at, last_heartbeat, status, system_info)
+         VALUES ($1, $2, $3, $4, NOW(), NOW(), 'active', $5)
+         RETURNING id, device_id, device_name, bound_at, status`,
+        [licenseId, toDeviceId, name, source.agent_version, source.system_info]
+      );
+    }
+
+    await cancelOpenCommands(client, licenseId, fromDeviceId);
+    const boundCount = await recountBoundDevices(client, licenseId);
+
+    await writeAudit(client, {
+      actor,
+      accountId,
+      licenseId,
+      event: 'device_transferred',
+      context: {
+        from_device_id: fromDeviceId,
+        to_device_id: toDeviceId,
+        device_name: name,
+        bound_count: boundCount
+      }
+    });
+
+    await client.query('COMMIT');
+
+    return { binding: bindingResult.rows[0], boundCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Days of silence after which a binding is released automatically (0 disables)
+ */
+export function getAutoReleaseDays() {
+  return parseInt(process.env.DEVICE_AUTO_RELEASE_DAYS) || 0;
+}
+
+/**
+ * Worker entry point: release bindings silent for longer than DEVICE_AUTO_RELEASE_DAYS
+ * @returns {number} - Bindings released
+ */
+export async function releaseSilentBindings(days = getAutoReleaseDays()) {
+  if (days <= 0) return 0;
+
+  const { rows } = await pool.query(
+    `SELECT db.license_id, db.device_id, l.account_id
+     FROM device_bindings db
+     JOIN licenses l ON l.id = db.license_id
+     WHERE db.status = 'active'
+       AND COALESCE(db.last_heartbeat, db.bound_at) < NOW() - make_interval(days => $1)`,
+    [days]
+  );
+
+  let released = 0;
+  for (const binding of rows) {
+    const result = await unbindDevice({
+      licenseId: binding.license_id,
+      accountId: binding.account_id,
+      deviceId: binding.device_id,
+      actor: 'system',
+      reason: 'auto_released'
+    });
+    if (result) released++;
+  }
+
+  if (released > 0) {
+    console.log(`🔓 Auto-released ${released} binding(s) silent for more than ${days} day(s)`);
+  }
+
+  return released;
+}
+
+export default {
+  BIND_ERRORS,
+  TRANSFER_ERRORS,
+  recountBoundDevices,
+  bindDevice,
+  pruneBindRequests,
+  unbindDevice,
+  transferBinding,
+  getAutoReleaseDays,
+  releaseSilentBindings
+};
@@ -0,0 +1,129 @@
+/**
+ * SyncSure Device Health
+ * Moves device bindings through online -> stale -> offline as heartbeats
+ * stop arriving, and raises device_offline alerts through the alert rules
+ */
+
+import { pool } from "../db.js";
+import { dispatchAlert, sendHeldOfflineAlerts } from "./alertRules.js";
+
+export const HEALTH_STATES = ['online', 'stale', 'offline'];
+
+/**
+ * Read health thresholds from the environment (alert cooldown and rate limit
+ * settings live with the alert rules)
+ * @returns {Object} - { staleMinutes, offlineMinutes }
+ */
+export function getHealthThresholds() {
+  const staleMinutes = parseInt(process.env.DEVICE_STALE_MINUTES) || 5;
+  const offlineMinutes = Math.max(
+    staleMinutes,
+    parseInt(process.env.DEVICE_OFFLINE_MINUTES) || 30
+  );
+
+  return { staleMinutes, offlineMinutes };
+}
+
+/**
+ * Persist health state changes for every active binding
+ * @param {Object} thresholds - From getHealthThresholds()
+ * @returns {Array} - Transitions { id, license_id, device_id, device_name, last_heartbeat, previous_state, health_state }
+ */
+export async function updateDeviceHealthStates(thresholds = getHealthThresholds()) {
+  const { rows } = await pool.query(
+    `UPDATE device_bindings db
+     SET health_state = x.new_state, health_changed_at = NOW()
+     FROM (
+       SELECT id, health_state AS previous_state,
+              CASE
+                WHEN last_heartbeat IS NULL
+                  OR last_heartbeat < NOW() - make_interval(mins => $2) THEN 'offline'
+                WHEN last_heartbeat < NOW() - make_interval(mins => $1) THEN 'stale'
+                ELSE 'online'
+              END AS new_state
+       FROM device_bindings
+       WHERE status = 'active'
+     ) x
+     WHERE db.id = x.id AND db.health_state IS DISTINCT FROM x.new_state
+     RETURNING db.id, db.license_id, db.device_id, db.device_name, db.last_heartbeat,
+               x.previous_state, db.health_state`,
+    [thresholds.staleMinutes, thresholds.offlineMinutes]
+  );
+
+  return rows;
+}
+
+/**
+ * Run each device that just went offline through the account's alert rules
+ * @param {Array} transitions - From updateDeviceHealthStates()
+ * @returns {Object} - { sent, suppressed, skipped, failed }
+ */
+export async function sendOfflineAlerts(transitions) {
+  const summary = { sent: 0, suppressed: 0, skipped: 0, failed: 0 };
+  const offline = transitions.filter(t => t.health_state === 'offline');
+
+  for (const device of offline) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT account_id FROM licenses WHERE id = $1',
+        [device.license_id]
+      );
+      if (rows.length === 0) continue;
+
+      const lastSeen = device.last_heartbeat
+        ? new Date(device.last_heartbeat).toUTCString()
+        : 'Never';
+      const result = await dispatchAlert({
+        accountId: rows[0].account_id,
+        licenseId: device.license_id,
+        deviceId: device.device_id,
+        alertType: 'device_offline',
+        subject: device.device_name || device.device_id,
+        detail: lastSeen,
+        context: {
+          device_name: device.device_name,
+          last_heartbeat: device.last_heartbeat,
+          previous_state: device.previous_state
+        }
+      });
+
+      for (const key of Object.keys(summary)) {
+        summary[key] += result[key];
+      }
+    } catch (error) {
+      console.error(`❌ Offline alert failed for device ${device.device_id}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Worker entry point: update health states, send offline alerts and the ones quiet
+ * hours held back for devices still offline
+ * @returns {Object} - { transitions, alerts, held }
+ */
+export async function processDeviceHealth() {
+  const thresholds = getHealthThresholds();
+  const transitions = await updateDeviceHealthStates(thresholds);
+  const alerts = await sendOfflineAlerts(transitions);
+  const held = await sendHeldOfflineAlerts();
+
+  if (transitions.length > 0) {
+    console.log(`🩺 Device health: ${transitions.length} state change(s), alerts sent ${alerts.sent}, suppressed ${alerts.suppressed}, failed ${alerts.failed}`);
+  }
+  if (held.sent + held.suppressed + held.skipped + held.failed > 0) {
+    console.log(`🩺 Device health: alerts held for quiet hours sent ${held.sent}, suppressed ${held.suppressed}, failed ${held.failed}`);
+  }
+
+  return { transitions, alerts, held };
+}
+
+export default {
+  HEALTH_STATES,
+  getHealthThresholds,
+  updateDeviceHealthStates,
+  sendOfflineAlerts,
+  processDeviceHealth
+};
@@ -1,270 +1,130 @@
 /**
  * SyncSure V9 License Manager
- * Handles single-license per account logic
+ * Handles single-license per account logic. A subscription's quantity is the licence's
+ * seat count (device_count, which /bind checks against) and picks its volume tier;
+ * every billing path goes through mirrorSubscriptionToLicense so they agree on it.
  */
 
-const { pool } = require('../config/database');
-const { mapTier } = require('./tierMapping');
+import crypto from "crypto";
+import { pool } from "../db.js";
+import { mapTier } from "./tierMapping.js";
 
 /**
- * Ensure single license exists for account
- * Creates if missing, updates if exists
- * @param {number} accountId - Account ID
- * @param {Object} licenseData - License data to set
- * @returns {Object} - License record
+ * Generate a licence key in SYNC-xxxxxxxxxx-xxxxxxxx format
+ * @returns {string}
  */
-async function ensureSingleLicense(accountId, licenseData = {}) {
-  try {
-    // Check if license already exists
-    const existingLicense = await pool.query(
-      'SELECT * FROM licenses WHERE account_id = $1',
-      [accountId]
-    );
-    
-    if (existingLicense.rows.length > 0) {
-      // Update existing license
-      const license = existingLicense.rows[0];
-      
-      if (Object.keys(licenseData).length > 0) {
-        const updateFields = [];
-        const updateValues = [];
-        let paramIndex = 1;
-        
-        // Build dynamic update query
-        Object.entries(licenseData).forEach(([key, value]) => {
-          updateFields.push(`${key} = $${paramIndex}`);
-          updateValues.push(value);
-          paramIndex++;
-        });
-        
-        if (updateFields.length > 0) {
-          updateValues.push(license.id);
-          const updateQuery = `
-            UPDATE licenses 
-            SET ${updateFields.join(', ')}, updated_at = NOW()
-            WHERE id = $${paramIndex}
-            RETURNING *
-          `;
-          
-          const result = await pool.query(updateQuery, updateValues);
-          
-          // Log audit trail
-          await logLicenseAudit(license.id, accountId, 'updated', license, result.rows[0]);
-          
-          return result.rows[0];
-        }
-      }
-      
-      return license;
-    } else {
-      // Create new license
-      const licenseKey = generateLicenseKey();
-      
-      const createQuery = `
-        INSERT INTO licenses (
-          license_key, account_id, device_count, bound_count, 
-          pricing_tier, price_per_device, status, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-        RETURNING *
-      `;
-      
-      const values = [
-        licenseKey,
-        accountId,
-        licenseData.device_count || 1,
-        0, // bound_count starts at 0
-        licenseData.pricing_tier || 'starter',
-        licenseData.price_per_device || 1.99,
-        licenseData.status || 'active'
-      ];
-      
-      const result = await pool.query(createQuery, values);
-      const newLicense = result.rows[0];
-      
-      // Log audit trail
-      await logLicenseAudit(newLicense.id, accountId, 'created', null, newLicense);
-      
-      return newLicense;
-    }
-  } catch (error) {
-    console.error('Error ensuring single license:', error);
-    throw error;
-  }
+export function generateLicenseKey() {
+  const part1 = crypto.randomBytes(5).toString("hex").toUpperCase(); // 10 hex chars
+  const part2 = crypto.randomBytes(4).toString("hex").toUpperCase(); // 8 hex chars
+  return `SYNC-${part1}-${part2}`;
 }
 
 /**
- * Mirror subscription quantity to license device_count
- * @param {number} accountId - Account ID
- * @param {number} deviceQuantity - Device quantity from subscription
- * @returns {Object} - Updated license
+ * Seats a Stripe subscription pays for: the quantity of its (single) item
+ * @param {Object} subscription - Stripe subscription
+ * @returns {number}
  */
-async function mirrorSubscriptionToLicense(accountId, deviceQuantity) {
-  try {
-    const { tier, price } = mapTier(deviceQuantity);
-    
-    const licenseData = {
-      device_count: deviceQuantity,
-      pricing_tier: tier,
-      price_per_device: price
-    };
-    
-    const license = await ensureSingleLicense(accountId, licenseData);
-    
-    // Log mirroring action
-    await logLicenseAudit(license.id, accountId, 'mirrored', null, {
-      device_count: deviceQuantity,
-      pricing_tier: tier,
-      price_per_device: price
-    });
-    
-    return license;
-  } catch (error) {
-    console.error('Error mirroring subscription to license:', error);
-    throw error;
-  }
+export function subscriptionSeats(subscription) {
+  const items = subscription?.items?.data || [];
+  return items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
 }
 
 /**
- * Check if account can bind new devices
- * @param {number} accountId - Account ID
- * @returns {Object} - {canBind: boolean, reason: string, license: Object}
+ * Seats a paid invoice was for, from its regular subscription line
+ * @param {Object} invoice - Stripe invoice
+ * @returns {number|null} - null for invoices with only proration lines
  */
-async function checkBindingAllowance(accountId) {
-  try {
-    const license = await pool.query(
-      'SELECT * FROM licenses WHERE account_id = $1',
-      [accountId]
-    );
-    
-    if (license.rows.length === 0) {
-      return {
-        canBind: false,
-        reason: 'No license found for account',
-        license: null
-      };
-    }
-    
-    const licenseData = license.rows[0];
-    
-    if (licenseData.status !== 'active') {
-      return {
-        canBind: false,
-        reason: 'License is not active',
-        license: licenseData
-      };
-    }
-    
-    if (licenseData.bound_count >= licenseData.device_count) {
-      return {
-        canBind: false,
-        reason: 'Device limit reached',
-        license: licenseData
-      };
-    }
-    
-    return {
-      canBind: true,
-      reason: 'Binding allowed',
-      license: licenseData
-    };
-  } catch (error) {
-    console.error('Error checking binding allowance:', error);
-    throw error;
-  }
+export function invoiceSeats(invoice) {
+  const line = (invoice?.lines?.data || []).find(l => l.type === 'subscription' && !l.proration);
+  return line ? Number(line.quantity) || 0 : null;
 }
 
 /**
- * Generate unique license key
- * @returns {string} - License key
+ * Ensure single license exists for account
+ * Creates if missing, updates if exists
+ * @param {string} accountId - Account ID
+ * @param {Object} licenseData - { device_count, pricing_tier, price_per_device }
+ * @param {Object} options - { db (client or pool), createIfMissing }
+ * @returns {Promise<Object>} - { license, previous (row before, null if created), created }
  */
-function generateLicenseKey() {
-  const prefix = 'SYNC';
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substr(2, 8).toUpperCase();
-  return `${prefix}-${timestamp}-${random}`;
-}
+export async function ensureSingleLicense(accountId, licenseData, { db = pool, createIfMissing = true } = {}) {
+  const existing = await db.query(
+    `SELECT * FROM licenses WHERE account_id = $1 ORDER BY created_at ASC LIMIT 1 FOR UPDATE`,
+    [accountId]
+  );
 
-/**
- * Log license audit trail
- * @param {number} licenseId - License ID
- * @param {number} accountId - Account ID
- * @param {string} action - Action performed
- * @param {Object} oldValues - Previous values
- * @param {Object} newValues - New values
- * @param {string} stripeEventId - Stripe event ID (optional)
- */
-async function logLicenseAudit(licenseId, accountId, action, oldValues, newValues, stripeEventId = null) {
-  try {
-    await pool.query(`
-      INSERT INTO license_audit_log (
-        license_id, account_id, action, old_values, new_values, stripe_event_id, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
-    `, [
-      licenseId,
-      accountId,
-      action,
-      oldValues ? JSON.stringify(oldValues) : null,
-      newValues ? JSON.stringify(newValues) : null,
-      stripeEventId
-    ]);
-  } catch (error) {
-    console.error('Error logging license audit:', error);
-    // Don't throw - audit logging shouldn't break main flow
+  if (existing.rows.length > 0) {
+    const previous = existing.rows[0];
+    const { rows } = await db.query(
+      `UPDATE licenses
+       SET device_count = $2, max_devices = $2, pricing_tier = $3, price_per_device = $4, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [previous.id, licenseData.device_count, licenseData.pricing_tier, licenseData.price_per_device]
+    );
+    return { license: rows[0], previous, created: false };
   }
+
+  if (!createIfMissing) {
+    return { license: null, previous: null, created: false };
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO licenses (account_id, license_key, max_devices, device_count, pricing_tier, price_per_device, status)
+     VALUES ($1, $2, $3, $3, $4, $5, 'active')
+     RETURNING *`,
+    [accountId, generateLicenseKey(), licenseData.device_count, licenseData.pricing_tier, licenseData.price_per_device]
+  );
+  return { license: rows[0], previous: null, created: true };
 }
 
 /**
- * Get license summary for account
- * @param {number} accountId - Account ID
- * @returns {Object} - License summary
+ * Mirror subscription quantity to license device_count, tier and price
+ * @param {string} accountId - Account ID
+ * @param {number} deviceQuantity - Device quantity from subscription
+ * @param {Object} options - { db, createIfMissing, actor, context (added to the audit entry) }
+ * @returns {Promise<Object>} - { license (null if none and not created), created, changed, from, to }
  */
-async function getLicenseSummary(accountId) {
-  try {
-    const result = await pool.query(`
-      SELECT 
-        l.*,
-        a.email,
-        s.status as subscription_status,
-        s.device_quantity as subscription_quantity,
-        s.current_period_end
-      FROM licenses l
-      JOIN accounts a ON a.id = l.account_id
-      LEFT JOIN subscriptions s ON s.account_id = l.account_id
-      WHERE l.account_id = $1
-    `, [accountId]);
-    
-    if (result.rows.length === 0) {
-      return null;
-    }
-    
-    const license = result.rows[0];
-    
-    // Calculate usage percentage
-    const usagePercentage = license.device_count > 0 
-      ? Math.round((license.bound_count / license.device_count) * 100)
-      : 0;
-    
-    // Check if over limit
-    const isOverLimit = license.bound_count > license.device_count;
-    
-    return {
-      ...license,
-      usage_percentage: usagePercentage,
-      is_over_limit: isOverLimit,
-      available_devices: Math.max(0, license.device_count - license.bound_count)
-    };
-  } catch (error) {
-    console.error('Error getting license summary:', error);
-    throw error;
+export async function mirrorSubscriptionToLicense(accountId, deviceQuantity, {
+  db = pool,
+  createIfMissing = true,
+  actor = 'stripe',
+  context = {}
+} = {}) {
+  const seats = Math.max(parseInt(deviceQuantity) || 0, 0);
+  const { tier, price } = mapTier(seats);
+
+  const { license, previous, created } = await ensureSingleLicense(accountId, {
+    device_count: seats,
+    pricing_tier: tier,
+    price_per_device: price
+  }, { db, createIfMissing });
+
+  if (!license) {
+    return { license: null, created: false, changed: false, from: null, to: seats };
+  }
+
+  const from = previous ? previous.device_count : null;
+  const changed = created ||
+    previous.device_count !== seats ||
+    previous.pricing_tier !== tier ||
+    Number(previous.price_per_device) !== price;
+
+  if (changed) {
+    await db.query(
+      `INSERT INTO audit_log (actor, account_id, license_id, event, context)
+       VALUES ($1, $2, $3, 'license_mirrored', $4)`,
+      [actor, accountId, license.id, JSON.stringify({ ...context, from, to: seats, tier, pricePerDevice: price, created })]
+    );
   }
+
+  return { license, created, changed, from, to: seats };
 }
 
-module.exports = {
-  ensureSingleLicense,
-  mirrorSubscriptionToLicense,
-  checkBindingAllowance,
+export default {
   generateLicenseKey,
-  logLicenseAudit,
-  getLicenseSummary
+  subscriptionSeats,
+  invoiceSeats,
+  ensureSingleLicense,
+  mirrorSubscriptionToLicense
 };
-
@@ -0,0 +1,284 @@
+/**
+ * SyncSure Licence Status
+ * What happens to a licence when its subscription stops being paid:
+ *
+ *   active ──payment failed──▶ past_due ──grace period over──▶ suspended
+ *     ▲                           │                              │
+ *     └────────────── payment succeeded (automatic) ─────────────┘
+ *   any ──subscription deleted──▶ cancelled ──live subscription again──▶ active
+ *
+ * The state decides what agents may do (LICENSE_STATE_POLICY). Stripe events move
+ * licences in services/billing.js; the worker ends grace periods and sends the
+ * dunning reminders. A partner's customers follow the partner's subscription, and
+ * reminders go to whoever pays.
+ */
+
+import { pool } from "../db.js";
+import { sendPaymentFailedEmail, sendLicenseSuspendedEmail } from "../services/email.js";
+
+export const LICENSE_STATUSES = ['active', 'past_due', 'suspended', 'cancelled'];
+
+// bindNew: take a free seat; rebind: refresh a device already bound; heartbeat: report in.
+// In the grace period bound devices keep working but no new seats are taken.
+export const LICENSE_STATE_POLICY = {
+  active: { bindNew: true, rebind: true, heartbeat: true },
+  past_due: { bindNew: false, rebind: true, heartbeat: true },
+  suspended: { bindNew: false, rebind: false, heartbeat: false },
+  cancelled: { bindNew: false, rebind: false, heartbeat: false }
+};
+
+/**
+ * What agents may do with a licence (licences from before statuses count as active)
+ * @param {string|null} status
+ * @returns {Object} - { bindNew, rebind, heartbeat }
+ */
+export function getLicensePolicy(status) {
+  return LICENSE_STATE_POLICY[status] || LICENSE_STATE_POLICY.active;
+}
+
+/**
+ * Days agents keep working after a failed payment
+ */
+export function getGracePeriodDays() {
+  const days = parseFloat(process.env.LICENSE_GRACE_PERIOD_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 7;
+}
+
+/**
+ * Days after the failed payment on which a reminder is due (DUNNING_EMAIL_DAYS, e.g. "0,3,6")
+ * @returns {number[]}
+ */
+export function getDunningSchedule() {
+  return (process.env.DUNNING_EMAIL_DAYS || '0,3,6')
+    .split(',')
+    .map(day => parseFloat(day))
+    .filter(day => Number.isFinite(day) && day >= 0)
+    .sort((a, b) => a - b);
+}
+
+const updateUrl = () => `${process.env.FRONTEND_ORIGIN || 'https://syncsure.cloud'}/license-management`;
+
+// The paying account's licence and, for a partner, its customers' licences
+const BILLED_LICENSES = "account_id = $1 OR account_id IN (SELECT id FROM accounts WHERE partner_account_id = $1)";
+
+async function auditTransitions(db, licenses, event, actor, context) {
+  for (const license of licenses) {
+    await db.query(
+      `INSERT INTO audit_log (actor, account_id, license_id, event, context)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [actor, license.account_id, license.id, event, JSON.stringify({ ...context, status: license.status })]
+    );
+  }
+}
+
+/**
+ * A payment failed: active licences enter the grace period (already past due or
+ * suspended ones stay where they are, so Stripe's retries don't restart it)
+ * @param {Object} db - Client or pool
+ * @param {string} accountId - Account whose subscription it is
+ * @param {Object} options - { actor, context (added to the audit entries) }
+ * @returns {Promise<Object[]>} - Licences moved to past_due
+ */
+export async function markLicensesPastDue(db, accountId, { actor = 'stripe', context = {} } = {}) {
+  const { rows } = await db.query(
+    `UPDATE licenses
+     SET status = 'past_due', status_changed_at = NOW(), past_due_since = NOW(),
+         grace_ends_at = NOW() + make_interval(secs => $2), dunning_stage = 0, updated_at = NOW()
+     WHERE (${BILLED_LICENSES}) AND COALESCE(status, 'active') = 'active'
+     RETURNING id, account_id, status, grace_ends_at`,
+    [accountId, Math.round(getGracePeriodDays() * 86400)]
+  );
+
+  await auditTransitions(db, rows, 'license_past_due', actor, { ...context, graceEndsAt: rows[0]?.grace_ends_at });
+  return rows;
+}
+
+/**
+ * A payment went through: past due and suspended licences are active again. Cancelled
+ * ones only come back with a live subscription, so that caller passes from: ['cancelled'].
+ * @param {Object} db - Client or pool
+ * @param {string} accountId - Account whose subscription it is
+ * @param {Object} options - { from (statuses to reactivate), actor, context }
+ * @returns {Promise<Object[]>} - Licences reactivated
+ */
+export async function reactivateLicenses(db, accountId, {
+  from = ['past_due', 'suspended'],
+  actor = 'stripe',
+  context = {}
+} = {}) {
+  const { rows } = await db.query(
+    `UPDATE licenses l
+     SET status = 'active', status_changed_at = NOW(), past_due_since = NULL,
+         grace_ends_at = NULL, dunning_stage = 0, updated_at = NOW()
+     FROM licenses previous
+     WHERE previous.id = l.id
+       AND (l.account_id = $1 OR l.account_id IN (SELECT id FROM accounts WHERE partner_account_id = $1))
+       AND l.status = ANY($2)
+     RETURNING l.id, l.account_id, previous.status`,
+    [accountId, from]
+  );
+
+  await auditTransitions(db, rows.map(row => ({ ...row, status: 'active' })), 'license_reactivated', actor,
+    { ...context, from: rows[0]?.status });
+  return rows;
+}
+
+/**
+ * The subscription ended: every licence it paid for is cancelled
+ * @param {Object} db - Client or pool
+ * @param {string} accountId - Account whose subscription it was
+ * @param {Object} options - { actor, context }
+ * @returns {Promise<Object[]>} - Licences cancelled
+ */
+export async function cancelLicenses(db, accountId, { actor = 'stripe', context = {} } = {}) {
+  const { rows } = await db.query(
+    `UPDATE licenses
+     SET status = 'cancelled', status_changed_at = NOW(), past_due_since = NULL,
+         grace_ends_at = NULL, dunning_stage = 0, updated_at = NOW()
+     WHERE (${BILLED_LICENSES}) AND COALESCE(status, 'active') <> 'cancelled'
+     RETURNING id, account_id, status`,
+    [accountId]
+  );
+
+  await auditTransitions(db, rows, 'license_cancelled', actor, context);
+  return rows;
+}
+
+// Past-due and suspended licences grouped by the account that pays for them
+async function billedGroups(status) {
+  const { rows } = await pool.query(
+    `SELECT COALESCE(a.partner_account_id, a.id) AS billing_account_id,
+            MIN(l.past_due_since) AS past_due_since, MIN(l.grace_ends_at) AS grace_ends_at,
+            MIN(l.dunning_stage)::int AS dunning_stage, array_agg(l.id) AS license_ids,
+            p.email, p.name
+     FROM licenses l
+     JOIN accounts a ON a.id = l.account_id
+     JOIN accounts p ON p.id = COALESCE(a.partner_account_id, a.id)
+     WHERE l.status = $1
+     GROUP BY COALESCE(a.partner_account_id, a.id), p.email, p.name`,
+    [status]
+  );
+  return rows;
+}
+
+/**
+ * Suspend licences whose grace period is over and tell whoever pays
+ * @returns {Promise<number>} - Licences suspended
+ */
+export async function suspendExpiredLicenses() {
+  const { rows } = await pool.query(
+    `UPDATE licenses
+     SET status = 'suspended', status_changed_at = NOW(), updated_at = NOW()
+     WHERE status = 'past_due' AND grace_ends_at <= NOW()
+     RETURNING id, account_id, status`
+  );
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  await auditTransitions(pool, rows, 'license_suspended', 'system', { reason: 'grace_period_ended' });
+
+  const suspendedIds = new Set(rows.map(row => row.id));
+  for (const group of await billedGroups('suspended')) {
+    if (!group.license_ids.some(id => suspendedIds.has(id))) {
+      continue;
+    }
+
+    try {
+      await sendLicenseSuspendedEmail({
+        to: group.email,
+        customerName: group.name || group.email.split('@')[0],
+        updateUrl: updateUrl()
+      });
+    } catch (error) {
+      console.error(`[dunning] suspension email to ${group.email} failed:`, error.message);
+    }
+  }
+
+  return rows.length;
+}
+
+/**
+ * Send the reminders that have come due. A reminder is claimed (dunning_stage moved on)
+ * before it is sent, so none goes out twice; after downtime only the latest is sent.
+ * @returns {Promise<number>} - Reminders sent
+ */
+export async function sendDunningReminders() {
+  const schedule = getDunningSchedule();
+  let sent = 0;
+
+  for (const group of await billedGroups('past_due')) {
+    const elapsedDays = (Date.now() - new Date(group.past_due_since).getTime()) / 86400000;
+    const due = schedule.filter(day => day <= elapsedDays).length;
+
+    if (due <= group.dunning_stage) {
+      continue;
+    }
+
+    const claimed = await pool.query(
+      `UPDATE licenses SET dunning_stage = $2
+       WHERE id = ANY($1) AND status = 'past_due' AND dunning_stage < $2
+       RETURNING id`,
+      [group.license_ids, due]
+    );
+    if (claimed.rows.length === 0) {
+      continue;
+    }
+
+    const graceEndsAt = new Date(group.grace_ends_at);
+    const daysLeft = Math.max(Math.ceil((graceEndsAt.getTime() - Date.now()) / 86400000), 0);
+
+    try {
+      await sendPaymentFailedEmail({
+        to: group.email,
+        customerName: group.name || group.email.split('@')[0],
+        reminder: due,
+        reminders: schedule.length,
+        daysLeft,
+        graceEndsAt: graceEndsAt.toLocaleDateString(),
+        updateUrl: updateUrl()
+      });
+
+      await pool.query(
+        `INSERT INTO audit_log (actor, account_id, event, context)
+         VALUES ('system', $1, 'dunning_email_sent', $2)`,
+        [group.billing_account_id, JSON.stringify({ reminder: due, of: schedule.length, graceEndsAt, licenses: group.license_ids.length })]
+      );
+      sent++;
+    } catch (error) {
+      console.error(`[dunning] reminder to ${group.email} failed:`, error.message);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Worker entry point
+ * @returns {Promise<Object>} - { suspended, reminded }
+ */
+export async function processDunning() {
+  const suspended = await suspendExpiredLicenses();
+  const reminded = await sendDunningReminders();
+
+  if (suspended + reminded > 0) {
+    console.log(`💳 Dunning: ${reminded} reminder(s) sent, ${suspended} licence(s) suspended`);
+  }
+
+  return { suspended, reminded };
+}
+
+export default {
+  LICENSE_STATUSES,
+  LICENSE_STATE_POLICY,
+  getLicensePolicy,
+  getGracePeriodDays,
+  getDunningSchedule,
+  markLicensesPastDue,
+  reactivateLicenses,
+  cancelLicenses,
+  suspendExpiredLicenses,
+  sendDunningReminders,
+  processDunning
+};
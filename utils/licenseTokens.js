@@ -0,0 +1,211 @@
+/**
+ * SyncSure Offline Licence Tokens
+ * Ed25519-signed JWS (compact JWT, alg EdDSA) tokens that let an agent
+ * prove its licence while offline. Issued on bind, renewed on heartbeat.
+ *
+ * Rotation: generate a new key (scripts/generate-license-token-key.js),
+ * move the old public key into LICENSE_TOKEN_RETIRED_KEYS and set the new
+ * private key as LICENSE_TOKEN_SIGNING_KEY. Retired keys stay published so
+ * tokens already issued verify until they expire.
+ */
+
+import crypto from "crypto";
+
+export const TOKEN_ALGORITHM = 'EdDSA';
+export const TOKEN_ISSUER = 'syncsure';
+
+const PEM_BLOCK = /-----BEGIN [A-Z ]+-----[\s\S]+?-----END [A-Z ]+-----/g;
+
+// Heartbeats would otherwise repeat the missing-key warning every minute per device
+let warnedUnsigned = false;
+
+// Parsed once per configured value; null when it can't be parsed (reported once)
+let signingKeyCache = { pem: undefined, key: null };
+const reportedRetiredKeys = new Set();
+
+/**
+ * Offline grace period: how long a token stays valid without a heartbeat
+ */
+export function getTokenTtlHours() {
+  return parseInt(process.env.LICENSE_TOKEN_TTL_HOURS) || 168;
+}
+
+function readPem(value) {
+  return value ? value.replace(/\\n/g, '\n') : null;
+}
+
+function getKeyId(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').substring(0, 16);
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Load the current signing key from the environment. A key that doesn't parse is
+ * treated like a missing one, so bind and heartbeat carry on without tokens.
+ * @returns {crypto.KeyObject|null}
+ */
+function getSigningKey() {
+  const pem = readPem(process.env.LICENSE_TOKEN_SIGNING_KEY);
+  if (pem === signingKeyCache.pem) {
+    return signingKeyCache.key;
+  }
+
+  let key = null;
+  if (pem) {
+    try {
+      const parsed = crypto.createPrivateKey(pem);
+      if (parsed.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`expected an Ed25519 key, got ${parsed.asymmetricKeyType}`);
+      }
+      key = parsed;
+    } catch (error) {
+      console.error('❌ LICENSE_TOKEN_SIGNING_KEY is not a valid private key — no offline licence tokens will be issued:', error.message);
+      warnedUnsigned = true;
+    }
+  }
+
+  signingKeyCache = { pem, key };
+  return key;
+}
+
+/**
+ * Public keys agents should accept: the current key plus retired ones
+ * @returns {Array} - { kid, status, key: crypto.KeyObject }
+ */
+function getVerificationKeys() {
+  const keys = [];
+
+  const signingKey = getSigningKey();
+  if (signingKey) {
+    const publicKey = crypto.createPublicKey(signingKey);
+    keys.push({ kid: getKeyId(publicKey), status: 'current', key: publicKey });
+  }
+
+  const retired = readPem(process.env.LICENSE_TOKEN_RETIRED_KEYS) || '';
+  for (const pem of retired.match(PEM_BLOCK) || []) {
+    let publicKey;
+    try {
+      publicKey = crypto.createPublicKey(pem);
+    } catch (error) {
+      if (!reportedRetiredKeys.has(pem)) {
+        console.error('❌ Skipping a LICENSE_TOKEN_RETIRED_KEYS entry that is not a valid public key:', error.message);
+        reportedRetiredKeys.add(pem);
+      }
+      continue;
+    }
+    const kid = getKeyId(publicKey);
+    if (!keys.some(existing => existing.kid === kid)) {
+      keys.push({ kid, status: 'retired', key: publicKey });
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Published key set in JWKS form, with PEM for agents that prefer it
+ * @returns {Object} - { keys: [...] }
+ */
+export function getLicenseTokenKeys() {
+  return {
+    keys: getVerificationKeys().map(({ kid, status, key }) => ({
+      ...key.export({ format: 'jwk' }),
+      kid,
+      alg: TOKEN_ALGORITHM,
+      use: 'sig',
+      status,
+      pem: key.export({ type: 'spki', format: 'pem' })
+    }))
+  };
+}
+
+/**
+ * Issue a licence token for a bound device
+ * @param {Object} claims
+ * @param {string} claims.licenseId - License ID
+ * @param {string} claims.deviceHash - Device hash the token is bound to
+ * @param {string|null} claims.tier - Pricing tier
+ * @param {number|null} claims.deviceCount - Seats on the licence
+ * @returns {Object|null} - { token, expiresAt, keyId } or null if signing is not configured
+ */
+export function issueLicenseToken({ licenseId, deviceHash, tier = null, deviceCount = null }) {
+  const privateKey = getSigningKey();
+  if (!privateKey) {
+    if (!warnedUnsigned) {
+      console.warn('⚠️ LICENSE_TOKEN_SIGNING_KEY not set — no offline licence tokens will be issued');
+      warnedUnsigned = true;
+    }
+    return null;
+  }
+
+  const keyId = getKeyId(crypto.createPublicKey(privateKey));
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + getTokenTtlHours() * 60 * 60;
+
+  const header = base64url(JSON.stringify({ alg: TOKEN_ALGORITHM, typ: 'JWT', kid: keyId }));
+  const payload = base64url(JSON.stringify({
+    iss: TOKEN_ISSUER,
+    sub: deviceHash,
+    lic: licenseId,
+    tier,
+    seats: deviceCount,
+    iat: issuedAt,
+    exp: expiresAt
+  }));
+
+  const signature = crypto
+    .sign(null, Buffer.from(`${header}.${payload}`), privateKey)
+    .toString('base64url');
+
+  return {
+    token: `${header}.${payload}.${signature}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+    keyId
+  };
+}
+
+/**
+ * Verify a licence token against the published keys
+ * @param {string} token - Compact JWS
+ * @returns {Object|null} - Claims, or null if the signature, key or expiry is invalid
+ */
+export function verifyLicenseToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    if (header.alg !== TOKEN_ALGORITHM) return null;
+
+    const key = getVerificationKeys().find(candidate => candidate.kid === header.kid);
+    if (!key) return null;
+
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      key.key,
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) return null;
+
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    if (claims.iss !== TOKEN_ISSUER || claims.exp * 1000 < Date.now()) return null;
+
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  TOKEN_ALGORITHM,
+  TOKEN_ISSUER,
+  getTokenTtlHours,
+  getLicenseTokenKeys,
+  issueLicenseToken,
+  verifyLicenseToken
+};
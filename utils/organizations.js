@@ -0,0 +1,304 @@
+/**
+ * SyncSure Organisations
+ * The account that owns a licence and subscription is the organisation; other
+ * accounts join it by invite with a role. Roles map to permissions here, and
+ * routes check permissions (never role names) via requirePermission.
+ */
+
+import crypto from "crypto";
+import { pool } from "../db.js";
+
+export const ORGANIZATION_ROLES = ['owner', 'billing', 'technician', 'read_only'];
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  billing: 'Billing',
+  technician: 'Technician',
+  read_only: 'Read-only'
+};
+
+export const ROLE_PERMISSIONS = {
+  owner: [
+    'dashboard:read', 'devices:manage', 'alerts:manage', 'webhooks:manage',
+    'builds:download', 'billing:read', 'billing:manage', 'members:manage', 'api_keys:manage'
+  ],
+  billing: ['dashboard:read', 'billing:read', 'billing:manage', 'api_keys:manage'],
+  technician: ['dashboard:read', 'devices:manage', 'alerts:manage', 'webhooks:manage', 'builds:download', 'api_keys:manage'],
+  read_only: ['dashboard:read']
+};
+
+const INVITE_TTL_DAYS = () => parseInt(process.env.ORGANIZATION_INVITE_TTL_DAYS) || 7;
+
+// Invites an organisation may send per hour, so the endpoint can't be used to spam inboxes
+const MAX_INVITES_PER_HOUR = 20;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - One of ORGANIZATION_ROLES
+ * @param {string} permission - e.g. 'billing:manage'
+ * @returns {boolean}
+ */
+export function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Link the invitee follows to accept
+ * @param {string} token - Raw invite token
+ * @returns {string}
+ */
+export function buildInviteUrl(token) {
+  const origin = process.env.FRONTEND_ORIGIN || 'https://syncsure.cloud';
+  return `${origin}/accept-invite?token=${encodeURIComponent(token)}`;
+}
+
+const MEMBERSHIP_FIELDS = `
+  a.id AS organization_id,
+  a.email,
+  a.name,
+  a.account_type,
+  a.partner_account_id,
+  COALESCE(p.email, a.email) AS billing_email
+`;
+
+function formatMembership(row, role, own) {
+  return {
+    organizationId: row.organization_id,
+    email: row.email,
+    name: row.name,
+    role,
+    own,
+    accountType: row.account_type,
+    partnerAccountId: row.partner_account_id,
+    billingEmail: row.billing_email
+  };
+}
+
+/**
+ * Organisations an account can act in: its own (as owner) plus every membership
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Array>} - [{ organizationId, email, name, role, own, accountType, partnerAccountId, billingEmail }]
+ */
+export async function listMemberships(accountId) {
+  const result = await pool.query(
+    `SELECT ${MEMBERSHIP_FIELDS}, 'owner' AS role, true AS own, a.created_at AS joined_at
+     FROM accounts a
+     LEFT JOIN accounts p ON p.id = a.partner_account_id
+     WHERE a.id = $1
+     UNION ALL
+     SELECT ${MEMBERSHIP_FIELDS}, m.role, false, m.created_at
+     FROM organization_members m
+     JOIN accounts a ON a.id = m.organization_id
+     LEFT JOIN accounts p ON p.id = a.partner_account_id
+     WHERE m.account_id = $1 AND a.status = 'active'
+     ORDER BY own DESC, joined_at`,
+    [accountId]
+  );
+
+  return result.rows.map(row => formatMembership(row, row.role, row.own));
+}
+
+/**
+ * Pick the organisation a request acts in
+ * An explicit organisation ID must be one the account belongs to, or a customer of a
+ * partner it belongs to (with the same role it holds at the partner). Without one, an
+ * account that has its own licence (or no memberships) acts as itself; otherwise it
+ * lands in the organisation it joined first.
+ * @param {string} accountId - Authenticated account
+ * @param {string|null} organizationId - Requested organisation, if any
+ * @returns {Promise<Object|null>} - Membership (see listMemberships, plus viaPartner), or null if not a member
+ */
+export async function resolveMembership(accountId, organizationId = null) {
+  const memberships = await listMemberships(accountId);
+  const own = memberships[0];
+
+  if (organizationId) {
+    const direct = memberships.find(m => m.organizationId === organizationId);
+    if (direct) return direct;
+
+    const child = await pool.query(
+      `SELECT ${MEMBERSHIP_FIELDS}
+       FROM accounts a
+       JOIN accounts p ON p.id = a.partner_account_id
+       WHERE a.id = $1 AND a.status = 'active'`,
+      [organizationId]
+    );
+    const partner = child.rows[0] && memberships.find(m =>
+      m.organizationId === child.rows[0].partner_account_id && m.accountType === 'partner'
+    );
+    if (!partner) return null;
+
+    return { ...formatMembership(child.rows[0], partner.role, false), viaPartner: partner.organizationId };
+  }
+
+  if (memberships.length === 1) {
+    return own;
+  }
+
+  const license = await pool.query(
+    "SELECT 1 FROM licenses WHERE account_id = $1 LIMIT 1",
+    [accountId]
+  );
+
+  return license.rows.length > 0 ? own : memberships[1];
+}
+
+/**
+ * Create an invite, replacing any pending one for the same email
+ * @param {Object} params - { organizationId, email, role, invitedBy }
+ * @returns {Promise<Object|null>} - { invite, token, ttlDays }, or null if rate limited
+ */
+export async function createInvite({ organizationId, email, role, invitedBy }) {
+  const recent = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM organization_invites
+     WHERE organization_id = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [organizationId]
+  );
+
+  if (recent.rows[0].count >= MAX_INVITES_PER_HOUR) {
+    console.log(`⏸️ Invites rate limited for organisation ${organizationId}`);
+    return null;
+  }
+
+  await pool.query(
+    `UPDATE organization_invites SET revoked_at = NOW()
+     WHERE organization_id = $1 AND lower(email) = lower($2)
+       AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [organizationId, email]
+  );
+
+  const ttlDays = INVITE_TTL_DAYS();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO organization_invites (organization_id, email, role, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+     RETURNING id, email, role, invited_by, expires_at, created_at`,
+    [organizationId, email, role, hashToken(token), invitedBy, ttlDays]
+  );
+
+  return { invite: result.rows[0], token, ttlDays };
+}
+
+/**
+ * Look up a pending invite without accepting it
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<Object|null>} - Invite plus organisation email and name, or null if unknown, used, revoked or expired
+ */
+export async function findInvite(token) {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const result = await pool.query(
+    `SELECT i.id, i.organization_id, i.email, i.role, i.invited_by, i.expires_at,
+            a.email AS organization_email, a.name AS organization_name
+     FROM organization_invites i
+     JOIN accounts a ON a.id = i.organization_id
+     WHERE i.token_hash = $1
+       AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Accept an invite for the signed-in account
+ * The invite is single use and only for the address it was sent to.
+ * @param {string} token - Raw token from the link
+ * @param {Object} account - { accountId, email }
+ * @returns {Promise<Object>} - { membership } or { error, code }
+ */
+export async function acceptInvite(token, account) {
+  const invite = await findInvite(token);
+  if (!invite) {
+    return { error: "Invitation is invalid or has expired", code: "INVALID_TOKEN" };
+  }
+
+  if (invite.email.toLowerCase() !== account.email.toLowerCase()) {
+    return { error: `This invitation was sent to ${invite.email}`, code: "INVITE_EMAIL_MISMATCH" };
+  }
+
+  if (invite.organization_id === account.accountId) {
+    return { error: "You already own this organisation", code: "ALREADY_MEMBER" };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const claimed = await client.query(
+      `UPDATE organization_invites SET accepted_at = NOW(), accepted_by = $2
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [invite.id, account.accountId]
+    );
+
+    if (claimed.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return { error: "Invitation is invalid or has expired", code: "INVALID_TOKEN" };
+    }
+
+    // Re-inviting an existing member is how their role gets changed by email
+    const member = await client.query(
+      `INSERT INTO organization_members (organization_id, account_id, role, invited_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (organization_id, account_id)
+       DO UPDATE SET role = EXCLUDED.role, updated_at = now()
+       RETURNING id, role`,
+      [invite.organization_id, account.accountId, invite.role, invite.invited_by]
+    );
+
+    // The link arrived at this address, which proves it
+    await client.query(
+      `UPDATE accounts
+       SET email_verified = true, email_verified_at = COALESCE(email_verified_at, now()), updated_at = now()
+       WHERE id = $1 AND email_verified = false`,
+      [account.accountId]
+    );
+
+    await client.query(
+      `INSERT INTO audit_log (actor, account_id, event, context)
+       VALUES ($1, $2, 'organization_member_joined', $3)`,
+      [account.email, invite.organization_id, JSON.stringify({
+        memberAccountId: account.accountId,
+        role: invite.role,
+        inviteId: invite.id,
+        invitedBy: invite.invited_by
+      })]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`👥 ${account.email} joined ${invite.organization_email} as ${invite.role}`);
+
+    return {
+      membership: {
+        id: member.rows[0].id,
+        organizationId: invite.organization_id,
+        organizationEmail: invite.organization_email,
+        organizationName: invite.organization_name,
+        role: member.rows[0].role
+      }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  ORGANIZATION_ROLES,
+  ROLE_LABELS,
+  ROLE_PERMISSIONS,
+  roleHasPermission,
+  buildInviteUrl,
+  listMemberships,
+  resolveMembership,
+  createInvite,
+  findInvite,
+  acceptInvite
+};
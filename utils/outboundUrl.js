@@ -0,0 +1,123 @@
+/**
+ * SyncSure Outbound URLs
+ * Customer webhook endpoints and alert webhooks are called from inside our network,
+ * so they may only reach public addresses: loopback, private, link-local (cloud
+ * metadata) and other reserved ranges are refused. The host is resolved before each
+ * attempt, and publicOnlyAgent checks the address again when it connects, so a DNS
+ * answer that changes in between can't point a request inward.
+ */
+
+import dns from "dns";
+import https from "https";
+import net from "net";
+
+export class OutboundUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutboundUrlError';
+    this.code = 'URL_NOT_ALLOWED';
+  }
+}
+
+const RESERVED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => RESERVED.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => RESERVED.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is judged by its IPv4 address
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+
+  return !RESERVED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that refuses to hand a connection a non-public address
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new OutboundUrlError(`${hostname} resolves to a private or reserved address`));
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Pass as `agent` to node-fetch (with redirect: 'manual') for customer URLs
+export const publicOnlyAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * Shape check for a customer-supplied URL, without DNS (for create/update validation)
+ * @param {string} url
+ * @returns {string|null} - Error message, or null when acceptable
+ */
+export function validateOutboundUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "url must be a valid URL";
+  }
+  if (parsed.protocol !== 'https:') {
+    return "url must use https";
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') ||
+      (net.isIP(host) && !isPublicAddress(host))) {
+    return "url must point to a public host";
+  }
+  return null;
+}
+
+/**
+ * Resolve a customer-supplied URL's host and refuse anything not public
+ * @param {string} url
+ * @throws {OutboundUrlError}
+ */
+export async function assertPublicUrl(url) {
+  const problem = validateOutboundUrl(url);
+  if (problem) {
+    throw new OutboundUrlError(problem);
+  }
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    return;
+  }
+
+  const addresses = await dns.promises.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new OutboundUrlError(`${host} resolves to a private or reserved address`);
+  }
+}
+
+export default {
+  OutboundUrlError,
+  isPublicAddress,
+  publicOnlyAgent,
+  validateOutboundUrl,
+  assertPublicUrl
+};
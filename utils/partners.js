@@ -0,0 +1,408 @@
+/**
+ * SyncSure MSP Partners
+ * A partner account owns child customer accounts. Each child is an ordinary
+ * account with its own single licence, devices and members; the partner
+ * allocates its seats and pays for all of them on one Stripe subscription.
+ */
+
+import { pool } from "../db.js";
+import { getStripe, LIVE_SUBSCRIPTION_STATUSES } from "../services/billing.js";
+import { mapTier } from "./tierMapping.js";
+import { generateLicenseKey } from "./licenseManager.js";
+
+export const ACCOUNT_TYPES = ['customer', 'partner'];
+
+export const PARTNER_ERRORS = {
+  email_taken: { status: 409, code: 'EMAIL_TAKEN', message: 'An account with this email already exists' },
+  customer_not_found: { status: 404, code: 'CUSTOMER_NOT_FOUND', message: 'Customer not found' },
+  seats_below_bound: { status: 409, code: 'SEATS_BELOW_BOUND', message: 'Release devices before reducing seats below the number bound' },
+  no_subscription: { status: 402, code: 'PARTNER_SUBSCRIPTION_REQUIRED', message: 'An active partner subscription is required to allocate seats' },
+  billing_failed: { status: 502, code: 'BILLING_SYNC_FAILED', message: 'Stripe could not be updated, so the seats were not allocated' }
+};
+
+/**
+ * Child customers with their licence, seat use and device health
+ * @param {string} partnerId - Partner account ID
+ * @returns {Promise<Array>}
+ */
+export async function listPartnerCustomers(partnerId) {
+  const result = await pool.query(
+    `SELECT a.id, a.email, a.name, a.status, a.created_at,
+            l.id AS license_id, l.license_key, l.device_count, l.pricing_tier, l.status AS license_status,
+            COUNT(db.id) FILTER (WHERE db.status = 'active') AS bound_devices,
+            COUNT(db.id) FILTER (WHERE db.status = 'active' AND db.health_state = 'online') AS online_devices,
+            COUNT(db.id) FILTER (WHERE db.status = 'active' AND db.health_state = 'stale') AS stale_devices,
+            COUNT(db.id) FILTER (WHERE db.status = 'active' AND db.health_state = 'offline') AS offline_devices,
+            (SELECT b.status FROM builds b WHERE b.license_id = l.id ORDER BY b.created_at DESC LIMIT 1) AS build_status
+     FROM accounts a
+     LEFT JOIN licenses l ON l.account_id = a.id
+     LEFT JOIN device_bindings db ON db.license_id = l.id
+     WHERE a.partner_account_id = $1
+     GROUP BY a.id, l.id
+     ORDER BY a.name NULLS LAST, a.email`,
+    [partnerId]
+  );
+
+  return result.rows.map(row => {
+    const bound = parseInt(row.bound_devices) || 0;
+    const online = parseInt(row.online_devices) || 0;
+    const stale = parseInt(row.stale_devices) || 0;
+    const offline = parseInt(row.offline_devices) || 0;
+
+    return {
+      accountId: row.id,
+      email: row.email,
+      name: row.name,
+      status: row.status,
+      createdAt: row.created_at,
+      license: row.license_id ? {
+        id: row.license_id,
+        licenseKey: row.license_key,
+        seats: row.device_count,
+        pricingTier: row.pricing_tier,
+        status: row.license_status
+      } : null,
+      devices: {
+        bound,
+        online,
+        stale,
+        offline
+      },
+      buildStatus: row.build_status
+    };
+  });
+}
+
+/**
+ * Seats the partner is billed for: every child licence plus its own, if it has one
+ * @param {Object} db - pool or a transaction client
+ * @param {string} partnerId - Partner account ID
+ * @returns {Promise<number>}
+ */
+export async function getAllocatedSeats(db, partnerId) {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(l.device_count), 0)::int AS seats
+     FROM licenses l
+     JOIN accounts a ON a.id = l.account_id
+     WHERE (a.partner_account_id = $1 OR a.id = $1) AND COALESCE(l.status, 'active') <> 'cancelled'`,
+    [partnerId]
+  );
+  return result.rows[0].seats;
+}
+
+// Seats are only handed out against a subscription Stripe has told us is live
+async function hasLiveSubscription(db, partnerId) {
+  const result = await db.query(
+    "SELECT 1 FROM subscriptions WHERE account_id = $1 AND status = ANY($2) LIMIT 1",
+    [partnerId, LIVE_SUBSCRIPTION_STATUSES]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Create a child customer with a licence for the given seats and queue its agent build
+ * @param {Object} params - { partner: { accountId, email }, name, email, seats, actor }
+ * @returns {Promise<Object>} - { customer, license } or { error }
+ */
+export async function createPartnerCustomer({ partner, name, email, seats, actor }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (!(await hasLiveSubscription(client, partner.accountId))) {
+      await client.query('ROLLBACK');
+      return { error: 'no_subscription' };
+    }
+
+    const existing = await client.query(
+      "SELECT 1 FROM accounts WHERE lower(email) = lower($1)",
+      [email]
+    );
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { error: 'email_taken' };
+    }
+
+    // No password: the partner works in it by switching context, and can invite the client's own staff
+    const account = await client.query(
+      `INSERT INTO accounts (email, name, role, status, account_type, partner_account_id)
+       VALUES ($1, $2, 'user', 'active', 'customer', $3)
+       RETURNING id, email, name, created_at`,
+      [email, name || null, partner.accountId]
+    );
+    const customer = account.rows[0];
+
+    const { tier, price } = mapTier(seats);
+    const license = await client.query(
+      `INSERT INTO licenses (account_id, license_key, max_devices, device_count, pricing_tier, price_per_device, status)
+       VALUES ($1, $2, $3, $3, $4, $5, 'active')
+       RETURNING id, license_key, device_count, pricing_tier`,
+      [customer.id, generateLicenseKey(), seats, tier, price]
+    );
+
+    await client.query(
+      `INSERT INTO builds (license_id, account_id, status, tag)
+       VALUES ($1, $2, 'queued', $3)`,
+      [license.rows[0].id, customer.id, `license-${license.rows[0].id}-${Date.now()}`]
+    );
+
+    await client.query(
+      `INSERT INTO audit_log (actor, account_id, license_id, event, context)
+       VALUES ($1, $2, $3, 'partner_customer_created', $4), ($1, $5, $3, 'partner_customer_created', $4)`,
+      [actor, partner.accountId, license.rows[0].id, JSON.stringify({
+        partnerAccountId: partner.accountId,
+        customerAccountId: customer.id,
+        email: customer.email,
+        seats
+      }), customer.id]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`🤝 Partner ${partner.email} created customer ${customer.email} with ${seats} seats`);
+
+    return { customer, license: license.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change a child's seat allocation; never below the devices currently bound
+ * @param {Object} params - { partnerId, customerId, seats, actor }
+ * @returns {Promise<Object>} - { license, previousSeats } or { error, boundDevices }
+ */
+export async function setCustomerSeats({ partnerId, customerId, seats, actor }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Same lock the bind path takes, so a bind can't slip in under the new limit
+    const licenseResult = await client.query(
+      `SELECT l.id, l.device_count
+       FROM licenses l
+       JOIN accounts a ON a.id = l.account_id
+       WHERE a.id = $1 AND a.partner_account_id = $2
+       FOR UPDATE OF l`,
+      [customerId, partnerId]
+    );
+
+    if (licenseResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'customer_not_found' };
+    }
+
+    const license = licenseResult.rows[0];
+
+    if (seats > license.device_count && !(await hasLiveSubscription(client, partnerId))) {
+      await client.query('ROLLBACK');
+      return { error: 'no_subscription' };
+    }
+
+    const bound = await client.query(
+      "SELECT COUNT(*)::int AS count FROM device_bindings WHERE license_id = $1 AND status = 'active'",
+      [license.id]
+    );
+    if (seats < bound.rows[0].count) {
+      await client.query('ROLLBACK');
+      return { error: 'seats_below_bound', boundDevices: bound.rows[0].count };
+    }
+
+    const updated = await client.query(
+      `UPDATE licenses SET device_count = $1, max_devices = $1, updated_at = now()
+       WHERE id = $2
+       RETURNING id, license_key, device_count, pricing_tier`,
+      [seats, license.id]
+    );
+
+    const context = JSON.stringify({ customerAccountId: customerId, from: license.device_count, to: seats });
+    await client.query(
+      `INSERT INTO audit_log (actor, account_id, license_id, event, context)
+       VALUES ($1, $2, $3, 'partner_seats_changed', $4), ($1, $5, $3, 'partner_seats_changed', $4)`,
+      [actor, partnerId, license.id, context, customerId]
+    );
+
+    await client.query('COMMIT');
+
+    return { license: updated.rows[0], previousSeats: license.device_count };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove a customer created moments ago whose seats Stripe wouldn't bill.
+ * Its licence key hasn't been handed out yet, so nothing can have bound to it.
+ * @param {Object} params - { partnerId, customerId, reason }
+ */
+export async function discardPartnerCustomer({ partnerId, customerId, reason }) {
+  const removed = await pool.query(
+    "DELETE FROM accounts WHERE id = $1 AND partner_account_id = $2 RETURNING email",
+    [customerId, partnerId]
+  );
+  if (removed.rows.length === 0) return;
+
+  await pool.query(
+    `INSERT INTO audit_log (actor, account_id, event, context)
+     VALUES ('system', $1, 'partner_customer_discarded', $2)`,
+    [partnerId, JSON.stringify({ customerAccountId: customerId, email: removed.rows[0].email, reason })]
+  );
+}
+
+/**
+ * Put back a seat increase Stripe wouldn't bill. Devices may have bound to the new
+ * seats in the meantime, so it never goes below those.
+ * @param {Object} params - { partnerId, customerId, seats }
+ * @returns {Promise<Object>} - as setCustomerSeats
+ */
+export async function revertCustomerSeats({ partnerId, customerId, seats }) {
+  const reverted = await setCustomerSeats({ partnerId, customerId, seats, actor: 'system' });
+  if (reverted.error === 'seats_below_bound') {
+    return setCustomerSeats({ partnerId, customerId, seats: reverted.boundDevices, actor: 'system' });
+  }
+  return reverted;
+}
+
+/**
+ * The partner's active Stripe subscription, if any
+ * @param {Object} partner - { stripe_customer_id, email }
+ * @returns {Promise<Object|null>}
+ */
+async function findPartnerSubscription(partner) {
+  let customerId = partner.stripe_customer_id;
+  if (!customerId) {
+    const customers = await getStripe().customers.list({ email: partner.email, limit: 1 });
+    customerId = customers.data[0]?.id;
+  }
+  if (!customerId) return null;
+
+  const subscriptions = await getStripe().subscriptions.list({ customer: customerId, status: 'active', limit: 1 });
+  return subscriptions.data[0] || null;
+}
+
+/**
+ * Seats allocated against what Stripe is billing, without changing anything
+ * @param {string} partnerId - Partner account ID
+ * @returns {Promise<Object>} - { seats, tier, pricePerDevice, monthlyTotal, subscription, inSync }
+ */
+export async function getPartnerBilling(partnerId) {
+  const seats = await getAllocatedSeats(pool, partnerId);
+  const { tier, price } = mapTier(seats);
+
+  const partnerResult = await pool.query(
+    "SELECT id, email, stripe_customer_id FROM accounts WHERE id = $1",
+    [partnerId]
+  );
+
+  let subscription = null;
+  try {
+    const found = await findPartnerSubscription(partnerResult.rows[0]);
+    if (found) {
+      subscription = {
+        id: found.id,
+        status: found.status,
+        quantity: found.items.data[0].quantity,
+        currentPeriodEnd: found.current_period_end,
+        cancelAtPeriodEnd: found.cancel_at_period_end
+      };
+    }
+  } catch (error) {
+    console.error(`Partner billing lookup failed for ${partnerResult.rows[0].email}:`, error.message);
+  }
+
+  return {
+    seats,
+    tier,
+    pricePerDevice: price,
+    monthlyTotal: Math.round(seats * price * 100) / 100,
+    subscription,
+    inSync: subscription ? subscription.quantity === seats : seats === 0
+  };
+}
+
+/**
+ * Bring the partner's subscription quantity and every child's pricing tier in line
+ * with the seats allocated. The volume tier comes from the partner's total, so small
+ * clients benefit from the partner's size.
+ * @param {string} partnerId - Partner account ID
+ * @returns {Promise<Object>} - { seats, tier, synced, subscriptionId?, previousQuantity?, reason? }
+ */
+export async function syncPartnerBilling(partnerId) {
+  const seats = await getAllocatedSeats(pool, partnerId);
+  const { tier, price } = mapTier(seats);
+
+  await pool.query(
+    `UPDATE licenses l SET pricing_tier = $2, price_per_device = $3, updated_at = now()
+     FROM accounts a
+     WHERE a.id = l.account_id AND a.partner_account_id = $1
+       AND (l.pricing_tier IS DISTINCT FROM $2 OR l.price_per_device IS DISTINCT FROM $3)`,
+    [partnerId, tier, price]
+  );
+
+  const partnerResult = await pool.query(
+    "SELECT id, email, stripe_customer_id FROM accounts WHERE id = $1",
+    [partnerId]
+  );
+  const partner = partnerResult.rows[0];
+
+  let subscription;
+  try {
+    subscription = await findPartnerSubscription(partner);
+  } catch (error) {
+    console.error(`Partner billing lookup failed for ${partner.email}:`, error.message);
+    return { seats, tier, synced: false, reason: 'stripe_unavailable' };
+  }
+
+  if (!subscription) {
+    return { seats, tier, synced: false, reason: 'no_subscription' };
+  }
+
+  const item = subscription.items.data[0];
+  if (item.quantity === seats) {
+    return { seats, tier, synced: true, subscriptionId: subscription.id, previousQuantity: item.quantity };
+  }
+
+  // A subscription can't go to zero seats; leave it for the partner to cancel
+  if (seats === 0) {
+    return { seats, tier, synced: false, reason: 'no_seats_allocated', subscriptionId: subscription.id };
+  }
+
+  try {
+    await getStripe().subscriptions.update(subscription.id, {
+      items: [{ id: item.id, quantity: seats }],
+      proration_behavior: 'create_prorations'
+    });
+  } catch (error) {
+    console.error(`Partner billing update failed for ${partner.email}:`, error.message);
+    return { seats, tier, synced: false, reason: 'stripe_unavailable', subscriptionId: subscription.id };
+  }
+
+  await pool.query(
+    `INSERT INTO audit_log (actor, account_id, event, context)
+     VALUES ('system', $1, 'partner_billing_synced', $2)`,
+    [partnerId, JSON.stringify({ subscriptionId: subscription.id, from: item.quantity, to: seats, tier })]
+  );
+
+  console.log(`💳 Partner ${partner.email} subscription ${item.quantity} → ${seats} seats (${tier})`);
+
+  return { seats, tier, synced: true, subscriptionId: subscription.id, previousQuantity: item.quantity };
+}
+
+export default {
+  ACCOUNT_TYPES,
+  PARTNER_ERRORS,
+  listPartnerCustomers,
+  getAllocatedSeats,
+  createPartnerCustomer,
+  setCustomerSeats,
+  discardPartnerCustomer,
+  revertCustomerSeats,
+  getPartnerBilling,
+  syncPartnerBilling
+};
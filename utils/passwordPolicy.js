@@ -0,0 +1,84 @@
+/**
+ * SyncSure Password Policy
+ * One set of rules for every endpoint that accepts a password: register and
+ * update-password validate new passwords, login and login-session only check
+ * the input is something we are willing to hash.
+ */
+
+export const PASSWORD_POLICY = {
+  minLength: 8,
+  // bcrypt only uses the first 72 bytes, anything longer would be silently truncated
+  maxBytes: 72
+};
+
+// Rejected outright; the usual first guesses in a credential-stuffing list
+const COMMON_PASSWORDS = new Set([
+  'password',
+  'password1',
+  'password123',
+  '12345678',
+  '123456789',
+  '1234567890',
+  'qwertyui',
+  'qwerty123',
+  'iloveyou',
+  'letmein1',
+  'welcome1',
+  'syncsure',
+  'syncsure1',
+  'syncsure123'
+]);
+
+/**
+ * Validate a new password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} context
+ * @param {string} context.email - Account email, which the password must not repeat
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+export function validateNewPassword(password, { email } = {}) {
+  const inputError = validatePasswordInput(password);
+  if (inputError) return inputError;
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    return `Password must be at least ${PASSWORD_POLICY.minLength} characters long`;
+  }
+
+  const lowered = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lowered)) {
+    return "Password is too common, please choose another";
+  }
+
+  if (email) {
+    const normalizedEmail = email.toLowerCase();
+    if (lowered === normalizedEmail || lowered === normalizedEmail.split('@')[0]) {
+      return "Password must not match your email address";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a submitted password is a string we can hash, without applying the
+ * strength rules (existing passwords may predate the policy)
+ * @param {string} password - Submitted password
+ * @returns {string|null} - Error message, or null if the input is usable
+ */
+export function validatePasswordInput(password) {
+  if (typeof password !== 'string' || password.length === 0) {
+    return "Password is required";
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_POLICY.maxBytes) {
+    return `Password must be at most ${PASSWORD_POLICY.maxBytes} bytes long`;
+  }
+
+  return null;
+}
+
+export default {
+  PASSWORD_POLICY,
+  validateNewPassword,
+  validatePasswordInput
+};
@@ -0,0 +1,106 @@
+/**
+ * SyncSure Password Hashing
+ * bcrypt for every new hash. Accounts created before this module still carry
+ * base64-encoded passwords; those verify through the legacy path once and are
+ * rehashed with bcrypt on the next successful login.
+ */
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { pool } from "../db.js";
+
+const BCRYPT_HASH = /^\$2[aby]\$(\d{2})\$/;
+
+/**
+ * bcrypt cost factor (env BCRYPT_ROUNDS, default 12)
+ */
+export function getBcryptRounds() {
+  const rounds = parseInt(process.env.BCRYPT_ROUNDS);
+  return rounds >= 4 && rounds <= 31 ? rounds : 12;
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+export async function hashPassword(password) {
+  return bcrypt.hash(password, getBcryptRounds());
+}
+
+/**
+ * Whether a stored hash should be replaced on the next successful login
+ * @param {string} storedHash - accounts.password_hash
+ * @returns {boolean}
+ */
+export function needsRehash(storedHash) {
+  const match = BCRYPT_HASH.exec(storedHash || '');
+  return !match || parseInt(match[1]) !== getBcryptRounds();
+}
+
+function verifyLegacyHash(password, storedHash) {
+  const expected = Buffer.from(storedHash);
+  const actual = Buffer.from(Buffer.from(password).toString('base64'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check a password against a stored hash (bcrypt or legacy base64)
+ * @param {string} password - Plaintext password
+ * @param {string} storedHash - accounts.password_hash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, storedHash) {
+  if (!storedHash) return false;
+
+  if (BCRYPT_HASH.test(storedHash)) {
+    return bcrypt.compare(password, storedHash);
+  }
+
+  return verifyLegacyHash(password, storedHash);
+}
+
+/**
+ * Verify a login and upgrade the stored hash if it is legacy or uses an old cost
+ * @param {Object} account - { id, password_hash }
+ * @param {string} password - Plaintext password
+ * @returns {Promise<boolean>} - Whether the password is valid
+ */
+export async function verifyAndUpgradePassword(account, password) {
+  const valid = await verifyPassword(password, account.password_hash);
+  if (!valid || !needsRehash(account.password_hash)) return valid;
+
+  try {
+    const legacy = !BCRYPT_HASH.test(account.password_hash);
+    const passwordHash = await hashPassword(password);
+
+    // Only replace the hash we verified, in case the password changed meanwhile
+    const updated = await pool.query(
+      `UPDATE accounts SET password_hash = $1, updated_at = now()
+       WHERE id = $2 AND password_hash = $3`,
+      [passwordHash, account.id, account.password_hash]
+    );
+
+    if (updated.rowCount > 0) {
+      await pool.query(
+        `INSERT INTO audit_log (account_id, actor, event, context)
+         VALUES ($1, 'system', 'password_rehashed', $2)`,
+        [account.id, JSON.stringify({ from: legacy ? 'base64' : 'bcrypt', rounds: getBcryptRounds() })]
+      );
+      console.log(`🔐 Upgraded password hash for account ${account.id}`);
+    }
+  } catch (error) {
+    // The login itself succeeded; the upgrade is retried next time
+    console.error('❌ Password rehash failed:', error.message);
+  }
+
+  return valid;
+}
+
+export default {
+  getBcryptRounds,
+  hashPassword,
+  needsRehash,
+  verifyPassword,
+  verifyAndUpgradePassword
+};
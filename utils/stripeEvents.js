@@ -0,0 +1,282 @@
+/**
+ * SyncSure Stripe Event Ledger
+ * Every verified webhook event is stored in stripe_events under Stripe's event ID and
+ * applied exactly once: the event row is locked, the handlers run in the same
+ * transaction and the row is marked processed on commit, so a redelivery (or a worker
+ * retry racing a webhook) finds it done. Failed events roll back whole and are retried
+ * by the worker with exponential backoff before dead-lettering.
+ */
+
+import { pool } from "../db.js";
+import { getStripe, handleStripeEvent } from "../services/billing.js";
+import { getBackoffSeconds } from "./webhooks.js";
+
+export const STRIPE_EVENT_STATUSES = ['pending', 'processed', 'failed', 'dead'];
+
+// A just-received event belongs to its webhook request; the worker only picks it up after this
+const RECEIVE_LEASE_MINUTES = 5;
+const RETRY_BATCH_SIZE = 25;
+const ERROR_LIMIT = 1000;
+
+/**
+ * Attempts before an event moves to the dead-letter list
+ */
+export function getMaxAttempts() {
+  return parseInt(process.env.STRIPE_EVENT_MAX_ATTEMPTS) || 8;
+}
+
+function toEventSummary(row, { includePayload = false } = {}) {
+  return {
+    id: row.id,
+    type: row.type,
+    livemode: row.livemode,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    stripeCreatedAt: row.stripe_created_at,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at,
+    replayedBy: row.replayed_by,
+    replayedAt: row.replayed_at,
+    ...(includePayload && { payload: row.payload })
+  };
+}
+
+/**
+ * Store a verified event (a redelivery of a stored event is a no-op)
+ * @param {Object} event - Stripe event
+ * @returns {Promise<boolean>} - Whether the event was new
+ */
+export async function recordStripeEvent(event) {
+  const { rows } = await pool.query(
+    `INSERT INTO stripe_events (id, type, livemode, payload, stripe_created_at, next_attempt_at)
+     VALUES ($1, $2, $3, $4, to_timestamp($5), NOW() + make_interval(mins => $6))
+     ON CONFLICT (id) DO NOTHING
+     RETURNING id`,
+    [event.id, event.type, !!event.livemode, JSON.stringify(event), event.created || null, RECEIVE_LEASE_MINUTES]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Apply a stored event once. Handlers and the status change share one transaction;
+ * afterCommit callbacks (emails) run only once it has committed.
+ * @param {string} eventId - Stripe event ID
+ * @param {Object} options - { replayedBy } to run an already processed event again
+ * @returns {Promise<Object>} - { status: processed | duplicate | in_progress | failed | dead, event, error? }
+ */
+export async function processStripeEvent(eventId, { replayedBy = null } = {}) {
+  const client = await pool.connect();
+  const callbacks = [];
+  let row = null;
+
+  try {
+    await client.query('BEGIN');
+
+    // SKIP LOCKED: a concurrent delivery of the same event leaves it to whoever holds it
+    const { rows } = await client.query(
+      "SELECT * FROM stripe_events WHERE id = $1 FOR UPDATE SKIP LOCKED",
+      [eventId]
+    );
+    row = rows[0];
+
+    if (!row || (row.status === 'processed' && !replayedBy)) {
+      await client.query('COMMIT');
+      return row
+        ? { status: 'duplicate', event: toEventSummary(row) }
+        : { status: 'in_progress', event: null };
+    }
+
+    await handleStripeEvent(row.payload, {
+      db: client,
+      afterCommit: (callback) => callbacks.push(callback)
+    });
+
+    const { rows: processed } = await client.query(
+      `UPDATE stripe_events
+       SET status = 'processed', attempts = attempts + 1, processed_at = NOW(),
+           next_attempt_at = NULL, last_error = NULL,
+           replayed_by = COALESCE($2, replayed_by),
+           replayed_at = CASE WHEN $2::text IS NULL THEN replayed_at ELSE NOW() END
+       WHERE id = $1
+       RETURNING *`,
+      [eventId, replayedBy]
+    );
+
+    await client.query('COMMIT');
+    row = processed[0];
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (!row) {
+      throw error;
+    }
+    return recordFailure(row, error, replayedBy);
+
+  } finally {
+    client.release();
+  }
+
+  for (const callback of callbacks) {
+    try {
+      await callback();
+    } catch (error) {
+      console.error(`[stripe] after-commit step for ${eventId} failed:`, error.message);
+    }
+  }
+
+  return { status: 'processed', event: toEventSummary(row) };
+}
+
+async function recordFailure(row, error, replayedBy) {
+  const message = String(error?.message || error).slice(0, ERROR_LIMIT);
+  const attempts = row.attempts + 1;
+
+  // A failed replay leaves an already applied event as it was
+  const status = row.status === 'processed'
+    ? 'processed'
+    : attempts >= getMaxAttempts() ? 'dead' : 'failed';
+
+  const { rows } = await pool.query(
+    `UPDATE stripe_events
+     SET status = $2, attempts = $3, last_error = $4,
+         next_attempt_at = CASE WHEN $2 = 'failed' THEN NOW() + make_interval(secs => $5) ELSE next_attempt_at END
+     WHERE id = $1
+     RETURNING *`,
+    [row.id, status, attempts, message, getBackoffSeconds(attempts)]
+  );
+
+  console.error(`[stripe] ${row.type} ${row.id} failed (attempt ${attempts}${replayedBy ? `, replay by ${replayedBy}` : ''}):`, message);
+
+  return {
+    status: status === 'processed' ? 'failed' : status,
+    event: toEventSummary(rows[0]),
+    error: message
+  };
+}
+
+/**
+ * Webhook entry point: record a verified event and apply it
+ * @param {Object} event - Stripe event from constructEvent
+ * @returns {Promise<Object>} - processStripeEvent's result
+ */
+export async function receiveStripeEvent(event) {
+  await recordStripeEvent(event);
+  const result = await processStripeEvent(event.id);
+
+  if (result.status === 'duplicate') {
+    console.log(`[stripe] ${event.type} ${event.id} already processed; ignoring redelivery`);
+  }
+
+  return result;
+}
+
+/**
+ * Retry events that failed, or were received but never finished, once they're due
+ * @returns {Promise<Object>} - { processed, failed, dead }
+ */
+export async function processDueStripeEvents() {
+  const summary = { processed: 0, failed: 0, dead: 0 };
+
+  const { rows } = await pool.query(
+    `SELECT id FROM stripe_events
+     WHERE status IN ('pending', 'failed') AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at ASC
+     LIMIT $1`,
+    [RETRY_BATCH_SIZE]
+  );
+
+  for (const { id } of rows) {
+    const result = await processStripeEvent(id);
+    if (result.status in summary) {
+      summary[result.status]++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Worker entry point
+ * @returns {Promise<Object>} - { processed, failed, dead }
+ */
+export async function retryStripeEvents() {
+  const results = await processDueStripeEvents();
+
+  if (results.processed + results.failed + results.dead > 0) {
+    console.log(`💳 Stripe events: retried ${results.processed} ok, ${results.failed} failed, ${results.dead} dead-lettered`);
+  }
+
+  return results;
+}
+
+/**
+ * Run an event's handlers again on request, whatever its status. An event missing
+ * from the ledger is fetched from Stripe (when configured) and recorded first.
+ * @param {string} eventId - Stripe event ID
+ * @param {string} actor - Who asked for the replay
+ * @returns {Promise<Object|null>} - processStripeEvent's result, or null if the event is unknown
+ */
+export async function replayStripeEvent(eventId, actor) {
+  const { rows } = await pool.query("SELECT id FROM stripe_events WHERE id = $1", [eventId]);
+
+  if (rows.length === 0) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return null;
+    }
+
+    let event;
+    try {
+      event = await getStripe().events.retrieve(eventId);
+    } catch (error) {
+      if (error?.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+    await recordStripeEvent(event);
+  }
+
+  return processStripeEvent(eventId, { replayedBy: actor });
+}
+
+/**
+ * Ledger entries, newest first
+ * @param {Object} filters - Optional { status, type, limit }
+ * @returns {Promise<Object[]>}
+ */
+export async function listStripeEvents({ status = null, type = null, limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM stripe_events
+     WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::text IS NULL OR type = $2)
+     ORDER BY received_at DESC
+     LIMIT $3`,
+    [status, type, Math.min(parseInt(limit) || 100, 500)]
+  );
+  return rows.map(row => toEventSummary(row));
+}
+
+/**
+ * One ledger entry with the event as Stripe sent it
+ * @param {string} eventId
+ * @returns {Promise<Object|null>}
+ */
+export async function getStripeEvent(eventId) {
+  const { rows } = await pool.query("SELECT * FROM stripe_events WHERE id = $1", [eventId]);
+  return rows[0] ? toEventSummary(rows[0], { includePayload: true }) : null;
+}
+
+export default {
+  STRIPE_EVENT_STATUSES,
+  getMaxAttempts,
+  recordStripeEvent,
+  processStripeEvent,
+  receiveStripeEvent,
+  processDueStripeEvents,
+  retryStripeEvents,
+  replayStripeEvent,
+  listStripeEvents,
+  getStripeEvent
+};
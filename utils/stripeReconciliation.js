@@ -0,0 +1,416 @@
+/**
+ * SyncSure Stripe Reconciliation
+ * Webhooks keep licences in step with Stripe, but a lost event, a change made in the
+ * Stripe dashboard or a manual database edit leaves them apart: the dashboard shows
+ * Stripe's quantity while agents bind against licenses.device_count. This job pages
+ * through every Stripe subscription, compares it with the subscriptions and licenses
+ * tables, fixes what it safely can through mirrorSubscriptionToLicense and stores the
+ * drift it found in stripe_reconciliation_runs. A dry run only reports.
+ */
+
+import { pool } from "../db.js";
+import { mapTier } from "./tierMapping.js";
+import { subscriptionSeats, mirrorSubscriptionToLicense } from "./licenseManager.js";
+import { getAllocatedSeats } from "./partners.js";
+import { getStripe, upsertSubscription, LIVE_SUBSCRIPTION_STATUSES } from "../services/billing.js";
+
+export const DRIFT_TYPES = [
+  'subscription_record',  // subscriptions row missing or with another quantity/status (fixed)
+  'license_seats',        // licence seats/tier/price differ from the live subscription (fixed)
+  'license_missing',      // live subscription but no licence; replay its paid invoice event
+  'partner_seats',        // partner subscription quantity isn't the seats allocated; run a partner billing sync
+  'unknown_customer',     // Stripe customer linked to no account
+  'missing_in_stripe'     // live subscriptions row Stripe doesn't have
+];
+
+// A run still 'running' after this is taken to have died (worker restart) and is closed so
+// the next can start; stripe_reconciliation_runs_running_idx allows only one 'running' row
+const STALE_RUN_MINUTES = 60;
+const PAGE_SIZE = 100;
+
+/**
+ * Hours between scheduled runs (0 disables the worker job)
+ */
+export function getReconcileIntervalHours() {
+  const hours = parseFloat(process.env.STRIPE_RECONCILE_INTERVAL_HOURS);
+  return Number.isFinite(hours) ? Math.max(hours, 0) : 24;
+}
+
+function toRunSummary(row, { includeDrift = false } = {}) {
+  return {
+    id: row.id,
+    dryRun: row.dry_run,
+    triggeredBy: row.triggered_by,
+    status: row.status,
+    subscriptionsChecked: row.subscriptions_checked,
+    driftCount: row.drift_count,
+    fixedCount: row.fixed_count,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    ...(includeDrift && { drift: row.drift })
+  };
+}
+
+// The first licence is the account's licence (one per account)
+async function licenseFor(accountId) {
+  const { rows } = await pool.query(
+    `SELECT id, device_count, pricing_tier, price_per_device
+     FROM licenses WHERE account_id = $1 ORDER BY created_at ASC LIMIT 1`,
+    [accountId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Compare one account's Stripe subscriptions with our rows
+ * @returns {Promise<Object[]>} - Drift entries; fixable ones carry `fix`
+ */
+async function compareAccount(account, subscriptions) {
+  const drift = [];
+  const base = { accountId: account.id, email: account.email, stripeCustomerId: account.stripe_customer_id };
+
+  const { rows } = await pool.query(
+    "SELECT stripe_subscription_id, quantity, status FROM subscriptions WHERE account_id = $1",
+    [account.id]
+  );
+  const stored = new Map(rows.map(row => [row.stripe_subscription_id, row]));
+
+  for (const sub of subscriptions) {
+    const seats = subscriptionSeats(sub);
+    const row = stored.get(sub.id);
+
+    if (!row || row.quantity !== seats || row.status !== sub.status) {
+      drift.push({
+        ...base,
+        type: 'subscription_record',
+        stripeSubscriptionId: sub.id,
+        expected: { quantity: seats, status: sub.status },
+        actual: row ? { quantity: row.quantity, status: row.status } : null,
+        fix: { kind: 'subscription', subscription: sub, seats }
+      });
+    }
+  }
+
+  const live = subscriptions.filter(sub => LIVE_SUBSCRIPTION_STATUSES.includes(sub.status));
+  if (live.length === 0) {
+    return drift;
+  }
+
+  const seats = live.reduce((sum, sub) => sum + subscriptionSeats(sub), 0);
+  const stripeSubscriptionId = live.map(sub => sub.id).join(',');
+
+  // A partner's licences are allocated per customer; only its total can be checked
+  if (account.account_type === 'partner') {
+    const allocated = await getAllocatedSeats(pool, account.id);
+    if (allocated !== seats) {
+      drift.push({
+        ...base,
+        type: 'partner_seats',
+        stripeSubscriptionId,
+        expected: { seats: allocated },
+        actual: { seats }
+      });
+    }
+    return drift;
+  }
+
+  const license = await licenseFor(account.id);
+  const { tier, price } = mapTier(seats);
+
+  if (!license) {
+    drift.push({
+      ...base,
+      type: 'license_missing',
+      stripeSubscriptionId,
+      expected: { seats, tier, pricePerDevice: price },
+      actual: null
+    });
+  } else if (
+    license.device_count !== seats ||
+    license.pricing_tier !== tier ||
+    Number(license.price_per_device) !== price
+  ) {
+    drift.push({
+      ...base,
+      type: 'license_seats',
+      licenseId: license.id,
+      stripeSubscriptionId,
+      expected: { seats, tier, pricePerDevice: price },
+      actual: { seats: license.device_count, tier: license.pricing_tier, pricePerDevice: Number(license.price_per_device) },
+      fix: { kind: 'license', seats }
+    });
+  }
+
+  return drift;
+}
+
+// The Stripe-owned values of each linked account (or just `accountId`'s): its subscriptions
+// rows' quantity and status and its licence's seats, tier and price, as text to compare.
+// Heartbeats and device recounts write other columns, so they don't change it.
+async function stripeOwnedState(db, accountId = null) {
+  const { rows } = await db.query(
+    `SELECT a.id, jsonb_build_object(
+       'subscriptions', (SELECT jsonb_agg(jsonb_build_array(s.stripe_subscription_id, s.quantity, s.status)
+                                          ORDER BY s.stripe_subscription_id)
+                         FROM subscriptions s WHERE s.account_id = a.id),
+       'license', (SELECT jsonb_build_array(l.device_count, l.pricing_tier, l.price_per_device)
+                   FROM licenses l WHERE l.account_id = a.id ORDER BY l.created_at ASC LIMIT 1)
+     )::text AS state
+     FROM accounts a
+     WHERE a.stripe_customer_id IS NOT NULL AND ($1::uuid IS NULL OR a.id = $1)`,
+    [accountId]
+  );
+  return new Map(rows.map(row => [row.id, row.state]));
+}
+
+// Apply an account's fixes in one transaction. `listedState` is the account's
+// stripeOwnedState from before Stripe was listed; if a webhook or an admin has changed it
+// since, that change may be newer than the listing, so nothing is applied and the next
+// run looks again. Returns whether the fixes were applied.
+async function fixAccount(account, entries, runId, listedState) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Held until commit, so a webhook for the account waits rather than being overwritten
+    await client.query("SELECT 1 FROM subscriptions WHERE account_id = $1 FOR UPDATE", [account.id]);
+    await client.query("SELECT 1 FROM licenses WHERE account_id = $1 FOR UPDATE", [account.id]);
+
+    const current = await stripeOwnedState(client, account.id);
+    if (!listedState || current.get(account.id) !== listedState) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    for (const { fix, stripeSubscriptionId } of entries) {
+      if (fix.kind === 'subscription') {
+        await upsertSubscription(client, {
+          accountId: account.id,
+          stripeSubscriptionId: fix.subscription.id,
+          quantity: fix.seats,
+          status: fix.subscription.status,
+          currentPeriodEnd: fix.subscription.current_period_end
+        });
+      } else {
+        await mirrorSubscriptionToLicense(account.id, fix.seats, {
+          db: client,
+          createIfMissing: false,
+          actor: 'reconciliation',
+          context: { runId, subscriptionId: stripeSubscriptionId }
+        });
+      }
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Reconcile every Stripe subscription with the subscriptions and licenses tables
+ * @param {Object} options - { dryRun, triggeredBy, stripe (client, defaults to the shared one) }
+ * @returns {Promise<Object|null>} - The run with its drift, or null if another run is in progress
+ */
+export async function reconcileStripeSubscriptions({ dryRun = false, triggeredBy = 'system', stripe = getStripe() } = {}) {
+  await pool.query(
+    `UPDATE stripe_reconciliation_runs
+     SET status = 'failed', error = $2, finished_at = NOW()
+     WHERE status = 'running' AND started_at <= NOW() - make_interval(mins => $1)`,
+    [STALE_RUN_MINUTES, `Abandoned: still running after ${STALE_RUN_MINUTES} minutes`]
+  );
+
+  // The unique index turns a concurrent start into a no-op instead of a second run
+  const { rows: started } = await pool.query(
+    `INSERT INTO stripe_reconciliation_runs (dry_run, triggered_by)
+     VALUES ($1, $2)
+     ON CONFLICT ((true)) WHERE status = 'running' DO NOTHING
+     RETURNING id, started_at`,
+    [dryRun, triggeredBy]
+  );
+
+  if (started.length === 0) {
+    return null;
+  }
+
+  const runId = started[0].id;
+  const drift = [];
+  let checked = 0;
+  let fixed = 0;
+
+  try {
+    // Taken before listing: an account whose state differs by the time it's fixed has been
+    // changed since, possibly by a Stripe event newer than the listing
+    const listedState = dryRun ? new Map() : await stripeOwnedState(pool);
+
+    // Group Stripe's subscriptions by the account their customer is linked to
+    const byCustomer = new Map();
+    const seen = new Set();
+
+    for await (const sub of stripe.subscriptions.list({ status: 'all', limit: PAGE_SIZE })) {
+      checked++;
+      seen.add(sub.id);
+
+      const customerId = typeof sub.customer === 'string' ? sub.customer : sub.customer?.id;
+      if (!byCustomer.has(customerId)) {
+        byCustomer.set(customerId, []);
+      }
+      byCustomer.get(customerId).push(sub);
+    }
+
+    for (const [customerId, subscriptions] of byCustomer) {
+      const { rows } = await pool.query(
+        "SELECT id, email, account_type, stripe_customer_id FROM accounts WHERE stripe_customer_id = $1",
+        [customerId]
+      );
+      const account = rows[0];
+
+      if (!account) {
+        for (const sub of subscriptions) {
+          drift.push({
+            type: 'unknown_customer',
+            stripeCustomerId: customerId,
+            stripeSubscriptionId: sub.id,
+            expected: null,
+            actual: { quantity: subscriptionSeats(sub), status: sub.status },
+            action: 'manual'
+          });
+        }
+        continue;
+      }
+
+      const entries = await compareAccount(account, subscriptions);
+      const fixable = entries.filter(entry => entry.fix);
+
+      let applied = false;
+      if (fixable.length > 0 && !dryRun) {
+        applied = await fixAccount(account, fixable, runId, listedState.get(account.id));
+        if (applied) fixed += fixable.length;
+      }
+
+      // 'changed' - the account's seats or subscriptions changed while Stripe was listed; left for the next run
+      const fixAction = dryRun ? 'would_fix' : applied ? 'fixed' : 'changed';
+      for (const { fix, ...entry } of entries) {
+        drift.push({ ...entry, action: fix ? fixAction : 'manual' });
+      }
+    }
+
+    // Rows we think are live that Stripe no longer lists
+    const { rows: orphaned } = await pool.query(
+      `SELECT s.stripe_subscription_id, s.quantity, s.status, a.id AS account_id, a.email, a.stripe_customer_id
+       FROM subscriptions s
+       JOIN accounts a ON a.id = s.account_id
+       WHERE s.stripe_subscription_id IS NOT NULL AND s.status = ANY($1)`,
+      [LIVE_SUBSCRIPTION_STATUSES]
+    );
+
+    for (const row of orphaned.filter(row => !seen.has(row.stripe_subscription_id))) {
+      drift.push({
+        type: 'missing_in_stripe',
+        accountId: row.account_id,
+        email: row.email,
+        stripeCustomerId: row.stripe_customer_id,
+        stripeSubscriptionId: row.stripe_subscription_id,
+        expected: null,
+        actual: { quantity: row.quantity, status: row.status },
+        action: 'manual'
+      });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE stripe_reconciliation_runs
+       SET status = 'completed', subscriptions_checked = $2, drift_count = $3, fixed_count = $4,
+           drift = $5, finished_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [runId, checked, drift.length, fixed, JSON.stringify(drift)]
+    );
+
+    return toRunSummary(rows[0], { includeDrift: true });
+
+  } catch (error) {
+    // Fixes already committed stay; the report keeps what was found up to the failure
+    const { rows } = await pool.query(
+      `UPDATE stripe_reconciliation_runs
+       SET status = 'failed', subscriptions_checked = $2, drift_count = $3, fixed_count = $4,
+           drift = $5, error = $6, finished_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [runId, checked, drift.length, fixed, JSON.stringify(drift), String(error?.message || error).slice(0, 1000)]
+    );
+
+    console.error(`[stripe] reconciliation ${runId} failed:`, error.message);
+    return toRunSummary(rows[0], { includeDrift: true });
+  }
+}
+
+/**
+ * Worker entry point: reconcile once every STRIPE_RECONCILE_INTERVAL_HOURS
+ * (report only with STRIPE_RECONCILE_DRY_RUN=true)
+ * @returns {Promise<Object|null>} - The run, or null if none was due
+ */
+export async function runScheduledReconciliation() {
+  const hours = getReconcileIntervalHours();
+  if (!hours || !process.env.STRIPE_SECRET_KEY) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT 1 FROM stripe_reconciliation_runs
+     WHERE triggered_by = 'worker' AND started_at > NOW() - make_interval(secs => $1)
+     LIMIT 1`,
+    [Math.round(hours * 3600)]
+  );
+  if (rows.length > 0) {
+    return null;
+  }
+
+  const run = await reconcileStripeSubscriptions({
+    dryRun: process.env.STRIPE_RECONCILE_DRY_RUN === 'true',
+    triggeredBy: 'worker'
+  });
+
+  if (run) {
+    console.log(`💳 Stripe reconciliation${run.dryRun ? ' (dry run)' : ''}: ${run.subscriptionsChecked} subscriptions, ${run.driftCount} drifted, ${run.fixedCount} fixed`);
+  }
+
+  return run;
+}
+
+/**
+ * Recent runs, newest first (without their drift entries)
+ * @param {number} limit
+ * @returns {Promise<Object[]>}
+ */
+export async function listReconciliationRuns(limit = 20) {
+  const { rows } = await pool.query(
+    "SELECT * FROM stripe_reconciliation_runs ORDER BY started_at DESC LIMIT $1",
+    [Math.min(parseInt(limit) || 20, 100)]
+  );
+  return rows.map(row => toRunSummary(row));
+}
+
+/**
+ * One run with its drift report
+ * @param {string} runId
+ * @returns {Promise<Object|null>}
+ */
+export async function getReconciliationRun(runId) {
+  const { rows } = await pool.query("SELECT * FROM stripe_reconciliation_runs WHERE id = $1", [runId]);
+  return rows[0] ? toRunSummary(rows[0], { includeDrift: true }) : null;
+}
+
+export default {
+  DRIFT_TYPES,
+  getReconcileIntervalHours,
+  reconcileStripeSubscriptions,
+  runScheduledReconciliation,
+  listReconciliationRuns,
+  getReconciliationRun
+};
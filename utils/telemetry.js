@@ -0,0 +1,290 @@
+/**
+ * SyncSure Sync-Health Telemetry
+ * Normalises versioned heartbeat systemMetrics into time-series samples,
+ * rolls them up hourly and prunes both tiers on a retention schedule
+ */
+
+import { pool } from "../db.js";
+import { getSyncErrorCount } from "./alertRules.js";
+
+/**
+ * Current heartbeat telemetry schema. Agents send, inside systemMetrics:
+ *   schemaVersion       1
+ *   onedriveState       one of ONEDRIVE_STATES
+ *   pendingFiles        files waiting to upload/download
+ *   syncErrorCount      number of current sync errors (or syncErrors: [...])
+ *   lastSuccessfulSync  ISO-8601 timestamp
+ *   freeDiskBytes       free space on the OneDrive volume
+ * Metrics without schemaVersion are treated as version 0 and read on a
+ * best-effort basis.
+ */
+export const TELEMETRY_SCHEMA_VERSION = 1;
+
+export const ONEDRIVE_STATES = [
+  'up_to_date',
+  'syncing',
+  'paused',
+  'error',
+  'signed_out',
+  'not_running',
+  'unknown'
+];
+
+export const TELEMETRY_RESOLUTIONS = ['auto', 'raw', 'hourly'];
+
+// Ranges up to this many hours are served from raw samples when resolution is auto
+const AUTO_RAW_MAX_HOURS = 48;
+const MAX_RAW_POINTS = 5000;
+
+/**
+ * Read retention windows from the environment
+ * @returns {Object} - { rawDays, hourlyDays }
+ */
+export function getTelemetryRetention() {
+  return {
+    rawDays: parseInt(process.env.TELEMETRY_RAW_RETENTION_DAYS) || 7,
+    hourlyDays: parseInt(process.env.TELEMETRY_HOURLY_RETENTION_DAYS) || 90
+  };
+}
+
+function toInteger(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : null;
+}
+
+function toTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toOneDriveState(value) {
+  if (!value || typeof value !== 'string') return null;
+  const state = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return ONEDRIVE_STATES.includes(state) ? state : 'unknown';
+}
+
+/**
+ * Normalise heartbeat systemMetrics into a telemetry sample
+ * @param {Object} systemMetrics - Agent-reported metrics
+ * @returns {Object|null} - Sample, or null when no telemetry fields are present
+ */
+export function normalizeTelemetry(systemMetrics) {
+  if (!systemMetrics || typeof systemMetrics !== 'object') return null;
+
+  const schemaVersion = toInteger(systemMetrics.schemaVersion) ?? 0;
+  const hasSyncErrors = systemMetrics.syncErrorCount !== undefined || systemMetrics.syncErrors !== undefined;
+
+  const sample = {
+    schemaVersion,
+    onedriveState: toOneDriveState(systemMetrics.onedriveState ?? systemMetrics.oneDriveStatus),
+    pendingFiles: toInteger(systemMetrics.pendingFiles ?? systemMetrics.pendingFileCount),
+    syncErrors: hasSyncErrors ? getSyncErrorCount(systemMetrics) : null,
+    lastSuccessfulSync: toTimestamp(systemMetrics.lastSuccessfulSync),
+    freeDiskBytes: toInteger(systemMetrics.freeDiskBytes)
+  };
+
+  const hasTelemetry = ['onedriveState', 'pendingFiles', 'syncErrors', 'lastSuccessfulSync', 'freeDiskBytes']
+    .some(key => sample[key] !== null);
+
+  return hasTelemetry ? sample : null;
+}
+
+/**
+ * Store a heartbeat's telemetry sample
+ * @returns {boolean} - Whether a sample was recorded
+ */
+export async function recordTelemetry({ licenseId, deviceId, systemMetrics }) {
+  const sample = normalizeTelemetry(systemMetrics);
+  if (!sample) return false;
+
+  await pool.query(
+    `INSERT INTO device_telemetry (license_id, device_id, schema_version, onedrive_state, pending_files,
+                                   sync_errors, last_successful_sync, free_disk_bytes, raw)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      licenseId,
+      deviceId,
+      sample.schemaVersion,
+      sample.onedriveState,
+      sample.pendingFiles,
+      sample.syncErrors,
+      sample.lastSuccessfulSync,
+      sample.freeDiskBytes,
+      JSON.stringify(systemMetrics)
+    ]
+  );
+
+  return true;
+}
+
+/**
+ * Roll completed hours of raw samples into device_telemetry_hourly.
+ * Samples are stamped with server time, so an hour never gains samples
+ * once it has closed and the newest rolled-up bucket is a safe watermark.
+ * @returns {number} - Hourly rows written
+ */
+export async function rollupTelemetry() {
+  const { rowCount } = await pool.query(
+    `WITH bounds AS (
+       SELECT COALESCE(
+                (SELECT MAX(bucket) + INTERVAL '1 hour' FROM device_telemetry_hourly),
+                (SELECT date_trunc('hour', MIN(recorded_at)) FROM device_telemetry)
+              ) AS start_at,
+              date_trunc('hour', NOW()) AS end_at
+     )
+     INSERT INTO device_telemetry_hourly (license_id, device_id, bucket, samples, avg_pending_files,
+                                          max_pending_files, max_sync_errors, min_free_disk_bytes,
+                                          last_onedrive_state, last_successful_sync)
+     SELECT t.license_id, t.device_id, date_trunc('hour', t.recorded_at),
+            COUNT(*),
+            ROUND(AVG(t.pending_files), 2),
+            MAX(t.pending_files),
+            MAX(t.sync_errors),
+            MIN(t.free_disk_bytes),
+            (ARRAY_AGG(t.onedrive_state ORDER BY t.recorded_at DESC)
+               FILTER (WHERE t.onedrive_state IS NOT NULL))[1],
+            MAX(t.last_successful_sync)
+     FROM device_telemetry t, bounds
+     WHERE t.recorded_at >= bounds.start_at AND t.recorded_at < bounds.end_at
+     GROUP BY t.license_id, t.device_id, date_trunc('hour', t.recorded_at)
+     ON CONFLICT (license_id, device_id, bucket) DO UPDATE
+     SET samples = EXCLUDED.samples,
+         avg_pending_files = EXCLUDED.avg_pending_files,
+         max_pending_files = EXCLUDED.max_pending_files,
+         max_sync_errors = EXCLUDED.max_sync_errors,
+         min_free_disk_bytes = EXCLUDED.min_free_disk_bytes,
+         last_onedrive_state = EXCLUDED.last_onedrive_state,
+         last_successful_sync = EXCLUDED.last_successful_sync`
+  );
+
+  return rowCount;
+}
+
+/**
+ * Delete raw samples and hourly rollups past their retention windows
+ * @returns {Object} - { raw, hourly } rows deleted
+ */
+export async function pruneTelemetry(retention = getTelemetryRetention()) {
+  const raw = await pool.query(
+    "DELETE FROM device_telemetry WHERE recorded_at < NOW() - make_interval(days => $1)",
+    [retention.rawDays]
+  );
+  const hourly = await pool.query(
+    "DELETE FROM device_telemetry_hourly WHERE bucket < NOW() - make_interval(days => $1)",
+    [retention.hourlyDays]
+  );
+
+  return { raw: raw.rowCount, hourly: hourly.rowCount };
+}
+
+/**
+ * Worker entry point: downsample, then apply retention
+ * @returns {Object} - { rolledUp, pruned }
+ */
+export async function processTelemetryRetention() {
+  const rolledUp = await rollupTelemetry();
+  const pruned = await pruneTelemetry();
+
+  if (rolledUp > 0 || pruned.raw > 0 || pruned.hourly > 0) {
+    console.log(`📈 Telemetry: rolled up ${rolledUp} hour(s), pruned ${pruned.raw} raw / ${pruned.hourly} hourly`);
+  }
+
+  return { rolledUp, pruned };
+}
+
+function formatRawPoint(row) {
+  return {
+    time: row.recorded_at,
+    onedriveState: row.onedrive_state,
+    pendingFiles: row.pending_files,
+    syncErrors: row.sync_errors,
+    lastSuccessfulSync: row.last_successful_sync,
+    freeDiskBytes: row.free_disk_bytes !== null ? Number(row.free_disk_bytes) : null
+  };
+}
+
+function formatHourlyPoint(row) {
+  return {
+    time: row.bucket,
+    samples: row.samples,
+    avgPendingFiles: row.avg_pending_files !== null ? Number(row.avg_pending_files) : null,
+    maxPendingFiles: row.max_pending_files,
+    maxSyncErrors: row.max_sync_errors,
+    minFreeDiskBytes: row.min_free_disk_bytes !== null ? Number(row.min_free_disk_bytes) : null,
+    onedriveState: row.last_onedrive_state,
+    lastSuccessfulSync: row.last_successful_sync
+  };
+}
+
+/**
+ * Trend data for one device
+ * @param {Object} options
+ * @param {string} options.licenseId - License ID
+ * @param {string} options.deviceId - Device hash
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end
+ * @param {string} options.resolution - One of TELEMETRY_RESOLUTIONS
+ * @returns {Object} - { resolution, points }
+ */
+export async function getDeviceTelemetry({ licenseId, deviceId, from, to, resolution = 'auto' }) {
+  const rawCutoff = Date.now() - getTelemetryRetention().rawDays * 24 * 60 * 60 * 1000;
+  const useRaw = resolution === 'raw' ||
+    (resolution === 'auto' &&
+     to - from <= AUTO_RAW_MAX_HOURS * 60 * 60 * 1000 &&
+     from.getTime() >= rawCutoff);
+
+  if (useRaw) {
+    const { rows } = await pool.query(
+      `SELECT recorded_at, onedrive_state, pending_files, sync_errors, last_successful_sync, free_disk_bytes
+       FROM device_telemetry
+       WHERE license_id = $1 AND device_id = $2 AND recorded_at >= $3 AND recorded_at <= $4
+       ORDER BY recorded_at ASC
+       LIMIT $5`,
+      [licenseId, deviceId, from, to, MAX_RAW_POINTS]
+    );
+    return { resolution: 'raw', points: rows.map(formatRawPoint) };
+  }
+
+  const { rows } = await pool.query(
+    `SELECT bucket, samples, avg_pending_files, max_pending_files, max_sync_errors,
+            min_free_disk_bytes, last_onedrive_state, last_successful_sync
+     FROM device_telemetry_hourly
+     WHERE license_id = $1 AND device_id = $2 AND bucket >= date_trunc('hour', $3::timestamptz) AND bucket <= $4
+     ORDER BY bucket ASC`,
+    [licenseId, deviceId, from, to]
+  );
+  return { resolution: 'hourly', points: rows.map(formatHourlyPoint) };
+}
+
+/**
+ * Most recent sample for each device on a license
+ * @param {string} licenseId - License ID
+ * @returns {Array} - { deviceId, ...sample }
+ */
+export async function getLatestTelemetry(licenseId) {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT ON (device_id) device_id, recorded_at, onedrive_state, pending_files,
+            sync_errors, last_successful_sync, free_disk_bytes
+     FROM device_telemetry
+     WHERE license_id = $1
+     ORDER BY device_id, recorded_at DESC`,
+    [licenseId]
+  );
+
+  return rows.map(row => ({ deviceId: row.device_id, ...formatRawPoint(row) }));
+}
+
+export default {
+  TELEMETRY_SCHEMA_VERSION,
+  ONEDRIVE_STATES,
+  TELEMETRY_RESOLUTIONS,
+  getTelemetryRetention,
+  normalizeTelemetry,
+  recordTelemetry,
+  rollupTelemetry,
+  pruneTelemetry,
+  processTelemetryRetention,
+  getDeviceTelemetry,
+  getLatestTelemetry
+};
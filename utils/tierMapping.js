@@ -8,7 +8,7 @@
  * @param {number} quantity - Number of devices
  * @returns {Object} - {tier: string, price: number}
  */
-function mapTier(quantity) {
+export function mapTier(quantity) {
   const qty = parseInt(quantity) || 1;
   
   if (qty <= 50) {
@@ -36,7 +36,7 @@ function mapTier(quantity) {
  * @param {string} tier - Tier code (starter, business, enterprise)
  * @returns {string} - Display name
  */
-function getTierDisplayName(tier) {
+export function getTierDisplayName(tier) {
   const displayNames = {
     'starter': 'Starter',
     'business': 'Business',
@@ -51,7 +51,7 @@ function getTierDisplayName(tier) {
  * @param {string} tier - Tier code
  * @returns {Object} - {min: number, max: number|null}
  */
-function getTierLimits(tier) {
+export function getTierLimits(tier) {
   const limits = {
     'starter': { min: 1, max: 50 },
     'business': { min: 51, max: 500 },
@@ -67,7 +67,7 @@ function getTierLimits(tier) {
  * @param {string} tier - Tier code
  * @returns {boolean} - Whether quantity is valid for tier
  */
-function validateQuantityForTier(quantity, tier) {
+export function validateQuantityForTier(quantity, tier) {
   const limits = getTierLimits(tier);
   const qty = parseInt(quantity) || 1;
   
@@ -82,7 +82,7 @@ function validateQuantityForTier(quantity, tier) {
  * @param {number} quantity - Device quantity
  * @returns {number} - Monthly cost in GBP
  */
-function calculateMonthlyCost(quantity) {
+export function calculateMonthlyCost(quantity) {
   const { price } = mapTier(quantity);
   return (parseInt(quantity) || 1) * price;
 }
@@ -91,7 +91,7 @@ function calculateMonthlyCost(quantity) {
  * Get all available tiers with their details
  * @returns {Array} - Array of tier objects
  */
-function getAllTiers() {
+export function getAllTiers() {
   return [
     {
       code: 'starter',
@@ -120,7 +120,7 @@ function getAllTiers() {
   ];
 }
 
-module.exports = {
+export default {
   mapTier,
   getTierDisplayName,
   getTierLimits,
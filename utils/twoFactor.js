@@ -0,0 +1,415 @@
+/**
+ * SyncSure Two-Factor Authentication
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30s steps) with single-use recovery codes,
+ * plus the short-lived login challenges that sit between a correct password
+ * and a dashboard session.
+ */
+
+import crypto from "crypto";
+import { pool } from "../db.js";
+
+export const TOTP_ISSUER = 'SyncSure';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept one step either side for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 10;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return code.toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastStep - Last accepted step; it and earlier steps are rejected as replays
+ * @returns {number|null} - Matching step, or null
+ */
+export function verifyTotp(secret, code, lastStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (lastStep !== null && step <= lastStep) continue;
+
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps; the dashboard renders it as a QR code
+ * @param {string} email - Account email (shown as the label)
+ * @param {string} secret - Base32 secret
+ * @returns {string}
+ */
+export function buildProvisioningUri(email, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Replace an account's recovery codes
+ * @param {Object} client - Database client (inside the caller's transaction)
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Array<string>>} - Plaintext codes, shown to the user once
+ */
+async function replaceRecoveryCodes(client, accountId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)).toLowerCase();
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  await client.query("DELETE FROM two_factor_recovery_codes WHERE account_id = $1", [accountId]);
+
+  for (const code of codes) {
+    await client.query(
+      "INSERT INTO two_factor_recovery_codes (account_id, code_hash) VALUES ($1, $2)",
+      [accountId, sha256(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+async function auditTwoFactor(client, actor, accountId, event, context = {}) {
+  await client.query(
+    `INSERT INTO audit_log (actor, account_id, event, context)
+     VALUES ($1, $2, $3, $4)`,
+    [actor, accountId, event, JSON.stringify(context)]
+  );
+}
+
+/**
+ * Unused recovery codes left on an account
+ * @param {string} accountId - Account ID
+ * @returns {Promise<number>}
+ */
+export async function countRecoveryCodes(accountId) {
+  const result = await pool.query(
+    "SELECT COUNT(*)::int AS remaining FROM two_factor_recovery_codes WHERE account_id = $1 AND used_at IS NULL",
+    [accountId]
+  );
+  return result.rows[0].remaining;
+}
+
+/**
+ * Start enrolment: generate a secret that only becomes active once a code from it is confirmed
+ * @param {Object} account - { id, email }
+ * @returns {Promise<Object>} - { secret, otpauthUri }
+ */
+export async function beginTotpEnrollment(account) {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await pool.query(
+    "UPDATE accounts SET totp_pending_secret = $1, updated_at = now() WHERE id = $2",
+    [secret, account.id]
+  );
+
+  return { secret, otpauthUri: buildProvisioningUri(account.email, secret) };
+}
+
+/**
+ * Finish enrolment by confirming a code from the pending secret
+ * @param {Object} account - { id, email }
+ * @param {string} code - TOTP code
+ * @returns {Promise<Object|null>} - { recoveryCodes }, or null if there is no pending secret or the code is wrong
+ */
+export async function completeTotpEnrollment(account, code) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      "SELECT totp_pending_secret FROM accounts WHERE id = $1 FOR UPDATE",
+      [account.id]
+    );
+
+    const pendingSecret = result.rows[0]?.totp_pending_secret;
+    const step = verifyTotp(pendingSecret, code);
+
+    if (step === null) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query(`
+      UPDATE accounts
+      SET totp_secret = totp_pending_secret,
+          totp_pending_secret = NULL,
+          totp_enabled_at = now(),
+          totp_last_step = $1,
+          updated_at = now()
+      WHERE id = $2
+    `, [step, account.id]);
+
+    const recoveryCodes = await replaceRecoveryCodes(client, account.id);
+    await auditTwoFactor(client, account.email, account.id, 'two_factor_enabled');
+
+    await client.query('COMMIT');
+
+    console.log(`🔐 Two-factor enabled for ${account.email}`);
+    return { recoveryCodes };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Check a second factor: a TOTP code from the enrolled secret, or an unused recovery code
+ * @param {Object} account - { id, totp_secret, totp_last_step }
+ * @param {string} code - What the user typed
+ * @returns {Promise<Object|null>} - { method: 'totp'|'recovery_code' }, or null
+ */
+export async function verifySecondFactor(account, code) {
+  const lastStep = account.totp_last_step === null ? null : Number(account.totp_last_step);
+  const step = verifyTotp(account.totp_secret, code, lastStep);
+
+  if (step !== null) {
+    // A code is only good once, even inside its 30 seconds
+    const claimed = await pool.query(
+      `UPDATE accounts SET totp_last_step = $1
+       WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)`,
+      [step, account.id]
+    );
+    return claimed.rowCount > 0 ? { method: 'totp' } : null;
+  }
+
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length === 0) return null;
+
+  const recovery = await pool.query(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE account_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [account.id, sha256(normalized)]
+  );
+
+  return recovery.rowCount > 0 ? { method: 'recovery_code' } : null;
+}
+
+/**
+ * Issue a fresh set of recovery codes, invalidating the old ones
+ * @param {Object} account - { id, email }
+ * @returns {Promise<Array<string>>}
+ */
+export async function regenerateRecoveryCodes(account) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const codes = await replaceRecoveryCodes(client, account.id);
+    await auditTwoFactor(client, account.email, account.id, 'two_factor_recovery_codes_regenerated');
+    await client.query('COMMIT');
+    return codes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Turn TOTP off and discard the secret and recovery codes
+ * @param {Object} account - { id, email }
+ */
+export async function disableTotp(account) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      UPDATE accounts
+      SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL,
+          totp_last_step = NULL, updated_at = now()
+      WHERE id = $1
+    `, [account.id]);
+    await client.query("DELETE FROM two_factor_recovery_codes WHERE account_id = $1", [account.id]);
+    await auditTwoFactor(client, account.email, account.id, 'two_factor_disabled');
+
+    await client.query('COMMIT');
+
+    console.log(`🔓 Two-factor disabled for ${account.email}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record that the password step passed and a second factor is due
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} - { challengeToken, expiresAt }
+ */
+export async function createLoginChallenge(accountId) {
+  await pool.query(
+    "DELETE FROM login_challenges WHERE account_id = $1 AND expires_at < NOW()",
+    [accountId]
+  );
+
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO login_challenges (account_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))
+     RETURNING expires_at`,
+    [accountId, sha256(challengeToken), CHALLENGE_TTL_MINUTES]
+  );
+
+  return { challengeToken, expiresAt: result.rows[0].expires_at };
+}
+
+/**
+ * Look up an open login challenge with the account fields the second step needs
+ * @param {string} challengeToken - Token from the first login step
+ * @returns {Promise<Object|null>}
+ */
+export async function getLoginChallenge(challengeToken) {
+  if (typeof challengeToken !== 'string' || challengeToken.length === 0) return null;
+
+  const result = await pool.query(`
+    SELECT c.id AS challenge_id, a.id, a.email, a.name, a.status, a.subscription_status,
+           a.email_verified, a.totp_secret, a.totp_pending_secret, a.totp_last_step
+    FROM login_challenges c
+    JOIN accounts a ON a.id = c.account_id
+    WHERE c.token_hash = $1 AND c.used_at IS NULL
+      AND c.expires_at > NOW() AND c.attempts < $2
+  `, [sha256(challengeToken), CHALLENGE_MAX_ATTEMPTS]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Take one of the challenge's CHALLENGE_MAX_ATTEMPTS before a code is checked. The count
+ * goes up in the same statement that checks it, so parallel guesses can't all get in
+ * under the limit; a correct code then closes the challenge with consumeLoginChallenge.
+ * @param {string} challengeToken - Token from the first login step
+ * @returns {Promise<Object|null>} - As getLoginChallenge, or null when none are left
+ */
+export async function claimChallengeAttempt(challengeToken) {
+  if (typeof challengeToken !== 'string' || challengeToken.length === 0) return null;
+
+  const result = await pool.query(`
+    WITH claimed AS (
+      UPDATE login_challenges SET attempts = attempts + 1
+      WHERE token_hash = $1 AND used_at IS NULL
+        AND expires_at > NOW() AND attempts < $2
+      RETURNING id, account_id
+    )
+    SELECT c.id AS challenge_id, a.id, a.email, a.name, a.status, a.subscription_status,
+           a.email_verified, a.totp_secret, a.totp_pending_secret, a.totp_last_step
+    FROM claimed c
+    JOIN accounts a ON a.id = c.account_id
+  `, [sha256(challengeToken), CHALLENGE_MAX_ATTEMPTS]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Close the challenge; only one caller wins, so it yields at most one session
+ * @param {string} challengeId - login_challenges.id
+ * @returns {Promise<boolean>}
+ */
+export async function consumeLoginChallenge(challengeId) {
+  const result = await pool.query(
+    `UPDATE login_challenges SET used_at = NOW()
+     WHERE id = $1 AND used_at IS NULL AND expires_at > NOW()`,
+    [challengeId]
+  );
+  return result.rowCount > 0;
+}
+
+export default {
+  TOTP_ISSUER,
+  verifyTotp,
+  buildProvisioningUri,
+  countRecoveryCodes,
+  beginTotpEnrollment,
+  completeTotpEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTotp,
+  createLoginChallenge,
+  getLoginChallenge,
+  claimChallengeAttempt,
+  consumeLoginChallenge
+};
@@ -0,0 +1,21 @@
+/**
+ * SyncSure IDs
+ * Row IDs are Postgres uuids; anything else from a path, query or body is refused
+ * before it reaches a query, where it would fail as invalid input syntax.
+ */
+
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a value is a UUID
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+export default {
+  UUID_PATTERN,
+  isUuid
+};
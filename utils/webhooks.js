@@ -0,0 +1,280 @@
+/**
+ * SyncSure Outbound Webhooks
+ * Fans audit_log events out to customer HTTPS endpoints with an HMAC
+ * signature, retrying with exponential backoff before dead-lettering
+ */
+
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { pool } from "../db.js";
+import { assertPublicUrl, publicOnlyAgent } from "./outboundUrl.js";
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed', 'dead'];
+
+const LOOKBACK_MINUTES = 60;
+const CLAIM_LEASE_MINUTES = 5;
+const BASE_BACKOFF_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_BATCH_SIZE = 50;
+
+/**
+ * Attempts before a delivery moves to the dead-letter list
+ */
+export function getMaxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+}
+
+/**
+ * Generate a signing secret for a new endpoint
+ */
+export function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a payload the way receivers are told to verify it:
+ * HMAC-SHA256 over "<timestamp>.<raw body>" with the endpoint secret
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Exact request body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} - Header value "t=<timestamp>,v1=<hex digest>"
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Delay before the next attempt: 1m, 2m, 4m ... capped at 6h
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Seconds
+ */
+export function getBackoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Queue a delivery per subscribed endpoint for recent audit_log events.
+ * The (endpoint_id, audit_log_id) constraint makes re-scanning the
+ * lookback window safe.
+ * @returns {number} - Deliveries queued
+ */
+export async function enqueueAuditEvents() {
+  const { rowCount } = await pool.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, account_id, audit_log_id, event, payload)
+     SELECT e.id, e.account_id, al.id, al.event,
+            jsonb_build_object(
+              'id', al.id,
+              'event', al.event,
+              'occurredAt', al.created_at,
+              'accountId', al.account_id,
+              'licenseId', al.license_id,
+              'data', COALESCE(al.context, '{}'::jsonb)
+            )
+     FROM audit_log al
+     JOIN webhook_endpoints e ON e.account_id = al.account_id AND e.enabled = true
+     WHERE al.created_at > NOW() - make_interval(mins => $1)
+       AND al.created_at >= e.created_at
+       AND (cardinality(e.events) = 0 OR al.event = ANY(e.events))
+     ON CONFLICT (endpoint_id, audit_log_id) DO NOTHING`,
+    [LOOKBACK_MINUTES]
+  );
+
+  return rowCount;
+}
+
+/**
+ * Queue a synthetic webhook.test delivery for an endpoint
+ * @param {Object} endpoint - Endpoint row
+ * @returns {Object} - Delivery row
+ */
+export async function enqueueTestDelivery(endpoint) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event: 'webhook.test',
+    occurredAt: new Date().toISOString(),
+    accountId: endpoint.account_id,
+    licenseId: null,
+    data: { message: 'This is a test delivery from SyncSure' }
+  };
+
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, account_id, event, payload)
+     VALUES ($1, $2, 'webhook.test', $3)
+     RETURNING id, event, status, next_attempt_at, created_at`,
+    [endpoint.id, endpoint.account_id, JSON.stringify(payload)]
+  );
+
+  return rows[0];
+}
+
+/**
+ * POST one delivery to its endpoint and record the outcome. Only the response
+ * status is kept: the body is shown to the customer, and must not carry
+ * anything the endpoint's host wouldn't show them directly.
+ * @param {Object} delivery - Claimed delivery joined with endpoint url/secret
+ * @returns {string} - Resulting status
+ */
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    await assertPublicUrl(delivery.url);
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SyncSure-Webhooks/1.0',
+        'X-SyncSure-Event': delivery.event,
+        'X-SyncSure-Delivery': delivery.id,
+        'X-SyncSure-Signature': signPayload(delivery.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      agent: publicOnlyAgent,
+      signal: controller.signal
+    });
+    responseStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'AbortError' ? `Timed out after ${DELIVERY_TIMEOUT_MS}ms` : err.message;
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!error) {
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'succeeded', response_status = $1, last_error = NULL,
+           delivered_at = NOW(), next_attempt_at = NULL
+       WHERE id = $2`,
+      [responseStatus, delivery.id]
+    );
+    return 'succeeded';
+  }
+
+  const status = delivery.attempts >= getMaxAttempts() ? 'dead' : 'failed';
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, response_status = $2, last_error = $3,
+         next_attempt_at = CASE WHEN $1 = 'dead' THEN NULL ELSE NOW() + make_interval(secs => $4) END
+     WHERE id = $5`,
+    [status, responseStatus, error, getBackoffSeconds(delivery.attempts), delivery.id]
+  );
+  return status;
+}
+
+/**
+ * Claim due deliveries and send them. Claiming pushes next_attempt_at out
+ * by a lease so a slow tick cannot send the same delivery twice.
+ * @returns {Object} - { succeeded, failed, dead }
+ */
+export async function deliverDueWebhooks() {
+  const summary = { succeeded: 0, failed: 0, dead: 0 };
+
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries wd
+     SET attempts = wd.attempts + 1, next_attempt_at = NOW() + make_interval(mins => $1)
+     FROM webhook_endpoints e
+     WHERE wd.endpoint_id = e.id
+       AND wd.id IN (
+         SELECT d.id FROM webhook_deliveries d
+         JOIN webhook_endpoints en ON en.id = d.endpoint_id
+         WHERE en.enabled = true
+           AND d.status IN ('pending', 'failed') AND d.next_attempt_at <= NOW()
+         ORDER BY d.next_attempt_at ASC
+         LIMIT $2
+         FOR UPDATE OF d SKIP LOCKED
+       )
+     RETURNING wd.id, wd.event, wd.payload, wd.attempts, e.url, e.secret`,
+    [CLAIM_LEASE_MINUTES, DELIVERY_BATCH_SIZE]
+  );
+
+  for (const delivery of rows) {
+    const status = await attemptDelivery(delivery);
+    summary[status]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Put a delivery back in the queue with a fresh retry budget
+ * @param {string} accountId - Owning account
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Object|null} - Delivery row, or null if not found
+ */
+export async function redeliver(accountId, deliveryId) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+     WHERE id = $1 AND account_id = $2
+     RETURNING id, event, status, next_attempt_at`,
+    [deliveryId, accountId]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Delivery log for an account, newest first
+ * @param {string} accountId - Account ID
+ * @param {Object} filters - Optional { endpointId, status, limit }
+ * @returns {Array} - Delivery rows
+ */
+export async function listDeliveries(accountId, { endpointId = null, status = null, limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT wd.id, wd.endpoint_id, e.url, wd.event, wd.status, wd.attempts,
+            wd.next_attempt_at, wd.response_status, wd.last_error,
+            wd.delivered_at, wd.created_at, wd.payload
+     FROM webhook_deliveries wd
+     JOIN webhook_endpoints e ON e.id = wd.endpoint_id
+     WHERE wd.account_id = $1
+       AND ($2::uuid IS NULL OR wd.endpoint_id = $2)
+       AND ($3::text IS NULL OR wd.status = $3)
+     ORDER BY wd.created_at DESC
+     LIMIT $4`,
+    [accountId, endpointId, status, Math.min(parseInt(limit) || 100, 500)]
+  );
+
+  return rows;
+}
+
+/**
+ * Worker entry point: queue new events and send what is due
+ * @returns {Object} - { queued, succeeded, failed, dead }
+ */
+export async function processWebhookDeliveries() {
+  const queued = await enqueueAuditEvents();
+  const results = await deliverDueWebhooks();
+  const sent = results.succeeded + results.failed + results.dead;
+
+  if (queued > 0 || sent > 0) {
+    console.log(`🪝 Webhooks: queued ${queued}, delivered ${results.succeeded}, failed ${results.failed}, dead-lettered ${results.dead}`);
+  }
+
+  return { queued, ...results };
+}
+
+export default {
+  DELIVERY_STATUSES,
+  getMaxAttempts,
+  generateSecret,
+  signPayload,
+  getBackoffSeconds,
+  enqueueAuditEvents,
+  enqueueTestDelivery,
+  deliverDueWebhooks,
+  redeliver,
+  listDeliveries,
+  processWebhookDeliveries
+};
@@ -2,6 +2,14 @@ import { pool } from "./db.js";
 import { triggerWorkflow, latestReleaseByTag } from "./services/github.js";
 import { sendLicenseEmail } from "./services/email.js"
 import { initializeDatabase } from "./scripts/deploy-init-db.js";
+import { processDeviceHealth } from "./utils/deviceHealth.js";
+import { evaluateLicenseCapacityAlerts, evaluateBuildFailedAlert } from "./utils/alertRules.js";
+import { processWebhookDeliveries } from "./utils/webhooks.js";
+import { processTelemetryRetention } from "./utils/telemetry.js";
+import { releaseSilentBindings, pruneBindRequests } from "./utils/deviceBindings.js";
+import { retryStripeEvents } from "./utils/stripeEvents.js";
+import { runScheduledReconciliation } from "./utils/stripeReconciliation.js";
+import { processDunning } from "./utils/licenseStatus.js";
 
 const TICK_MS = 60_000; // 1 minute
 const WORKFLOW_FILE = process.env.GITHUB_WORKFLOW_FILE || "build.yml";
@@ -27,6 +35,7 @@ async function processQueuedBuild() {
   } catch (e) {
     console.error("❌ GitHub dispatch failed:", e.message);
     await pool.query("update builds set status='failed', updated_at=now() where id=$1", [b.id]);
+    await evaluateBuildFailedAlert(b).catch(err => console.error("build alert error:", err.message));
   }
 }
 
@@ -72,10 +81,83 @@ async function processBuildingBuild() {
   }
 }
 
+async function checkDeviceHealth() {
+  try {
+    await processDeviceHealth();
+  } catch (e) {
+    console.error("device health check error:", e.message);
+  }
+}
+
+async function releaseSilentDevices() {
+  try {
+    await releaseSilentBindings();
+    await pruneBindRequests();
+  } catch (e) {
+    console.error("auto-release error:", e.message);
+  }
+}
+
+async function checkLicenseCapacity() {
+  try {
+    await evaluateLicenseCapacityAlerts();
+  } catch (e) {
+    console.error("license capacity check error:", e.message);
+  }
+}
+
+async function deliverWebhooks() {
+  try {
+    await processWebhookDeliveries();
+  } catch (e) {
+    console.error("webhook delivery error:", e.message);
+  }
+}
+
+async function maintainTelemetry() {
+  try {
+    await processTelemetryRetention();
+  } catch (e) {
+    console.error("telemetry retention error:", e.message);
+  }
+}
+
+async function retryFailedStripeEvents() {
+  try {
+    await retryStripeEvents();
+  } catch (e) {
+    console.error("stripe event retry error:", e.message);
+  }
+}
+
+async function reconcileStripe() {
+  try {
+    await runScheduledReconciliation();
+  } catch (e) {
+    console.error("stripe reconciliation error:", e.message);
+  }
+}
+
+async function runDunning() {
+  try {
+    await processDunning();
+  } catch (e) {
+    console.error("dunning error:", e.message);
+  }
+}
+
 async function tick() {
   console.log("⏳ worker tick", new Date().toISOString());
   await processQueuedBuild();
   await processBuildingBuild();
+  await checkDeviceHealth();
+  await releaseSilentDevices();
+  await checkLicenseCapacity();
+  await deliverWebhooks();
+  await maintainTelemetry();
+  await retryFailedStripeEvents();
+  await reconcileStripe();
+  await runDunning();
 }
 
 async function startWorker() {